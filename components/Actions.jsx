@@ -1,14 +1,19 @@
 import { useCallback } from 'react'
 import useGameStore from '../store/gameStore'
+import { packDecals, shrinkSharedDecals } from '../src/lib/decals'
+import { generateShareableUrl, exportVehicleModel } from '../src/lib/scene-handlers'
 
 const Actions = () => {
     // Get vehicle state from store using selectors
     const currentVehicle = useGameStore((state) => state.currentVehicle)
+    const decals = useGameStore((state) => state.decals)
     const savedVehicles = useGameStore((state) => state.savedVehicles)
     const setSavedVehicles = useGameStore((state) => state.setSavedVehicles)
     const showNotification = useGameStore((state) => state.showNotification)
     const objectPlacementMode = useGameStore((state) => state.objectPlacementMode)
     const setObjectPlacementMode = useGameStore((state) => state.setObjectPlacementMode)
+    const placementType = useGameStore((state) => state.placementType)
+    const setPlacementType = useGameStore((state) => state.setPlacementType)
 
     // Save current vehicle to local storage.
     const saveVehicle = () => {
@@ -54,6 +59,7 @@ const Actions = () => {
                 const vehicle = {
                     name: name,
                     config: currentVehicle,
+                    decals: packDecals(useGameStore.getState().decals),
                 }
 
                 // Save the vehicle to local storage and set current.
@@ -75,16 +81,23 @@ const Actions = () => {
     }
 
     // Share current config.
-    const shareVehicle = useCallback(() => {
-        // Generate shareable URL.
-        const jsonString = JSON.stringify(currentVehicle)
-        const encodedConfig = encodeURIComponent(jsonString)
-        const shareableUrl = `${window.location.origin}?config=${encodedConfig}`
+    const shareVehicle = useCallback(async () => {
+        // Generate shareable URL, including decals scaled down so the link stays short.
+        const result = generateShareableUrl({ decals: await shrinkSharedDecals(decals) })
+        if (!result.success) {
+            showNotification({
+                title: 'Share Failed',
+                text: `The share link could not be created: ${result.error}`,
+                type: 'error',
+            })
+            return
+        }
+        const shareableUrl = result.data.url
 
-        // Notify user with the link element and copy button.
+        // Notify user with the link element and copy button, warning when the link is too long.
         showNotification({
             title: 'Share Your Vehicle',
-            text: 'Copy this link to save or share your vehicle configuration:',
+            text: `${result.data.warning ? `${result.data.warning} ` : ''}Copy this link to save or share your vehicle configuration:`,
             html: `<a href="${shareableUrl}">Shareable link</a>`,
             showCancelButton: true,
             confirmButtonText: 'Copy Link',
@@ -113,16 +126,30 @@ const Actions = () => {
                 }
             },
         })
-    }, [currentVehicle, showNotification])
+    }, [currentVehicle, decals, showNotification])
 
     // Trigger screenshot.
     const takeScreenshot = () => {
         window.dispatchEvent(new Event('takeScreenshot'))
     }
 
-    // Toggle placement mode
+    // Download the build as a GLB model.
+    const exportModel = async () => {
+        const result = await exportVehicleModel()
+        if (!result.success) {
+            showNotification({
+                title: 'Export Failed',
+                text: `The vehicle model could not be exported: ${result.error}`,
+                type: 'error',
+            })
+        }
+    }
+
+    // Toggle cube placement, switching over from course elements if needed
     const togglePlacementMode = () => {
-        setObjectPlacementMode(!objectPlacementMode)
+        const placingCubes = objectPlacementMode && placementType === 'cube'
+        setPlacementType('cube')
+        setObjectPlacementMode(!placingCubes)
     }
 
     return (
@@ -130,9 +157,10 @@ const Actions = () => {
             <button onClick={saveVehicle}>Save</button>
             <button onClick={shareVehicle}>Share</button>
             <button onClick={takeScreenshot}>Screenshot</button>
+            <button onClick={exportModel}>Export</button>
             <button 
                 onClick={togglePlacementMode}
-                className={objectPlacementMode ? 'active' : ''}
+                className={objectPlacementMode && placementType === 'cube' ? 'active' : ''}
             >
                 Place Cube
             </button>
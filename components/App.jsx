@@ -6,11 +6,15 @@ import Header from "./Header";
 import Sidebar from "./Sidebar";
 import Canvas from "./Canvas";
 import Actions from "./Actions";
+import VehicleStats from "./VehicleStats";
+import Dashboard from "./Dashboard";
+import CourseTimer from "./CourseTimer";
 import Notification from "./Notification";
 import ChatInterface from "./ChatInterface";
 import HandlerTestUI from "./HandlerTestUI";
 import DecalManager from "./DecalManager";
 import DecalEditor from "./DecalEditor";
+import TransformPanel from "./TransformPanel";
 
 export default function App() {
   // Get vehicle state from game store
@@ -27,10 +31,14 @@ export default function App() {
       <Canvas />
       <Sidebar />
       <Actions />
+      <VehicleStats />
+      <Dashboard />
+      <CourseTimer />
       <Notification />
       <ChatInterface />
       <DecalManager />
       <DecalEditor />
+      <TransformPanel />
       {/* <HandlerTestUI /> */}
     </div>
   );
@@ -0,0 +1,98 @@
+import { useMemo, useState } from 'react'
+import classNames from 'classnames'
+import useGameStore from '../store/gameStore'
+import { computeBuildCost, checkBudget, formatPrice } from '../src/lib/pricing'
+import { setBudget, importPriceList, clearPriceList } from '../src/lib/scene-handlers'
+
+// Live parts total for the Editor, with the budget and local price list
+const BudgetTracker = () => {
+    const currentVehicle = useGameStore((state) => state.currentVehicle)
+    const budget = useGameStore((state) => state.budget)
+    const priceList = useGameStore((state) => state.priceList)
+    const [budgetInput, setBudgetInput] = useState(budget ?? '')
+
+    const cost = useMemo(() => computeBuildCost(currentVehicle, priceList), [currentVehicle, priceList])
+    const status = checkBudget(cost, budget)
+
+    const notifyError = (error) => useGameStore.getState().showNotification({ title: 'Budget Error', text: error, type: 'error' })
+
+    const handleBudget = (e) => {
+        e.preventDefault()
+        const result = setBudget(budgetInput)
+        if (!result.success) notifyError(result.error)
+    }
+
+    const handlePriceList = async (file) => {
+        if (!file) return
+        const result = importPriceList(await file.text())
+        if (!result.success) return notifyError(result.error)
+        useGameStore.getState().showNotification({ title: 'Price List Loaded', text: `Loaded ${result.data.prices} prices from ${file.name}.`, type: 'success' })
+    }
+
+    return (
+        <>
+            {/* Total */}
+            <div className='field field-budget-total text-sm space-y-1'>
+                <label>Parts Total</label>
+                <p className={classNames('text-lg font-medium', status?.over ? 'text-red-500' : status ? 'text-green-500' : 'text-stone-200')}>
+                    {formatPrice(cost.total, cost.currency)}
+                    {status && <span className='text-sm text-stone-400'> of {formatPrice(status.budget, cost.currency)}</span>}
+                </p>
+                {status && (
+                    <p className={status.over ? 'text-red-400' : 'text-stone-400'}>
+                        {status.over ? `${formatPrice(-status.remaining, cost.currency)} over budget` : `${formatPrice(status.remaining, cost.currency)} left`}
+                    </p>
+                )}
+                <ul className='text-stone-400'>
+                    {cost.items.map((item) => (
+                        <li key={`${item.kind}-${item.type || ''}-${item.id}`} className='flex justify-between gap-2'>
+                            <span>
+                                {item.quantity > 1 && `${item.quantity} x `}
+                                {item.name}
+                            </span>
+                            <span>{item.cost === null ? 'No price' : formatPrice(item.cost, cost.currency)}</span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            {/* Budget */}
+            <form className='field field-budget' onSubmit={handleBudget}>
+                <label htmlFor='budget'>Stay Under</label>
+                <div className='flex gap-2'>
+                    <input type='number' id='budget' min='0' step='100' placeholder='No budget' value={budgetInput} onChange={(e) => setBudgetInput(e.target.value)} />
+                    <button type='submit' className='secondary'>
+                        Set
+                    </button>
+                </div>
+            </form>
+
+            {/* Price list */}
+            <div className='field field-price-list'>
+                <label htmlFor='price-list'>Price List</label>
+                <div className='flex gap-2'>
+                    <label htmlFor='price-list' className='flex-1 cursor-pointer rounded border border-dashed border-stone-500 p-2 text-center text-sm text-stone-400'>
+                        {priceList ? `Local prices (${priceList.currency})` : 'Load a JSON price list'}
+                    </label>
+                    {priceList && (
+                        <button className='secondary' onClick={clearPriceList}>
+                            Reset
+                        </button>
+                    )}
+                </div>
+                <input
+                    type='file'
+                    id='price-list'
+                    className='hidden'
+                    accept='.json,application/json'
+                    onChange={(e) => {
+                        handlePriceList(e.target.files[0])
+                        e.target.value = ''
+                    }}
+                />
+            </div>
+        </>
+    )
+}
+
+export default BudgetTracker
@@ -0,0 +1,29 @@
+import useGameStore from '../store/gameStore'
+import { exportBuildSheet } from '../src/lib/scene-handlers'
+
+// Build sheet downloads: a printable page with a screenshot, or the parts list for spreadsheets
+const BuildSheetExport = () => {
+    const handleExport = (format) => {
+        const result = exportBuildSheet(format)
+        if (!result.success) useGameStore.getState().showNotification({ title: 'Export Failed', text: `The build sheet could not be exported: ${result.error}`, type: 'error' })
+    }
+
+    return (
+        <div className='field field-build-sheet'>
+            <label>Build Sheet</label>
+            <div className='flex gap-2'>
+                <button className='secondary flex-1' onClick={() => handleExport('html')}>
+                    Printable
+                </button>
+                <button className='secondary flex-1' onClick={() => handleExport('csv')}>
+                    CSV
+                </button>
+                <button className='secondary flex-1' onClick={() => handleExport('json')}>
+                    JSON
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default BuildSheetExport
@@ -1,4 +1,4 @@
-import { useRef } from 'react'
+import { useEffect, useRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import { OrbitControls, PerspectiveCamera } from '@react-three/drei'
 import { Vector3, Raycaster } from 'three'
@@ -23,6 +23,13 @@ const CameraControls = ({ followSpeed = 0.1, minGroundDistance = 0.5 }) => {
     const isPortrait = window.innerWidth / window.innerHeight < 1
     const defaultCameraPosition = isPortrait ? [-2, 1, 12] : [-4, 1, 6.5]
 
+    // Share the controls so saved scenes can read and restore the camera pose
+    useEffect(() => {
+        const { setCameraControlsRef } = useGameStore.getState()
+        setCameraControlsRef(cameraControlsRef)
+        return () => setCameraControlsRef(null)
+    }, [])
+
     useFrame(() => {
         if (!cameraControlsRef.current) return
 
@@ -67,6 +74,7 @@ const CameraControls = ({ followSpeed = 0.1, minGroundDistance = 0.5 }) => {
         <>
             <OrbitControls
                 ref={cameraControlsRef}
+                makeDefault
                 enableDamping
                 dampingFactor={0.025}
                 minDistance={2}
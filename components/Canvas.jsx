@@ -13,6 +13,7 @@ import Screenshot from './Screenshot'
 import DecalOverlay from './DecalOverlay'
 import ObjectManager from './ObjectManager'
 import ObjectPlacementHandler from './ObjectPlacementHandler'
+import TransformGizmo from './TransformGizmo'
 
 // Canvas component
 const ThreeCanvas = () => {
@@ -37,6 +38,7 @@ const ThreeCanvas = () => {
                         <DecalOverlay />
                         <ObjectManager />
                         <ObjectPlacementHandler />
+                        <TransformGizmo />
                     </Suspense>
 
                     <Environment />
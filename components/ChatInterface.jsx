@@ -6,6 +6,7 @@ import {
     getSessionMessages 
 } from '../src/lib/chat-api.js'
 import { processAgentResponse } from '../src/lib/vehicle-update-handler.js'
+import { getBuildCost } from '../src/lib/scene-handlers'
 import useGameStore from '../store/gameStore'
 
 const ChatInterface = () => {
@@ -87,6 +88,16 @@ const ChatInterface = () => {
             // Get current vehicle configuration to send as context
             const currentVehicleConfig = useGameStore.getState().currentVehicle
 
+            // Budget the agent has to keep the parts under, if one is set
+            const { data: cost } = getBuildCost()
+            const budgetContext = cost.budget && {
+                limit: cost.budget.budget,
+                total: cost.total,
+                remaining: cost.budget.remaining,
+                currency: cost.currency,
+                unpriced: cost.unpriced,
+            }
+
             // Add placeholder for AI response
             const aiMessageId = Date.now() + 1
             setMessages(prev => [...prev, {
@@ -125,7 +136,8 @@ const ChatInterface = () => {
                     }
                 },
                 abortControllerRef.current.signal,
-                currentVehicleConfig // Pass vehicle config as context
+                currentVehicleConfig, // Pass vehicle config as context
+                budgetContext
             )
 
             console.log('✅ [Chat] Final message received:', finalMessage)
@@ -0,0 +1,122 @@
+import useGameStore from '../store/gameStore'
+import useCourseStore from '../store/courseStore'
+import { COURSE_ELEMENTS, COURSE_ELEMENT_TYPES, formatRunTime } from '../src/lib/course'
+import { exportCourse, importCourse, startCourseRun, stopCourseRun } from '../src/lib/scene-handlers'
+
+// Course element palette, save/load and timed runs for the Editor
+const CourseBuilder = () => {
+    const objectPlacementMode = useGameStore((state) => state.objectPlacementMode)
+    const setObjectPlacementMode = useGameStore((state) => state.setObjectPlacementMode)
+    const placementType = useGameStore((state) => state.placementType)
+    const setPlacementType = useGameStore((state) => state.setPlacementType)
+    const course = useCourseStore((state) => state.course)
+    const setCourse = useCourseStore((state) => state.setCourse)
+    const run = useCourseStore((state) => state.run)
+    const getLeaderboard = useCourseStore((state) => state.getLeaderboard)
+
+    // Re-read the board after runs and part changes
+    useCourseStore((state) => state.leaderboards)
+    useGameStore((state) => state.currentVehicle)
+    const leaderboard = getLeaderboard()
+
+    // Toggle placement of a course element
+    const handlePaletteClick = (type) => {
+        const placing = objectPlacementMode && placementType === type
+        setPlacementType(type)
+        setObjectPlacementMode(!placing)
+    }
+
+    const notify = (result, success) => {
+        useGameStore.getState().showNotification(result.success ? { title: 'Course', text: success, type: 'success' } : { title: 'Course Error', text: result.error, type: 'error' })
+    }
+
+    // Download the course as a JSON file
+    const handleSave = () => {
+        const result = exportCourse()
+        if (!result.success) return notify(result)
+
+        const link = document.createElement('a')
+        link.download = `${course.name.replace(/[^\w-]+/g, '_') || 'course'}.json`
+        link.href = URL.createObjectURL(new Blob([result.data], { type: 'application/json' }))
+        link.click()
+        URL.revokeObjectURL(link.href)
+    }
+
+    const handleLoad = async (file) => {
+        if (!file) return
+        const result = importCourse(await file.text())
+        notify(result, result.success && `Loaded course ${result.data.name}`)
+    }
+
+    const handleRun = () => {
+        if (run) return stopCourseRun()
+        setObjectPlacementMode(false)
+        const result = startCourseRun()
+        if (!result.success) notify(result)
+    }
+
+    return (
+        <>
+            {/* Name */}
+            <div className='field field-course-name'>
+                <label htmlFor='course-name'>Course</label>
+                <input type='text' id='course-name' value={course.name} onChange={(e) => setCourse({ ...course, name: e.target.value })} />
+            </div>
+
+            {/* Palette */}
+            <div className='field field-course-palette'>
+                <label>Place</label>
+                <div className='grid grid-cols-3 gap-2'>
+                    {COURSE_ELEMENT_TYPES.map((type) => (
+                        <button key={type} className={objectPlacementMode && placementType === type ? 'active' : 'secondary'} onClick={() => handlePaletteClick(type)}>
+                            {COURSE_ELEMENTS[type].name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Save / Load */}
+            <div className='field field-course-file flex gap-2'>
+                <button className='secondary' onClick={handleSave}>
+                    Save JSON
+                </button>
+                <label htmlFor='course-file' className='button secondary cursor-pointer'>
+                    Load JSON
+                </label>
+                <input
+                    type='file'
+                    id='course-file'
+                    className='hidden'
+                    accept='.json,application/json'
+                    onChange={(e) => {
+                        handleLoad(e.target.files[0])
+                        e.target.value = ''
+                    }}
+                />
+            </div>
+
+            {/* Run */}
+            <button onClick={handleRun}>{run ? 'Stop Run' : 'Start Run'}</button>
+
+            {/* Leaderboard */}
+            <div className='field field-course-leaderboard'>
+                <label>Best Times (this build)</label>
+                {leaderboard.length > 0 ? (
+                    <ol className='list-decimal pl-5 text-sm text-stone-300'>
+                        {leaderboard.map((entry) => (
+                            <li key={entry.date}>
+                                {formatRunTime(entry.total)}
+                                {entry.penalty > 0 && <span className='text-stone-500'> (+{entry.penalty}s)</span>}
+                                <span className='text-stone-500'> {new Date(entry.date).toLocaleDateString()}</span>
+                            </li>
+                        ))}
+                    </ol>
+                ) : (
+                    <p className='text-sm text-stone-500'>No times yet</p>
+                )}
+            </div>
+        </>
+    )
+}
+
+export default CourseBuilder
@@ -0,0 +1,147 @@
+import { useMemo, useRef } from 'react'
+import { RigidBody, CuboidCollider } from '@react-three/rapier'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+import { createWedgeGeometry } from './ObjectShape'
+import useCourseStore from '../store/courseStore'
+import { COURSE_ELEMENTS } from '../src/lib/course'
+
+// Gate post thickness in meters
+const POST_SIZE = 0.2
+
+// Cone displacement in meters, and tilt as the up vector's y, that count as a hit
+const CONE_HIT_DISTANCE = 0.25
+const CONE_HIT_UP = 0.8
+
+// Only the vehicle chassis triggers gates
+const isVehicle = (payload) => payload.other.rigidBody?.userData?.type === 'vehicle'
+
+// Start, checkpoint or finish gate with a sensor across its opening
+const Gate = ({ type, order, size, color }) => {
+    const recordEvent = useCourseStore((state) => state.recordEvent)
+
+    const handleEnter = (payload) => {
+        if (!isVehicle(payload)) return
+        recordEvent(type === 'checkpoint' ? { type: 'checkpoint', order } : { type: type === 'start_gate' ? 'start' : 'finish' })
+    }
+
+    return (
+        <RigidBody type='fixed' colliders={false}>
+            {/* Posts */}
+            {[-1, 1].map((side) => (
+                <group key={side} position={[(side * (size.x - POST_SIZE)) / 2, size.y / 2, 0]}>
+                    <mesh castShadow>
+                        <boxGeometry args={[POST_SIZE, size.y, POST_SIZE]} />
+                        <meshStandardMaterial color={color} />
+                    </mesh>
+                    <CuboidCollider args={[POST_SIZE / 2, size.y / 2, POST_SIZE / 2]} />
+                </group>
+            ))}
+
+            {/* Banner */}
+            <mesh position-y={size.y - size.z / 2} castShadow>
+                <boxGeometry args={[size.x, size.z, POST_SIZE / 2]} />
+                <meshStandardMaterial color={color} />
+            </mesh>
+
+            {/* Sensor */}
+            <CuboidCollider sensor args={[size.x / 2 - POST_SIZE, size.y / 2, size.z / 2]} position={[0, size.y / 2, 0]} onIntersectionEnter={handleEnter} />
+        </RigidBody>
+    )
+}
+
+// Loose cone, a hit once it is knocked over or pushed during a run
+const Cone = ({ id, size, color }) => {
+    const bodyRef = useRef()
+    const baseline = useRef({ startTime: null, x: 0, z: 0 })
+
+    useFrame(() => {
+        const body = bodyRef.current
+        const { run, recordEvent } = useCourseStore.getState()
+        if (!body || run?.status !== 'running' || run.conesHit.includes(id)) return
+
+        // Measure from where the cone stood when the run started
+        const { x, z } = body.translation()
+        if (baseline.current.startTime !== run.startTime) {
+            baseline.current = { startTime: run.startTime, x, z }
+            return
+        }
+
+        const rotation = body.rotation()
+        const up = 1 - 2 * (rotation.x * rotation.x + rotation.z * rotation.z)
+        if (Math.hypot(x - baseline.current.x, z - baseline.current.z) > CONE_HIT_DISTANCE || up < CONE_HIT_UP) recordEvent({ type: 'cone', id })
+    })
+
+    return (
+        <RigidBody ref={bodyRef} type='dynamic' colliders='hull' mass={2}>
+            <mesh position-y={size.y / 2} castShadow>
+                <coneGeometry args={[size.x / 2, size.y, 16]} />
+                <meshStandardMaterial color={color} />
+            </mesh>
+            <mesh position-y={0.02} castShadow>
+                <boxGeometry args={[size.x * 1.1, 0.04, size.z * 1.1]} />
+                <meshStandardMaterial color={color} />
+            </mesh>
+        </RigidBody>
+    )
+}
+
+// Fixed wedge to drive up and over
+const Ramp = ({ size, color }) => {
+    const geometry = useMemo(() => createWedgeGeometry(size), [size])
+
+    return (
+        <RigidBody type='fixed' colliders='hull' userData={{ surface: 'dirt' }}>
+            <mesh geometry={geometry} position-y={size.y / 2} castShadow receiveShadow>
+                <meshStandardMaterial color={color} roughness={0.9} flatShading />
+            </mesh>
+        </RigidBody>
+    )
+}
+
+// Two stacked rock ledges
+const RockStep = ({ size, color }) => (
+    <RigidBody type='fixed' colliders='cuboid' userData={{ surface: 'rock' }}>
+        <mesh position-y={size.y / 4} castShadow receiveShadow>
+            <boxGeometry args={[size.x, size.y / 2, size.z]} />
+            <meshStandardMaterial color={color} roughness={0.9} />
+        </mesh>
+        <mesh position={[0, (size.y * 3) / 4, size.z / 4]} castShadow receiveShadow>
+            <boxGeometry args={[size.x, size.y / 2, size.z / 2]} />
+            <meshStandardMaterial color={color} roughness={0.9} />
+        </mesh>
+    </RigidBody>
+)
+
+const ELEMENT_COMPONENTS = {
+    gate: Gate,
+    cone: Cone,
+    ramp: Ramp,
+    step: RockStep,
+}
+
+// Placed course element, positioned at its base
+const CourseElement = ({ id, type, order, position, rotation, isSelected, onSelect }) => {
+    const { kind, color, size } = COURSE_ELEMENTS[type]
+    const Element = ELEMENT_COMPONENTS[kind]
+
+    const handleClick = (e) => {
+        e.stopPropagation()
+        onSelect(id)
+    }
+
+    return (
+        <group position={[position.x, position.y, position.z]} rotation={[rotation.x, rotation.y, rotation.z]} userData={{ id }} onClick={handleClick}>
+            <Element id={id} type={type} order={order} size={size} color={color} />
+            {isSelected && (
+                <lineSegments position-y={size.y / 2}>
+                    <edgesGeometry args={[new THREE.BoxGeometry(size.x, size.y, size.z)]} />
+                    <lineBasicMaterial color='#ffff00' />
+                </lineSegments>
+            )}
+        </group>
+    )
+}
+
+export default CourseElement
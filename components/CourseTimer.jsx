@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react'
+import useGameStore from '../store/gameStore'
+import useEngineStore from '../store/engineStore'
+import useCourseStore from '../store/courseStore'
+import { getRunTime, formatRunTime } from '../src/lib/course'
+
+// Refresh rate of the running clock in milliseconds
+const TICK_INTERVAL = 100
+
+// Timer, checkpoint progress and penalties for the active course run
+const CourseTimer = () => {
+    const run = useCourseStore((state) => state.run)
+    const [now, setNow] = useState(Date.now())
+
+    // Tick while the clock is running
+    useEffect(() => {
+        if (run?.status !== 'running') return
+        const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL)
+        return () => clearInterval(interval)
+    }, [run?.status])
+
+    // Count each rollover once, when the vehicle goes over
+    useEffect(
+        () =>
+            useEngineStore.subscribe((state, previous) => {
+                if (state.rolledOver && !previous.rolledOver) useCourseStore.getState().recordEvent({ type: 'rollover' })
+            }),
+        []
+    )
+
+    // Announce the finishing time
+    useEffect(() => {
+        if (run?.status !== 'finished') return
+        const { total, penalty } = getRunTime(run)
+        const { leaderboardError } = useCourseStore.getState()
+        useGameStore.getState().showNotification({
+            title: 'Finished!',
+            text: `Finished in ${formatRunTime(total)}${penalty > 0 ? ` (+${penalty}s penalties)` : ''}.${leaderboardError ? ` The time was not saved. ${leaderboardError}` : ''}`,
+            type: leaderboardError ? 'error' : 'success',
+        })
+    }, [run?.status])
+
+    if (!run) return null
+
+    const { total, penalty } = getRunTime(run, now)
+
+    return (
+        <div id='course-timer' className='absolute top-20 left-1/2 -translate-x-1/2 px-4 py-2 bg-black/80 text-gray-400 rounded-xl shadow-xl pointer-events-none text-center'>
+            <div className='text-2xl text-white/90 font-bold'>{run.status === 'armed' ? 'Cross the start gate' : formatRunTime(total)}</div>
+            <div className='flex gap-4 justify-center text-xs uppercase'>
+                <span>
+                    Checkpoint {run.next}/{run.checkpoints}
+                </span>
+                <span>Cones {run.conesHit.length}</span>
+                <span>Rollovers {run.rollovers}</span>
+                {penalty > 0 && <span className='text-amber-400'>+{penalty}s</span>}
+            </div>
+        </div>
+    )
+}
+
+export default CourseTimer
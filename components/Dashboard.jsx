@@ -0,0 +1,69 @@
+import { useMemo } from 'react'
+import classNames from 'classnames'
+import useGameStore from '../store/gameStore'
+import useEngineStore from '../store/engineStore'
+import { getEngineSpec } from '../src/lib/engine'
+import { computeVehicleMetrics } from '../src/lib/vehicle-metrics'
+import { FLUIDS } from '../src/lib/fluids'
+
+const MPH_PER_MS = 2.23694
+
+const INCHES_PER_METER = 39.37
+
+// Live engine and fording readout while driving
+const Dashboard = () => {
+    const physicsEnabled = useGameStore((state) => state.physicsEnabled)
+    const body = useGameStore((state) => state.currentVehicle?.body)
+    const transmission = useGameStore((state) => state.currentVehicle?.transmission)
+    const rpm = useEngineStore((state) => state.rpm)
+    const gear = useEngineStore((state) => state.gear)
+    const speed = useEngineStore((state) => state.speed)
+    const fording = useEngineStore((state) => state.fording)
+    const shiftHint = useEngineStore((state) => state.shiftHint)
+    const lift = useGameStore((state) => state.currentVehicle?.lift)
+    const tire_diameter = useGameStore((state) => state.currentVehicle?.tire_diameter)
+    const addons = useGameStore((state) => state.currentVehicle?.addons)
+
+    // Deepest fluid the air intake clears
+    const fordingLimit = useMemo(() => computeVehicleMetrics({ body, lift, tire_diameter, addons }).fordingDepth, [body, lift, tire_diameter, addons])
+    const fordingExceeded = Boolean(physicsEnabled && fording && fordingLimit && fording.depth > fordingLimit.meters)
+
+    if (!physicsEnabled) return null
+
+    const { redline } = getEngineSpec(body)
+    const rpmShare = Math.min(rpm / redline, 1)
+
+    return (
+        <div id='dashboard' className='absolute bottom-20 left-1/2 -translate-x-1/2 w-64 px-4 py-2 bg-black/80 text-gray-400 rounded-xl shadow-xl pointer-events-none'>
+            <div className='flex items-end justify-between'>
+                <span className='text-2xl text-white/90 font-bold'>
+                    {Math.round(speed * MPH_PER_MS)} <span className='text-xs uppercase'>mph</span>
+                </span>
+                <span className='text-2xl text-white/90 font-bold'>
+                    {gear}
+                    <span className='text-xs uppercase ml-1'>{transmission === 'manual' ? 'M' : 'A'}</span>
+                </span>
+            </div>
+            <div className='h-1.5 mt-1 bg-stone-700 rounded'>
+                <div className={classNames('h-full rounded', rpmShare > 0.9 ? 'bg-red-500' : 'bg-white/80')} style={{ width: `${rpmShare * 100}%` }} />
+            </div>
+            <div className='flex justify-between'>
+                <span className='text-xs uppercase'>{rpm} rpm</span>
+                {fording && (
+                    <span className={classNames('text-xs uppercase', fordingExceeded && 'text-red-500')}>
+                        {FLUIDS[fording.type].name} {Math.round(fording.depth * INCHES_PER_METER)}"
+                    </span>
+                )}
+            </div>
+            {shiftHint && transmission !== 'manual' && <div className='mt-1 text-xs text-white/90'>Press M for the manual transmission to shift gears</div>}
+            {/* Fording warning, kept in the HUD so it never interrupts the drive */}
+            {fordingExceeded && (
+                <div className='mt-1 text-xs text-red-500 font-bold'>
+                    Fording depth exceeded: {FLUIDS[fording.type].name.toLowerCase()} is over the {fordingLimit.snorkel ? 'snorkel' : 'air intake'} ({fordingLimit.inches}")
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default Dashboard
@@ -1,5 +1,6 @@
 import { useState, useRef } from 'react'
 import useGameStore from '../store/gameStore'
+import { shrinkDecalImage } from '../src/lib/decals'
 
 const DecalManager = () => {
   const [isOpen, setIsOpen] = useState(false)
@@ -39,8 +40,9 @@ const DecalManager = () => {
 
     // Read file as data URL
     const reader = new FileReader()
-    reader.onload = (e) => {
-      const imageUrl = e.target.result
+    reader.onload = async (e) => {
+      // Scale large raster images down so saved vehicles stay small
+      const imageUrl = await shrinkDecalImage(e.target.result)
       
       // Add decal to store with temporary placement data
       // Position it in front of the vehicle initially (more visible)
@@ -158,6 +158,7 @@ const DecalOverlay = () => {
 
         decalMesh = new THREE.Mesh(geometry, material)
         decalMesh.renderOrder = decals.length // Give decals a fixed render order
+        decalMesh.name = `Decal_${decal.id}` // Named for model export
         
         // Attach to vehicle mesh so it moves with the vehicle
         vehicleMesh.add(decalMesh)
@@ -237,6 +238,9 @@ const DecalOverlay = () => {
       // Check if we should handle this click (placement mode or selected decal)
       if (!placementMode && !selectedDecalId) return
 
+      // Ignore the click that ends a transform gizmo drag
+      if (useGameStore.getState().transformDragging) return
+
       // Get canvas element
       const canvas = event.target.closest('canvas')
       if (!canvas) return
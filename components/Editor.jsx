@@ -1,6 +1,16 @@
+import { useMemo } from 'react'
 import vehicleConfigs from '../vehicleConfigs'
 import EditorSection from './EditorSection'
+import FitmentStatus from './FitmentStatus'
+import SuspensionTuning from './SuspensionTuning'
+import TerrainSettings from './TerrainSettings'
+import ObjectPalette from './ObjectPalette'
+import CourseBuilder from './CourseBuilder'
+import SceneManager from './SceneManager'
+import BuildSheetExport from './BuildSheetExport'
+import BudgetTracker from './BudgetTracker'
 import useGameStore from '../store/gameStore'
+import { checkFitment } from '../src/lib/fitment'
 
 import VehicleIcon from '../assets/images/icons/Vehicle.svg'
 import SuspensionIcon from '../assets/images/icons/Suspension.svg'
@@ -9,6 +19,7 @@ import RimIcon from '../assets/images/icons/Rim.svg'
 import TireIcon from '../assets/images/icons/Tire.svg'
 import ToolIcon from '../assets/images/icons/Tool.svg'
 import GearIcon from '../assets/images/icons/Gear.svg'
+import ControllerIcon from '../assets/images/icons/Controller.svg'
 
 function Editor() {
     // Get vehicle state from store using granular selectors
@@ -49,6 +60,9 @@ function Editor() {
         addons,
     }
 
+    // Check tire clearance for the current build.
+    const fitment = useMemo(() => checkFitment({ body, lift, wheel_offset, rim_width, tire_diameter }), [body, lift, wheel_offset, rim_width, tire_diameter])
+
     // Check if current vehicle has addons.
     function addonsExist() {
         return currentVehicle.body && Object.keys(vehicleConfigs.vehicles[currentVehicle.body].addons).length > 0 ? true : false
@@ -152,6 +166,14 @@ function Editor() {
                     <label>Offset</label>
                     <input type='range' min='0' max='0.1' step='0.01' value={currentVehicle.wheel_offset || 0} onChange={(e) => setVehicle({ wheel_offset: e.target.value })} />
                 </div>
+
+                {/* Fitment */}
+                <FitmentStatus fitment={fitment} section='suspension' />
+            </EditorSection>
+
+            {/* Suspension Tuning */}
+            <EditorSection title='Suspension Tuning' icon={<SuspensionIcon className='icon' />}>
+                <SuspensionTuning />
             </EditorSection>
 
             {/* Rims */}
@@ -216,6 +238,9 @@ function Editor() {
                         <InchRangeSelect value={currentVehicle.tire_diameter} min={30} max={40} onChange={(e) => setVehicle({ tire_diameter: e.target.value })} />
                     </div>
                 </div>
+
+                {/* Fitment */}
+                <FitmentStatus fitment={fitment} section='tires' />
             </EditorSection>
 
             {/* Addons */}
@@ -237,6 +262,36 @@ function Editor() {
                 </EditorSection>
             )}
 
+            {/* Budget */}
+            <EditorSection title='Budget' icon={<ToolIcon className='icon' />}>
+                <BudgetTracker />
+            </EditorSection>
+
+            {/* Environment */}
+            <EditorSection title='Environment' icon={<GearIcon className='icon' />}>
+                <TerrainSettings />
+            </EditorSection>
+
+            {/* Objects */}
+            <EditorSection title='Objects' icon={<GearIcon className='icon' />}>
+                <ObjectPalette />
+            </EditorSection>
+
+            {/* Course */}
+            <EditorSection title='Course' icon={<ControllerIcon className='icon' />}>
+                <CourseBuilder />
+            </EditorSection>
+
+            {/* Saved scenes */}
+            <EditorSection title='Scenes' icon={<GearIcon className='icon' />}>
+                <SceneManager />
+            </EditorSection>
+
+            {/* Build sheet */}
+            <EditorSection title='Export' icon={<ToolIcon className='icon' />}>
+                <BuildSheetExport />
+            </EditorSection>
+
             {/* Scene */}
             <EditorSection title='Options' icon={<GearIcon className='icon' />}>
                 {/* Auto Rotate */}
@@ -4,6 +4,7 @@ import { TextureLoader, EquirectangularReflectionMapping } from 'three'
 
 import useGameStore from '../store/gameStore'
 import TerrainManager from './TerrainManager'
+import { getTerrainPreset } from '../src/lib/terrain'
 
 // Equirectangular environment map
 const EquirectEnvMap = () => {
@@ -37,16 +38,19 @@ const TargetLight = () => {
 
 // Environment component
 const SceneEnvironment = memo(() => {
+    // Sky color from the terrain preset
+    const sky = useGameStore((state) => getTerrainPreset(state.terrainPreset).sky)
+
     return (
         <>
             {/* Camera target light */}
             <TargetLight />
 
-            {/* Blue sky */}
-            <color attach='background' args={['#b8d9f9']} />
+            {/* Sky */}
+            <color attach='background' args={[sky]} />
 
             {/* Distant fog for depth */}
-            <fog attach='fog' args={['#b8d9f9', 80, 160]} />
+            <fog attach='fog' args={[sky, 80, 160]} />
 
             {/* Environment map for reflections */}
             <EquirectEnvMap />
@@ -0,0 +1,47 @@
+import classNames from 'classnames'
+
+const TRIMMING_LABELS = {
+    none: 'No trimming needed',
+    minor: 'Minor trimming recommended',
+    major: 'Major trimming required',
+}
+
+// Fitment summary for the Editor's Suspension and Tires sections
+const FitmentStatus = ({ fitment, section }) => {
+    if (!fitment?.supported) return null
+
+    return (
+        <div className='field field-fitment text-sm space-y-1'>
+            <label>Fitment</label>
+            <p className={classNames('font-medium', fitment.fits ? 'text-green-500' : 'text-amber-500')}>{fitment.fits ? 'Clears without rubbing' : 'Rubbing expected'}</p>
+
+            {section === 'suspension' && fitment.requiredLift !== null && (
+                <p className='text-stone-400'>
+                    Minimum lift: {fitment.requiredLift}"{fitment.requiredLiftTrimmed !== fitment.requiredLift && ` (${fitment.requiredLiftTrimmed}" trimmed)`}
+                </p>
+            )}
+
+            {section === 'tires' && (
+                <p className='text-stone-400'>
+                    Max untrimmed tire at this lift: {fitment.maxTire}". {TRIMMING_LABELS[fitment.trimming]}.
+                </p>
+            )}
+
+            {fitment.rubbing.length > 0 && (
+                <ul className='list-disc pl-5 text-stone-400'>
+                    {fitment.rubbing.map((rub) => (
+                        <li key={rub.message}>{rub.message}</li>
+                    ))}
+                    {section === 'tires' &&
+                        fitment.recommendations.map((recommendation) => (
+                            <li key={recommendation} className='text-stone-300'>
+                                {recommendation}
+                            </li>
+                        ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default FitmentStatus
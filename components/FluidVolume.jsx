@@ -0,0 +1,32 @@
+import { useEffect } from 'react'
+
+import { FLUIDS, registerFluidVolume, unregisterFluidVolume } from '../src/lib/fluids'
+
+// Water or mud surface, registered with the vehicle physics while mounted
+const FluidVolume = ({ volume }) => {
+    const { id, type, x, z, surface, size, depth, yaw = 0 } = volume
+    const fluid = FLUIDS[type]
+
+    useEffect(() => {
+        registerFluidVolume(volume)
+        return () => unregisterFluidVolume(id)
+    }, [volume, id])
+
+    return (
+        <group position={[x, surface, z]} rotation={[0, yaw, 0]}>
+            {/* Surface */}
+            <mesh rotation-x={-Math.PI / 2} receiveShadow>
+                <planeGeometry args={[size.x, size.z]} />
+                <meshStandardMaterial color={fluid.color} transparent opacity={fluid.opacity} roughness={type === 'water' ? 0.1 : 0.9} depthWrite={false} />
+            </mesh>
+
+            {/* Body, tints whatever sits below the surface */}
+            <mesh position-y={-depth / 2}>
+                <boxGeometry args={[size.x, depth, size.z]} />
+                <meshStandardMaterial color={fluid.color} transparent opacity={fluid.opacity * 0.5} depthWrite={false} />
+            </mesh>
+        </group>
+    )
+}
+
+export default FluidVolume
@@ -1,14 +1,29 @@
-import { useEffect, useRef } from 'react'
+import { useEffect, useMemo } from 'react'
 import { RigidBody } from '@react-three/rapier'
-import { useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 
 import useGameStore from '../store/gameStore'
+import FluidVolume from './FluidVolume'
+import CourseElement from './CourseElement'
+import ObjectShape from './ObjectShape'
+import { FLUID_TYPES } from '../src/lib/fluids'
+import { COURSE_ELEMENTS } from '../src/lib/course'
+import { getObjectType, getObjectSize, DEFAULT_OBJECT_TYPE } from '../src/lib/objects'
 
-// Individual cube component
-const Cube = ({ id, position, rotation, scale, isSelected, onSelect }) => {
-    const rigidBodyRef = useRef()
-    const meshRef = useRef()
+// Placed water or mud, positioned at its surface with scale as width, depth and length
+const PlacedFluid = ({ id, type, position, rotation, scale }) => {
+    const volume = useMemo(
+        () => ({ id, type, x: position.x, z: position.z, surface: position.y, size: { x: scale.x, z: scale.z }, depth: scale.y, yaw: rotation.y }),
+        [id, type, position, rotation, scale]
+    )
+
+    return <FluidVolume volume={volume} />
+}
+
+// Placed object from the type registry
+const PlacedObject = ({ id, type, position, rotation, scale, isSelected, onSelect }) => {
+    const definition = getObjectType(type) || getObjectType(DEFAULT_OBJECT_TYPE)
+    const size = useMemo(() => getObjectSize(type, scale), [type, scale])
 
     // Handle click to select
     const handleClick = (e) => {
@@ -16,39 +31,35 @@ const Cube = ({ id, position, rotation, scale, isSelected, onSelect }) => {
         onSelect(id)
     }
 
-    // Update mesh material when selection changes
-    useEffect(() => {
-        if (meshRef.current) {
-            if (isSelected) {
-                meshRef.current.material.emissive.setHex(0x444444)
-                meshRef.current.material.emissiveIntensity = 0.3
-            } else {
-                meshRef.current.material.emissive.setHex(0x000000)
-                meshRef.current.material.emissiveIntensity = 0
-            }
-        }
-    }, [isSelected])
-
+    // Rebuild the body when resized so its colliders match
     return (
         <RigidBody
-            ref={rigidBodyRef}
-            type="dynamic"
+            key={`${size.x}:${size.y}:${size.z}`}
+            type={definition.body}
             position={[position.x, position.y, position.z]}
             rotation={[rotation.x, rotation.y, rotation.z]}
-            colliders="cuboid"
+            colliders={definition.collider}
+            {...(definition.body === 'dynamic' && { mass: definition.mass })}
             userData={{ id, type: 'placedObject' }}
         >
-            <mesh ref={meshRef} castShadow receiveShadow onClick={handleClick}>
-                <boxGeometry args={[scale.x, scale.y, scale.z]} />
-                <meshStandardMaterial 
-                    color="#ff6b35" 
-                    roughness={0.5}
-                    metalness={0.1}
+            <group onClick={handleClick}>
+                <ObjectShape
+                    type={type}
+                    size={size}
+                    material={
+                        <meshStandardMaterial
+                            color={definition.color}
+                            roughness={0.5}
+                            metalness={0.1}
+                            emissive={isSelected ? '#444444' : '#000000'}
+                            emissiveIntensity={isSelected ? 0.3 : 0}
+                        />
+                    }
                 />
-            </mesh>
+            </group>
             {isSelected && (
                 <lineSegments>
-                    <edgesGeometry args={[new THREE.BoxGeometry(scale.x, scale.y, scale.z)]} />
+                    <edgesGeometry args={[new THREE.BoxGeometry(size.x, size.y, size.z)]} />
                     <lineBasicMaterial color="#ffff00" linewidth={2} />
                 </lineSegments>
             )}
@@ -79,17 +90,37 @@ const ObjectManager = () => {
 
     return (
         <group name="ObjectManager">
-            {objects.map((obj) => (
-                <Cube
-                    key={obj.id}
-                    id={obj.id}
-                    position={obj.position}
-                    rotation={obj.rotation}
-                    scale={obj.scale}
-                    isSelected={obj.id === selectedObjectId}
-                    onSelect={setSelectedObject}
-                />
-            ))}
+            {objects.map((obj) => {
+                if (FLUID_TYPES.includes(obj.type)) {
+                    return <PlacedFluid key={obj.id} id={obj.id} type={obj.type} position={obj.position} rotation={obj.rotation} scale={obj.scale} />
+                }
+                if (COURSE_ELEMENTS[obj.type]) {
+                    return (
+                        <CourseElement
+                            key={obj.id}
+                            id={obj.id}
+                            type={obj.type}
+                            order={obj.order}
+                            position={obj.position}
+                            rotation={obj.rotation}
+                            isSelected={obj.id === selectedObjectId}
+                            onSelect={setSelectedObject}
+                        />
+                    )
+                }
+                return (
+                    <PlacedObject
+                        key={obj.id}
+                        id={obj.id}
+                        type={obj.type}
+                        position={obj.position}
+                        rotation={obj.rotation}
+                        scale={obj.scale}
+                        isSelected={obj.id === selectedObjectId}
+                        onSelect={setSelectedObject}
+                    />
+                )
+            })}
         </group>
     )
 }
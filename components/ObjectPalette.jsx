@@ -0,0 +1,108 @@
+import { useEffect, useState } from 'react'
+import { Box3, Vector3 } from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+
+import useGameStore from '../store/gameStore'
+import { getObjectType, getObjectTypeIds, registerObjectType, onObjectTypesChange } from '../src/lib/objects'
+
+// Mass given to loaded props, in kilograms
+const PROP_MASS = 25
+
+// Read a file as a data URL
+const readDataUrl = (file) =>
+    new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.onerror = () => reject(reader.error)
+        reader.readAsDataURL(file)
+    })
+
+// Load a GLB file and register it as a dynamic prop sized to its bounds.
+// The model is kept as a data URL so saved scenes can bring it back.
+const registerGlbProp = async (file) => {
+    const url = await readDataUrl(file)
+    const { scene } = await new GLTFLoader().loadAsync(url)
+    const bounds = new Box3().setFromObject(scene)
+    const size = bounds.getSize(new Vector3())
+    const center = bounds.getCenter(new Vector3())
+
+    const id = `prop_${Date.now()}`
+    registerObjectType(id, {
+        name: file.name.replace(/\.[^.]+$/, ''),
+        shape: 'model',
+        model: url,
+        size: { x: size.x, y: size.y, z: size.z },
+        offset: { x: -center.x, y: -center.y, z: -center.z },
+        collider: 'hull',
+        mass: PROP_MASS,
+        body: 'dynamic',
+    })
+    return id
+}
+
+// Object type palette for placing props in the scene
+const ObjectPalette = () => {
+    const objectPlacementMode = useGameStore((state) => state.objectPlacementMode)
+    const setObjectPlacementMode = useGameStore((state) => state.setObjectPlacementMode)
+    const placementType = useGameStore((state) => state.placementType)
+    const setPlacementType = useGameStore((state) => state.setPlacementType)
+    const [types, setTypes] = useState(getObjectTypeIds)
+
+    // Pick up props registered elsewhere
+    useEffect(() => onObjectTypesChange(() => setTypes(getObjectTypeIds())), [])
+
+    // Toggle placement of a type
+    const handleTypeClick = (type) => {
+        const placing = objectPlacementMode && placementType === type
+        setPlacementType(type)
+        setObjectPlacementMode(!placing)
+    }
+
+    // Register a dropped GLB and start placing it
+    const handlePropFile = async (file) => {
+        if (!file) return
+
+        const { showNotification } = useGameStore.getState()
+        try {
+            const id = await registerGlbProp(file)
+            setPlacementType(id)
+            setObjectPlacementMode(true)
+            showNotification({ title: 'Prop Loaded', text: `Loaded prop ${getObjectType(id).name}, click the terrain to place it.`, type: 'success' })
+        } catch (error) {
+            showNotification({ title: 'Prop Failed', text: `Failed to load prop: ${error.message}`, type: 'error' })
+        }
+    }
+
+    return (
+        <>
+            <div className='field field-object-palette'>
+                <label>Place</label>
+                <div className='grid grid-cols-3 gap-2'>
+                    {types.map((type) => (
+                        <button key={type} className={objectPlacementMode && placementType === type ? 'active' : 'secondary'} onClick={() => handleTypeClick(type)}>
+                            {getObjectType(type).name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className='field field-object-prop'>
+                <label htmlFor='object-prop' className='button secondary cursor-pointer'>
+                    Load GLB Prop
+                </label>
+                <input
+                    type='file'
+                    id='object-prop'
+                    className='hidden'
+                    accept='.glb,model/gltf-binary'
+                    onChange={(e) => {
+                        handlePropFile(e.target.files[0])
+                        e.target.value = ''
+                    }}
+                />
+            </div>
+        </>
+    )
+}
+
+export default ObjectPalette
@@ -1,15 +1,19 @@
-import { useRef, useState, useEffect } from 'react'
+import { useRef, useState, useEffect, useMemo } from 'react'
 import { useThree, useFrame } from '@react-three/fiber'
 import { Vector3, Raycaster, Plane, Matrix4 } from 'three'
 import { useRapier } from '@react-three/rapier'
 
 import useGameStore from '../store/gameStore'
+import ObjectShape from './ObjectShape'
+import { COURSE_ELEMENTS, getNextCheckpointOrder } from '../src/lib/course'
+import { getObjectType, getObjectSize } from '../src/lib/objects'
 
 const ObjectPlacementHandler = () => {
     const { camera, scene, gl } = useThree()
     const { world } = useRapier()
     
     const objectPlacementMode = useGameStore((state) => state.objectPlacementMode)
+    const placementType = useGameStore((state) => state.placementType)
     const selectedObjectId = useGameStore((state) => state.selectedObjectId)
     const objects = useGameStore((state) => state.objects)
     const addObject = useGameStore((state) => state.addObject)
@@ -17,6 +21,7 @@ const ObjectPlacementHandler = () => {
     const setSelectedObject = useGameStore((state) => state.setSelectedObject)
     
     const [ghostPosition, setGhostPosition] = useState(null)
+    const ghostSize = useMemo(() => getObjectSize(placementType), [placementType])
     const [isDragging, setIsDragging] = useState(false)
     const [draggedObjectId, setDraggedObjectId] = useState(null)
     
@@ -43,6 +48,13 @@ const ObjectPlacementHandler = () => {
         return terrainMeshes
     }
 
+    // Placed object id of a mesh, found on its nearest tagged ancestor
+    const getObjectId = (mesh) => {
+        let object = mesh
+        while (object && !object.userData?.id) object = object.parent
+        return object?.userData?.id
+    }
+
     // Get placed object meshes for raycasting
     const getObjectMeshes = () => {
         const objectManager = scene.children.find((obj) => obj.name === 'ObjectManager')
@@ -50,7 +62,7 @@ const ObjectPlacementHandler = () => {
         
         const objectMeshes = []
         objectManager.traverse((child) => {
-            if (child.isMesh && child.parent?.userData?.id) {
+            if (child.isMesh && getObjectId(child)) {
                 objectMeshes.push(child)
             }
         })
@@ -71,6 +83,13 @@ const ObjectPlacementHandler = () => {
         return foundBody
     }
 
+    // Camera heading around the vertical axis
+    const getCameraYaw = () => {
+        const direction = new Vector3()
+        camera.getWorldDirection(direction)
+        return Math.atan2(direction.x, direction.z)
+    }
+
     // Handle mouse move for ghost preview and dragging
     const handleMouseMove = (event) => {
         // Calculate mouse position in normalized device coordinates
@@ -108,7 +127,8 @@ const ObjectPlacementHandler = () => {
             
             if (intersects.length > 0) {
                 const point = intersects[0].point
-                setGhostPosition({ x: point.x, y: point.y + 0.5, z: point.z })
+                // Course elements sit on the ground, objects are centered just above it
+                setGhostPosition({ x: point.x, y: COURSE_ELEMENTS[placementType] ? point.y : point.y + ghostSize.y / 2, z: point.z })
             } else {
                 setGhostPosition(null)
             }
@@ -117,8 +137,8 @@ const ObjectPlacementHandler = () => {
 
     // Handle mouse down for placing or selecting objects
     const handleMouseDown = (event) => {
-        // Ignore if clicking on UI elements
-        if (event.target !== gl.domElement) return
+        // Ignore if clicking on UI elements or the transform gizmo
+        if (event.target !== gl.domElement || useGameStore.getState().transformDragging) return
 
         const rect = gl.domElement.getBoundingClientRect()
         mouse.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1
@@ -127,13 +147,23 @@ const ObjectPlacementHandler = () => {
         raycaster.current.setFromCamera(mouse.current, camera)
 
         if (objectPlacementMode && ghostPosition) {
-            // Place a new cube
-            addObject({
-                type: 'cube',
-                position: ghostPosition,
-                rotation: { x: 0, y: 0, z: 0 },
-                scale: { x: 1, y: 1, z: 1 }
-            })
+            if (COURSE_ELEMENTS[placementType]) {
+                // Place a course element facing the camera, numbering checkpoints in placement order
+                addObject({
+                    type: placementType,
+                    position: ghostPosition,
+                    rotation: { x: 0, y: getCameraYaw(), z: 0 },
+                    ...(placementType === 'checkpoint' && { order: getNextCheckpointOrder(objects) }),
+                })
+            } else {
+                // Place a new object facing the camera
+                addObject({
+                    type: getObjectType(placementType) ? placementType : 'cube',
+                    position: ghostPosition,
+                    rotation: { x: 0, y: getCameraYaw(), z: 0 },
+                    scale: { x: 1, y: 1, z: 1 }
+                })
+            }
         } else if (selectedObjectId) {
             // Check if clicking on the selected object to start dragging
             const objectMeshes = getObjectMeshes()
@@ -141,7 +171,7 @@ const ObjectPlacementHandler = () => {
             
             if (intersects.length > 0) {
                 const clickedMesh = intersects[0].object
-                const clickedObjectId = clickedMesh.parent?.userData?.id
+                const clickedObjectId = getObjectId(clickedMesh)
                 
                 if (clickedObjectId === selectedObjectId) {
                     // Start dragging
@@ -218,7 +248,7 @@ const ObjectPlacementHandler = () => {
             canvas.removeEventListener('mousedown', handleMouseDown)
             canvas.removeEventListener('mouseup', handleMouseUp)
         }
-    }, [objectPlacementMode, ghostPosition, selectedObjectId, isDragging, draggedObjectId, objects])
+    }, [objectPlacementMode, placementType, ghostPosition, selectedObjectId, isDragging, draggedObjectId, objects])
 
     // Reset ghost position when placement mode is disabled
     useEffect(() => {
@@ -227,18 +257,27 @@ const ObjectPlacementHandler = () => {
         }
     }, [objectPlacementMode])
 
-    // Render ghost cube in placement mode
+    // Render ghost course element in placement mode
+    if (objectPlacementMode && ghostPosition && COURSE_ELEMENTS[placementType]) {
+        const { size, color } = COURSE_ELEMENTS[placementType]
+        return (
+            <mesh position={[ghostPosition.x, ghostPosition.y + size.y / 2, ghostPosition.z]} rotation-y={getCameraYaw()}>
+                <boxGeometry args={[size.x, size.y, size.z]} />
+                <meshStandardMaterial color={color} transparent opacity={0.5} />
+            </mesh>
+        )
+    }
+
+    // Render ghost object in placement mode
     if (objectPlacementMode && ghostPosition) {
         return (
-            <mesh position={[ghostPosition.x, ghostPosition.y, ghostPosition.z]}>
-                <boxGeometry args={[1, 1, 1]} />
-                <meshStandardMaterial 
-                    color="#ff6b35" 
-                    transparent 
-                    opacity={0.5} 
-                    wireframe={false}
+            <group position={[ghostPosition.x, ghostPosition.y, ghostPosition.z]} rotation-y={getCameraYaw()}>
+                <ObjectShape
+                    type={placementType}
+                    size={ghostSize}
+                    material={<meshStandardMaterial color={getObjectType(placementType)?.color} transparent opacity={0.5} />}
                 />
-            </mesh>
+            </group>
         )
     }
 
@@ -0,0 +1,91 @@
+import { useMemo } from 'react'
+import { useGLTF } from '@react-three/drei'
+import * as THREE from 'three'
+
+import { getObjectType } from '../src/lib/objects'
+
+// Wedge rising from the bottom at -z to full height at +z, centered on its bounds
+export const createWedgeGeometry = ({ x, y, z }) => {
+    const [w, h, l] = [x / 2, y / 2, z / 2]
+    const corners = { bl: [-w, -h, -l], br: [w, -h, -l], fl: [-w, -h, l], fr: [w, -h, l], tl: [-w, h, l], tr: [w, h, l] }
+    // Left side, right side, then the slope, back and base as quads
+    const faces = [
+        ['bl', 'fl', 'tl'],
+        ['br', 'tr', 'fr'],
+        ['bl', 'tl', 'tr', 'br'],
+        ['fl', 'fr', 'tr', 'tl'],
+        ['bl', 'br', 'fr', 'fl'],
+    ]
+    const positions = faces.flatMap((face) => (face.length === 3 ? face : [face[0], face[1], face[2], face[0], face[2], face[3]]).flatMap((corner) => corners[corner]))
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.computeVertexNormals()
+    return geometry
+}
+
+// Loaded GLB prop, scaled to the size it was registered with
+const ModelShape = ({ definition, size }) => {
+    const { scene } = useGLTF(definition.model)
+    const model = useMemo(() => scene.clone(), [scene])
+    const { offset = { x: 0, y: 0, z: 0 } } = definition
+
+    return (
+        <group scale={[size.x / definition.size.x, size.y / definition.size.y, size.z / definition.size.z]}>
+            <primitive object={model} position={[offset.x, offset.y, offset.z]} />
+        </group>
+    )
+}
+
+// Geometry for a placed object type at the given size, centered on its bounds
+const ObjectShape = ({ type, size, material }) => {
+    const definition = getObjectType(type)
+    const wedge = useMemo(() => definition?.shape === 'wedge' && createWedgeGeometry(size), [definition, size])
+
+    switch (definition?.shape) {
+        case 'wedge':
+            return (
+                <mesh geometry={wedge} castShadow receiveShadow>
+                    {material}
+                </mesh>
+            )
+        case 'cylinder':
+            // Logs lie along x, barrels and posts stand up
+            return (
+                <mesh rotation-z={definition.axis === 'x' ? Math.PI / 2 : 0} castShadow receiveShadow>
+                    <cylinderGeometry args={definition.axis === 'x' ? [size.y / 2, size.y / 2, size.x, 16] : [size.x / 2, size.x / 2, size.y, 16]} />
+                    {material}
+                </mesh>
+            )
+        case 'sphere':
+            return (
+                <mesh scale={[1, size.y / size.x, size.z / size.x]} castShadow receiveShadow>
+                    <sphereGeometry args={[size.x / 2, 24, 16]} />
+                    {material}
+                </mesh>
+            )
+        case 'stairs':
+            // Each step runs from the front to the back of the flight
+            return Array.from({ length: definition.steps }, (_, step) => {
+                const height = (size.y * (step + 1)) / definition.steps
+                const depth = (size.z * (definition.steps - step)) / definition.steps
+                return (
+                    <mesh key={step} position={[0, height / 2 - size.y / 2, size.z / 2 - depth / 2]} castShadow receiveShadow>
+                        <boxGeometry args={[size.x, height, depth]} />
+                        {material}
+                    </mesh>
+                )
+            })
+        case 'model':
+            return <ModelShape definition={definition} size={size} />
+        default:
+            return (
+                <mesh castShadow receiveShadow>
+                    <boxGeometry args={[size.x, size.y, size.z]} />
+                    {material}
+                </mesh>
+            )
+    }
+}
+
+export default ObjectShape
@@ -0,0 +1,71 @@
+import { useMemo, useState } from 'react'
+import useGameStore from '../store/gameStore'
+import { saveScene, loadScene, listScenes, deleteScene } from '../src/lib/scene-handlers'
+
+import TrashIcon from '../assets/images/icons/Trash.svg'
+
+// Named scene saves bundling the vehicle, decals, objects, environment and camera
+const SceneManager = () => {
+    const savedScenes = useGameStore((state) => state.savedScenes)
+    const [name, setName] = useState('')
+
+    const scenes = useMemo(() => listScenes(), [savedScenes])
+
+    const notify = (result, success) => {
+        useGameStore.getState().showNotification(result.success ? { title: 'Scenes', text: success, type: 'success' } : { title: 'Scene Error', text: result.error, type: 'error' })
+    }
+
+    const handleSave = (e) => {
+        e.preventDefault()
+        const result = saveScene(name)
+        notify(result, result.success && `Saved scene ${result.data.name}`)
+        if (result.success) setName('')
+    }
+
+    const handleLoad = (scene) => {
+        const result = loadScene(scene.id)
+        notify(result, `Loaded scene ${scene.name}`)
+    }
+
+    const handleDelete = (scene) => {
+        if (!window.confirm(`Delete scene ${scene.name}?`)) return
+        deleteScene(scene.id)
+    }
+
+    return (
+        <>
+            {/* Save */}
+            <form className='field field-scene-save flex gap-2' onSubmit={handleSave}>
+                <input type='text' id='scene-name' placeholder='Scene name' value={name} onChange={(e) => setName(e.target.value)} />
+                <button type='submit' disabled={!name.trim()}>
+                    Save
+                </button>
+            </form>
+
+            {/* Saved scenes */}
+            <div className='field field-scene-list'>
+                <label>Saved Scenes</label>
+                {scenes.length > 0 ? (
+                    <ul className='text-sm text-stone-300 space-y-1'>
+                        {scenes.map((scene) => (
+                            <li key={scene.id} className='flex items-center gap-2'>
+                                <button className='secondary flex-1 text-left' title={`${scene.objects} objects, ${scene.decals} decals`} onClick={() => handleLoad(scene)}>
+                                    {scene.name}
+                                    <span className='text-stone-500'> {new Date(scene.savedAt).toLocaleDateString()}</span>
+                                </button>
+                                <TrashIcon
+                                    className='p-1 w-7 h-7 text-stone-600 bg-white/5 hover:bg-white/10 hover:text-white cursor-pointer rounded-full'
+                                    onClick={() => handleDelete(scene)}
+                                />
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className='text-sm text-stone-500'>No saved scenes</p>
+                )}
+            </div>
+        </>
+    )
+}
+
+export default SceneManager
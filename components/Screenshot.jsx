@@ -1,11 +1,13 @@
 import { useEffect, useCallback } from 'react'
 import { useThree } from '@react-three/fiber'
 
+import useGameStore from '../store/gameStore'
+
 export default function Screenshot() {
     const { gl, scene, camera, size } = useThree()
 
-    // Take screenshot.
-    const takeScreenshot = useCallback(() => {
+    // Render a frame at a fixed size and return it as a PNG data URL.
+    const captureScreenshot = useCallback(() => {
         // Fixed render size.
         const aspect = 1280 / 720
         camera.aspect = aspect
@@ -13,19 +15,32 @@ export default function Screenshot() {
         gl.setSize(1280, 720)
         gl.render(scene, camera)
 
-        // Download image.
-        var link = document.createElement('a')
-        link.download = '4x4builder.png'
-        link.href = gl.domElement.toDataURL('image/png')
-        link.click()
+        const image = gl.domElement.toDataURL('image/png')
 
         // Restore canvas size.
         camera.aspect = size.width / size.height
         camera.updateProjectionMatrix()
         gl.setSize(size.width, size.height)
         gl.render(scene, camera)
+
+        return image
     }, [gl, scene, camera, size])
 
+    // Take screenshot.
+    const takeScreenshot = useCallback(() => {
+        // Download image.
+        var link = document.createElement('a')
+        link.download = '4x4builder.png'
+        link.href = captureScreenshot()
+        link.click()
+    }, [captureScreenshot])
+
+    // Share capture so exports like the build sheet can include a rendered image.
+    useEffect(() => {
+        const { setCaptureScreenshot } = useGameStore.getState()
+        setCaptureScreenshot(captureScreenshot)
+        return () => setCaptureScreenshot(null)
+    }, [captureScreenshot])
 
     // Listen for screenshot event.
     useEffect(() => {
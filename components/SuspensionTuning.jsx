@@ -0,0 +1,76 @@
+import { useMemo } from 'react'
+import useGameStore from '../store/gameStore'
+import { computeSuspension, SUSPENSION_AXLES, SUSPENSION_TUNING_RANGES } from '../src/lib/suspension'
+
+const FIELDS = [
+    { field: 'stiffness', label: 'Spring Rate', step: 1 },
+    { field: 'damping', label: 'Damping', step: 0.1 },
+    { field: 'travel', label: 'Travel', step: 0.01, unit: 'm' },
+]
+
+// Shared fallback, so an untuned vehicle does not recompute the suspension every render
+const EMPTY_TUNING = {}
+
+// Range slider with its current value
+const TuningSlider = ({ id, label, value, range, step, unit = '', onChange }) => (
+    <div className={`field field-${id}`}>
+        <label htmlFor={id} className='flex justify-between'>
+            {label}
+            <span className='text-stone-400'>
+                {value}
+                {unit}
+            </span>
+        </label>
+        <input type='range' id={id} min={range.MIN} max={range.MAX} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} />
+    </div>
+)
+
+// Live suspension tuning for the Editor, applied while physics runs
+const SuspensionTuning = () => {
+    const body = useGameStore((state) => state.currentVehicle?.body)
+    const lift = useGameStore((state) => state.currentVehicle?.lift)
+    const addons = useGameStore((state) => state.currentVehicle?.addons)
+    const tuning = useGameStore((state) => state.currentVehicle?.suspension_tuning) || EMPTY_TUNING
+    const setVehicle = useGameStore((state) => state.setVehicle)
+
+    const suspension = useMemo(() => computeSuspension({ body, lift, addons, suspension_tuning: tuning }), [body, lift, addons, tuning])
+
+    // Override one value, keeping the rest of the tuning
+    const setTuning = (key, field, value) => setVehicle({ suspension_tuning: { ...tuning, [key]: { ...tuning[key], [field]: value } } })
+
+    return (
+        <>
+            {SUSPENSION_AXLES.map((axle) => (
+                <div key={axle} className={`field field-suspension-${axle}`}>
+                    <label className='capitalize'>{axle}</label>
+                    {FIELDS.map(({ field, label, step, unit }) => (
+                        <TuningSlider
+                            key={field}
+                            id={`suspension-${axle}-${field}`}
+                            label={label}
+                            value={suspension[axle][field]}
+                            range={SUSPENSION_TUNING_RANGES[field]}
+                            step={step}
+                            unit={unit}
+                            onChange={(value) => setTuning(axle, field, value)}
+                        />
+                    ))}
+                    <TuningSlider
+                        id={`suspension-${axle}-sway-bar`}
+                        label='Sway Bar'
+                        value={suspension.sway_bar[axle]}
+                        range={SUSPENSION_TUNING_RANGES.sway_bar}
+                        step={1}
+                        onChange={(value) => setTuning('sway_bar', axle, value)}
+                    />
+                </div>
+            ))}
+
+            <button className='secondary' disabled={Object.keys(tuning).length === 0} onClick={() => setVehicle({ suspension_tuning: {} })}>
+                Reset to Stock
+            </button>
+        </>
+    )
+}
+
+export default SuspensionTuning
@@ -6,60 +6,123 @@ import { Vector2, RepeatWrapping, PlaneGeometry, Vector3 } from 'three'
 import { Noise } from 'noisejs'
 
 import useGameStore from '../store/gameStore'
+import FluidVolume from './FluidVolume'
+import { SURFACES } from '../src/lib/surfaces'
+import { getTerrainPreset, getTerrainHeight, getTileSurface, getTileObstacles, getTileFluids } from '../src/lib/terrain'
+import { sampleHeightmap } from '../src/lib/heightmap'
 
-// Default terrain configuration
+// Default terrain configuration, noise settings come from the terrain preset
 const DEFAULT_TERRAIN_CONFIG = {
     viewDistance: 160,
     tileSize: 32,
     resolution: 16,
-    smoothness: 15,
-    maxHeight: 4,
+}
+
+// Obstacle colors
+const OBSTACLE_COLORS = {
+    boulder: '#8a8782',
+    log: '#6b4a2f',
+    ledge: '#7d7873',
+}
+
+// Ground textures per surface texture key
+const GROUND_TEXTURES = {
+    sand: { map: 'assets/images/ground/sand.jpg', normalMap: 'assets/images/ground/sand_normal.jpg' },
+    dirt: { map: 'assets/images/ground/dirt_01.png', normalMap: 'assets/images/ground/dirt_01_nrm.png' },
+    tile: { map: 'assets/images/ground/ground_tile.png' },
+}
+
+// Normalized ground height, flattened around the spawn point for noise terrain
+const getGroundHeight = (x, z, { tileSize, isCenterTile, noise, preset, heightmap, heightmapOrigin }) => {
+    if (heightmap) return sampleHeightmap(heightmap, x, z) - heightmapOrigin
+
+    const flatAreaRadiusSq = (tileSize * 0.5) ** 2
+    const transitionEndDistSq = (tileSize * 2) ** 2
+    const distSq = x * x + z * z
+
+    if (distSq < flatAreaRadiusSq) return 0
+
+    const normalizedHeight = getTerrainHeight(noise, x, z, preset)
+    if (isCenterTile || distSq < transitionEndDistSq) {
+        const t = (Math.sqrt(distSq) - Math.sqrt(flatAreaRadiusSq)) / (Math.sqrt(transitionEndDistSq) - Math.sqrt(flatAreaRadiusSq))
+        return normalizedHeight * (t * t * (3 - 2 * t))
+    }
+    return normalizedHeight
+}
+
+// Scattered obstacle, sunk partly into the ground so it sits on slopes
+const TerrainObstacle = ({ obstacle, y }) => {
+    const { type, surface, x, z, yaw, size } = obstacle
+    const color = OBSTACLE_COLORS[type]
+
+    return (
+        <RigidBody type='fixed' position={[x, y, z]} rotation={[0, yaw, 0]} colliders={type === 'ledge' ? 'cuboid' : 'hull'} userData={{ surface }}>
+            {type === 'boulder' && (
+                <mesh position-y={size.radius * 0.6} scale={[1, 0.7, 1]} castShadow receiveShadow>
+                    <dodecahedronGeometry args={[size.radius, 0]} />
+                    <meshStandardMaterial color={color} roughness={0.9} flatShading />
+                </mesh>
+            )}
+            {type === 'log' && (
+                <mesh position-y={size.radius * 0.8} rotation-z={Math.PI / 2} castShadow receiveShadow>
+                    <cylinderGeometry args={[size.radius, size.radius, size.length, 10]} />
+                    <meshStandardMaterial color={color} roughness={0.9} />
+                </mesh>
+            )}
+            {type === 'ledge' && (
+                <mesh position-y={size.height * 0.3} castShadow receiveShadow>
+                    <boxGeometry args={[size.width, size.height, size.depth]} />
+                    <meshStandardMaterial color={color} roughness={0.9} />
+                </mesh>
+            )}
+        </RigidBody>
+    )
 }
 
 // TerrainTile component
-const TerrainTile = ({ position, tileSize, resolution, smoothness, maxHeight, noise }) => {
+const TerrainTile = ({ position, surface, tileSize, resolution, preset, noise, heightmap, seed }) => {
+    const maxHeight = heightmap ? heightmap.verticalScale : preset.maxHeight
+
     // Load texture
-    const textures = useTexture({
-        map: 'assets/images/ground/sand.jpg',
-        normalMap: 'assets/images/ground/sand_normal.jpg',
-    })
+    const textures = useTexture(GROUND_TEXTURES[SURFACES[surface].texture])
     // Apply texture settings
     useMemo(() => {
         textures.map.wrapS = textures.map.wrapT = RepeatWrapping
         textures.map.repeat.set(tileSize, tileSize)
-        textures.normalMap.wrapS = textures.normalMap.wrapT = RepeatWrapping
-        textures.normalMap.repeat.set(tileSize / 3, tileSize / 3)
+        if (textures.normalMap) {
+            textures.normalMap.wrapS = textures.normalMap.wrapT = RepeatWrapping
+            textures.normalMap.repeat.set(tileSize / 3, tileSize / 3)
+        }
     }, [textures])
 
+    // Height sampler shared by the ground and its obstacles
+    const getHeight = useMemo(() => {
+        const tileX = Math.floor(position[0] / tileSize)
+        const tileZ = Math.floor(position[2] / tileSize)
+        const ground = {
+            tileSize,
+            isCenterTile: tileX >= -1 && tileX <= 0 && tileZ >= -1 && tileZ <= 0,
+            noise,
+            preset,
+            heightmap,
+            // Imported heightmaps are shifted so the spawn point sits at ground level
+            heightmapOrigin: heightmap ? sampleHeightmap(heightmap, 0, 0) : 0,
+        }
+        return (x, z) => getGroundHeight(x, z, ground)
+    }, [position, tileSize, noise, preset, heightmap])
+
     // Generate heights
     const heights = useMemo(() => {
         const values = []
         const positions = new Float32Array((resolution + 1) * (resolution + 1) * 3)
-        const flatAreaRadiusSq = (tileSize * 0.5) ** 2
-        const transitionEndDistSq = (tileSize * 2) ** 2
         const step = tileSize / resolution
-        const tileX = Math.floor(position[0] / tileSize)
-        const tileZ = Math.floor(position[2] / tileSize)
-        const isCenterTile = tileX >= -1 && tileX <= 0 && tileZ >= -1 && tileZ <= 0
 
         for (let i = 0; i <= resolution; i++) {
             for (let j = 0; j <= resolution; j++) {
                 const worldX = position[0] + i * step - tileSize / 2
                 const worldZ = position[2] + j * step - tileSize / 2
 
-                const distSq = worldX * worldX + worldZ * worldZ
-
-                let height = 0
-                if (distSq >= flatAreaRadiusSq) {
-                    const noiseValue = noise.perlin2(worldX / smoothness, worldZ / smoothness)
-                    const normalizedHeight = (noiseValue + 1) / 2
-                    if (isCenterTile || distSq < transitionEndDistSq) {
-                        const t = (Math.sqrt(distSq) - Math.sqrt(flatAreaRadiusSq)) / (Math.sqrt(transitionEndDistSq) - Math.sqrt(flatAreaRadiusSq))
-                        height = normalizedHeight * (t * t * (3 - 2 * t))
-                    } else {
-                        height = normalizedHeight
-                    }
-                }
+                const height = getHeight(worldX, worldZ)
                 values.push(height)
 
                 const vertIndex = (i + (resolution + 1) * j) * 3
@@ -70,7 +133,7 @@ const TerrainTile = ({ position, tileSize, resolution, smoothness, maxHeight, no
         }
 
         return { values, positions }
-    }, [position, tileSize, resolution, smoothness, noise, maxHeight])
+    }, [position, tileSize, resolution, getHeight, maxHeight])
 
     // Create geometry for terrain mesh
     const geometry = useMemo(() => {
@@ -80,31 +143,80 @@ const TerrainTile = ({ position, tileSize, resolution, smoothness, maxHeight, no
         return geom
     }, [heights, tileSize, resolution])
 
+    // Obstacles for this tile, unmounted with it
+    const obstacles = useMemo(() => {
+        const tileX = Math.round(position[0] / tileSize)
+        const tileZ = Math.round(position[2] / tileSize)
+        return getTileObstacles({ seed, tileX, tileZ, tileSize, preset, clearRadius: tileSize * 0.75 }).map((obstacle) => ({
+            obstacle,
+            y: getHeight(obstacle.x, obstacle.z) * maxHeight,
+        }))
+    }, [seed, position, tileSize, preset, getHeight, maxHeight])
+
+    // Water crossings and mud pits, filled partway up the lowest part of their footprint
+    const fluids = useMemo(() => {
+        const tileX = Math.round(position[0] / tileSize)
+        const tileZ = Math.round(position[2] / tileSize)
+        return getTileFluids({ seed, tileX, tileZ, tileSize, preset, clearRadius: tileSize * 0.75 }).map((fluid) => {
+            const corners = [
+                [0, 0],
+                [-1, -1],
+                [1, -1],
+                [-1, 1],
+                [1, 1],
+            ].map(([cx, cz]) => {
+                const [localX, localZ] = [(cx * fluid.size.x) / 2, (cz * fluid.size.z) / 2]
+                const x = fluid.x + localX * Math.cos(fluid.yaw) + localZ * Math.sin(fluid.yaw)
+                const z = fluid.z - localX * Math.sin(fluid.yaw) + localZ * Math.cos(fluid.yaw)
+                return getHeight(x, z) * maxHeight
+            })
+            const bottom = Math.min(...corners) - 0.3
+            const surface = bottom + 0.3 + (Math.max(...corners) - bottom) * 0.35
+            return { ...fluid, surface, depth: surface - bottom }
+        })
+    }, [seed, position, tileSize, preset, getHeight, maxHeight])
+
     // Set collider arguments
     const colliderArgs = useMemo(() => {
         return [resolution, resolution, heights.values, { x: tileSize, y: maxHeight, z: tileSize }]
     }, [resolution, heights, tileSize, maxHeight])
 
     return (
-        <RigidBody type='fixed' position={position} colliders={false}>
-            <HeightfieldCollider args={colliderArgs} name={`Tile-${position[0]}-${position[2]}`} />
-            <mesh geometry={geometry} receiveShadow>
-                <meshStandardMaterial {...textures} />
-            </mesh>
-        </RigidBody>
+        <>
+            <RigidBody type='fixed' position={position} colliders={false} userData={{ surface }}>
+                <HeightfieldCollider args={colliderArgs} name={`Tile-${position[0]}-${position[2]}`} />
+                <mesh geometry={geometry} receiveShadow>
+                    <meshStandardMaterial {...textures} color={SURFACES[surface].color} />
+                </mesh>
+            </RigidBody>
+
+            {/* Obstacles */}
+            {obstacles.map(({ obstacle, y }, index) => (
+                <TerrainObstacle key={index} obstacle={obstacle} y={y} />
+            ))}
+
+            {/* Fluids */}
+            {fluids.map((fluid) => (
+                <FluidVolume key={fluid.id} volume={fluid} />
+            ))}
+        </>
     )
 }
 
 // Main TerrainManager component
 const TerrainManager = () => {
-    const { viewDistance, tileSize, resolution, smoothness, maxHeight } = DEFAULT_TERRAIN_CONFIG
+    const { viewDistance, tileSize, resolution } = DEFAULT_TERRAIN_CONFIG
+    const presetId = useGameStore((state) => state.terrainPreset)
+    const seed = useGameStore((state) => state.terrainSeed)
+    const heightmap = useGameStore((state) => state.heightmap)
+    const preset = getTerrainPreset(presetId)
     const [activeTiles, setActiveTiles] = useState([])
     const loadedTiles = useRef(new Map())
     const tilesInViewDistance = Math.ceil(viewDistance / tileSize)
     const lastTileCoord = useRef({ x: null, z: null })
 
     // Generate noise instance
-    const noise = useMemo(() => new Noise(123), [])
+    const noise = useMemo(() => new Noise(seed), [seed])
 
     // Update tiles based on camera target position
     useFrame(() => {
@@ -169,8 +281,19 @@ const TerrainManager = () => {
 
     return (
         <group name='TerrainManager'>
+            {/* Tiles remount when the preset, seed or heightmap changes */}
             {activeTiles.map(([key, position]) => (
-                <TerrainTile key={key} position={position} tileSize={tileSize} resolution={resolution} smoothness={smoothness} maxHeight={maxHeight} noise={noise} />
+                <TerrainTile
+                    key={`${heightmap ? `${heightmap.id}:${heightmap.metersPerPixel}:${heightmap.verticalScale}` : `${presetId}:${seed}`}:${key}`}
+                    position={position}
+                    surface={getTileSurface(noise, position[0] / tileSize, position[2] / tileSize, preset)}
+                    tileSize={tileSize}
+                    resolution={resolution}
+                    preset={preset}
+                    noise={noise}
+                    heightmap={heightmap}
+                    seed={seed}
+                />
             ))}
         </group>
     )
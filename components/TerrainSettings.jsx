@@ -0,0 +1,157 @@
+import { useState } from 'react'
+import useGameStore from '../store/gameStore'
+import { TERRAIN_PRESETS, TERRAIN_SEED_RANGE } from '../src/lib/terrain'
+import { HEIGHTMAP_SCALE_RANGES } from '../src/lib/heightmap'
+import { importHeightmap, clearHeightmap } from '../src/lib/scene-handlers'
+
+// Largest heightmap image decoded in the browser, in pixels per side
+const MAX_IMAGE_SIZE = 2048
+
+// Decode an image file into RGBA pixel data
+const readImagePixels = async (file) => {
+    const bitmap = await createImageBitmap(file)
+    if (Math.max(bitmap.width, bitmap.height) > MAX_IMAGE_SIZE) throw new Error(`Heightmap images must be at most ${MAX_IMAGE_SIZE}px per side`)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = bitmap.width
+    canvas.height = bitmap.height
+    const context = canvas.getContext('2d')
+    context.drawImage(bitmap, 0, 0)
+    return context.getImageData(0, 0, bitmap.width, bitmap.height)
+}
+
+const HEIGHTMAP_FIELDS = [
+    { field: 'metersPerPixel', label: 'Meters per Pixel', step: 0.1, unit: 'm' },
+    { field: 'verticalScale', label: 'Vertical Scale', step: 1, unit: 'm' },
+]
+
+// Random seed within the range noisejs accepts
+const randomSeed = () => TERRAIN_SEED_RANGE.MIN + Math.floor(Math.random() * TERRAIN_SEED_RANGE.MAX)
+
+// Terrain preset, seed and heightmap import for the Editor
+const TerrainSettings = () => {
+    const terrainPreset = useGameStore((state) => state.terrainPreset)
+    const terrainSeed = useGameStore((state) => state.terrainSeed)
+    const setTerrainPreset = useGameStore((state) => state.setTerrainPreset)
+    const setTerrainSeed = useGameStore((state) => state.setTerrainSeed)
+    const heightmap = useGameStore((state) => state.heightmap)
+    const setHeightmap = useGameStore((state) => state.setHeightmap)
+    const [dragging, setDragging] = useState(false)
+
+    // Only apply whole seeds within range
+    const handleSeedChange = (e) => {
+        const seed = parseInt(e.target.value, 10)
+        if (Number.isInteger(seed) && seed >= TERRAIN_SEED_RANGE.MIN && seed <= TERRAIN_SEED_RANGE.MAX) setTerrainSeed(seed)
+    }
+
+    // Import a dropped or selected heightmap file
+    const handleHeightmapFile = async (file) => {
+        if (!file) return
+
+        const { showNotification } = useGameStore.getState()
+        const name = file.name.replace(/\.[^.]+$/, '')
+        let result
+        try {
+            result = file.type.startsWith('image/') ? importHeightmap(await readImagePixels(file), { name, pixels: true }) : importHeightmap(await file.text(), { name })
+        } catch (error) {
+            result = { success: false, error: `Failed to import heightmap: ${error.message}` }
+        }
+
+        showNotification(
+            result.success
+                ? { title: 'Heightmap Imported', text: `Imported heightmap ${result.data.name} (${result.data.width}x${result.data.height}).`, type: 'success' }
+                : { title: 'Import Failed', text: result.error, type: 'error' }
+        )
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        setDragging(false)
+        handleHeightmapFile(e.dataTransfer.files[0])
+    }
+
+    return (
+        <>
+            {/* Preset */}
+            <div className='field field-terrain-preset'>
+                <label htmlFor='terrain-preset'>Terrain</label>
+                <select id='terrain-preset' value={terrainPreset} onChange={(e) => setTerrainPreset(e.target.value)}>
+                    {Object.keys(TERRAIN_PRESETS).map((preset) => (
+                        <option key={preset} value={preset}>
+                            {TERRAIN_PRESETS[preset].name}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Seed */}
+            {!heightmap && (
+                <div className='field field-terrain-seed'>
+                    <label htmlFor='terrain-seed'>Seed</label>
+                    <div className='flex gap-2'>
+                        <input type='number' id='terrain-seed' min={TERRAIN_SEED_RANGE.MIN} max={TERRAIN_SEED_RANGE.MAX} step={1} value={terrainSeed} onChange={handleSeedChange} />
+                        <button className='secondary' onClick={() => setTerrainSeed(randomSeed())}>
+                            Randomize
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Heightmap */}
+            <div className='field field-terrain-heightmap'>
+                <label htmlFor='terrain-heightmap'>Heightmap</label>
+                <label
+                    htmlFor='terrain-heightmap'
+                    className={`block cursor-pointer rounded border border-dashed p-3 text-center text-sm ${dragging ? 'border-stone-200 text-stone-200' : 'border-stone-500 text-stone-400'}`}
+                    onDragOver={(e) => {
+                        e.preventDefault()
+                        setDragging(true)
+                    }}
+                    onDragLeave={() => setDragging(false)}
+                    onDrop={handleDrop}>
+                    {heightmap ? `${heightmap.name} (${heightmap.width}x${heightmap.height})` : 'Drop a grayscale image, ASCII grid or JSON file'}
+                </label>
+                <input
+                    type='file'
+                    id='terrain-heightmap'
+                    className='hidden'
+                    accept='image/*,.asc,.txt,.json'
+                    onChange={(e) => {
+                        handleHeightmapFile(e.target.files[0])
+                        e.target.value = ''
+                    }}
+                />
+            </div>
+
+            {heightmap && (
+                <>
+                    {HEIGHTMAP_FIELDS.map(({ field, label, step, unit }) => (
+                        <div key={field} className={`field field-heightmap-${field}`}>
+                            <label htmlFor={`heightmap-${field}`} className='flex justify-between'>
+                                {label}
+                                <span className='text-stone-400'>
+                                    {heightmap[field]}
+                                    {unit}
+                                </span>
+                            </label>
+                            <input
+                                type='range'
+                                id={`heightmap-${field}`}
+                                min={HEIGHTMAP_SCALE_RANGES[field].MIN}
+                                max={HEIGHTMAP_SCALE_RANGES[field].MAX}
+                                step={step}
+                                value={heightmap[field]}
+                                onChange={(e) => setHeightmap({ ...heightmap, [field]: parseFloat(e.target.value) })}
+                            />
+                        </div>
+                    ))}
+                    <button className='secondary' onClick={clearHeightmap}>
+                        Clear Heightmap
+                    </button>
+                </>
+            )}
+        </>
+    )
+}
+
+export default TerrainSettings
@@ -0,0 +1,102 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useThree, useFrame } from '@react-three/fiber'
+import { TransformControls } from '@react-three/drei'
+import { Object3D } from 'three'
+
+import useGameStore from '../store/gameStore'
+import { getTransformTarget, snapTransform, toRadians } from '../src/lib/transform'
+
+// Translate, rotate and scale gizmo for the selected object or decal
+const TransformGizmo = () => {
+    const scene = useThree((state) => state.scene)
+    const objects = useGameStore((state) => state.objects)
+    const decals = useGameStore((state) => state.decals)
+    const selectedObjectId = useGameStore((state) => state.selectedObjectId)
+    const selectedDecalId = useGameStore((state) => state.selectedDecalId)
+    const mode = useGameStore((state) => state.transformMode)
+    const space = useGameStore((state) => state.transformSpace)
+    const snap = useGameStore((state) => state.transformSnap)
+    const setTransformDragging = useGameStore((state) => state.setTransformDragging)
+
+    const target = useMemo(() => getTransformTarget({ objects, decals, selectedObjectId, selectedDecalId }), [objects, decals, selectedObjectId, selectedDecalId])
+
+    // Stand-in the gizmo moves, copied back to the store
+    const proxy = useMemo(() => new Object3D(), [])
+    const live = useRef(null)
+
+    // Scene object rendering the selected object, which physics may have moved
+    useEffect(() => {
+        live.current = target?.kind === 'object' ? findLiveObject(scene, target.id) : null
+    }, [target?.kind, target?.id, scene])
+
+    // Keep the proxy on the target between drags
+    useFrame(() => {
+        if (!target || useGameStore.getState().transformDragging) return
+
+        const { position, rotation, scale } = target.item
+        if (live.current?.parent) {
+            live.current.getWorldPosition(proxy.position)
+            live.current.getWorldQuaternion(proxy.quaternion)
+        } else {
+            proxy.position.set(position.x, position.y, position.z)
+            proxy.rotation.set(rotation.x, rotation.y, rotation.z)
+        }
+        proxy.scale.set(scale.x, scale.y, scale.z)
+    })
+
+    // Proxy pose, already snapped by the gizmo, with scale kept above the minimum
+    const getTransform = () =>
+        snapTransform(
+            {
+                position: { x: proxy.position.x, y: proxy.position.y, z: proxy.position.z },
+                rotation: { x: proxy.rotation.x, y: proxy.rotation.y, z: proxy.rotation.z },
+                scale: { x: proxy.scale.x, y: proxy.scale.y, z: proxy.scale.z },
+            },
+            { ...snap, enabled: false }
+        )
+
+    // Objects follow the gizmo as it moves
+    const handleObjectChange = () => {
+        if (target?.kind !== 'object') return
+        const { position, rotation, scale } = getTransform()
+        useGameStore.getState().updateObject(target.id, target.scalable ? { position, rotation, scale } : { position, rotation })
+    }
+
+    // Decals are projected once the drag ends, rebuilding their geometry is too slow to follow along
+    const handleMouseUp = () => {
+        if (target?.kind === 'decal') useGameStore.getState().updateDecal(target.id, getTransform())
+
+        // Clear after the click that ends the drag, so it does not select or place anything
+        setTimeout(() => setTransformDragging(false), 0)
+    }
+
+    if (!target || (mode === 'scale' && !target.scalable)) return null
+
+    return (
+        <>
+            <primitive object={proxy} />
+            <TransformControls
+                object={proxy}
+                mode={mode}
+                space={space}
+                translationSnap={snap.enabled ? snap.grid : null}
+                rotationSnap={snap.enabled ? toRadians(snap.angle) : null}
+                scaleSnap={snap.enabled ? snap.scale : null}
+                onMouseDown={() => setTransformDragging(true)}
+                onMouseUp={handleMouseUp}
+                onObjectChange={handleObjectChange}
+            />
+        </>
+    )
+}
+
+// Scene object rendering a placed object, tagged with its id
+const findLiveObject = (scene, id) => {
+    let found = null
+    scene.traverse((child) => {
+        if (!found && child.userData?.id === id) found = child
+    })
+    return found
+}
+
+export default TransformGizmo
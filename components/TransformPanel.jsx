@@ -0,0 +1,111 @@
+import { useEffect, useMemo, useState } from 'react'
+import classNames from 'classnames'
+import useGameStore from '../store/gameStore'
+import { getTransformTarget, snapTransform, toDegrees, toRadians, TRANSFORM_MODES, TRANSFORM_SPACES } from '../src/lib/transform'
+
+const MODE_LABELS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }
+
+const AXES = ['x', 'y', 'z']
+
+// Number input that applies on blur or Enter, so partial entries are not committed
+const NumberField = ({ value, step, onCommit, ...props }) => {
+    const [text, setText] = useState(String(value))
+
+    useEffect(() => setText(String(value)), [value])
+
+    const commit = () => {
+        const number = parseFloat(text)
+        if (Number.isFinite(number) && number !== value) onCommit(number)
+        else setText(String(value))
+    }
+
+    return (
+        <input
+            type='number'
+            step={step}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            className='w-full min-w-0'
+            {...props}
+        />
+    )
+}
+
+// Gizmo mode, space and snapping, plus numeric entry for the selected object or decal
+const TransformPanel = () => {
+    const objects = useGameStore((state) => state.objects)
+    const decals = useGameStore((state) => state.decals)
+    const selectedObjectId = useGameStore((state) => state.selectedObjectId)
+    const selectedDecalId = useGameStore((state) => state.selectedDecalId)
+    const mode = useGameStore((state) => state.transformMode)
+    const space = useGameStore((state) => state.transformSpace)
+    const snap = useGameStore((state) => state.transformSnap)
+    const setTransformMode = useGameStore((state) => state.setTransformMode)
+    const setTransformSpace = useGameStore((state) => state.setTransformSpace)
+    const setTransformSnap = useGameStore((state) => state.setTransformSnap)
+
+    const target = useMemo(() => getTransformTarget({ objects, decals, selectedObjectId, selectedDecalId }), [objects, decals, selectedObjectId, selectedDecalId])
+
+    if (!target) return null
+
+    const { position, rotation, scale } = target.item
+
+    // Typed values are applied as entered, only scale is kept above the minimum
+    const update = (field, axis, value) => {
+        const changes = snapTransform({ [field]: { ...target.item[field], [axis]: value } }, { ...snap, enabled: false })
+        const { updateObject, updateDecal } = useGameStore.getState()
+        target.kind === 'object' ? updateObject(target.id, changes) : updateDecal(target.id, changes)
+    }
+
+    const rows = [
+        { field: 'position', label: 'Position', values: position, step: snap.grid, format: (value) => +value.toFixed(3), parse: (value) => value },
+        { field: 'rotation', label: 'Rotation', values: rotation, step: snap.angle, format: (value) => +toDegrees(value).toFixed(1), parse: toRadians },
+        ...(target.scalable ? [{ field: 'scale', label: 'Scale', values: scale, step: snap.scale, format: (value) => +value.toFixed(3), parse: (value) => value }] : []),
+    ]
+
+    return (
+        <div id='transform-panel' className='absolute bottom-20 right-4 w-72 p-3 bg-black/80 text-gray-400 text-xs rounded-xl shadow-xl space-y-2'>
+            {/* Mode */}
+            <div className='flex gap-1'>
+                {TRANSFORM_MODES.map((option) => (
+                    <button
+                        key={option}
+                        className={classNames('flex-1', option === mode ? 'active' : 'secondary')}
+                        disabled={option === 'scale' && !target.scalable}
+                        onClick={() => setTransformMode(option)}>
+                        {MODE_LABELS[option]}
+                    </button>
+                ))}
+            </div>
+
+            {/* Space & Snapping */}
+            <div className='flex items-center gap-2'>
+                <select value={space} onChange={(e) => setTransformSpace(e.target.value)}>
+                    {TRANSFORM_SPACES.map((option) => (
+                        <option key={option} value={option}>
+                            {option === 'world' ? 'World' : 'Local'}
+                        </option>
+                    ))}
+                </select>
+                <input type='checkbox' id='transform-snap' checked={snap.enabled} onChange={(e) => setTransformSnap({ enabled: e.target.checked })} />
+                <label htmlFor='transform-snap'>Snap</label>
+                <NumberField value={snap.grid} step={0.1} min={0.01} title='Grid (m)' onCommit={(grid) => grid > 0 && setTransformSnap({ grid })} />
+                <NumberField value={snap.angle} step={1} min={1} title='Angle (°)' onCommit={(angle) => angle > 0 && setTransformSnap({ angle })} />
+            </div>
+
+            {/* Numeric entry */}
+            {rows.map(({ field, label, values, step, format, parse }) => (
+                <div key={field} className={`field field-transform-${field} grid grid-cols-[4rem_1fr_1fr_1fr] items-center gap-1`}>
+                    <label>{label}</label>
+                    {AXES.map((axis) => (
+                        <NumberField key={axis} value={format(values[axis])} step={step} title={axis.toUpperCase()} onCommit={(value) => update(field, axis, parse(value))} />
+                    ))}
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default TransformPanel
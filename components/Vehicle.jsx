@@ -9,6 +9,9 @@ import vehicleConfigs from '../vehicleConfigs'
 import useAnimateHeight from '../hooks/useAnimateHeight'
 import useVehiclePhysics from '../hooks/useVehiclePhysics'
 import useMaterialProperties from '../hooks/useMaterialProperties'
+import { getAxleHeight, getLiftHeight } from '../src/lib/vehicle-metrics'
+import { getEngineSpec } from '../src/lib/engine'
+import { computeSuspension } from '../src/lib/suspension'
 
 // Calculate point on line (a to b, at length).
 const linePoint = (a, b, length) => {
@@ -118,7 +121,8 @@ const Body = memo(({ id, height, color, roughness, addons }) => {
     // Build array of addon paths.
     const addonPaths = useMemo(() => {
         return Object.entries(addons)
-            .filter(([type, value]) => vehicleConfigs.vehicles[id]['addons'][type]?.['options'][value])
+            // Suspension kits have no model.
+            .filter(([type, value]) => vehicleConfigs.vehicles[id]['addons'][type]?.['options'][value]?.['model'])
             .map(([type, value]) => {
                 // Return path.
                 return vehicleConfigs.vehicles[id]['addons'][type]['options'][value]['model']
@@ -145,7 +149,7 @@ const Body = memo(({ id, height, color, roughness, addons }) => {
 // Vehicle component with physics
 const Vehicle = (props) => {
     // Get vehicle properties from props or defaults
-    const { body, color, roughness, lift, wheel_offset, rim, rim_diameter, rim_width, rim_color, rim_color_secondary, tire, tire_diameter, addons } = {
+    const { body, color, roughness, lift, wheel_offset, rim, rim_diameter, rim_width, rim_color, rim_color_secondary, tire, tire_diameter, addons, drive_mode, front_locked, rear_locked, transmission, suspension_tuning } = {
         ...vehicleConfigs.defaults,
         ...props,
     }
@@ -154,13 +158,14 @@ const Vehicle = (props) => {
     const setCameraTarget = useGameStore((state) => state.setCameraTarget)
 
     const chassisRef = useRef(null)
+    const vehicleRef = useRef(null)
     const wheelRefs = [useRef(null), useRef(null), useRef(null), useRef(null)]
 
     // Get wheel (axle) height
-    const axleHeight = useMemo(() => (tire_diameter * 2.54) / 100 / 2, [tire_diameter])
+    const axleHeight = useMemo(() => getAxleHeight(tire_diameter), [tire_diameter])
 
     // Get lift height in meters
-    const liftHeight = useMemo(() => ((lift || 0) * 2.54) / 100, [lift])
+    const liftHeight = useMemo(() => getLiftHeight(lift), [lift])
 
     // Get vehicle height
     const vehicleHeight = useMemo(() => axleHeight + liftHeight, [axleHeight, liftHeight])
@@ -187,15 +192,35 @@ const Vehicle = (props) => {
             axleCs: new Vector3(1, 0, 0),
             position: new Vector3(...wheel.position),
             suspensionDirection: new Vector3(0, -1, 0),
-            maxSuspensionTravel: 0.3,
-            suspensionRestLength: 0.1,
-            suspensionStiffness: 28,
             radius: (tire_diameter * 2.54) / 100 / 2,
         }))
     }, [offset, axleHeight, wheelbase, tire_diameter])
 
+    // Drivetrain setup
+    const drivetrain = useMemo(
+        () => ({
+            mode: drive_mode,
+            frontLocked: front_locked,
+            rearLocked: rear_locked,
+            engine: getEngineSpec(body),
+            transmission,
+            tireDiameter: tire_diameter,
+        }),
+        [drive_mode, front_locked, rear_locked, body, transmission, tire_diameter]
+    )
+
+    // Suspension settings from the body profile, lift, kits and tuning
+    const suspension = useMemo(() => computeSuspension({ body, lift, addons, suspension_tuning }), [body, lift, addons, suspension_tuning])
+
     // Use vehicle physics
-    useVehiclePhysics(chassisRef, physicsWheels)
+    useVehiclePhysics(chassisRef, physicsWheels, drivetrain, suspension, vehicleConfigs.wheels.tires[tire])
+
+    // Share the rendered vehicle so it can be exported as a model
+    useEffect(() => {
+        const { setVehicleRef } = useGameStore.getState()
+        setVehicleRef(vehicleRef)
+        return () => setVehicleRef(null)
+    }, [])
 
     // Update camera target each frame
     useFrame(() => {
@@ -212,9 +237,9 @@ const Vehicle = (props) => {
     const colliderPosition = useMemo(() => [0, 1, 0], [])
 
     return (
-        <RigidBody ref={chassisRef} type='dynamic' colliders={false} canSleep={false} angularDamping={1}>
+        <RigidBody ref={chassisRef} type='dynamic' colliders={false} canSleep={false} angularDamping={1} userData={{ type: 'vehicle' }}>
             <CuboidCollider args={colliderArgs} position={colliderPosition} />
-            <group name='Vehicle'>
+            <group ref={vehicleRef} name='Vehicle'>
                 <Body key={body} id={body} height={vehicleHeight} color={color} roughness={roughness} addons={addons} />
                 <Wheels
                     rim={rim}
@@ -17,6 +17,11 @@ const VehicleManager = () => {
     const tire = useGameStore((state) => state.currentVehicle.tire)
     const tire_diameter = useGameStore((state) => state.currentVehicle.tire_diameter)
     const addons = useGameStore((state) => state.currentVehicle.addons)
+    const drive_mode = useGameStore((state) => state.currentVehicle.drive_mode)
+    const front_locked = useGameStore((state) => state.currentVehicle.front_locked)
+    const rear_locked = useGameStore((state) => state.currentVehicle.rear_locked)
+    const transmission = useGameStore((state) => state.currentVehicle.transmission)
+    const suspension_tuning = useGameStore((state) => state.currentVehicle.suspension_tuning)
 
     return (
         <>
@@ -34,6 +39,11 @@ const VehicleManager = () => {
                 tire={tire}
                 tire_diameter={tire_diameter}
                 addons={addons}
+                drive_mode={drive_mode}
+                front_locked={front_locked}
+                rear_locked={rear_locked}
+                transmission={transmission}
+                suspension_tuning={suspension_tuning}
             />
         </>
     )
@@ -0,0 +1,44 @@
+import { useMemo } from 'react'
+import useGameStore from '../store/gameStore'
+import { computeVehicleMetrics } from '../src/lib/vehicle-metrics'
+import { DRIVE_MODE_LABELS } from '../src/lib/drivetrain'
+
+// Single stat readout
+const Stat = ({ label, value }) => (
+    <div className='flex flex-col items-center px-3'>
+        <span className='text-lg text-white/90 font-bold'>{value}</span>
+        <span className='text-xs uppercase'>{label}</span>
+    </div>
+)
+
+// Live off-road geometry stats for the current build
+const VehicleStats = () => {
+    const body = useGameStore((state) => state.currentVehicle?.body)
+    const lift = useGameStore((state) => state.currentVehicle?.lift)
+    const tire_diameter = useGameStore((state) => state.currentVehicle?.tire_diameter)
+    const addons = useGameStore((state) => state.currentVehicle?.addons)
+    const drive_mode = useGameStore((state) => state.currentVehicle?.drive_mode)
+    const front_locked = useGameStore((state) => state.currentVehicle?.front_locked)
+    const rear_locked = useGameStore((state) => state.currentVehicle?.rear_locked)
+
+    const metrics = useMemo(() => computeVehicleMetrics({ body, lift, tire_diameter, addons }), [body, lift, tire_diameter, addons])
+
+    if (!metrics.supported) return null
+
+    // Locked differentials, e.g. "F+R"
+    const lockers = [front_locked && 'F', rear_locked && 'R'].filter(Boolean).join('+') || 'Open'
+
+    return (
+        <div id='vehicle-stats' className='flex divide-x divide-stone-700 absolute bottom-4 left-1/2 -translate-x-1/2 py-2 bg-black/80 text-gray-400 rounded-xl shadow-xl pointer-events-none'>
+            <Stat label='Clearance' value={`${metrics.groundClearance.inches}"`} />
+            <Stat label='Approach' value={`${metrics.approachAngle}°`} />
+            <Stat label='Departure' value={`${metrics.departureAngle}°`} />
+            <Stat label='Breakover' value={`${metrics.breakoverAngle}°`} />
+            {metrics.fordingDepth && <Stat label='Fording' value={`${metrics.fordingDepth.inches}"`} />}
+            <Stat label='Drive' value={DRIVE_MODE_LABELS[drive_mode] || DRIVE_MODE_LABELS.rwd} />
+            <Stat label='Lockers' value={lockers} />
+        </div>
+    )
+}
+
+export default VehicleStats
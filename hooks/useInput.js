@@ -1,5 +1,46 @@
 import { useEffect } from 'react'
 import useInputStore from '../store/inputStore'
+import useGameStore from '../store/gameStore'
+import useEngineStore from '../store/engineStore'
+import { getNextDriveMode } from '../src/lib/drivetrain'
+
+// Drivetrain bindings
+const DRIVETRAIN_KEYS = { t: 'mode', f: 'front', r: 'rear', m: 'transmission', e: 'upshift', q: 'downshift' }
+const DRIVETRAIN_BUTTONS = { 2: 'transmission', 3: 'mode', 4: 'downshift', 5: 'upshift', 14: 'front', 15: 'rear' } // X, Y, LB, RB, D-pad left/right
+
+// How long the HUD asks for the manual transmission after a refused shift, in milliseconds
+const SHIFT_HINT_DURATION = 3000
+
+let shiftHintTimer = null
+
+// Tell the driver that shifting needs the manual transmission
+const showShiftHint = () => {
+    const { setShiftHint } = useEngineStore.getState()
+    setShiftHint(true)
+    clearTimeout(shiftHintTimer)
+    shiftHintTimer = setTimeout(() => setShiftHint(false), SHIFT_HINT_DURATION)
+}
+
+// Cycle drive mode, toggle a differential lock or transmission, or shift gears.
+// These happen mid-drive, so they stay out of the undo history.
+const toggleDrivetrain = (control) => {
+    const { currentVehicle, setDrivetrain } = useGameStore.getState()
+
+    if (control === 'mode') {
+        setDrivetrain({ drive_mode: getNextDriveMode(currentVehicle.drive_mode) })
+    } else if (control === 'transmission') {
+        setDrivetrain({ transmission: currentVehicle.transmission === 'manual' ? 'auto' : 'manual' })
+    } else if (control === 'upshift' || control === 'downshift') {
+        // Shifting by hand needs the manual transmission, picked with M or X
+        if (currentVehicle.transmission !== 'manual') {
+            showShiftHint()
+            return
+        }
+        useEngineStore.getState().shift(control === 'upshift' ? 1 : -1)
+    } else {
+        setDrivetrain({ [`${control}_locked`]: !currentVehicle[`${control}_locked`] })
+    }
+}
 
 /**
  * Hook to handle input from keyboard and gamepad
@@ -13,6 +54,7 @@ const useInput = () => {
     // Setup input handling
     useEffect(() => {
         let frameId = null
+        let previousButtons = []
 
         // Gamepad polling
         const pollGamepad = () => {
@@ -22,6 +64,12 @@ const useInput = () => {
                 const axes = Array.from(gamepad.axes)
                 const buttons = gamepad.buttons.map((button) => button.pressed)
                 setGamepadState(axes, buttons)
+
+                // Toggle drivetrain on button press, not while held
+                Object.entries(DRIVETRAIN_BUTTONS).forEach(([index, control]) => {
+                    if (buttons[index] && !previousButtons[index]) toggleDrivetrain(control)
+                })
+                previousButtons = buttons
             }
 
             // Continue the animation loop
@@ -35,8 +83,33 @@ const useInput = () => {
         const handleGamepadConnected = () => console.log('Gamepad connected')
         const handleGamepadDisconnected = () => console.log('Gamepad disconnected')
 
+        // Undo (Ctrl+Z) and redo (Ctrl+Shift+Z), leaving text fields to the browser
+        const handleHistoryShortcut = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return false
+            if (['INPUT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return false
+
+            e.preventDefault()
+            const { undo, redo } = useGameStore.getState()
+            e.shiftKey ? redo() : undo()
+            return true
+        }
+
+        // Drivetrain toggles (T, F, R, M) and shifting (E, Q), ignored while typing
+        const handleDrivetrainShortcut = (e) => {
+            const control = DRIVETRAIN_KEYS[e.key.toLowerCase()]
+            if (!control || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return false
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return false
+
+            toggleDrivetrain(control)
+            return true
+        }
+
         // Keyboard event handlers
-        const handleKeyDown = (e) => setKey(e.key, true)
+        const handleKeyDown = (e) => {
+            if (handleHistoryShortcut(e)) return
+            if (handleDrivetrainShortcut(e)) return
+            setKey(e.key, true)
+        }
         const handleKeyUp = (e) => setKey(e.key, false)
 
         // Set up event listeners
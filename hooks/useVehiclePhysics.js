@@ -5,6 +5,12 @@ import { Vector3, Quaternion } from 'three'
 
 import useGameStore from '../store/gameStore'
 import useInputStore from '../store/inputStore'
+import useEngineStore from '../store/engineStore'
+import { splitDriveForce, getWheelTraction, DRIVE_MODES, LOW_RANGE_RATIO } from '../src/lib/drivetrain'
+import { getEngineRpm, getWheelForce, getAutoShiftGear, DEFAULT_ENGINE } from '../src/lib/engine'
+import { DEFAULT_SUSPENSION, REBOUND_RATIO, REST_LENGTH } from '../src/lib/suspension'
+import { getColliderSurface, getTireGrip, DEFAULT_SURFACE } from '../src/lib/surfaces'
+import { getFluidVolumes, getImmersion, FLUIDS } from '../src/lib/fluids'
 
 // Constants
 const VECTORS = {
@@ -16,19 +22,41 @@ const VECTORS = {
 
 // Physics
 const FORCES = {
-    accelerate: 30,
+    engineScale: 1 / 180, // Wheel force (N) to simulation force
     brake: 0.5,
     steerAngle: Math.PI / 6,
     airControl: 0.1, // Subtle air control force
 }
 
+// Chassis up axis below this world height counts as rolled over
+const ROLLOVER_UP = 0.3
+
+// Axle of a wheel (first two wheels are front)
+const getAxle = (index) => (index < 2 ? 'front' : 'rear')
+
+/**
+ * Apply axle suspension settings to a wheel
+ * @param {Object} vehicle - Rapier vehicle controller
+ * @param {number} index - Wheel index
+ * @param {Object} settings - Axle settings ({ stiffness, damping, travel })
+ */
+const applyWheelSuspension = (vehicle, index, { stiffness, damping, travel }) => {
+    vehicle.setWheelSuspensionStiffness(index, stiffness)
+    vehicle.setWheelMaxSuspensionTravel(index, travel)
+    vehicle.setWheelSuspensionCompression(index, damping)
+    vehicle.setWheelSuspensionRelaxation(index, damping * REBOUND_RATIO)
+}
+
 /**
  * Generic vehicle physics hook for wheeled vehicles
  * @param {Object} vehicleRef - Reference to the vehicle rigid body
  * @param {Array} wheels - Array of wheel configurations with refs and positions
+ * @param {Object} drivetrain - Drivetrain setup ({ mode, frontLocked, rearLocked, engine, transmission, tireDiameter })
+ * @param {Object} suspension - Suspension settings ({ front, rear, sway_bar }), see computeSuspension
+ * @param {Object} tire - Tire catalog entry, its traction sets grip per surface
  * @returns {Object} - Vehicle controller
  */
-export const useVehiclePhysics = (vehicleRef, wheels) => {
+export const useVehiclePhysics = (vehicleRef, wheels, drivetrain = {}, suspension = DEFAULT_SUSPENSION, tire = null) => {
     const physicsEnabled = useGameStore((state) => state.physicsEnabled)
     const setPhysicsEnabled = useGameStore((state) => state.setPhysicsEnabled)
 
@@ -36,6 +64,16 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
 
     // Refs
     const vehicleController = useRef()
+    const drivetrainRef = useRef(drivetrain)
+    const tractionRef = useRef([1, 1, 1, 1])
+
+    const suspensionRef = useRef(suspension)
+    const tireRef = useRef(tire)
+
+    // Keep latest drivetrain, suspension and tire without recreating the controller
+    drivetrainRef.current = drivetrain
+    suspensionRef.current = suspension
+    tireRef.current = tire
 
     // Track airborne state
     const [isAirborne, setIsAirborne] = useState(false)
@@ -53,11 +91,8 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
 
         // Add and configure wheels
         wheels.forEach((wheel, index) => {
-            vehicle.addWheel(wheel.position, wheel.suspensionDirection || VECTORS.DOWN, wheel.axleCs || VECTORS.RIGHT, wheel.suspensionRestLength || 0.05, wheel.radius)
-            vehicle.setWheelSuspensionStiffness(index, wheel.suspensionStiffness || 20)
-            vehicle.setWheelMaxSuspensionTravel(index, wheel.maxSuspensionTravel || 0.23)
-            vehicle.setWheelSuspensionCompression(index, wheel.suspensionCompression || 2.3)
-            vehicle.setWheelSuspensionRelaxation(index, wheel.suspensionRebound || 3.4)
+            vehicle.addWheel(wheel.position, wheel.suspensionDirection || VECTORS.DOWN, wheel.axleCs || VECTORS.RIGHT, wheel.suspensionRestLength || REST_LENGTH, wheel.radius)
+            applyWheelSuspension(vehicle, index, suspensionRef.current[getAxle(index)])
         })
 
         // Store controller reference
@@ -71,6 +106,14 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
         }
     }, [vehicleRef, wheels, world])
 
+    // Retune suspension live without recreating the controller
+    useEffect(() => {
+        const vehicle = vehicleController.current
+        if (!vehicle) return
+
+        wheels.forEach((_, index) => applyWheelSuspension(vehicle, index, suspension[getAxle(index)]))
+    }, [suspension])
+
     // Update wheel positions after physics step
     useAfterPhysicsStep((world) => {
         const controller = vehicleController.current
@@ -82,6 +125,17 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
         // Check if all wheels are not in contact with the ground (airborne)
         let wheelsInContact = 0
 
+        // Average suspension load, used to weight wheel traction
+        const suspensionForces = wheels.map((_, index) => controller.wheelSuspensionForce(index) || 0)
+        const averageForce = suspensionForces.reduce((sum, force) => sum + force, 0) / (wheels.length || 1)
+
+        // Water and mud around the wheels
+        const chassis = vehicleRef.current
+        const fluidVolumes = chassis ? getFluidVolumes() : []
+        const chassisPosition = chassis && new Vector3().copy(chassis.translation())
+        const chassisRotation = chassis && new Quaternion().copy(chassis.rotation())
+        let fording = null
+
         // Update each wheel
         wheels.forEach((wheel, index) => {
             const wheelRef = wheel.ref.current
@@ -95,10 +149,42 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
             const rotation = controller.wheelRotation(index) || 0
 
             // Check if the wheel is in contact with the ground
-            if (controller.wheelIsInContact(index)) {
+            const inContact = controller.wheelIsInContact(index)
+            if (inContact) {
                 wheelsInContact++
             }
 
+            // Estimate traction from contact, load and slip
+            tractionRef.current[index] = getWheelTraction({
+                inContact,
+                suspensionForce: suspensionForces[index],
+                averageForce,
+                forwardImpulse: controller.wheelForwardImpulse(index) || 0,
+                maxImpulse: (controller.wheelFrictionSlip(index) || 0) * suspensionForces[index] * world.timestep,
+            })
+
+            // Fluid at the bottom of the tire
+            const wheelCenter = fluidVolumes.length > 0 && new Vector3(connection.x, connection.y - suspension, connection.z).applyQuaternion(chassisRotation).add(chassisPosition)
+            const immersion = wheelCenter && getImmersion(fluidVolumes, wheelCenter.x, wheelCenter.y - wheel.radius, wheelCenter.z)
+            const fluid = immersion && FLUIDS[immersion.type]
+
+            // Grip for the next step from the tire and the surface under it
+            const surface = inContact ? getColliderSurface(controller.wheelGroundObject(index)) : DEFAULT_SURFACE
+            const { frictionSlip, sideFriction } = getTireGrip(tireRef.current, surface)
+            controller.setWheelFrictionSlip(index, frictionSlip * (fluid ? fluid.grip : 1))
+            controller.setWheelSideFrictionStiffness(index, sideFriction * (fluid ? fluid.grip : 1))
+
+            // Buoyancy and drag on this corner of the chassis
+            if (fluid) {
+                if (!fording || immersion.depth > fording.depth) fording = immersion
+
+                const load = (chassis.mass() / wheels.length) * world.timestep
+                const submerged = Math.min(immersion.depth / (wheel.radius * 2), 1)
+                const lift = new Vector3(0, fluid.buoyancy * immersion.depth * -world.gravity.y * load, 0)
+                const drag = new Vector3().copy(chassis.linvel()).multiplyScalar(-fluid.drag * submerged * load)
+                chassis.applyImpulseAtPoint(lift.add(drag), wheelCenter, true)
+            }
+
             // Update position
             wheelRef.position.y = connection?.y - suspension
 
@@ -106,6 +192,26 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
             wheelRef.quaternion.multiplyQuaternions(new Quaternion().setFromAxisAngle(VECTORS.UP, steering), new Quaternion().setFromAxisAngle(wheelAxleCs, rotation))
         })
 
+        useEngineStore.getState().setFording(fording)
+        if (chassisRotation) useEngineStore.getState().setRolledOver(VECTORS.UP.clone().applyQuaternion(chassisRotation).y < ROLLOVER_UP)
+
+        // Sway bars resist body roll when both wheels of an axle are on the ground
+        if (chassis) {
+            const rollTorque = ['front', 'rear'].reduce((torque, axle, i) => {
+                const [left, right] = [i * 2, i * 2 + 1]
+                if (left >= wheels.length || !controller.wheelIsInContact(left) || !controller.wheelIsInContact(right)) return torque
+
+                // Positive when the left wheel is more compressed
+                const difference = (controller.wheelSuspensionLength(right) || 0) - (controller.wheelSuspensionLength(left) || 0)
+                return torque + suspensionRef.current.sway_bar[axle] * difference * Math.abs(wheels[left].position.x)
+            }, 0)
+
+            if (rollTorque) {
+                const torque = new Vector3(0, 0, rollTorque * chassis.mass() * world.timestep).applyQuaternion(new Quaternion().copy(chassis.rotation()))
+                chassis.applyTorqueImpulse(torque, true)
+            }
+        }
+
         // Update airborne state
         const newAirborneState = wheelsInContact === 0
         if (newAirborneState !== isAirborne) {
@@ -131,8 +237,25 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
 
         const clamp = (value) => Math.min(1, Math.max(-1, value))
 
+        // Engine speed from road speed through the current gear
+        const { mode, engine = DEFAULT_ENGINE, transmission, tireDiameter } = drivetrainRef.current
+        const speed = vehicleController.current.currentVehicleSpeed()
+        const rangeRatio = mode === DRIVE_MODES.FOUR_LOW ? LOW_RANGE_RATIO : 1
+        const engineState = useEngineStore.getState()
+
+        let gear = Math.min(engineState.gear, engine.gears.length)
+        let rpm = getEngineRpm(engine, speed, gear, tireDiameter, rangeRatio)
+
+        if (transmission !== 'manual') {
+            gear = getAutoShiftGear(engine, gear, rpm)
+            rpm = getEngineRpm(engine, speed, gear, tireDiameter, rangeRatio)
+        }
+
+        engineState.setTelemetry(rpm, gear, Math.abs(speed))
+
         // Calculate forces based on input
-        const engineForce = FORCES.accelerate * clamp((keys.has('ArrowUp') ? 1 : 0) + (rightStickY < 0 ? -rightStickY : 0) + rightTrigger)
+        const throttle = clamp((keys.has('ArrowUp') ? 1 : 0) + (rightStickY < 0 ? -rightStickY : 0) + rightTrigger)
+        const engineForce = throttle * getWheelForce(engine, rpm, gear, tireDiameter) * FORCES.engineScale
         const steerForce = FORCES.steerAngle * clamp((keys.has('ArrowRight') ? -1 : 0) + (keys.has('ArrowLeft') ? 1 : 0) + -leftStickX)
         const brakeForce = FORCES.brake * clamp((keys.has('ArrowDown') ? 1 : 0) + (rightStickY > 0 ? rightStickY : 0) + leftTrigger)
 
@@ -142,9 +265,10 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
                 vehicleController.current.setWheelSteering(i, steerForce)
             }
 
-            // Rear wheels driving (assuming last two wheels are rear)
-            for (let i = 2; i < 4 && i < wheels.length; i++) {
-                vehicleController.current.setWheelEngineForce(i, -engineForce)
+            // Drive wheels per drive mode and differential locks
+            const wheelForces = splitDriveForce(engineForce, drivetrainRef.current, tractionRef.current)
+            for (let i = 0; i < 4 && i < wheels.length; i++) {
+                vehicleController.current.setWheelEngineForce(i, -wheelForces[i])
             }
 
             // All wheels braking
@@ -169,7 +293,7 @@ export const useVehiclePhysics = (vehicleRef, wheels) => {
         }
 
         // Enable physics if not already enabled
-        if (!physicsEnabled && engineForce) {
+        if (!physicsEnabled && throttle) {
             setPhysicsEnabled(true)
         }
     })
@@ -1,6 +1,9 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './components/App'
+import useGameStore from './store/gameStore'
+import vehicleConfigs from './vehicleConfigs'
+import { loadCatalog, formatCatalogError } from './src/lib/catalog-loader'
 
 import './assets/styles/global.css'
 
@@ -12,8 +15,43 @@ if (import.meta.env.DEV) {
     })
 }
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-    <React.StrictMode>
-        <App />
-    </React.StrictMode>
-)
+// Merge catalog manifests before the first render so every consumer sees them
+const catalog = loadCatalog().then(({ errors }) => {
+    if (errors.length > 0) {
+        useGameStore.getState().showNotification({
+            title: 'Catalog Errors',
+            text: `${errors.length} catalog problem(s) found, invalid entries were skipped: ${errors.slice(0, 3).map(formatCatalogError).join('; ')}`,
+            type: 'error',
+        })
+    }
+})
+
+// Longest the first render waits on the catalog
+const CATALOG_TIMEOUT = 10000
+
+const root = ReactDOM.createRoot(document.getElementById('root'))
+
+const renderApp = () =>
+    root.render(
+        <React.StrictMode>
+            <App />
+        </React.StrictMode>
+    )
+
+const renderMessage = (message) => root.render(<div className='fixed inset-0 flex items-center justify-center text-gray-400'>{message}</div>)
+
+// The vehicle cannot render until the catalog has the default build's parts
+const hasDefaultBuild = () => {
+    const { defaults, vehicles, wheels } = vehicleConfigs
+    return Boolean(vehicles[defaults.body] && wheels.rims[defaults.rim] && wheels.tires[defaults.tire])
+}
+
+// Saved vehicles and scenes load alongside, so the first render shows the current vehicle
+const catalogTimeout = new Promise((resolve) => setTimeout(resolve, CATALOG_TIMEOUT))
+Promise.allSettled([Promise.race([catalog, catalogTimeout]), useGameStore.getState().loadStorage()]).finally(() => {
+    if (hasDefaultBuild()) return renderApp()
+
+    // Slow catalog: keep waiting, then render the app or say why it cannot
+    renderMessage('Loading the parts catalog...')
+    catalog.finally(() => (hasDefaultBuild() ? renderApp() : renderMessage('The parts catalog could not be loaded. Check your connection and reload the page.')))
+})
@@ -0,0 +1,271 @@
+/**
+ * ============================================================================
+ * BUILD SHEET - Parts List Export
+ * ============================================================================
+ *
+ * Turns the current build into a build sheet: body, lift, rims, tires,
+ * addons with their manufacturers, drivetrain and off-road metrics. Sheets
+ * are written as:
+ *
+ *   json - the sheet itself, with the config stamped for re-import
+ *   csv  - one row per part: Section, Part, Manufacturer, Specification
+ *   html - a self-contained printable page, with a screenshot when given
+ *
+ * @module build-sheet
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+import { DRIVE_MODE_LABELS } from './drivetrain'
+import { stampVehicleConfig } from './vehicle-schema'
+
+export const BUILD_SHEET_FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  csv: { extension: 'csv', type: 'text/csv' },
+  html: { extension: 'html', type: 'text/html' },
+}
+
+const CSV_HEADER = ['Section', 'Part', 'Manufacturer', 'Specification']
+
+const inches = (value) => `${parseFloat(value)} in`
+
+/**
+ * Build a build sheet
+ * @param {Object} build - Build details
+ * @param {Object} build.config - Vehicle configuration, see getCurrentVehicle
+ * @param {Object} build.wheels - Wheel configuration, see getWheelConfiguration
+ * @param {Object} build.addons - Selected addons by type, see getVehicleAddons
+ * @param {Object} [build.metrics] - Off-road metrics, see computeVehicleMetrics
+ * @param {string} [build.name] - Build name, the body name when left out
+ * @returns {Object} Build sheet
+ */
+export function createBuildSheet({ config, wheels, addons, metrics = null, name = null }) {
+  const body = vehicleConfigs.vehicles[config.body] || {}
+
+  return {
+    name: name || body.name || config.body,
+    generatedAt: new Date().toISOString(),
+    body: {
+      id: config.body,
+      name: body.name || 'Unknown',
+      make: body.make || 'Unknown',
+      engine: body.engine?.name || null,
+    },
+    paint: {
+      color: config.color,
+      roughness: parseFloat(config.roughness) || 0,
+    },
+    lift: parseFloat(config.lift) || 0,
+    rim: wheels.rim,
+    tire: wheels.tire,
+    wheelOffset: parseFloat(wheels.offset) || 0,
+    spare: Boolean(config.spare),
+    addons: Object.entries(addons)
+      .filter(([, optionId]) => optionId)
+      .map(([type, optionId]) => {
+        const addon = body.addons?.[type]
+        const option = addon?.options?.[optionId]
+        return {
+          type,
+          category: addon?.name || type,
+          id: optionId,
+          name: option?.name || optionId,
+          // Options are named after their maker unless they give one
+          manufacturer: option?.make || option?.name || 'Unknown',
+        }
+      }),
+    drivetrain: {
+      mode: config.drive_mode,
+      label: DRIVE_MODE_LABELS[config.drive_mode] || config.drive_mode,
+      frontLocked: Boolean(config.front_locked),
+      rearLocked: Boolean(config.rear_locked),
+      transmission: config.transmission,
+    },
+    metrics: metrics?.supported
+      ? {
+          groundClearance: metrics.groundClearance.inches,
+          approachAngle: metrics.approachAngle,
+          departureAngle: metrics.departureAngle,
+          breakoverAngle: metrics.breakoverAngle,
+          fordingDepth: metrics.fordingDepth?.inches ?? null,
+        }
+      : null,
+    config: stampVehicleConfig(config),
+  }
+}
+
+/**
+ * Parts list rows for a build sheet
+ * @param {Object} sheet - Build sheet
+ * @returns {Array} Rows of { section, part, manufacturer, specification }
+ */
+export function getBuildSheetRows(sheet) {
+  const { body, rim, tire, drivetrain, metrics } = sheet
+  const lockers = [drivetrain.frontLocked && 'front', drivetrain.rearLocked && 'rear'].filter(Boolean)
+
+  const rows = [
+    { section: 'Vehicle', part: body.name, manufacturer: body.make, specification: body.engine || '' },
+    { section: 'Vehicle', part: 'Paint', manufacturer: '', specification: `${sheet.paint.color}, roughness ${sheet.paint.roughness}` },
+    { section: 'Suspension', part: 'Lift', manufacturer: '', specification: inches(sheet.lift) },
+    {
+      section: 'Wheels',
+      part: rim.name,
+      manufacturer: rim.make,
+      specification: `${parseFloat(rim.diameter)} x ${inches(rim.width)}, ${rim.color}${rim.colorSecondary && rim.colorSecondary !== rim.color ? ` / ${rim.colorSecondary}` : ''}`,
+    },
+    { section: 'Tires', part: tire.name, manufacturer: tire.make, specification: `${inches(tire.diameter)}${sheet.spare ? ', with spare' : ''}` },
+    ...sheet.addons.map((addon) => ({ section: 'Addons', part: `${addon.category}: ${addon.name}`, manufacturer: addon.manufacturer, specification: '' })),
+    {
+      section: 'Drivetrain',
+      part: drivetrain.label,
+      manufacturer: '',
+      specification: `${drivetrain.transmission} transmission, ${lockers.length > 0 ? `${lockers.join(' and ')} locked` : 'open differentials'}`,
+    },
+  ]
+
+  if (metrics) {
+    rows.push(
+      { section: 'Metrics', part: 'Ground clearance', manufacturer: '', specification: inches(metrics.groundClearance) },
+      { section: 'Metrics', part: 'Approach angle', manufacturer: '', specification: `${metrics.approachAngle}°` },
+      { section: 'Metrics', part: 'Departure angle', manufacturer: '', specification: `${metrics.departureAngle}°` },
+      { section: 'Metrics', part: 'Breakover angle', manufacturer: '', specification: `${metrics.breakoverAngle}°` }
+    )
+    if (metrics.fordingDepth !== null) rows.push({ section: 'Metrics', part: 'Fording depth', manufacturer: '', specification: inches(metrics.fordingDepth) })
+  }
+
+  return rows
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = String(value ?? '')
+  // Keep spreadsheets from running part names as formulas
+  if (/^([=+@]|-(?!\d))/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write a build sheet as CSV
+ * @param {Object} sheet - Build sheet
+ * @returns {string} CSV text
+ */
+export function buildSheetToCsv(sheet) {
+  const rows = getBuildSheetRows(sheet).map(({ section, part, manufacturer, specification }) => [section, part, manufacturer, specification])
+  return [CSV_HEADER, ...rows].map((row) => row.map(toCsvField).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char])
+}
+
+/**
+ * Write a build sheet as a printable HTML page
+ * @param {Object} sheet - Build sheet
+ * @param {Object} [options] - Page options
+ * @param {string} [options.screenshot] - Screenshot image data URL
+ * @returns {string} HTML document
+ */
+export function buildSheetToHtml(sheet, { screenshot = null } = {}) {
+  const rows = getBuildSheetRows(sheet)
+    .map(
+      ({ section, part, manufacturer, specification }) =>
+        `<tr><td>${escapeHtml(section)}</td><td>${escapeHtml(part)}</td><td>${escapeHtml(manufacturer)}</td><td>${escapeHtml(specification)}</td></tr>`
+    )
+    .join('\n')
+  const image = screenshot?.startsWith('data:image/') ? `<img src="${escapeHtml(screenshot)}" alt="${escapeHtml(sheet.name)}">` : ''
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sheet.name)} - Build Sheet</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #1c1917; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+h1 { margin-bottom: 0.25rem; }
+p { color: #78716c; margin-top: 0; }
+img { width: 100%; border-radius: 0.5rem; margin: 1rem 0; }
+table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e7e5e4; }
+th { background: #f5f5f4; }
+@media print { body { margin: 0; max-width: none; } img { break-inside: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sheet.name)}</h1>
+<p>Build sheet generated ${escapeHtml(new Date(sheet.generatedAt).toLocaleString())}</p>
+${image}
+<table>
+<thead><tr>${CSV_HEADER.map((heading) => `<th>${heading}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`
+}
+
+/**
+ * Write a build sheet in an export format
+ * @param {Object} sheet - Build sheet
+ * @param {string} format - Export format, see BUILD_SHEET_FORMATS
+ * @param {Object} [options] - Format options, see buildSheetToHtml
+ * @returns {string} File contents
+ */
+export function formatBuildSheet(sheet, format, options = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(sheet, null, 2)
+    case 'csv':
+      return buildSheetToCsv(sheet)
+    case 'html':
+      return buildSheetToHtml(sheet, options)
+    default:
+      throw new Error(`Unknown build sheet format: ${format}. Use one of ${Object.keys(BUILD_SHEET_FORMATS).join(', ')}`)
+  }
+}
+
+/**
+ * File name for an exported build sheet
+ * @param {Object} sheet - Build sheet
+ * @param {string} format - Export format
+ * @returns {string} File name
+ */
+export function getBuildSheetFileName(sheet, format) {
+  return `4x4builder-${sheet.body.id}-build-sheet.${BUILD_SHEET_FORMATS[format].extension}`
+}
+
+/**
+ * Save a build sheet as a file download
+ * @param {string} content - File contents
+ * @param {string} fileName - File name
+ * @param {string} format - Export format
+ */
+export function downloadBuildSheet(content, fileName, format) {
+  const url = URL.createObjectURL(new Blob([content], { type: BUILD_SHEET_FORMATS[format].type }))
+  const link = document.createElement('a')
+  link.download = fileName
+  link.href = url
+  link.click()
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export default {
+  createBuildSheet,
+  getBuildSheetRows,
+  buildSheetToCsv,
+  buildSheetToHtml,
+  formatBuildSheet,
+  getBuildSheetFileName,
+  downloadBuildSheet,
+  BUILD_SHEET_FORMATS,
+}
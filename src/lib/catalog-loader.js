@@ -0,0 +1,579 @@
+/**
+ * ============================================================================
+ * CATALOG LOADER - JSON Manifest Catalog
+ * ============================================================================
+ *
+ * Loads versioned JSON manifests (bodies, rims, tires, addons) from
+ * public/assets/catalog, validates every entry and merges the valid ones
+ * into the runtime vehicleConfigs catalog. The manifests hold the whole
+ * catalog, vehicleConfigs.js only the defaults. Entries are merged in place
+ * so existing consumers of vehicleConfigs pick them up unchanged.
+ *
+ * Manifest layout:
+ *   index.json  -> { version, manifests: ['bodies.json', ...] }
+ *   bodies.json -> { version, type: 'bodies', entries: { [id]: body } }
+ *
+ * Body entries may carry `fitment`, `geometry`, `engine` and `suspension`
+ * metadata, see fitment.js, vehicle-metrics.js, engine.js and suspension.js.
+ * Tire entries may carry `traction`, see surfaces.js. Rims, tires and addon
+ * options may carry a `price` in US dollars, see pricing.js.
+ *
+ * @module catalog-loader
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+import { SURFACE_TYPES } from './surfaces'
+
+// ============================================================================
+// CONSTANTS & SCHEMAS
+// ============================================================================
+
+export const CATALOG_VERSION = 1
+export const CATALOG_BASE_URL = 'assets/catalog/'
+
+// Field schemas per manifest type
+export const CATALOG_SCHEMAS = {
+  bodies: {
+    name: { type: 'string', required: true },
+    make: { type: 'string', required: true },
+    model: { type: 'path', required: true },
+    wheel_offset: { type: 'number', required: true },
+    wheelbase: { type: 'number', required: true },
+    spare: { type: 'vector3' },
+    fitment: { type: 'object' },
+    geometry: { type: 'object' },
+    engine: { type: 'object' },
+    suspension: { type: 'object' },
+    default_addons: { type: 'object' },
+    addons: { type: 'addons' },
+  },
+  rims: {
+    make: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    model: { type: 'path', required: true },
+    width: { type: 'number', required: true },
+    od: { type: 'number', required: true },
+    price: { type: 'price' },
+  },
+  tires: {
+    make: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    model: { type: 'path', required: true },
+    width: { type: 'number', required: true },
+    od: { type: 'number', required: true },
+    id: { type: 'number', required: true },
+    traction: { type: 'object' },
+    price: { type: 'price' },
+  },
+  addons: {
+    default_addons: { type: 'object' },
+    addons: { type: 'addons', required: true },
+  },
+}
+
+export const CATALOG_TYPES = Object.keys(CATALOG_SCHEMAS)
+
+// Catalog collection each manifest type merges into
+const CATALOG_TARGETS = {
+  bodies: () => vehicleConfigs.vehicles,
+  rims: () => vehicleConfigs.wheels.rims,
+  tires: () => vehicleConfigs.wheels.tires,
+  addons: () => vehicleConfigs.vehicles,
+}
+
+const listeners = new Set()
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a single value against a field type
+ * @param {string} type - Field type from CATALOG_SCHEMAS
+ * @param {*} value - Value to check
+ * @returns {string|null} Expected type description, or null when valid
+ */
+function checkFieldType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.length > 0 ? null : 'a non-empty string'
+    case 'path':
+      return typeof value === 'string' && /\.(glb|gltf)$/i.test(value) ? null : 'a .glb or .gltf model path'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'a finite number'
+    case 'price':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'a price of 0 or more'
+    case 'vector3':
+      return Array.isArray(value) && value.length === 3 && value.every((n) => Number.isFinite(n))
+        ? null
+        : 'an array of 3 numbers'
+    case 'object':
+    case 'addons':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'an object'
+    default:
+      return null
+  }
+}
+
+/**
+ * Check bumper geometry ({ overhang, height })
+ * @param {Object} bumper - Bumper geometry
+ * @returns {boolean} True when invalid
+ */
+function validateBumper(bumper) {
+  return !Number.isFinite(bumper?.overhang) || !Number.isFinite(bumper?.height)
+}
+
+/**
+ * Check an addon suspension kit ({ front, rear } with travel, stiffness, damping)
+ * @param {Object} kit - Suspension kit
+ * @returns {boolean} True when invalid
+ */
+function validateSuspensionKit(kit) {
+  if (!kit || typeof kit !== 'object') return true
+
+  return Object.entries(kit).some(
+    ([axle, values]) =>
+      !['front', 'rear'].includes(axle) ||
+      !values ||
+      typeof values !== 'object' ||
+      !Object.entries(values).every(([field, value]) => ['travel', 'stiffness', 'damping'].includes(field) && Number.isFinite(value))
+  )
+}
+
+/**
+ * Validate addon definitions ({ [type]: { name, required, options } })
+ * @param {Object} addons - Addon definitions
+ * @param {Object} defaultAddons - Default addon selections
+ * @returns {Array} Error messages
+ */
+function validateAddons(addons, defaultAddons = {}) {
+  const errors = []
+
+  for (const [type, addon] of Object.entries(addons)) {
+    if (!addon || typeof addon !== 'object') {
+      errors.push(`addon "${type}" must be an object`)
+      continue
+    }
+
+    if (checkFieldType('string', addon.name)) {
+      errors.push(`addon "${type}" needs a name`)
+    }
+
+    if (addon.required !== undefined && typeof addon.required !== 'boolean') {
+      errors.push(`addon "${type}" field "required" must be a boolean`)
+    }
+
+    if (!addon.options || typeof addon.options !== 'object' || Object.keys(addon.options).length === 0) {
+      errors.push(`addon "${type}" needs at least one option`)
+      continue
+    }
+
+    for (const [optionId, option] of Object.entries(addon.options)) {
+      if (checkFieldType('string', option?.name)) {
+        errors.push(`addon "${type}" option "${optionId}" needs a name`)
+      }
+      // Suspension kits and snorkels change the physics only and may leave out the model
+      const physicsOnly = option?.suspension !== undefined || option?.air_intake !== undefined
+      if ((!physicsOnly || option?.model !== undefined) && checkFieldType('path', option?.model)) {
+        errors.push(`addon "${type}" option "${optionId}" model must be a .glb or .gltf model path`)
+      }
+      if (option?.suspension !== undefined && validateSuspensionKit(option.suspension)) {
+        errors.push(`addon "${type}" option "${optionId}" suspension needs numeric "travel", "stiffness" or "damping" per axle`)
+      }
+      if (option?.air_intake !== undefined && !(option.air_intake > 0)) {
+        errors.push(`addon "${type}" option "${optionId}" air_intake must be a positive number`)
+      }
+      if (option?.price !== undefined && checkFieldType('price', option.price)) {
+        errors.push(`addon "${type}" option "${optionId}" price must be a number of 0 or more`)
+      }
+      if (option?.geometry && validateBumper(option.geometry)) {
+        errors.push(`addon "${type}" option "${optionId}" geometry needs numeric "overhang" and "height"`)
+      }
+    }
+  }
+
+  for (const [type, value] of Object.entries(defaultAddons)) {
+    if (addons[type] && !addons[type].options?.[value]) {
+      errors.push(`default addon "${type}" refers to unknown option "${value}"`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Validate body fitment metadata ({ max_tire, wheel_well, backspacing })
+ * @param {Object} fitment - Fitment metadata
+ * @returns {Array} Error messages
+ */
+function validateFitment({ max_tire, wheel_well, backspacing }) {
+  const errors = []
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+  if (!max_tire || typeof max_tire !== 'object' || Object.keys(max_tire).length === 0) {
+    errors.push('fitment "max_tire" must map lift heights to tire diameters')
+  } else if (!Object.entries(max_tire).every(([lift, tire]) => Number.isFinite(parseFloat(lift)) && isNumber(tire))) {
+    errors.push('fitment "max_tire" keys must be lift heights and values tire diameters, in inches')
+  }
+
+  if (!isNumber(wheel_well?.width) || !isNumber(wheel_well?.trim)) {
+    errors.push('fitment "wheel_well" needs numeric "width" and "trim"')
+  }
+
+  if (!isNumber(backspacing?.min) || !isNumber(backspacing?.max) || backspacing.min > backspacing.max) {
+    errors.push('fitment "backspacing" needs numeric "min" <= "max"')
+  }
+
+  return errors
+}
+
+/**
+ * Validate body geometry used for off-road metrics
+ * @param {Object} geometry - Geometry metadata
+ * @returns {Array} Error messages
+ */
+function validateGeometry(geometry) {
+  const errors = []
+
+  for (const field of ['stock_tire', 'axle_clearance', 'belly_height']) {
+    if (!Number.isFinite(geometry[field])) {
+      errors.push(`geometry "${field}" must be a finite number`)
+    }
+  }
+
+  for (const bumper of ['bumper_f', 'bumper_r']) {
+    if (validateBumper(geometry[bumper])) {
+      errors.push(`geometry "${bumper}" needs numeric "overhang" and "height"`)
+    }
+  }
+
+  if (geometry.air_intake !== undefined && !(geometry.air_intake > 0)) {
+    errors.push('geometry "air_intake" must be a positive number')
+  }
+
+  return errors
+}
+
+/**
+ * Validate body engine and gearbox data
+ * @param {Object} engine - Engine metadata
+ * @returns {Array} Error messages
+ */
+function validateEngine({ idle_rpm, redline, torque_curve, gears, final_drive }) {
+  const errors = []
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+  if (!isPositive(idle_rpm) || !isPositive(redline) || idle_rpm >= redline) {
+    errors.push('engine needs numeric "idle_rpm" < "redline"')
+  }
+
+  if (!torque_curve || typeof torque_curve !== 'object' || Object.keys(torque_curve).length < 2) {
+    errors.push('engine "torque_curve" must map at least two RPMs to torque')
+  } else if (!Object.entries(torque_curve).every(([rpm, torque]) => isPositive(parseFloat(rpm)) && isPositive(torque))) {
+    errors.push('engine "torque_curve" keys must be RPMs and values torque, in Nm')
+  }
+
+  if (!Array.isArray(gears) || gears.length === 0 || !gears.every(isPositive)) {
+    errors.push('engine "gears" must be a list of positive gear ratios')
+  }
+
+  if (!isPositive(final_drive)) {
+    errors.push('engine "final_drive" must be a positive ratio')
+  }
+
+  return errors
+}
+
+/**
+ * Validate body suspension profile ({ front, rear, sway_bar })
+ * @param {Object} suspension - Suspension metadata
+ * @returns {Array} Error messages
+ */
+function validateSuspension({ front, rear, sway_bar }) {
+  const errors = []
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+  for (const [axle, values] of Object.entries({ front, rear })) {
+    if (!isPositive(values?.stiffness) || !isPositive(values?.damping) || !isPositive(values?.travel)) {
+      errors.push(`suspension "${axle}" needs positive "stiffness", "damping" and "travel"`)
+    }
+  }
+
+  if (!Number.isFinite(sway_bar?.front) || !Number.isFinite(sway_bar?.rear)) {
+    errors.push('suspension "sway_bar" needs numeric "front" and "rear"')
+  }
+
+  return errors
+}
+
+/**
+ * Validate tire traction ({ friction, side_friction, grip })
+ * @param {Object} traction - Traction metadata
+ * @returns {Array} Error messages
+ */
+function validateTraction({ friction, side_friction, grip }) {
+  const errors = []
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+  if ((friction !== undefined && !isPositive(friction)) || (side_friction !== undefined && !isPositive(side_friction))) {
+    errors.push('traction "friction" and "side_friction" must be positive numbers')
+  }
+
+  if (grip !== undefined) {
+    if (!grip || typeof grip !== 'object') {
+      errors.push('traction "grip" must map surfaces to grip multipliers')
+    } else {
+      const unknown = Object.keys(grip).filter((surface) => !SURFACE_TYPES.includes(surface))
+      if (unknown.length > 0) {
+        errors.push(`traction "grip" has unknown surface(s): ${unknown.join(', ')}`)
+      }
+      if (!Object.values(grip).every((value) => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        errors.push('traction "grip" values must be non-negative numbers')
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Validate a catalog entry against its manifest schema
+ * @param {string} type - Manifest type (bodies, rims, tires, addons)
+ * @param {string} id - Entry ID
+ * @param {Object} entry - Entry definition
+ * @returns {Array} Error messages, empty when the entry is valid
+ */
+export function validateCatalogEntry(type, id, entry) {
+  const schema = CATALOG_SCHEMAS[type]
+
+  if (!schema) {
+    return [`unknown manifest type "${type}"`]
+  }
+
+  if (!/^[a-z0-9_]+$/i.test(id)) {
+    return [`invalid id "${id}", use letters, numbers and underscores`]
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry must be an object']
+  }
+
+  const errors = []
+
+  for (const [field, { type: fieldType, required }] of Object.entries(schema)) {
+    if (entry[field] === undefined) {
+      if (required) {
+        errors.push(`missing required field "${field}"`)
+      }
+      continue
+    }
+
+    const expected = checkFieldType(fieldType, entry[field])
+    if (expected) {
+      errors.push(`field "${field}" must be ${expected}`)
+    }
+  }
+
+  const unknown = Object.keys(entry).filter((field) => !schema[field])
+  if (unknown.length > 0) {
+    errors.push(`unknown field(s): ${unknown.join(', ')}`)
+  }
+
+  if (errors.length === 0 && entry.addons) {
+    errors.push(...validateAddons(entry.addons, entry.default_addons))
+  }
+
+  if (errors.length === 0 && entry.fitment) {
+    errors.push(...validateFitment(entry.fitment))
+  }
+
+  if (errors.length === 0 && entry.geometry) {
+    errors.push(...validateGeometry(entry.geometry))
+  }
+
+  if (errors.length === 0 && entry.engine) {
+    errors.push(...validateEngine(entry.engine))
+  }
+
+  if (errors.length === 0 && entry.traction) {
+    errors.push(...validateTraction(entry.traction))
+  }
+
+  if (errors.length === 0 && entry.suspension) {
+    errors.push(...validateSuspension(entry.suspension))
+  }
+
+  if (type === 'addons' && !vehicleConfigs.vehicles[id]) {
+    errors.push(`unknown vehicle body "${id}"`)
+  }
+
+  return errors
+}
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+/**
+ * Validate a manifest and merge its valid entries into the catalog
+ * @param {Object} manifest - Parsed manifest ({ version, type, entries })
+ * @param {string} [source='manifest'] - Manifest name used in error messages
+ * @returns {Object} { added: Array of IDs, errors: Array of { source, entry, message } }
+ */
+export function mergeCatalogManifest(manifest, source = 'manifest') {
+  const added = []
+  const errors = []
+  const fail = (message, entry = null) => errors.push({ source, entry, message })
+
+  if (!manifest || typeof manifest !== 'object') {
+    fail('manifest must be a JSON object')
+    return { added, errors }
+  }
+
+  if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > CATALOG_VERSION) {
+    fail(`unsupported manifest version ${manifest.version} (supported: 1-${CATALOG_VERSION})`)
+    return { added, errors }
+  }
+
+  if (!CATALOG_TYPES.includes(manifest.type)) {
+    fail(`unknown manifest type "${manifest.type}", expected one of: ${CATALOG_TYPES.join(', ')}`)
+    return { added, errors }
+  }
+
+  if (!manifest.entries || typeof manifest.entries !== 'object' || Array.isArray(manifest.entries)) {
+    fail('manifest "entries" must be an object keyed by ID')
+    return { added, errors }
+  }
+
+  const target = CATALOG_TARGETS[manifest.type]()
+
+  for (const [id, entry] of Object.entries(manifest.entries)) {
+    const entryErrors = validateCatalogEntry(manifest.type, id, entry)
+
+    if (entryErrors.length > 0) {
+      entryErrors.forEach((message) => fail(message, id))
+      continue
+    }
+
+    if (manifest.type === 'addons') {
+      const vehicle = target[id]
+      vehicle.addons = { ...vehicle.addons, ...entry.addons }
+      vehicle.default_addons = { ...vehicle.default_addons, ...entry.default_addons }
+    } else if (manifest.type === 'bodies') {
+      target[id] = { default_addons: {}, addons: {}, ...entry }
+    } else {
+      target[id] = { ...entry }
+    }
+
+    added.push(id)
+  }
+
+  if (added.length > 0) {
+    listeners.forEach((listener) => listener(manifest.type, added))
+  }
+
+  return { added, errors }
+}
+
+/**
+ * Subscribe to catalog changes
+ * @param {Function} listener - Called with (type, ids) after entries are merged
+ * @returns {Function} Unsubscribe function
+ */
+export function onCatalogChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Format a catalog error for display
+ * @param {Object} error - Error from mergeCatalogManifest or loadCatalog
+ * @returns {string} Human readable message
+ */
+export function formatCatalogError({ source, entry, message }) {
+  return entry ? `${source} > ${entry}: ${message}` : `${source}: ${message}`
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url) {
+  const response = await fetch(url)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Load every manifest listed in the catalog index and merge it into the catalog
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.baseUrl] - Directory containing index.json
+ * @param {Function} [options.load] - JSON loader, (url) => Promise<Object>
+ * @returns {Promise<Object>} Report with added IDs per type and errors
+ */
+export async function loadCatalog({ baseUrl = CATALOG_BASE_URL, load = fetchJson } = {}) {
+  const report = {
+    added: Object.fromEntries(CATALOG_TYPES.map((type) => [type, []])),
+    errors: [],
+  }
+
+  let index
+  try {
+    index = await load(`${baseUrl}index.json`)
+  } catch (error) {
+    report.errors.push({ source: 'index.json', entry: null, message: `could not be loaded: ${error.message}` })
+    return report
+  }
+
+  if (!index || !Array.isArray(index.manifests) || index.version > CATALOG_VERSION) {
+    report.errors.push({
+      source: 'index.json',
+      entry: null,
+      message: `expected { version <= ${CATALOG_VERSION}, manifests: [...] }`,
+    })
+    return report
+  }
+
+  // Merge in listed order so addon manifests can extend bodies loaded before them
+  for (const file of index.manifests) {
+    let manifest
+    try {
+      manifest = await load(`${baseUrl}${file}`)
+    } catch (error) {
+      report.errors.push({ source: file, entry: null, message: `could not be loaded: ${error.message}` })
+      continue
+    }
+
+    const { added, errors } = mergeCatalogManifest(manifest, file)
+
+    if (CATALOG_TYPES.includes(manifest?.type)) {
+      report.added[manifest.type].push(...added)
+    }
+    report.errors.push(...errors)
+  }
+
+  report.errors.forEach((error) => console.warn(`Catalog: ${formatCatalogError(error)}`))
+
+  return report
+}
+
+export default {
+  loadCatalog,
+  mergeCatalogManifest,
+  validateCatalogEntry,
+  onCatalogChange,
+  formatCatalogError,
+  CATALOG_VERSION,
+  CATALOG_SCHEMAS,
+  CATALOG_TYPES,
+}
@@ -259,9 +259,10 @@ function extractToolEventsFromEvent(data) {
  * @param {Function} onChunk - Callback for streaming chunks
  * @param {AbortSignal} abortSignal - Abort signal for cancellation
  * @param {Object} vehicleConfig - Current vehicle configuration to send as context
+ * @param {Object} budget - Parts budget the agent must stay under ({ limit, total, remaining, currency, unpriced })
  * @returns {Promise<Message>} Final message
  */
-export async function sendMessageStreaming(userId, sessionId, content, onChunk, abortSignal, vehicleConfig = null) {
+export async function sendMessageStreaming(userId, sessionId, content, onChunk, abortSignal, vehicleConfig = null, budget = null) {
   const payload = {
     app_name: APP_NAME,
     user_id: userId,
@@ -278,6 +279,11 @@ export async function sendMessageStreaming(userId, sessionId, content, onChunk,
     payload.vehicle_config = vehicleConfig
   }
 
+  // Include the budget so the agent keeps suggestions under it
+  if (budget) {
+    payload.budget = budget
+  }
+
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
   console.log('📤 [API] Sending request to backend')
   console.log('🔗 [API] URL:', `${FASTAPI_BASE_URL}/run_sse`)
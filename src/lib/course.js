@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * COURSE - Obstacle Courses & Timed Runs
+ * ============================================================================
+ *
+ * Courses are built from placed objects (start/finish gates, checkpoints,
+ * cones, ramps and rock steps) and saved as JSON:
+ *
+ *   { version: 1, id, name, elements: [{ type, position, rotation, order? }] }
+ *
+ * Checkpoints carry an `order` and must be passed in sequence. A run starts at
+ * the start gate and ends at the finish gate once every checkpoint is passed.
+ * Cones knocked over and rollovers add time penalties. Each build (the parts
+ * and drivetrain settings that change how a vehicle drives) keeps its own
+ * leaderboard per course.
+ *
+ * @module course
+ */
+
+export const COURSE_VERSION = 1
+
+// Placeable course elements, sizes in meters
+export const COURSE_ELEMENTS = {
+  start_gate: { name: 'Start', kind: 'gate', color: '#2ecc71', size: { x: 8, y: 3, z: 0.4 } },
+  checkpoint: { name: 'Checkpoint', kind: 'gate', color: '#f1c40f', size: { x: 8, y: 3, z: 0.4 } },
+  finish_gate: { name: 'Finish', kind: 'gate', color: '#e74c3c', size: { x: 8, y: 3, z: 0.4 } },
+  cone: { name: 'Cone', kind: 'cone', color: '#ff6b35', size: { x: 0.4, y: 0.7, z: 0.4 } },
+  ramp: { name: 'Ramp', kind: 'ramp', color: '#9c7b55', size: { x: 3, y: 1, z: 5 } },
+  rock_step: { name: 'Rock Step', kind: 'step', color: '#8a8782', size: { x: 3, y: 0.5, z: 2 } },
+}
+
+export const COURSE_ELEMENT_TYPES = Object.keys(COURSE_ELEMENTS)
+
+// Seconds added per penalty
+export const COURSE_PENALTIES = {
+  cone: 2,
+  rollover: 10,
+}
+
+export const LEADERBOARD_SIZE = 10
+
+// Config fields that change how a build drives
+const BUILD_FIELDS = [
+  'body',
+  'lift',
+  'addons',
+  'wheel_offset',
+  'rim_diameter',
+  'rim_width',
+  'tire',
+  'tire_diameter',
+  'suspension_tuning',
+  'drive_mode',
+  'front_locked',
+  'rear_locked',
+  'transmission',
+]
+
+/**
+ * Course elements among placed objects
+ * @param {Array<Object>} objects - Placed objects
+ * @returns {Array<Object>} Course elements
+ */
+export function getCourseElements(objects) {
+  return objects.filter((object) => COURSE_ELEMENTS[object.type])
+}
+
+/**
+ * Order for a new checkpoint, after the last one
+ * @param {Array<Object>} elements - Course elements or placed objects
+ * @returns {number} Checkpoint order
+ */
+export function getNextCheckpointOrder(elements) {
+  return elements.filter((element) => element.type === 'checkpoint').reduce((next, element) => Math.max(next, element.order + 1), 0)
+}
+
+/**
+ * Renumber checkpoints 0..n-1 in place, keeping their order
+ * @param {Array<Object>} elements - Course elements or placed objects
+ * @returns {Array<Object>} The same elements
+ */
+export function renumberCheckpoints(elements) {
+  elements
+    .filter((element) => element.type === 'checkpoint')
+    .sort((a, b) => a.order - b.order)
+    .forEach((element, index) => (element.order = index))
+  return elements
+}
+
+/**
+ * Check a course can be run
+ * @param {Array<Object>} elements - Course elements
+ * @returns {string[]} Error messages, empty if runnable
+ */
+export function validateCourse(elements) {
+  const errors = []
+  const count = (type) => elements.filter((element) => element.type === type).length
+
+  if (count('start_gate') !== 1) errors.push('Course needs exactly one start gate')
+  if (count('finish_gate') !== 1) errors.push('Course needs exactly one finish gate')
+
+  // Runs pass checkpoints by order, so a gap or repeat can never be finished
+  const orders = elements.filter((element) => element.type === 'checkpoint').map((element) => element.order).sort((a, b) => a - b)
+  if (orders.some((order, index) => order !== index)) errors.push(`Checkpoints must be numbered 0 to ${orders.length - 1} without gaps or repeats`)
+
+  return errors
+}
+
+/**
+ * Serialize a course for saving
+ * @param {Object} course - { id, name }
+ * @param {Array<Object>} elements - Course elements
+ * @returns {Object} Course JSON
+ */
+export function serializeCourse({ id, name }, elements) {
+  return {
+    version: COURSE_VERSION,
+    id,
+    name,
+    elements: elements.map(({ type, position, rotation, order }) => ({ type, position, rotation, ...(order !== undefined && { order }) })),
+  }
+}
+
+/**
+ * Parse and validate saved course JSON
+ * @param {string|Object} json - Course JSON
+ * @returns {Object} { id, name, elements }
+ */
+export function parseCourse(json) {
+  const course = typeof json === 'string' ? JSON.parse(json) : json
+
+  if (!course || !Array.isArray(course.elements)) throw new Error('Course must have an elements list')
+  if (course.version > COURSE_VERSION) throw new Error(`Course version ${course.version} is newer than supported version ${COURSE_VERSION}`)
+
+  const isVector = (vector) => vector && ['x', 'y', 'z'].every((axis) => Number.isFinite(vector[axis]))
+  const elements = course.elements.map((element, index) => {
+    if (!COURSE_ELEMENTS[element?.type]) throw new Error(`Element ${index} has unknown type: ${element?.type}`)
+    if (!isVector(element.position)) throw new Error(`Element ${index} needs a numeric position {x, y, z}`)
+
+    return {
+      type: element.type,
+      position: { ...element.position },
+      rotation: isVector(element.rotation) ? { ...element.rotation } : { x: 0, y: 0, z: 0 },
+      ...(element.type === 'checkpoint' && { order: Number.isInteger(element.order) ? element.order : index }),
+    }
+  })
+
+  // Renumber checkpoints 0..n-1, keeping their saved order
+  renumberCheckpoints(elements)
+
+  return {
+    id: typeof course.id === 'string' && course.id ? course.id : `course_${Date.now()}`,
+    name: typeof course.name === 'string' && course.name ? course.name : 'Untitled Course',
+    elements,
+  }
+}
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+/**
+ * New run waiting at the start gate
+ * @param {Array<Object>} elements - Course elements
+ * @returns {Object} Run state
+ */
+export function createRun(elements) {
+  return {
+    status: 'armed',
+    checkpoints: elements.filter((element) => element.type === 'checkpoint').length,
+    next: 0,
+    startTime: null,
+    endTime: null,
+    conesHit: [],
+    rollovers: 0,
+  }
+}
+
+/**
+ * Apply a course event to a run
+ * @param {Object} run - Run state
+ * @param {Object} event - { type: 'start' | 'checkpoint' | 'finish' | 'cone' | 'rollover', order?, id? }
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} Updated run, or the same run if the event does not count
+ */
+export function updateRun(run, event, now) {
+  if (!run) return run
+
+  if (event.type === 'start') {
+    return run.status === 'armed' ? { ...run, status: 'running', startTime: now } : run
+  }
+
+  if (run.status !== 'running') return run
+
+  switch (event.type) {
+    case 'checkpoint':
+      return event.order === run.next ? { ...run, next: run.next + 1 } : run
+    case 'finish':
+      return run.next === run.checkpoints ? { ...run, status: 'finished', endTime: now } : run
+    case 'cone':
+      return run.conesHit.includes(event.id) ? run : { ...run, conesHit: [...run.conesHit, event.id] }
+    case 'rollover':
+      return { ...run, rollovers: run.rollovers + 1 }
+    default:
+      return run
+  }
+}
+
+/**
+ * Run time with penalties
+ * @param {Object} run - Run state
+ * @param {number} now - Time in milliseconds, used until the run finishes
+ * @returns {Object} { elapsed, penalty, total } in seconds
+ */
+export function getRunTime(run, now) {
+  const elapsed = run?.startTime ? ((run.endTime ?? now) - run.startTime) / 1000 : 0
+  const penalty = run ? run.conesHit.length * COURSE_PENALTIES.cone + run.rollovers * COURSE_PENALTIES.rollover : 0
+
+  return { elapsed, penalty, total: elapsed + penalty }
+}
+
+/**
+ * Format a run time for display
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Time as m:ss.s
+ */
+export function formatRunTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+}
+
+// ============================================================================
+// LEADERBOARDS
+// ============================================================================
+
+/**
+ * Leaderboard key for a build
+ * @param {Object} config - Vehicle configuration
+ * @returns {string} Key shared by configs that drive the same
+ */
+export function getBuildKey(config) {
+  // Sort object keys so addons picked in a different order share a key
+  const sortKeys = (value) =>
+    value && typeof value === 'object' && !Array.isArray(value) ? Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])])) : value
+  return JSON.stringify(BUILD_FIELDS.map((field) => sortKeys(config?.[field] ?? null)))
+}
+
+/**
+ * Add a time to a leaderboard, keeping the best LEADERBOARD_SIZE
+ * @param {Array<Object>} entries - Leaderboard entries, fastest first
+ * @param {Object} entry - { total, elapsed, penalty, date, name }
+ * @returns {Array<Object>} Updated entries
+ */
+export function addLeaderboardEntry(entries = [], entry) {
+  return [...entries, entry].sort((a, b) => a.total - b.total).slice(0, LEADERBOARD_SIZE)
+}
+
+export default {
+  getCourseElements,
+  getNextCheckpointOrder,
+  renumberCheckpoints,
+  validateCourse,
+  serializeCourse,
+  parseCourse,
+  createRun,
+  updateRun,
+  getRunTime,
+  formatRunTime,
+  getBuildKey,
+  addLeaderboardEntry,
+  COURSE_VERSION,
+  COURSE_ELEMENTS,
+  COURSE_ELEMENT_TYPES,
+  COURSE_PENALTIES,
+  LEADERBOARD_SIZE,
+}
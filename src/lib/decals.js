@@ -0,0 +1,240 @@
+/**
+ * ============================================================================
+ * DECALS - Saved Decals & Image Store
+ * ============================================================================
+ *
+ * Saved vehicles keep their decals, but not the images inline. Each image is
+ * stored once as a Blob in the 'decalImages' storage store, keyed by a hash of
+ * its data URL, and saved decals point at it with `imageId`. Vehicles sharing
+ * a livery share the images, and images no saved vehicle uses are pruned.
+ *
+ * Images are kept in memory as data URLs once loaded, so decals can be packed
+ * and restored synchronously while storage catches up in the background.
+ *
+ * Share links carry decals with their images inline, since the receiver has
+ * none of the sender's stored images, scaled down to SHARED_DECAL_IMAGE_SIZE.
+ *
+ * @module decals
+ */
+
+import { getStorage } from './storage'
+
+// Uploads are scaled to fit this size (px) before they are stored
+export const MAX_DECAL_IMAGE_SIZE = 1024
+
+// Share links scale images further so the link still fits in a URL
+export const SHARED_DECAL_IMAGE_SIZE = 128
+
+// Placement fields kept with a saved or shared decal
+const DECAL_FIELDS = ['id', 'fileName', 'position', 'rotation', 'scale', 'opacity', 'normal']
+
+// Image data URLs by image ID, and the IDs already written to storage
+const images = new Map()
+const storedImageIds = new Set()
+
+/**
+ * Content ID for an image, so identical images are stored once
+ * @param {string} imageUrl - Image data URL
+ * @returns {string} Image ID
+ */
+export function getDecalImageId(imageUrl) {
+  // FNV-1a, with the length to make collisions between images even less likely
+  let hash = 0x811c9dc5
+  for (let i = 0; i < imageUrl.length; i++) {
+    hash ^= imageUrl.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return `img_${(hash >>> 0).toString(16).padStart(8, '0')}_${imageUrl.length.toString(16)}`
+}
+
+/**
+ * Convert a data URL to a Blob
+ * @param {string} dataUrl - Data URL
+ * @returns {Blob} Blob with the data URL's type
+ */
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',', 2)
+  const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream'
+
+  if (!header.includes(';base64')) return new Blob([decodeURIComponent(data)], { type })
+  return new Blob([Uint8Array.from(atob(data), (char) => char.charCodeAt(0))], { type })
+}
+
+/**
+ * Convert a Blob to a base64 data URL
+ * @param {Blob} blob - Blob
+ * @returns {Promise<string>} Data URL
+ */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  let binary = ''
+  // Chunked so large images stay under the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return `data:${blob.type};base64,${btoa(binary)}`
+}
+
+/**
+ * Load stored decal images into memory
+ * @param {Object} [storage] - Storage backend
+ */
+export async function loadDecalImages(storage = getStorage()) {
+  const stored = await storage.getAll('decalImages')
+
+  await Promise.all(
+    Object.entries(stored).map(async ([imageId, image]) => {
+      images.set(imageId, typeof image === 'string' ? image : await blobToDataUrl(image))
+      storedImageIds.add(imageId)
+    })
+  )
+}
+
+/**
+ * Decal images held in memory
+ * @returns {Object} Image data URLs keyed by image ID
+ */
+export function getDecalImages() {
+  return Object.fromEntries(images)
+}
+
+/**
+ * Write images saved vehicles use and remove the ones they no longer use
+ * @param {Object} savedVehicles - Saved vehicles keyed by ID
+ * @param {Object} [storage] - Storage backend
+ */
+export async function syncDecalImages(savedVehicles, storage = getStorage()) {
+  const used = new Set(
+    Object.entries(savedVehicles)
+      .filter(([id]) => id !== 'current')
+      .flatMap(([, vehicle]) => vehicle?.decals || [])
+      .map((decal) => decal.imageId)
+  )
+  const added = [...used].filter((imageId) => images.has(imageId) && !storedImageIds.has(imageId))
+  const unused = [...images.keys()].filter((imageId) => !used.has(imageId))
+
+  unused.forEach((imageId) => images.delete(imageId))
+  await Promise.all([
+    ...added.map(async (imageId) => {
+      await storage.put('decalImages', imageId, dataUrlToBlob(images.get(imageId)))
+      storedImageIds.add(imageId)
+    }),
+    ...unused
+      .filter((imageId) => storedImageIds.has(imageId))
+      .map(async (imageId) => {
+        await storage.delete('decalImages', imageId)
+        storedImageIds.delete(imageId)
+      }),
+  ])
+}
+
+/**
+ * Decal placement without its image
+ * @param {Object} decal - Decal
+ * @returns {Object} Placement fields
+ */
+function getPlacement(decal) {
+  return Object.fromEntries(DECAL_FIELDS.filter((field) => decal[field] !== undefined).map((field) => [field, decal[field]]))
+}
+
+/**
+ * Keep decal images in memory and return decals that reference them
+ * @param {Array} decals - Decals with `imageUrl`
+ * @returns {Array} Saved decals with `imageId`, see syncDecalImages to store the images
+ */
+export function packDecals(decals = []) {
+  return decals.map((decal) => {
+    const imageId = getDecalImageId(decal.imageUrl)
+    images.set(imageId, decal.imageUrl)
+    return { ...getPlacement(decal), imageId }
+  })
+}
+
+/**
+ * Restore saved decals with their images, dropping any whose image is missing
+ * @param {Array} decals - Saved decals with `imageId`
+ * @returns {Array} Decals with `imageUrl`
+ */
+export function unpackDecals(decals = []) {
+  return decals
+    .map(({ imageId, ...decal }) => ({ ...decal, imageUrl: decal.imageUrl || images.get(imageId) }))
+    .filter((decal) => {
+      if (!decal.imageUrl) console.warn(`Decal image missing: ${decal.id}`)
+      return Boolean(decal.imageUrl)
+    })
+}
+
+/**
+ * Scale a raster image down to WebP. Needs a browser, elsewhere the image is kept as is
+ * @param {string} imageUrl - Image data URL
+ * @param {Object} [options] - Scaling options
+ * @param {number} [options.maxSize] - Longest side in pixels
+ * @param {boolean} [options.rasterizeSvg=false] - Scale SVGs too instead of keeping them as is
+ * @returns {Promise<string>} Image data URL, the original when already small enough
+ */
+export function shrinkDecalImage(imageUrl, { maxSize = MAX_DECAL_IMAGE_SIZE, rasterizeSvg = false } = {}) {
+  return new Promise((resolve) => {
+    if (typeof Image === 'undefined' || (!rasterizeSvg && imageUrl.startsWith('data:image/svg+xml'))) return resolve(imageUrl)
+
+    const image = new Image()
+    image.onload = () => {
+      const ratio = maxSize / Math.max(image.width, image.height)
+      if (!Number.isFinite(ratio) || ratio >= 1) return resolve(imageUrl)
+
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(image.width * ratio)
+      canvas.height = Math.round(image.height * ratio)
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/webp', 0.9))
+    }
+    image.onerror = () => resolve(imageUrl)
+    image.src = imageUrl
+  })
+}
+
+/**
+ * Scale decal images down for a share link, run before the link is generated
+ * @param {Array} decals - Decals with `imageUrl`
+ * @returns {Promise<Array>} Decals with images no larger than SHARED_DECAL_IMAGE_SIZE
+ */
+export function shrinkSharedDecals(decals = []) {
+  return Promise.all(decals.map(async (decal) => ({ ...decal, imageUrl: await shrinkDecalImage(decal.imageUrl, { maxSize: SHARED_DECAL_IMAGE_SIZE, rasterizeSvg: true }) })))
+}
+
+/**
+ * Decals for a share link, images inline
+ * @param {Array} decals - Decals with `imageUrl`
+ * @returns {Array} Shareable decals
+ */
+export function serializeSharedDecals(decals = []) {
+  return decals.map((decal) => ({ ...getPlacement(decal), imageUrl: decal.imageUrl }))
+}
+
+/**
+ * Read decals from a share link, skipping entries without an image
+ * @param {string|Array} json - Shared decals
+ * @returns {Array} Decals with `imageUrl`
+ */
+export function parseSharedDecals(json) {
+  const decals = typeof json === 'string' ? JSON.parse(json) : json
+  if (!Array.isArray(decals)) throw new Error('Shared decals must be a list')
+
+  return decals
+    .filter((decal) => decal && typeof decal.imageUrl === 'string' && decal.imageUrl.startsWith('data:image/'))
+    .map((decal, index) => ({ ...getPlacement(decal), id: decal.id || `decal_${Date.now()}_${index}`, imageUrl: decal.imageUrl }))
+}
+
+export default {
+  getDecalImageId,
+  dataUrlToBlob,
+  blobToDataUrl,
+  loadDecalImages,
+  getDecalImages,
+  syncDecalImages,
+  packDecals,
+  unpackDecals,
+  shrinkDecalImage,
+  serializeSharedDecals,
+  parseSharedDecals,
+  MAX_DECAL_IMAGE_SIZE,
+  shrinkSharedDecals,
+  SHARED_DECAL_IMAGE_SIZE,
+}
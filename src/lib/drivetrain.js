@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * DRIVETRAIN - Drive Modes & Differentials
+ * ============================================================================
+ *
+ * Splits engine force between wheels for the selected drive mode and
+ * differential locks. Wheels are ordered FL, FR, RL, RR to match Vehicle.jsx.
+ *
+ * Traction per wheel (0-1) comes from ground contact, load and slip:
+ * - Open differentials send equal force to both sides, limited by the wheel
+ *   with the least traction.
+ * - Locked differentials send force to whichever wheels have traction.
+ * - Part-time 4WD locks front and rear together; AWD uses an open center
+ *   differential with a fixed front/rear split.
+ *
+ * @module drivetrain
+ */
+
+export const DRIVE_MODES = {
+  RWD: 'rwd',
+  FOUR_HIGH: '4h',
+  AWD: 'awd',
+  FOUR_LOW: '4l',
+}
+
+export const DRIVE_MODE_LABELS = {
+  rwd: 'RWD',
+  '4h': '4WD High',
+  awd: 'AWD',
+  '4l': '4WD Low',
+}
+
+// Order used when cycling modes from keyboard/gamepad
+export const DRIVE_MODE_ORDER = ['rwd', '4h', 'awd', '4l']
+
+// Share of force sent to the front axle by the AWD center differential
+export const AWD_FRONT_SPLIT = 0.4
+
+// Transfer case low range reduction
+export const LOW_RANGE_RATIO = 2.72
+
+// Traction lost by a wheel spinning at its friction limit
+const SLIP_TRACTION_LOSS = 0.5
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value))
+
+/**
+ * Estimate how much drive force a wheel can put down
+ * @param {Object} wheel - Wheel state from the vehicle controller
+ * @param {boolean} wheel.inContact - Whether the wheel touches the ground
+ * @param {number} wheel.suspensionForce - Current suspension force
+ * @param {number} wheel.averageForce - Average suspension force over all wheels
+ * @param {number} wheel.forwardImpulse - Forward friction impulse applied last step
+ * @param {number} wheel.maxImpulse - Forward impulse at the friction limit
+ * @returns {number} Traction from 0 (none) to 1 (full)
+ */
+export function getWheelTraction({ inContact, suspensionForce = 0, averageForce = 0, forwardImpulse = 0, maxImpulse = 0 }) {
+  if (!inContact) return 0
+
+  const load = averageForce > 0 ? clamp01(suspensionForce / averageForce) : 1
+  const slip = maxImpulse > 0 ? clamp01(Math.abs(forwardImpulse) / maxImpulse) : 0
+
+  return load * (1 - SLIP_TRACTION_LOSS * slip)
+}
+
+/**
+ * Force an axle can transmit through its differential
+ * @param {number} left - Left wheel traction
+ * @param {number} right - Right wheel traction
+ * @param {boolean} locked - Whether the differential is locked
+ * @returns {number} Axle traction (0-1)
+ */
+function getAxleTraction(left, right, locked) {
+  return locked ? Math.min(1, left + right) : Math.min(left, right)
+}
+
+/**
+ * Split axle force between its wheels
+ * @param {number} force - Axle force
+ * @param {number} left - Left wheel traction
+ * @param {number} right - Right wheel traction
+ * @param {boolean} locked - Whether the differential is locked
+ * @returns {Array} [left, right] wheel forces
+ */
+function splitAxleForce(force, left, right, locked) {
+  if (!locked) return [force / 2, force / 2]
+
+  const total = left + right
+  return total > 0 ? [(force * left) / total, (force * right) / total] : [0, 0]
+}
+
+/**
+ * Split total drive force between the four wheels
+ * @param {number} force - Total engine force at the wheels
+ * @param {Object} drivetrain - Drivetrain setup
+ * @param {string} [drivetrain.mode='rwd'] - Drive mode (rwd, 4h, awd, 4l)
+ * @param {boolean} [drivetrain.frontLocked=false] - Front differential locked
+ * @param {boolean} [drivetrain.rearLocked=false] - Rear differential locked
+ * @param {Array} [traction] - Traction per wheel (FL, FR, RL, RR), defaults to full grip
+ * @returns {Array} Force per wheel (FL, FR, RL, RR)
+ */
+export function splitDriveForce(force, { mode = DRIVE_MODES.RWD, frontLocked = false, rearLocked = false } = {}, traction = [1, 1, 1, 1]) {
+  const [fl, fr, rl, rr] = traction
+  const front = getAxleTraction(fl, fr, frontLocked)
+  const rear = getAxleTraction(rl, rr, rearLocked)
+
+  let frontForce = 0
+  let rearForce = 0
+
+  switch (mode) {
+    case DRIVE_MODES.FOUR_HIGH:
+    case DRIVE_MODES.FOUR_LOW: {
+      // Locked transfer case: force goes to the axle that can use it
+      const total = Math.max(front + rear, 1)
+      const ratio = mode === DRIVE_MODES.FOUR_LOW ? LOW_RANGE_RATIO : 1
+      frontForce = (force * ratio * front) / total
+      rearForce = (force * ratio * rear) / total
+      break
+    }
+    case DRIVE_MODES.AWD: {
+      // Open center differential: the weaker axle limits both
+      const limit = Math.min(front, rear)
+      frontForce = force * AWD_FRONT_SPLIT * limit
+      rearForce = force * (1 - AWD_FRONT_SPLIT) * limit
+      break
+    }
+    default:
+      rearForce = force * rear
+  }
+
+  return [...splitAxleForce(frontForce, fl, fr, frontLocked), ...splitAxleForce(rearForce, rl, rr, rearLocked)]
+}
+
+/**
+ * Next drive mode in DRIVE_MODE_ORDER
+ * @param {string} mode - Current drive mode
+ * @returns {string} Next drive mode
+ */
+export function getNextDriveMode(mode) {
+  const index = DRIVE_MODE_ORDER.indexOf(mode)
+  return DRIVE_MODE_ORDER[(index + 1) % DRIVE_MODE_ORDER.length]
+}
+
+export default {
+  splitDriveForce,
+  getWheelTraction,
+  getNextDriveMode,
+  DRIVE_MODES,
+  DRIVE_MODE_LABELS,
+  DRIVE_MODE_ORDER,
+  AWD_FRONT_SPLIT,
+  LOW_RANGE_RATIO,
+}
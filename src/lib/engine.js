@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * ENGINE - Torque Curve & Gearbox
+ * ============================================================================
+ *
+ * Turns throttle, gear and wheel speed into engine RPM and wheel force using
+ * the per-body `engine` catalog data:
+ *
+ *   engine: {
+ *     name: '4.0L V6',
+ *     idle_rpm: 800,
+ *     redline: 6000,
+ *     torque_curve: { 1000: 280, 4400: 377, 6000: 310 }, // rpm: torque (Nm)
+ *     gears: [3.52, 2.04, 1.4, 1.0, 0.72],              // forward gear ratios
+ *     final_drive: 3.73,
+ *   }
+ *
+ * Wheel force depends on the tire radius, so bigger tires lower the effective
+ * gearing. Gears are numbered from 1.
+ *
+ * @module engine
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+import { getAxleHeight } from './vehicle-metrics'
+
+export const TRANSMISSIONS = ['auto', 'manual']
+
+// Used by bodies without engine data
+export const DEFAULT_ENGINE = {
+  name: 'Generic V6',
+  idle_rpm: 800,
+  redline: 6000,
+  torque_curve: { 1000: 280, 2000: 340, 4000: 370, 6000: 300 },
+  gears: [3.5, 2.0, 1.4, 1.0, 0.75],
+  final_drive: 3.73,
+}
+
+// Share of engine torque reaching the wheels
+export const DRIVELINE_EFFICIENCY = 0.85
+
+// Automatic shift points as a share of redline
+const UPSHIFT_RPM = 0.9
+const DOWNSHIFT_RPM = 0.4
+
+const RPM_PER_RAD_S = 60 / (2 * Math.PI)
+
+/**
+ * Engine data for a body
+ * @param {string} body - Vehicle body ID
+ * @returns {Object} Engine specification
+ */
+export function getEngineSpec(body) {
+  return vehicleConfigs.vehicles[body]?.engine || DEFAULT_ENGINE
+}
+
+/**
+ * Overall ratio from engine to wheels
+ * @param {Object} engine - Engine specification
+ * @param {number} gear - Gear (1-based)
+ * @param {number} [rangeRatio=1] - Transfer case ratio
+ * @returns {number} Ratio
+ */
+export function getGearRatio(engine, gear, rangeRatio = 1) {
+  const ratio = engine.gears[Math.min(Math.max(gear, 1), engine.gears.length) - 1]
+  return ratio * engine.final_drive * rangeRatio
+}
+
+/**
+ * Engine torque at an RPM, interpolated from the torque curve
+ * Torque is cut at redline (rev limiter).
+ * @param {Object} engine - Engine specification
+ * @param {number} rpm - Engine RPM
+ * @returns {number} Torque in Nm
+ */
+export function getEngineTorque(engine, rpm) {
+  if (rpm >= engine.redline) return 0
+
+  const points = Object.entries(engine.torque_curve)
+    .map(([pointRpm, torque]) => [parseFloat(pointRpm), torque])
+    .sort((a, b) => a[0] - b[0])
+
+  if (rpm <= points[0][0]) return points[0][1]
+
+  for (let i = 1; i < points.length; i++) {
+    const [rpmA, torqueA] = points[i - 1]
+    const [rpmB, torqueB] = points[i]
+
+    if (rpm <= rpmB) {
+      return torqueA + ((torqueB - torqueA) * (rpm - rpmA)) / (rpmB - rpmA)
+    }
+  }
+
+  return points[points.length - 1][1]
+}
+
+/**
+ * Engine RPM for a road speed
+ * @param {Object} engine - Engine specification
+ * @param {number} speed - Vehicle speed in m/s
+ * @param {number} gear - Gear (1-based)
+ * @param {number} tireDiameter - Tire diameter in inches
+ * @param {number} [rangeRatio=1] - Transfer case ratio
+ * @returns {number} Engine RPM, never below idle
+ */
+export function getEngineRpm(engine, speed, gear, tireDiameter, rangeRatio = 1) {
+  const wheelSpeed = Math.abs(speed) / getAxleHeight(tireDiameter)
+  return Math.max(engine.idle_rpm, wheelSpeed * getGearRatio(engine, gear, rangeRatio) * RPM_PER_RAD_S)
+}
+
+/**
+ * Drive force at the wheels
+ * @param {Object} engine - Engine specification
+ * @param {number} rpm - Engine RPM
+ * @param {number} gear - Gear (1-based)
+ * @param {number} tireDiameter - Tire diameter in inches
+ * @returns {number} Total wheel force in Newtons at full throttle
+ */
+export function getWheelForce(engine, rpm, gear, tireDiameter) {
+  return (getEngineTorque(engine, rpm) * getGearRatio(engine, gear) * DRIVELINE_EFFICIENCY) / getAxleHeight(tireDiameter)
+}
+
+/**
+ * Gear an automatic transmission selects
+ * @param {Object} engine - Engine specification
+ * @param {number} gear - Current gear (1-based)
+ * @param {number} rpm - Current engine RPM
+ * @returns {number} Gear to use
+ */
+export function getAutoShiftGear(engine, gear, rpm) {
+  if (rpm >= engine.redline * UPSHIFT_RPM && gear < engine.gears.length) {
+    return gear + 1
+  }
+
+  if (rpm <= engine.redline * DOWNSHIFT_RPM && gear > 1) {
+    // Only drop a gear if it would not land above the upshift point
+    const lowerRpm = (rpm * engine.gears[gear - 2]) / engine.gears[gear - 1]
+    if (lowerRpm < engine.redline * UPSHIFT_RPM) return gear - 1
+  }
+
+  return gear
+}
+
+export default {
+  getEngineSpec,
+  getGearRatio,
+  getEngineTorque,
+  getEngineRpm,
+  getWheelForce,
+  getAutoShiftGear,
+  TRANSMISSIONS,
+  DEFAULT_ENGINE,
+  DRIVELINE_EFFICIENCY,
+}
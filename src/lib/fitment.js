@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * FITMENT ENGINE - Tire, Rim & Lift Clearance Checks
+ * ============================================================================
+ *
+ * Estimates whether a wheel and tire package clears a body at a given lift,
+ * using the per-body `fitment` metadata from the vehicle catalog:
+ *
+ *   fitment: {
+ *     max_tire: { [liftInches]: tireDiameterInches },  // largest untrimmed tire per lift
+ *     wheel_well: { width, trim },                      // max tire section width, diameter gained by trimming
+ *     backspacing: { min, max },                        // usable wheel backspacing range (inches)
+ *   }
+ *
+ * All results are approximations intended for build planning.
+ *
+ * @module fitment
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+
+const METERS_PER_INCH = 0.0254
+
+// Typical all-terrain section width relative to overall diameter (e.g. 35x12.5)
+const TIRE_ASPECT = 0.36
+
+// Added to rim width for bead flanges when estimating backspacing
+const RIM_FLANGE_WIDTH = 1
+
+// Lift increments used when rounding required lift
+const LIFT_STEP = 0.5
+
+/**
+ * Sorted [lift, maxTire] points from a max_tire table
+ * @param {Object} maxTire - Max tire table keyed by lift
+ * @returns {Array} Points sorted by lift
+ */
+function maxTirePoints(maxTire) {
+  return Object.entries(maxTire)
+    .map(([lift, tire]) => [parseFloat(lift), tire])
+    .sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * Largest untrimmed tire that clears at a lift height
+ * Interpolates between table points, loses an inch per inch below the lowest
+ * point and gains nothing above the highest point.
+ * @param {Object} maxTire - Max tire table keyed by lift
+ * @param {number} lift - Lift in inches
+ * @returns {number} Tire diameter in inches
+ */
+export function getMaxTireForLift(maxTire, lift) {
+  const points = maxTirePoints(maxTire)
+  const [firstLift, firstTire] = points[0]
+
+  if (lift <= firstLift) {
+    return firstTire - (firstLift - lift)
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const [lift0, tire0] = points[i - 1]
+    const [lift1, tire1] = points[i]
+
+    if (lift <= lift1) {
+      return tire0 + ((lift - lift0) / (lift1 - lift0)) * (tire1 - tire0)
+    }
+  }
+
+  return points[points.length - 1][1]
+}
+
+/**
+ * Smallest lift at which a tire clears, rounded up to LIFT_STEP
+ * @param {Object} maxTire - Max tire table keyed by lift
+ * @param {number} tireDiameter - Tire diameter in inches
+ * @returns {number|null} Lift in inches, or null when no listed lift clears it
+ */
+export function getRequiredLift(maxTire, tireDiameter) {
+  const points = maxTirePoints(maxTire)
+  const [firstLift, firstTire] = points[0]
+
+  if (tireDiameter <= firstTire) {
+    return Math.max(Math.ceil((firstLift - (firstTire - tireDiameter)) / LIFT_STEP) * LIFT_STEP, -2)
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const [lift0, tire0] = points[i - 1]
+    const [lift1, tire1] = points[i]
+
+    if (tireDiameter <= tire1 && tire1 > tire0) {
+      const lift = lift0 + ((tireDiameter - tire0) / (tire1 - tire0)) * (lift1 - lift0)
+      return Math.ceil(lift / LIFT_STEP - 1e-9) * LIFT_STEP
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check tire, rim and lift fitment for a vehicle body
+ * @param {Object} params - Build to check (VehicleConfiguration fields)
+ * @param {string} params.body - Vehicle body ID
+ * @param {number} params.lift - Lift in inches
+ * @param {number} params.wheel_offset - Extra wheel offset outward, in meters
+ * @param {number} params.rim_width - Rim width in inches
+ * @param {number} params.tire_diameter - Tire diameter in inches
+ * @returns {Object} Fitment report
+ */
+export function checkFitment({ body, lift = 0, wheel_offset = 0, rim_width, tire_diameter }) {
+  const fitment = vehicleConfigs.vehicles[body]?.fitment
+  const liftValue = parseFloat(lift) || 0
+  const tireDiameter = parseFloat(tire_diameter)
+  const rimWidth = parseFloat(rim_width)
+  const offsetInches = (parseFloat(wheel_offset) || 0) / METERS_PER_INCH
+
+  if (!fitment) {
+    return {
+      supported: false,
+      fits: true,
+      rubbing: [],
+      trimming: 'none',
+      requiredLift: null,
+      requiredLiftTrimmed: null,
+      recommendations: [`No fitment data for ${body}`],
+    }
+  }
+
+  const { max_tire, wheel_well, backspacing } = fitment
+  const rubbing = []
+  const recommendations = []
+
+  // Vertical clearance: tire vs fender and body mounts at full compression
+  const maxTire = getMaxTireForLift(max_tire, liftValue)
+  const verticalClearance = (maxTire - tireDiameter) / 2
+  const oversize = tireDiameter - maxTire
+
+  if (oversize > 0) {
+    rubbing.push({
+      area: 'fender',
+      severity: oversize <= wheel_well.trim ? 'minor' : 'major',
+      message: `${tireDiameter}" tires exceed the ${Math.floor(maxTire * 10) / 10}" limit at ${liftValue}" of lift`,
+    })
+  }
+
+  // Lateral clearance: backspacing and tire width vs the wheel well
+  const wheelBackspacing = (rimWidth + RIM_FLANGE_WIDTH) / 2 - offsetInches
+  const tireWidth = Math.max(rimWidth + 2, tireDiameter * TIRE_ASPECT)
+
+  if (wheelBackspacing > backspacing.max) {
+    rubbing.push({
+      area: 'suspension',
+      severity: wheelBackspacing - backspacing.max > 0.5 ? 'major' : 'minor',
+      message: `${wheelBackspacing.toFixed(2)}" backspacing rubs control arms or frame at full lock (max ${backspacing.max}")`,
+    })
+    recommendations.push('Add wheel offset or spacers to move the tire outboard')
+  } else if (wheelBackspacing < backspacing.min) {
+    rubbing.push({
+      area: 'fender',
+      severity: 'minor',
+      message: `${wheelBackspacing.toFixed(2)}" backspacing pokes the tire past the fender lip (min ${backspacing.min}")`,
+    })
+    recommendations.push('Reduce wheel offset or add fender flares')
+  }
+
+  if (tireWidth > wheel_well.width) {
+    rubbing.push({
+      area: 'inner fender',
+      severity: tireWidth - wheel_well.width > 1 ? 'major' : 'minor',
+      message: `~${tireWidth.toFixed(1)}" wide tires exceed the ${wheel_well.width}" wheel well at full lock`,
+    })
+  }
+
+  const requiredLift = getRequiredLift(max_tire, tireDiameter)
+  const requiredLiftTrimmed = getRequiredLift(max_tire, tireDiameter - wheel_well.trim)
+
+  // Trimming only helps fender and wheel well contact, not suspension rub
+  let trimming = 'none'
+  if (oversize > wheel_well.trim / 2) {
+    trimming = 'major'
+  } else if (oversize > 0 || tireWidth > wheel_well.width) {
+    trimming = 'minor'
+  }
+
+  if (oversize > 0) {
+    if (requiredLift === null) {
+      recommendations.push(`${tireDiameter}" tires do not fit at any supported lift`)
+    } else {
+      recommendations.push(`Lift to ${requiredLift}" to clear ${tireDiameter}" tires without trimming`)
+    }
+
+    if (requiredLiftTrimmed !== null && requiredLiftTrimmed <= liftValue) {
+      recommendations.push('Trim the fenders and pinch welds to clear at the current lift')
+    } else if (requiredLiftTrimmed !== null && requiredLiftTrimmed !== requiredLift) {
+      recommendations.push(`Or lift to ${requiredLiftTrimmed}" and trim the fenders`)
+    }
+  }
+
+  return {
+    supported: true,
+    fits: rubbing.length === 0,
+    rubbing,
+    trimming,
+    requiredLift,
+    requiredLiftTrimmed,
+    maxTire: Math.floor(maxTire * 10) / 10,
+    clearance: {
+      vertical: verticalClearance,
+      backspacing: wheelBackspacing,
+      tireWidth,
+    },
+    recommendations,
+  }
+}
+
+export default {
+  checkFitment,
+  getMaxTireForLift,
+  getRequiredLift,
+}
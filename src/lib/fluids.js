@@ -0,0 +1,102 @@
+/**
+ * ============================================================================
+ * FLUIDS - Water & Mud Volumes
+ * ============================================================================
+ *
+ * Fluid volumes are boxes with a flat surface. Terrain tiles scatter them from
+ * their preset and placed objects of type `water` or `mud` add them by hand:
+ *
+ *   { id, type: 'water', x, z, surface: 1.2, size: { x: 8, z: 12 }, depth: 0.8, yaw: 0 }
+ *
+ * Mounted volumes register here so the vehicle physics can find them without
+ * walking the scene. Per fluid:
+ * - buoyancy: upward force per meter of immersion, as a share of the load
+ * - drag: velocity damping per second at full immersion
+ * - grip: wheel grip multiplier while the tire is in the fluid
+ *
+ * @module fluids
+ */
+
+export const FLUIDS = {
+  water: { name: 'Water', buoyancy: 0.6, drag: 1.2, grip: 0.8, color: '#3d7ea6', opacity: 0.6 },
+  mud: { name: 'Mud', buoyancy: 0.3, drag: 3.5, grip: 0.45, color: '#5a4632', opacity: 0.95 },
+}
+
+export const FLUID_TYPES = Object.keys(FLUIDS)
+
+// Mounted volumes by ID
+const volumes = new Map()
+
+/**
+ * Register a mounted volume
+ * @param {Object} volume - Fluid volume
+ */
+export function registerFluidVolume(volume) {
+  volumes.set(volume.id, volume)
+}
+
+/**
+ * Remove a volume when it unmounts
+ * @param {string} id - Volume ID
+ */
+export function unregisterFluidVolume(id) {
+  volumes.delete(id)
+}
+
+/**
+ * All mounted volumes
+ * @returns {Array<Object>} Fluid volumes
+ */
+export function getFluidVolumes() {
+  return [...volumes.values()]
+}
+
+/**
+ * Whether a point lies within a volume's footprint
+ * @param {Object} volume - Fluid volume
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {boolean} Inside the footprint
+ */
+function isOverVolume({ x: centerX, z: centerZ, size, yaw = 0 }, x, z) {
+  const dx = x - centerX
+  const dz = z - centerZ
+  const localX = dx * Math.cos(yaw) - dz * Math.sin(yaw)
+  const localZ = dx * Math.sin(yaw) + dz * Math.cos(yaw)
+
+  return Math.abs(localX) <= size.x / 2 && Math.abs(localZ) <= size.z / 2
+}
+
+/**
+ * How deep a point sits in fluid
+ * @param {Array<Object>} fluidVolumes - Volumes to test
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {number} z - World Z
+ * @returns {Object|null} { type, depth, surface } of the deepest volume, or null
+ */
+export function getImmersion(fluidVolumes, x, y, z) {
+  let immersion = null
+
+  for (const volume of fluidVolumes) {
+    if (!isOverVolume(volume, x, z)) continue
+
+    const depth = volume.surface - y
+    if (depth <= 0 || depth > volume.depth) continue
+
+    if (!immersion || depth > immersion.depth) {
+      immersion = { type: volume.type, depth, surface: volume.surface }
+    }
+  }
+
+  return immersion
+}
+
+export default {
+  registerFluidVolume,
+  unregisterFluidVolume,
+  getFluidVolumes,
+  getImmersion,
+  FLUIDS,
+  FLUID_TYPES,
+}
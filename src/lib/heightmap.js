@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ * HEIGHTMAP - Imported Terrain Elevation
+ * ============================================================================
+ *
+ * Real trails can replace the noise terrain with an imported elevation grid:
+ * - Grayscale images, read into pixel data by the browser
+ * - ASCII grids, either Esri style (ncols/nrows/cellsize header) or plain rows
+ * - JSON, as rows of numbers or { width, height, data }
+ *
+ * Grids are normalized to 0-1 and centered on the origin. `metersPerPixel` sets
+ * the horizontal spacing between samples and `verticalScale` the height range.
+ * TerrainManager samples the grid per tile, so it tiles like the noise terrain.
+ *
+ * @module heightmap
+ */
+
+// localStorage key older versions kept the heightmap under, it now lives in the 'settings' store
+export const HEIGHTMAP_STORAGE_KEY = 'terrainHeightmap'
+
+// Larger grids are resampled to keep storage and tile generation cheap
+export const MAX_HEIGHTMAP_SIZE = 256
+
+export const HEIGHTMAP_SCALE_RANGES = {
+  metersPerPixel: { MIN: 0.1, MAX: 10 },
+  verticalScale: { MIN: 0, MAX: 100 },
+}
+
+export const DEFAULT_HEIGHTMAP_SCALE = {
+  metersPerPixel: 1,
+  verticalScale: 10,
+}
+
+const ESRI_HEADER_KEYS = ['ncols', 'nrows', 'xllcorner', 'yllcorner', 'xllcenter', 'yllcenter', 'cellsize', 'nodata_value']
+
+/**
+ * Scale values to 0-1, treating missing values as the lowest point
+ * @param {Array<number|null>} values - Raw elevations
+ * @returns {number[]} Normalized elevations
+ */
+function normalize(values) {
+  const valid = values.filter(Number.isFinite)
+  if (valid.length === 0) throw new Error('Heightmap has no elevation values')
+
+  const min = Math.min(...valid)
+  const range = Math.max(...valid) - min
+
+  return values.map((value) => (Number.isFinite(value) && range > 0 ? Math.round(((value - min) / range) * 1000) / 1000 : 0))
+}
+
+/**
+ * Build a grid from rows of numbers
+ * @param {Array<Array<number>>} rows - Elevation rows
+ * @param {number|null} noData - Value marking missing cells
+ * @returns {Object} { width, height, data }
+ */
+function gridFromRows(rows, noData = null) {
+  const width = rows[0]?.length
+  if (!width || rows.length < 2 || width < 2) throw new Error('Heightmap must be at least 2x2')
+  if (rows.some((row) => row.length !== width)) throw new Error('Heightmap rows must all have the same length')
+
+  const data = rows.flat().map((value) => (value === noData ? null : Number(value)))
+  if (data.some((value) => value !== null && !Number.isFinite(value))) throw new Error('Heightmap contains non-numeric values')
+
+  return { width, height: rows.length, data }
+}
+
+/**
+ * Parse an ASCII grid, with or without an Esri header
+ * @param {string} text - Grid text
+ * @returns {Object} { width, height, data }
+ */
+function parseAsciiGrid(text) {
+  const header = {}
+  const rows = []
+
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const [key, value] = line.split(/\s+/)
+      if (ESRI_HEADER_KEYS.includes(key.toLowerCase())) {
+        header[key.toLowerCase()] = Number(value)
+      } else {
+        rows.push(line.split(/[\s,]+/).map(Number))
+      }
+    })
+
+  const grid = gridFromRows(rows, header.nodata_value ?? null)
+  if ((header.ncols && header.ncols !== grid.width) || (header.nrows && header.nrows !== grid.height)) {
+    throw new Error(`Heightmap header says ${header.ncols}x${header.nrows} but the grid is ${grid.width}x${grid.height}`)
+  }
+
+  return grid
+}
+
+/**
+ * Parse elevation data from text or an object
+ * @param {string|Array|Object} source - ASCII/JSON text, rows of numbers, or { width, height, data }
+ * @returns {Object} Raw grid { width, height, data }
+ */
+export function parseElevationGrid(source) {
+  if (typeof source === 'string') {
+    const text = source.trim()
+    return text.startsWith('[') || text.startsWith('{') ? parseElevationGrid(JSON.parse(text)) : parseAsciiGrid(text)
+  }
+
+  if (Array.isArray(source)) return gridFromRows(source)
+
+  if (source && Array.isArray(source.data)) {
+    const { width, height, data } = source
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) throw new Error('Heightmap must be at least 2x2')
+    if (data.length !== width * height) throw new Error(`Heightmap data has ${data.length} values, expected ${width * height}`)
+    return gridFromRows(Array.from({ length: height }, (_, row) => data.slice(row * width, (row + 1) * width)))
+  }
+
+  throw new Error('Heightmap must be an ASCII grid, JSON rows or { width, height, data }')
+}
+
+/**
+ * Grayscale values from RGBA pixel data
+ * @param {Object} imageData - { width, height, data } as returned by canvas getImageData
+ * @returns {Object} Raw grid { width, height, data }
+ */
+export function imageDataToGrid({ width, height, data }) {
+  const values = []
+  for (let i = 0; i < width * height; i++) {
+    values.push(0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2])
+  }
+  return { width, height, data: values }
+}
+
+/**
+ * Resample a grid so neither side exceeds MAX_HEIGHTMAP_SIZE
+ * @param {Object} grid - { width, height, data }
+ * @returns {Object} Grid and the factor its spacing grew by
+ */
+function limitGridSize(grid) {
+  const factor = Math.max(grid.width, grid.height) / MAX_HEIGHTMAP_SIZE
+  if (factor <= 1) return { grid, factor: 1 }
+
+  const width = Math.max(2, Math.round(grid.width / factor))
+  const height = Math.max(2, Math.round(grid.height / factor))
+  const data = []
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const sourceRow = Math.round((row / (height - 1)) * (grid.height - 1))
+      const sourceCol = Math.round((col / (width - 1)) * (grid.width - 1))
+      data.push(grid.data[sourceRow * grid.width + sourceCol])
+    }
+  }
+
+  return { grid: { width, height, data }, factor: (grid.width - 1) / (width - 1) }
+}
+
+/**
+ * Validate heightmap scale settings
+ * @param {Object} scale - { metersPerPixel, verticalScale }
+ * @returns {string[]} Error messages, empty if valid
+ */
+export function validateHeightmapScale(scale = {}) {
+  return Object.entries(HEIGHTMAP_SCALE_RANGES)
+    .filter(([key]) => scale[key] !== undefined)
+    .filter(([key, { MIN, MAX }]) => typeof scale[key] !== 'number' || scale[key] < MIN || scale[key] > MAX)
+    .map(([key, { MIN, MAX }]) => `Invalid ${key}: ${scale[key]}. Must be between ${MIN} and ${MAX}`)
+}
+
+/**
+ * Build a terrain heightmap from parsed elevation data
+ * @param {Object} grid - Raw grid { width, height, data }
+ * @param {Object} [options] - { name, metersPerPixel, verticalScale }
+ * @returns {Object} Heightmap ready for the store
+ */
+export function createHeightmap(grid, { name = 'Heightmap', ...scale } = {}) {
+  const settings = { ...DEFAULT_HEIGHTMAP_SCALE, ...scale }
+  const errors = validateHeightmapScale(settings)
+  if (errors.length > 0) throw new Error(errors.join('; '))
+
+  // Keep the imported map the same size on the ground after resampling
+  const { grid: limited, factor } = limitGridSize(grid)
+
+  return {
+    id: `heightmap_${Date.now()}`,
+    name,
+    width: limited.width,
+    height: limited.height,
+    data: normalize(limited.data),
+    metersPerPixel: Math.round(settings.metersPerPixel * factor * 1000) / 1000,
+    verticalScale: settings.verticalScale,
+  }
+}
+
+/**
+ * Normalized height at a world position, clamped to the map edges
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Height from 0 to 1
+ */
+export function sampleHeightmap({ width, height, data, metersPerPixel }, x, z) {
+  const col = Math.min(Math.max(x / metersPerPixel + (width - 1) / 2, 0), width - 1)
+  const row = Math.min(Math.max(z / metersPerPixel + (height - 1) / 2, 0), height - 1)
+  const col0 = Math.min(Math.floor(col), width - 2)
+  const row0 = Math.min(Math.floor(row), height - 2)
+  const tx = col - col0
+  const tz = row - row0
+  const at = (c, r) => data[r * width + c]
+
+  const top = at(col0, row0) * (1 - tx) + at(col0 + 1, row0) * tx
+  const bottom = at(col0, row0 + 1) * (1 - tx) + at(col0 + 1, row0 + 1) * tx
+  return top * (1 - tz) + bottom * tz
+}
+
+/**
+ * Stored heightmap, moving one left in localStorage by older versions into storage
+ * @param {Object} storage - Storage backend (see storage)
+ * @returns {Promise<Object|null>} Heightmap
+ */
+export async function loadStoredHeightmap(storage) {
+  const stored = await storage.get('settings', 'heightmap')
+  if (stored !== undefined) return stored
+
+  let legacy = null
+  try {
+    legacy = JSON.parse(localStorage.getItem(HEIGHTMAP_STORAGE_KEY))
+  } catch (error) {
+    console.warn('Stored heightmap could not be loaded:', error)
+  }
+
+  // Only drop the old copy once the new one is written
+  await storage.put('settings', 'heightmap', legacy)
+  localStorage.removeItem(HEIGHTMAP_STORAGE_KEY)
+  return legacy
+}
+
+export default {
+  parseElevationGrid,
+  imageDataToGrid,
+  createHeightmap,
+  validateHeightmapScale,
+  sampleHeightmap,
+  loadStoredHeightmap,
+  HEIGHTMAP_STORAGE_KEY,
+  MAX_HEIGHTMAP_SIZE,
+  HEIGHTMAP_SCALE_RANGES,
+  DEFAULT_HEIGHTMAP_SCALE,
+}
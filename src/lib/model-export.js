@@ -0,0 +1,90 @@
+/**
+ * ============================================================================
+ * MODEL EXPORT - GLB Export of the Configured Vehicle
+ * ============================================================================
+ *
+ * Bakes the rendered `Vehicle` group into a single binary glTF file, for use
+ * in Blender or a game engine. The group already holds everything the build
+ * shows: the body and addon models, scaled rims, the deformed tire geometry,
+ * paint and rim materials, and projected decal meshes with their images.
+ *
+ * The group is exported in its own space, so the model sits at the origin
+ * wherever the vehicle has been driven to. Hidden objects are left out.
+ *
+ * @module model-export
+ */
+
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+
+export const MODEL_MIME_TYPE = 'model/gltf-binary'
+
+// Largest texture side (px) written to the file, bigger ones are scaled down
+export const MAX_MODEL_TEXTURE_SIZE = 4096
+
+/**
+ * File name for an exported build
+ * @param {Object} config - Vehicle configuration
+ * @returns {string} File name
+ */
+export function getModelFileName(config) {
+  return `4x4builder-${config?.body || 'vehicle'}.glb`
+}
+
+/**
+ * Count what an object will export
+ * @param {Object3D} object - Root object
+ * @returns {Object} { meshes, decals, materials }
+ */
+export function describeModel(object) {
+  const materials = new Set()
+  let meshes = 0
+  let decals = 0
+
+  object.traverseVisible((child) => {
+    if (!child.isMesh) return
+    meshes++
+    if (child.name.startsWith('Decal')) decals++
+    for (const material of [].concat(child.material)) materials.add(material)
+  })
+
+  return { meshes, decals, materials: materials.size }
+}
+
+/**
+ * Export an object as GLB
+ * @param {Object3D} object - Root object
+ * @returns {Promise<ArrayBuffer>} GLB file contents
+ */
+export async function exportModel(object) {
+  if (!object?.isObject3D) throw new Error('Nothing to export')
+
+  // Decals and animated parts may not have updated their matrices since the last frame
+  object.updateMatrixWorld(true)
+
+  return new GLTFExporter().parseAsync(object, { binary: true, onlyVisible: true, maxTextureSize: MAX_MODEL_TEXTURE_SIZE })
+}
+
+/**
+ * Save GLB contents as a file download
+ * @param {ArrayBuffer} buffer - GLB file contents
+ * @param {string} fileName - File name
+ */
+export function downloadModel(buffer, fileName) {
+  const url = URL.createObjectURL(new Blob([buffer], { type: MODEL_MIME_TYPE }))
+  const link = document.createElement('a')
+  link.download = fileName
+  link.href = url
+  link.click()
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export default {
+  getModelFileName,
+  describeModel,
+  exportModel,
+  downloadModel,
+  MODEL_MIME_TYPE,
+  MAX_MODEL_TEXTURE_SIZE,
+}
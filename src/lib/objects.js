@@ -0,0 +1,150 @@
+/**
+ * ============================================================================
+ * OBJECTS - Placeable Object Registry
+ * ============================================================================
+ *
+ * Every placeable scene object has a type describing how it looks and how it
+ * behaves in the physics world:
+ *
+ *   { name, shape, size: { x, y, z }, collider, mass, body, color }
+ *
+ * `shape` picks the geometry (box, wedge, cylinder, sphere, stairs or model),
+ * `collider` the Rapier collider shape (cuboid, hull, ball or trimesh) and
+ * `body` whether the object is fixed or dynamic. Sizes are in meters, and a
+ * placed object's `scale` multiplies its type's size. Objects are positioned
+ * at the center of their bounds.
+ *
+ * GLB props are registered at runtime with a `model` data URL, plus an
+ * `offset` that centers the model on its bounds. Scenes save the definitions
+ * of the props they use so they can be registered again on load.
+ *
+ * @module objects
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const OBJECT_SHAPES = ['box', 'wedge', 'cylinder', 'sphere', 'stairs', 'model']
+export const OBJECT_COLLIDERS = ['cuboid', 'hull', 'ball', 'trimesh']
+export const OBJECT_BODIES = ['fixed', 'dynamic']
+
+// Built-in object types, mass in kilograms
+export const OBJECT_TYPES = {
+  cube: { name: 'Cube', shape: 'box', size: { x: 1, y: 1, z: 1 }, collider: 'cuboid', mass: 1, body: 'dynamic', color: '#ff6b35' },
+  ramp: { name: 'Ramp', shape: 'wedge', size: { x: 2.5, y: 0.8, z: 4 }, collider: 'hull', mass: 0, body: 'fixed', color: '#9c7b55' },
+  wedge: { name: 'Wedge', shape: 'wedge', size: { x: 0.6, y: 0.4, z: 0.8 }, collider: 'hull', mass: 8, body: 'dynamic', color: '#d4a373' },
+  log: { name: 'Log', shape: 'cylinder', axis: 'x', size: { x: 4, y: 0.5, z: 0.5 }, collider: 'hull', mass: 120, body: 'dynamic', color: '#6b4f35' },
+  post: { name: 'Post', shape: 'cylinder', axis: 'y', size: { x: 0.3, y: 2, z: 0.3 }, collider: 'hull', mass: 0, body: 'fixed', color: '#8b7355' },
+  sphere: { name: 'Ball', shape: 'sphere', size: { x: 1, y: 1, z: 1 }, collider: 'ball', mass: 2, body: 'dynamic', color: '#1890b9' },
+  stairs: { name: 'Stairs', shape: 'stairs', steps: 4, size: { x: 2, y: 1.2, z: 2.4 }, collider: 'cuboid', mass: 0, body: 'fixed', color: '#8a8782' },
+  barrel: { name: 'Barrel', shape: 'cylinder', axis: 'y', size: { x: 0.6, y: 0.9, z: 0.6 }, collider: 'hull', mass: 20, body: 'dynamic', color: '#2e6f40' },
+}
+
+export const DEFAULT_OBJECT_TYPE = 'cube'
+
+const BUILT_IN_TYPES = Object.keys(OBJECT_TYPES)
+
+const listeners = new Set()
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Look up an object type
+ * @param {string} type - Object type ID
+ * @returns {Object|null} Type definition
+ */
+export function getObjectType(type) {
+  return OBJECT_TYPES[type] || null
+}
+
+/**
+ * Object types available to place
+ * @returns {string[]} Type IDs
+ */
+export function getObjectTypeIds() {
+  return Object.keys(OBJECT_TYPES)
+}
+
+/**
+ * Validate an object type definition
+ * @param {Object} definition - Type definition
+ * @returns {string[]} Error messages, empty if valid
+ */
+export function validateObjectType(definition) {
+  const errors = []
+  const { name, shape, size, collider, mass, body, model } = definition || {}
+
+  if (typeof name !== 'string' || !name) errors.push('name is required')
+  if (!OBJECT_SHAPES.includes(shape)) errors.push(`shape must be one of: ${OBJECT_SHAPES.join(', ')}`)
+  if (!size || !['x', 'y', 'z'].every((axis) => size[axis] > 0)) errors.push('size must have positive x, y and z')
+  if (!OBJECT_COLLIDERS.includes(collider)) errors.push(`collider must be one of: ${OBJECT_COLLIDERS.join(', ')}`)
+  if (!OBJECT_BODIES.includes(body)) errors.push(`body must be one of: ${OBJECT_BODIES.join(', ')}`)
+  if (body === 'dynamic' && !(mass > 0)) errors.push('dynamic objects need a positive mass')
+  if (shape === 'model' && (typeof model !== 'string' || !model)) errors.push('model objects need a model URL')
+
+  return errors
+}
+
+/**
+ * Register a new object type, such as a loaded GLB prop
+ * @param {string} id - Type ID
+ * @param {Object} definition - Type definition
+ * @returns {Object} Registered definition
+ */
+export function registerObjectType(id, definition) {
+  const errors = validateObjectType(definition)
+  if (errors.length > 0) throw new Error(`Invalid object type "${id}": ${errors.join('; ')}`)
+
+  OBJECT_TYPES[id] = { color: '#ffffff', ...definition }
+  listeners.forEach((listener) => listener(id))
+  return OBJECT_TYPES[id]
+}
+
+/**
+ * Definitions of the registered props used by placed objects
+ * @param {Array} objects - Placed objects
+ * @returns {Object} Type definitions keyed by type ID
+ */
+export function getPropTypes(objects) {
+  const types = objects.map((object) => object.type).filter((type) => OBJECT_TYPES[type] && !BUILT_IN_TYPES.includes(type))
+  return Object.fromEntries(types.map((type) => [type, OBJECT_TYPES[type]]))
+}
+
+/**
+ * Subscribe to object type registrations
+ * @param {Function} listener - Called with the registered type ID
+ * @returns {Function} Unsubscribe function
+ */
+export function onObjectTypesChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Dimensions of a placed object
+ * @param {string} type - Object type ID
+ * @param {Object} [scale] - Scale {x, y, z}
+ * @returns {Object} Size in meters {x, y, z}
+ */
+export function getObjectSize(type, scale = { x: 1, y: 1, z: 1 }) {
+  const { size } = getObjectType(type) || OBJECT_TYPES[DEFAULT_OBJECT_TYPE]
+  return { x: size.x * scale.x, y: size.y * scale.y, z: size.z * scale.z }
+}
+
+export default {
+  getObjectType,
+  getObjectTypeIds,
+  validateObjectType,
+  registerObjectType,
+  getPropTypes,
+  onObjectTypesChange,
+  getObjectSize,
+  OBJECT_TYPES,
+  OBJECT_SHAPES,
+  OBJECT_COLLIDERS,
+  OBJECT_BODIES,
+  DEFAULT_OBJECT_TYPE,
+}
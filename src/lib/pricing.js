@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * PRICING - Part Prices & Build Budget
+ * ============================================================================
+ *
+ * Rims, tires and addon options may carry a catalog `price`, per unit. A
+ * local price list, imported as JSON, overrides catalog prices:
+ *
+ *   {
+ *     currency: 'USD',                        // optional, ISO 4217 code
+ *     rims: { [rimId]: price },
+ *     tires: { [tireId]: price },
+ *     addons: { [type]: { [optionId]: price } },
+ *   }
+ *
+ * A build costs four rims, four tires (five with a spare) and one of each
+ * selected addon. Parts with no price anywhere are listed as unpriced rather
+ * than counted as free.
+ *
+ * @module pricing
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+
+export const DEFAULT_CURRENCY = 'USD'
+
+// Units of each wheel part on a build, spare tire aside
+export const RIM_COUNT = 4
+export const TIRE_COUNT = 4
+
+const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+/**
+ * Read and validate a price list
+ * @param {string|Object} json - Price list JSON
+ * @returns {Object} Price list { currency, rims, tires, addons }
+ */
+export function parsePriceList(json) {
+  const list = typeof json === 'string' ? JSON.parse(json) : json
+  if (!list || typeof list !== 'object' || Array.isArray(list)) throw new Error('Price list must be an object')
+
+  const errors = []
+  const readPrices = (prices, path) => {
+    if (prices === undefined) return {}
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      errors.push(`${path} must be an object of prices`)
+      return {}
+    }
+    Object.entries(prices)
+      .filter(([, price]) => !isPrice(price))
+      .forEach(([id]) => errors.push(`${path}.${id} must be a price of 0 or more`))
+    return prices
+  }
+
+  const currency = list.currency ?? DEFAULT_CURRENCY
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) errors.push('currency must be a 3 letter code like USD')
+
+  const rims = readPrices(list.rims, 'rims')
+  const tires = readPrices(list.tires, 'tires')
+  const addons = {}
+  if (list.addons !== undefined && (!list.addons || typeof list.addons !== 'object' || Array.isArray(list.addons))) {
+    errors.push('addons must be an object of addon types')
+  } else {
+    Object.entries(list.addons || {}).forEach(([type, options]) => {
+      addons[type] = readPrices(options, `addons.${type}`)
+    })
+  }
+
+  if (errors.length > 0) throw new Error(`Invalid price list: ${errors.join(', ')}`)
+
+  return { currency, rims, tires, addons }
+}
+
+/**
+ * Price of one unit of a part
+ * @param {Object} part - Part to price
+ * @param {string} part.kind - 'rim', 'tire' or 'addon'
+ * @param {string} part.id - Catalog ID, the option ID for addons
+ * @param {string} [part.body] - Body ID, for addons
+ * @param {string} [part.type] - Addon type, for addons
+ * @param {Object} [priceList] - Price list overriding the catalog
+ * @returns {number|null} Price, or null when the part has none
+ */
+export function getPartPrice({ kind, id, body, type }, priceList = null) {
+  switch (kind) {
+    case 'rim':
+      return priceList?.rims?.[id] ?? vehicleConfigs.wheels.rims[id]?.price ?? null
+    case 'tire':
+      return priceList?.tires?.[id] ?? vehicleConfigs.wheels.tires[id]?.price ?? null
+    case 'addon':
+      return priceList?.addons?.[type]?.[id] ?? vehicleConfigs.vehicles[body]?.addons?.[type]?.options?.[id]?.price ?? null
+    default:
+      return null
+  }
+}
+
+/**
+ * Cost of a build
+ * @param {Object} config - Vehicle configuration
+ * @param {Object} [priceList] - Price list overriding the catalog
+ * @returns {Object} { currency, total, items, unpriced } with items of { kind, id, name, quantity, unitPrice, cost }
+ */
+export function computeBuildCost(config, priceList = null) {
+  const body = vehicleConfigs.vehicles[config.body]
+  const parts = [
+    { kind: 'rim', id: config.rim, name: vehicleConfigs.wheels.rims[config.rim]?.name || config.rim, quantity: RIM_COUNT },
+    { kind: 'tire', id: config.tire, name: vehicleConfigs.wheels.tires[config.tire]?.name || config.tire, quantity: TIRE_COUNT + (config.spare ? 1 : 0) },
+    ...Object.entries(config.addons || {})
+      // Optional addons left at None are stored as ''
+      .filter(([, id]) => id)
+      .map(([type, id]) => ({
+        kind: 'addon',
+        id,
+        type,
+        name: `${body?.addons?.[type]?.name || type}: ${body?.addons?.[type]?.options?.[id]?.name || id}`,
+        quantity: 1,
+      })),
+  ]
+
+  const items = parts.map((part) => {
+    const unitPrice = getPartPrice({ ...part, body: config.body }, priceList)
+    return { ...part, unitPrice, cost: unitPrice === null ? null : unitPrice * part.quantity }
+  })
+
+  return {
+    currency: priceList?.currency || DEFAULT_CURRENCY,
+    total: items.reduce((total, item) => total + (item.cost ?? 0), 0),
+    items,
+    unpriced: items.filter((item) => item.unitPrice === null).map((item) => item.name),
+  }
+}
+
+/**
+ * Compare a build cost against a budget
+ * @param {Object} cost - Build cost, see computeBuildCost
+ * @param {number|null} budget - Budget, null for none
+ * @returns {Object|null} { budget, total, remaining, over }, or null without a budget
+ */
+export function checkBudget(cost, budget) {
+  if (!budget) return null
+  return { budget, total: cost.total, remaining: budget - cost.total, over: cost.total > budget }
+}
+
+/**
+ * Format an amount of money for display
+ * @param {number} amount - Amount
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. "$1,250"
+ */
+export function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  const digits = Number.isInteger(amount) ? 0 : 2
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(amount)
+}
+
+export default {
+  parsePriceList,
+  getPartPrice,
+  computeBuildCost,
+  checkBudget,
+  formatPrice,
+  DEFAULT_CURRENCY,
+  RIM_COUNT,
+  TIRE_COUNT,
+}
@@ -11,8 +11,32 @@
  * @author BIBev Builder
  */
 
-import useGameStore from '../../store/gameStore'
+import { produce } from 'immer'
+import useGameStore, { applyVehicleChanges } from '../../store/gameStore'
+import useEngineStore from '../../store/engineStore'
+import useCourseStore from '../../store/courseStore'
 import vehicleConfigs from '../../vehicleConfigs'
+import { onCatalogChange } from './catalog-loader'
+import { DRIVE_MODE_ORDER, DRIVE_MODE_LABELS } from './drivetrain'
+import { getEngineSpec, TRANSMISSIONS as ENGINE_TRANSMISSIONS } from './engine'
+import { DEFAULT_TRACTION } from './surfaces'
+import { FLUID_TYPES as FLUIDS } from './fluids'
+import { getObjectType, getObjectTypeIds, getObjectSize, registerObjectType } from './objects'
+import { serializeScene, parseScene, summarizeScene } from './scenes'
+import { packDecals } from './decals'
+import { encodeShareLink, SHARE_PARAM, SHARE_FORMAT_VERSION, MAX_SHARE_URL_LENGTH } from './share-link'
+import { migrateVehicleConfig, stampVehicleConfig } from './vehicle-schema'
+import { exportModel, describeModel, downloadModel, getModelFileName } from './model-export'
+import { createBuildSheet, formatBuildSheet, getBuildSheetFileName, downloadBuildSheet, BUILD_SHEET_FORMATS } from './build-sheet'
+import { computeBuildCost, checkBudget, parsePriceList, formatPrice } from './pricing'
+import { snapTransform, validateTransformSnap } from './transform'
+import { getCourseElements, getNextCheckpointOrder, validateCourse, serializeCourse, parseCourse, getRunTime, COURSE_ELEMENT_TYPES as COURSE_TYPES } from './course'
+import { TERRAIN_PRESETS as PRESETS, TERRAIN_SEED_RANGE as SEED_RANGE } from './terrain'
+import { parseElevationGrid, imageDataToGrid, createHeightmap, validateHeightmapScale, HEIGHTMAP_SCALE_RANGES as HEIGHTMAP_RANGES } from './heightmap'
+import { computeSuspension, validateSuspensionTuning, SUSPENSION_TUNING_RANGES as TUNING_RANGES } from './suspension'
+import { checkFitment as runFitmentCheck } from './fitment'
+import { computeVehicleMetrics } from './vehicle-metrics'
+import { getStateChanges } from './vehicle-update-handler'
 
 // ============================================================================
 // CONSTANTS & ENUMS
@@ -22,6 +46,13 @@ export const VEHICLE_MODELS = Object.keys(vehicleConfigs.vehicles)
 export const RIM_MODELS = Object.keys(vehicleConfigs.wheels.rims)
 export const TIRE_MODELS = Object.keys(vehicleConfigs.wheels.tires)
 
+// Keep model lists in sync with catalog manifests merged at runtime
+onCatalogChange(() => {
+  VEHICLE_MODELS.splice(0, VEHICLE_MODELS.length, ...Object.keys(vehicleConfigs.vehicles))
+  RIM_MODELS.splice(0, RIM_MODELS.length, ...Object.keys(vehicleConfigs.wheels.rims))
+  TIRE_MODELS.splice(0, TIRE_MODELS.length, ...Object.keys(vehicleConfigs.wheels.tires))
+})
+
 export const COLOR_PRESETS = {
   RED: '#B91818',
   BLUE: '#1890B9',
@@ -65,6 +96,24 @@ export const ROUGHNESS_RANGE = {
   DEFAULT: 0,
 }
 
+export const DRIVE_MODES = DRIVE_MODE_ORDER
+
+export const DIFFERENTIAL_AXLES = ['front', 'rear']
+
+export const TRANSMISSIONS = ENGINE_TRANSMISSIONS
+
+export const SUSPENSION_TUNING_RANGES = TUNING_RANGES
+
+export const TERRAIN_PRESETS = Object.keys(PRESETS)
+
+export const TERRAIN_SEED_RANGE = SEED_RANGE
+
+export const HEIGHTMAP_SCALE_RANGES = HEIGHTMAP_RANGES
+
+export const FLUID_TYPES = FLUIDS
+
+export const COURSE_ELEMENT_TYPES = COURSE_TYPES
+
 // ============================================================================
 // QUERY HANDLERS - Read Scene State
 // ============================================================================
@@ -83,16 +132,22 @@ export function getSceneState() {
     currentVehicle: state.currentVehicle,
     savedVehicles: state.savedVehicles,
     cameraAutoRotate: state.cameraAutoRotate,
+    terrain: { preset: state.terrainPreset, seed: state.terrainSeed, heightmap: state.heightmap?.name || null },
     notification: state.notification,
+    canUndo: state.canUndo,
+    canRedo: state.canRedo,
   }
 }
 
+// Configuration standing in for the store while a batch is being previewed
+let previewVehicle = null
+
 /**
  * Get current vehicle configuration
  * @returns {Object} Current vehicle state
  */
 export function getCurrentVehicle() {
-  return useGameStore.getState().currentVehicle
+  return previewVehicle || useGameStore.getState().currentVehicle
 }
 
 /**
@@ -192,6 +247,52 @@ export function getSpareTire() {
   }
 }
 
+/**
+ * Get drivetrain configuration
+ * @returns {Object} Drive mode and differential locks
+ */
+export function getDrivetrain() {
+  const vehicle = getCurrentVehicle()
+  const mode = vehicle.drive_mode || vehicleConfigs.defaults.drive_mode
+  
+  return {
+    mode,
+    label: DRIVE_MODE_LABELS[mode],
+    frontLocked: vehicle.front_locked || false,
+    rearLocked: vehicle.rear_locked || false,
+  }
+}
+
+/**
+ * Get suspension settings
+ * @returns {Object} Effective settings per axle and the user tuning applied on top
+ */
+export function getSuspensionTuning() {
+  const vehicle = getCurrentVehicle()
+  
+  return {
+    suspension: computeSuspension(vehicle),
+    tuning: vehicle.suspension_tuning || {},
+  }
+}
+
+/**
+ * Get engine specification and live telemetry
+ * @returns {Object} Engine, transmission, RPM, gear and speed
+ */
+export function getEngineState() {
+  const vehicle = getCurrentVehicle()
+  const { rpm, gear, speed } = useEngineStore.getState()
+  
+  return {
+    engine: getEngineSpec(vehicle.body),
+    transmission: vehicle.transmission || vehicleConfigs.defaults.transmission,
+    rpm,
+    gear,
+    speed,
+  }
+}
+
 /**
  * Get available vehicle models
  * @returns {Array} List of available vehicle models
@@ -226,6 +327,7 @@ export function getAvailableTires() {
     id,
     name: config.name,
     make: config.make,
+    traction: { ...DEFAULT_TRACTION, ...config.traction },
   }))
 }
 
@@ -243,6 +345,7 @@ export function getSavedVehicles() {
         id,
         name: data.name || 'Unnamed Vehicle',
         config: data.config,
+        decals: data.decals?.length || 0,
         timestamp: data.timestamp || null,
       }
     }
@@ -293,12 +396,36 @@ export function getPhysicsState() {
 // MUTATION HANDLERS - Modify Scene State
 // ============================================================================
 
+/**
+ * Compute the outcome of a vehicle update without applying it
+ * @param {Object|Function} updater - Partial configuration or recipe, as passed to setVehicle
+ * @returns {Object} Result with the resulting configuration, diff and validation
+ */
+function previewVehicleUpdate(updater) {
+  const current = getCurrentVehicle()
+  const vehicle = produce(current, (draft) => {
+    applyVehicleChanges(draft, updater)
+  })
+  
+  return {
+    success: true,
+    preview: true,
+    data: {
+      vehicle,
+      changes: getStateChanges(current, vehicle),
+      validation: validateConfiguration(vehicle),
+    },
+  }
+}
+
 /**
  * Set vehicle body/model
  * @param {string} modelId - Vehicle model ID
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleBody(modelId) {
+export function setVehicleBody(modelId, { preview = false } = {}) {
   try {
     if (!vehicleConfigs.vehicles[modelId]) {
       return {
@@ -308,6 +435,10 @@ export function setVehicleBody(modelId) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ body: modelId })
+    }
+    
     useGameStore.getState().setVehicle({ body: modelId })
     
     return {
@@ -325,9 +456,11 @@ export function setVehicleBody(modelId) {
 /**
  * Set vehicle color
  * @param {string} color - Hex color code
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleColor(color) {
+export function setVehicleColor(color, { preview = false } = {}) {
   try {
     // Validate hex color
     if (!/^#[0-9A-F]{6}$/i.test(color)) {
@@ -337,6 +470,10 @@ export function setVehicleColor(color) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ color })
+    }
+    
     useGameStore.getState().setVehicle({ color })
     
     return {
@@ -354,9 +491,11 @@ export function setVehicleColor(color) {
 /**
  * Set vehicle paint roughness
  * @param {number} roughness - Roughness value (0-1)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleRoughness(roughness) {
+export function setVehicleRoughness(roughness, { preview = false } = {}) {
   try {
     const value = parseFloat(roughness)
     
@@ -367,6 +506,10 @@ export function setVehicleRoughness(roughness) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ roughness: value })
+    }
+    
     useGameStore.getState().setVehicle({ roughness: value })
     
     return {
@@ -386,9 +529,11 @@ export function setVehicleRoughness(roughness) {
  * @param {Object} params - Appearance parameters
  * @param {string} params.color - Hex color code
  * @param {number} params.roughness - Roughness value (0-1)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleAppearance({ color, roughness }) {
+export function setVehicleAppearance({ color, roughness }, { preview = false } = {}) {
   const updates = {}
   const errors = []
   
@@ -424,6 +569,10 @@ export function setVehicleAppearance({ color, roughness }) {
   }
   
   try {
+    if (preview) {
+      return previewVehicleUpdate(updates)
+    }
+    
     useGameStore.getState().setVehicle(updates)
     
     return {
@@ -441,9 +590,11 @@ export function setVehicleAppearance({ color, roughness }) {
 /**
  * Set vehicle lift height
  * @param {number} liftInches - Lift height in inches
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleLift(liftInches) {
+export function setVehicleLift(liftInches, { preview = false } = {}) {
   try {
     const value = parseFloat(liftInches)
     
@@ -454,6 +605,10 @@ export function setVehicleLift(liftInches) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ lift: value })
+    }
+    
     useGameStore.getState().setVehicle({ lift: value })
     
     return {
@@ -474,9 +629,11 @@ export function setVehicleLift(liftInches) {
 /**
  * Set rim model
  * @param {string} rimId - Rim model ID
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setRim(rimId) {
+export function setRim(rimId, { preview = false } = {}) {
   try {
     if (!vehicleConfigs.wheels.rims[rimId]) {
       return {
@@ -486,6 +643,10 @@ export function setRim(rimId) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ rim: rimId })
+    }
+    
     useGameStore.getState().setVehicle({ rim: rimId })
     
     return {
@@ -507,9 +668,11 @@ export function setRim(rimId) {
 /**
  * Set rim color
  * @param {string} color - Hex color code
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setRimColor(color) {
+export function setRimColor(color, { preview = false } = {}) {
   try {
     if (!/^#[0-9A-F]{6}$/i.test(color) && color !== 'silver') {
       return {
@@ -518,6 +681,10 @@ export function setRimColor(color) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ rim_color: color })
+    }
+    
     useGameStore.getState().setVehicle({ rim_color: color })
     
     return {
@@ -535,9 +702,11 @@ export function setRimColor(color) {
 /**
  * Set rim secondary color
  * @param {string} color - Hex color code
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setRimColorSecondary(color) {
+export function setRimColorSecondary(color, { preview = false } = {}) {
   try {
     if (!/^#[0-9A-F]{6}$/i.test(color) && color !== 'silver') {
       return {
@@ -546,6 +715,10 @@ export function setRimColorSecondary(color) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ rim_color_secondary: color })
+    }
+    
     useGameStore.getState().setVehicle({ rim_color_secondary: color })
     
     return {
@@ -563,9 +736,11 @@ export function setRimColorSecondary(color) {
 /**
  * Set rim diameter
  * @param {number} diameter - Rim diameter in inches
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setRimDiameter(diameter) {
+export function setRimDiameter(diameter, { preview = false } = {}) {
   try {
     const value = parseInt(diameter)
     
@@ -576,6 +751,10 @@ export function setRimDiameter(diameter) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ rim_diameter: value })
+    }
+    
     useGameStore.getState().setVehicle({ rim_diameter: value })
     
     return {
@@ -593,9 +772,11 @@ export function setRimDiameter(diameter) {
 /**
  * Set rim width
  * @param {number} width - Rim width in inches
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setRimWidth(width) {
+export function setRimWidth(width, { preview = false } = {}) {
   try {
     const value = parseFloat(width)
     
@@ -606,6 +787,10 @@ export function setRimWidth(width) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ rim_width: value })
+    }
+    
     useGameStore.getState().setVehicle({ rim_width: value })
     
     return {
@@ -623,9 +808,11 @@ export function setRimWidth(width) {
 /**
  * Set tire model
  * @param {string} tireId - Tire model ID
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setTire(tireId) {
+export function setTire(tireId, { preview = false } = {}) {
   try {
     if (!vehicleConfigs.wheels.tires[tireId]) {
       return {
@@ -635,6 +822,10 @@ export function setTire(tireId) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ tire: tireId })
+    }
+    
     useGameStore.getState().setVehicle({ tire: tireId })
     
     return {
@@ -656,9 +847,11 @@ export function setTire(tireId) {
 /**
  * Set tire diameter
  * @param {number} diameter - Tire diameter in inches
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setTireDiameter(diameter) {
+export function setTireDiameter(diameter, { preview = false } = {}) {
   try {
     const value = parseInt(diameter)
     
@@ -669,6 +862,10 @@ export function setTireDiameter(diameter) {
       }
     }
     
+    if (preview) {
+      return previewVehicleUpdate({ tire_diameter: value })
+    }
+    
     useGameStore.getState().setVehicle({ tire_diameter: value })
     
     return {
@@ -686,9 +883,11 @@ export function setTireDiameter(diameter) {
 /**
  * Set complete wheel configuration
  * @param {Object} params - Wheel parameters
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setWheelConfiguration(params) {
+export function setWheelConfiguration(params, { preview = false } = {}) {
   const {
     rim,
     rim_diameter,
@@ -791,6 +990,10 @@ export function setWheelConfiguration(params) {
   }
   
   try {
+    if (preview) {
+      return previewVehicleUpdate(updates)
+    }
+    
     useGameStore.getState().setVehicle(updates)
     
     return {
@@ -809,9 +1012,11 @@ export function setWheelConfiguration(params) {
  * Set vehicle addon
  * @param {string} addonType - Addon type (bumper_f, sliders, rack)
  * @param {string} addonValue - Addon value/option
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleAddon(addonType, addonValue) {
+export function setVehicleAddon(addonType, addonValue, { preview = false } = {}) {
   try {
     const currentVehicle = getCurrentVehicle()
     const bodyId = currentVehicle.body
@@ -836,12 +1041,18 @@ export function setVehicleAddon(addonType, addonValue) {
       }
     }
     
-    useGameStore.getState().setVehicle((vehicle) => {
+    const updater = (vehicle) => {
       if (!vehicle.addons) {
         vehicle.addons = {}
       }
       vehicle.addons[addonType] = addonValue
-    })
+    }
+    
+    if (preview) {
+      return previewVehicleUpdate(updater)
+    }
+    
+    useGameStore.getState().setVehicle(updater)
     
     return {
       success: true,
@@ -862,15 +1073,23 @@ export function setVehicleAddon(addonType, addonValue) {
 /**
  * Remove vehicle addon
  * @param {string} addonType - Addon type to remove
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function removeVehicleAddon(addonType) {
+export function removeVehicleAddon(addonType, { preview = false } = {}) {
   try {
-    useGameStore.getState().setVehicle((vehicle) => {
+    const updater = (vehicle) => {
       if (vehicle.addons && vehicle.addons[addonType]) {
         delete vehicle.addons[addonType]
       }
-    })
+    }
+    
+    if (preview) {
+      return previewVehicleUpdate(updater)
+    }
+    
+    useGameStore.getState().setVehicle(updater)
     
     return {
       success: true,
@@ -887,12 +1106,18 @@ export function removeVehicleAddon(addonType) {
 /**
  * Toggle spare tire
  * @param {boolean} enabled - Whether spare tire should be enabled
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function toggleSpareTire(enabled) {
+export function toggleSpareTire(enabled, { preview = false } = {}) {
   try {
     const value = Boolean(enabled)
     
+    if (preview) {
+      return previewVehicleUpdate({ spare: value })
+    }
+    
     useGameStore.getState().setVehicle({ spare: value })
     
     return {
@@ -908,23 +1133,30 @@ export function toggleSpareTire(enabled) {
 }
 
 /**
- * Reset vehicle to defaults (keeping current model)
+ * Set drive mode
+ * @param {string} mode - Drive mode (rwd, 4h, awd, 4l)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function resetVehicle() {
+export function setDriveMode(mode, { preview = false } = {}) {
   try {
-    const currentBody = getCurrentVehicle().body
-    const defaults = {
-      ...vehicleConfigs.defaults,
-      body: currentBody,
-      addons: vehicleConfigs.vehicles[currentBody]?.default_addons || {},
+    if (!DRIVE_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: `Invalid drive mode: ${mode}. Must be one of: ${DRIVE_MODES.join(', ')}`,
+      }
     }
     
-    useGameStore.getState().setVehicle(defaults)
+    if (preview) {
+      return previewVehicleUpdate({ drive_mode: mode })
+    }
+    
+    useGameStore.getState().setVehicle({ drive_mode: mode })
     
     return {
       success: true,
-      data: defaults,
+      data: { mode, label: DRIVE_MODE_LABELS[mode] },
     }
   } catch (error) {
     return {
@@ -935,21 +1167,34 @@ export function resetVehicle() {
 }
 
 /**
- * Reset vehicle to factory defaults (including model)
+ * Lock or unlock a differential
+ * @param {string} axle - Axle (front or rear)
+ * @param {boolean} [locked] - Whether the differential is locked, toggles when omitted
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function resetVehicleComplete() {
+export function setDifferentialLock(axle, locked, { preview = false } = {}) {
   try {
-    const defaults = {
-      ...vehicleConfigs.defaults,
-      addons: vehicleConfigs.vehicles[vehicleConfigs.defaults.body]?.default_addons || {},
+    if (!DIFFERENTIAL_AXLES.includes(axle)) {
+      return {
+        success: false,
+        error: `Invalid axle: ${axle}. Must be one of: ${DIFFERENTIAL_AXLES.join(', ')}`,
+      }
     }
     
-    useGameStore.getState().setVehicle(defaults)
+    const field = `${axle}_locked`
+    const value = locked === undefined ? !getCurrentVehicle()[field] : Boolean(locked)
+    
+    if (preview) {
+      return previewVehicleUpdate({ [field]: value })
+    }
+    
+    useGameStore.getState().setVehicle({ [field]: value })
     
     return {
       success: true,
-      data: defaults,
+      data: { axle, locked: value },
     }
   } catch (error) {
     return {
@@ -960,32 +1205,46 @@ export function resetVehicleComplete() {
 }
 
 /**
- * Set complete vehicle configuration
- * @param {Object} config - Complete vehicle configuration object
+ * Tune suspension per axle, merged into the current tuning
+ * @param {Object|null} tuning - Partial tuning ({ front, rear, sway_bar }), null to reset to the vehicle profile
+ * @param {Object} [tuning.front] - Front axle { stiffness, damping, travel }
+ * @param {Object} [tuning.rear] - Rear axle { stiffness, damping, travel }
+ * @param {Object} [tuning.sway_bar] - Sway bar stiffness { front, rear }
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function setVehicleConfiguration(config) {
+export function setSuspensionTuning(tuning, { preview = false } = {}) {
   try {
-    if (!config || typeof config !== 'object') {
-      return {
-        success: false,
-        error: 'Invalid configuration object',
+    if (tuning !== null) {
+      const errors = validateSuspensionTuning(tuning)
+      
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: errors.join(', '),
+        }
       }
     }
     
-    // Validate body if provided
-    if (config.body && !vehicleConfigs.vehicles[config.body]) {
-      return {
-        success: false,
-        error: `Invalid vehicle model: ${config.body}`,
+    const current = getCurrentVehicle().suspension_tuning || {}
+    const value = {}
+    
+    if (tuning !== null) {
+      for (const key of ['front', 'rear', 'sway_bar']) {
+        if (current[key] || tuning[key]) value[key] = { ...current[key], ...tuning[key] }
       }
     }
     
-    useGameStore.getState().setVehicle(config)
+    if (preview) {
+      return previewVehicleUpdate({ suspension_tuning: value })
+    }
+    
+    useGameStore.getState().setVehicle({ suspension_tuning: value })
     
     return {
       success: true,
-      data: getCurrentVehicle(),
+      data: { tuning: value, suspension: computeSuspension(getCurrentVehicle()) },
     }
   } catch (error) {
     return {
@@ -995,44 +1254,31 @@ export function setVehicleConfiguration(config) {
   }
 }
 
-// ============================================================================
-// SAVED VEHICLES HANDLERS
-// ============================================================================
-
 /**
- * Save current vehicle with a name
- * @param {string} name - Name for the saved vehicle
- * @returns {Object} Result with success status and vehicle ID
+ * Set transmission mode
+ * @param {string} transmission - Transmission (auto or manual)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
+ * @returns {Object} Result with success status
  */
-export function saveVehicle(name) {
+export function setTransmission(transmission, { preview = false } = {}) {
   try {
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    if (!TRANSMISSIONS.includes(transmission)) {
       return {
         success: false,
-        error: 'Vehicle name is required',
+        error: `Invalid transmission: ${transmission}. Must be one of: ${TRANSMISSIONS.join(', ')}`,
       }
     }
     
-    const currentVehicle = getCurrentVehicle()
-    const vehicleId = `vehicle_${Date.now()}`
+    if (preview) {
+      return previewVehicleUpdate({ transmission })
+    }
     
-    useGameStore.getState().setSavedVehicles((vehicles) => ({
-      ...vehicles,
-      [vehicleId]: {
-        name: name.trim(),
-        config: currentVehicle,
-        timestamp: Date.now(),
-      },
-      current: vehicleId,
-    }))
+    useGameStore.getState().setVehicle({ transmission })
     
     return {
       success: true,
-      data: {
-        id: vehicleId,
-        name: name.trim(),
-        config: currentVehicle,
-      },
+      data: { transmission },
     }
   } catch (error) {
     return {
@@ -1043,30 +1289,29 @@ export function saveVehicle(name) {
 }
 
 /**
- * Load a saved vehicle
- * @param {string} vehicleId - ID of the saved vehicle
+ * Reset vehicle to defaults (keeping current model)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function loadSavedVehicle(vehicleId) {
+export function resetVehicle({ preview = false } = {}) {
   try {
-    const savedVehicles = useGameStore.getState().savedVehicles
+    const currentBody = getCurrentVehicle().body
+    const defaults = {
+      ...vehicleConfigs.defaults,
+      body: currentBody,
+      addons: vehicleConfigs.vehicles[currentBody]?.default_addons || {},
+    }
     
-    if (!savedVehicles[vehicleId]) {
-      return {
-        success: false,
-        error: `Saved vehicle not found: ${vehicleId}`,
-        availableVehicles: Object.keys(savedVehicles).filter(k => k !== 'current'),
-      }
+    if (preview) {
+      return previewVehicleUpdate(defaults)
     }
     
-    useGameStore.getState().setSavedVehicles((vehicles) => ({
-      ...vehicles,
-      current: vehicleId,
-    }))
+    useGameStore.getState().setVehicle(defaults)
     
     return {
       success: true,
-      data: savedVehicles[vehicleId],
+      data: defaults,
     }
   } catch (error) {
     return {
@@ -1077,26 +1322,27 @@ export function loadSavedVehicle(vehicleId) {
 }
 
 /**
- * Delete a saved vehicle
- * @param {string} vehicleId - ID of the vehicle to delete
+ * Reset vehicle to factory defaults (including model)
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function deleteSavedVehicle(vehicleId) {
+export function resetVehicleComplete({ preview = false } = {}) {
   try {
-    const savedVehicles = useGameStore.getState().savedVehicles
+    const defaults = {
+      ...vehicleConfigs.defaults,
+      addons: vehicleConfigs.vehicles[vehicleConfigs.defaults.body]?.default_addons || {},
+    }
     
-    if (!savedVehicles[vehicleId]) {
-      return {
-        success: false,
-        error: `Saved vehicle not found: ${vehicleId}`,
-      }
+    if (preview) {
+      return previewVehicleUpdate(defaults)
     }
     
-    useGameStore.getState().deleteSavedVehicle(vehicleId)
+    useGameStore.getState().setVehicle(defaults)
     
     return {
       success: true,
-      data: { deleted: vehicleId },
+      data: defaults,
     }
   } catch (error) {
     return {
@@ -1107,43 +1353,38 @@ export function deleteSavedVehicle(vehicleId) {
 }
 
 /**
- * Update saved vehicle name
- * @param {string} vehicleId - ID of the vehicle
- * @param {string} newName - New name for the vehicle
+ * Set complete vehicle configuration
+ * @param {Object} config - Complete vehicle configuration object
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function updateSavedVehicleName(vehicleId, newName) {
+export function setVehicleConfiguration(config, { preview = false } = {}) {
   try {
-    const savedVehicles = useGameStore.getState().savedVehicles
-    
-    if (!savedVehicles[vehicleId]) {
+    if (!config || typeof config !== 'object') {
       return {
         success: false,
-        error: `Saved vehicle not found: ${vehicleId}`,
+        error: 'Invalid configuration object',
       }
     }
     
-    if (!newName || typeof newName !== 'string' || newName.trim().length === 0) {
+    // Validate body if provided
+    if (config.body && !vehicleConfigs.vehicles[config.body]) {
       return {
         success: false,
-        error: 'Vehicle name is required',
+        error: `Invalid vehicle model: ${config.body}`,
       }
     }
     
-    useGameStore.getState().setSavedVehicles((vehicles) => ({
-      ...vehicles,
-      [vehicleId]: {
-        ...vehicles[vehicleId],
-        name: newName.trim(),
-      },
-    }))
+    if (preview) {
+      return previewVehicleUpdate(config)
+    }
+    
+    useGameStore.getState().setVehicle(config)
     
     return {
       success: true,
-      data: {
-        id: vehicleId,
-        name: newName.trim(),
-      },
+      data: getCurrentVehicle(),
     }
   } catch (error) {
     return {
@@ -1154,34 +1395,28 @@ export function updateSavedVehicleName(vehicleId, newName) {
 }
 
 // ============================================================================
-// CAMERA HANDLERS
+// FITMENT & METRICS HANDLERS
 // ============================================================================
 
 /**
- * Set camera target position
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- * @param {number} z - Z coordinate
- * @returns {Object} Result with success status
+ * Check tire, rim and lift fitment for the current vehicle
+ * @param {Object} [overrides] - Configuration fields to check instead of the current ones
+ * @returns {Object} Result with rubbing, required lift and trimming recommendations
  */
-export function setCameraTarget(x, y, z) {
+export function checkFitment(overrides = {}) {
   try {
-    const xVal = parseFloat(x)
-    const yVal = parseFloat(y)
-    const zVal = parseFloat(z)
+    const config = { ...getCurrentVehicle(), ...overrides }
     
-    if (isNaN(xVal) || isNaN(yVal) || isNaN(zVal)) {
+    if (!vehicleConfigs.vehicles[config.body]) {
       return {
         success: false,
-        error: 'Invalid coordinates',
+        error: `Invalid vehicle model: ${config.body}`,
       }
     }
     
-    useGameStore.getState().setCameraTarget(xVal, yVal, zVal)
-    
     return {
       success: true,
-      data: { x: xVal, y: yVal, z: zVal },
+      data: runFitmentCheck(config),
     }
   } catch (error) {
     return {
@@ -1192,19 +1427,1288 @@ export function setCameraTarget(x, y, z) {
 }
 
 /**
- * Toggle camera auto-rotate
- * @param {boolean} enabled - Whether auto-rotate should be enabled
- * @returns {Object} Result with success status
+ * Get off-road geometry metrics for the current vehicle
+ * @param {Object} [overrides] - Configuration fields to measure instead of the current ones
+ * @returns {Object} Result with ground clearance and approach, departure and breakover angles
  */
-export function setCameraAutoRotate(enabled) {
+export function getVehicleMetrics(overrides = {}) {
   try {
-    const value = Boolean(enabled)
-    
-    useGameStore.getState().setCameraAutoRotate(value)
+    const config = { ...getCurrentVehicle(), ...overrides }
     
-    return {
-      success: true,
-      data: { enabled: value },
+    if (!vehicleConfigs.vehicles[config.body]) {
+      return {
+        success: false,
+        error: `Invalid vehicle model: ${config.body}`,
+      }
+    }
+    
+    const metrics = computeVehicleMetrics(config)
+    
+    if (!metrics.supported) {
+      return {
+        success: false,
+        error: `No geometry data for vehicle model: ${config.body}`,
+      }
+    }
+    
+    return {
+      success: true,
+      data: metrics,
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// PRICING & BUDGET HANDLERS
+// ============================================================================
+
+/**
+ * Complete configuration a partial one would produce, resetting addons on a body change like setVehicle
+ * @param {Object} config - Configuration fields
+ * @param {Object} [current] - Configuration to apply them to, the current vehicle by default
+ * @returns {Object} Vehicle configuration
+ */
+function projectConfiguration(config, current = getCurrentVehicle()) {
+  const bodyChanged = config.body && config.body !== current.body
+  
+  return {
+    ...current,
+    ...(bodyChanged && { addons: vehicleConfigs.vehicles[config.body]?.default_addons || {} }),
+    ...config,
+  }
+}
+
+/**
+ * Get the parts cost of the current vehicle and how it compares to the budget
+ * @param {Object} [overrides] - Configuration fields to price instead of the current ones
+ * @returns {Object} Result with total, line items, unpriced parts and budget status
+ */
+export function getBuildCost(overrides = {}) {
+  try {
+    const { budget, priceList } = useGameStore.getState()
+    const cost = computeBuildCost(projectConfiguration(overrides), priceList)
+    
+    return {
+      success: true,
+      data: {
+        ...cost,
+        budget: checkBudget(cost, budget),
+        priceList: Boolean(priceList),
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Set the budget the build's parts should stay under
+ * @param {number|null} amount - Budget, null or 0 to remove it
+ * @returns {Object} Result with the budget status
+ */
+export function setBudget(amount) {
+  try {
+    const budget = amount === null || amount === '' ? 0 : parseFloat(amount)
+    
+    if (!Number.isFinite(budget) || budget < 0) {
+      return {
+        success: false,
+        error: `Invalid budget: ${amount}. Must be a positive amount, or 0 to remove the budget`,
+      }
+    }
+    
+    useGameStore.getState().setBudget(budget || null)
+    
+    return {
+      success: true,
+      data: getBuildCost().data.budget,
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Import a local price list overriding catalog prices
+ * @param {string|Object} priceList - Price list JSON, see pricing
+ * @returns {Object} Result with the currency and number of prices
+ */
+export function importPriceList(priceList) {
+  try {
+    const parsed = parsePriceList(priceList)
+    useGameStore.getState().setPriceList(parsed)
+    
+    const prices = Object.keys(parsed.rims).length + Object.keys(parsed.tires).length + Object.values(parsed.addons).reduce((count, options) => count + Object.keys(options).length, 0)
+    
+    return {
+      success: true,
+      data: {
+        currency: parsed.currency,
+        prices,
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Go back to catalog prices
+ * @returns {Object} Result with success status
+ */
+export function clearPriceList() {
+  useGameStore.getState().setPriceList(null)
+  
+  return {
+    success: true,
+  }
+}
+
+// ============================================================================
+// DECAL HANDLERS
+// ============================================================================
+
+/**
+ * Get all decals applied to the vehicle
+ * @returns {Array} List of decals
+ */
+export function getDecals() {
+  return useGameStore.getState().decals
+}
+
+/**
+ * Add a decal to the vehicle
+ * @param {Object} params - Decal parameters
+ * @param {string} params.imageUrl - Image URL or data URL
+ * @param {Object} params.position - Position on the vehicle {x, y, z}
+ * @param {Object} params.rotation - Rotation in radians {x, y, z}
+ * @param {Object} params.scale - Scale {x, y, z}
+ * @param {number} params.opacity - Opacity (0-1)
+ * @returns {Object} Result with success status
+ */
+export function addDecal(params) {
+  try {
+    if (!params || typeof params.imageUrl !== 'string' || params.imageUrl.length === 0) {
+      return {
+        success: false,
+        error: 'Decal imageUrl is required',
+      }
+    }
+    
+    if (params.opacity !== undefined && !(params.opacity >= 0 && params.opacity <= 1)) {
+      return {
+        success: false,
+        error: `Invalid opacity: ${params.opacity}. Must be between 0 and 1`,
+      }
+    }
+    
+    useGameStore.getState().addDecal(params)
+    
+    const decals = getDecals()
+    
+    return {
+      success: true,
+      data: decals[decals.length - 1],
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Update an existing decal
+ * @param {string} decalId - ID of the decal
+ * @param {Object} updates - Decal properties to change
+ * @returns {Object} Result with success status
+ */
+export function updateDecal(decalId, updates) {
+  try {
+    if (!getDecals().some((decal) => decal.id === decalId)) {
+      return {
+        success: false,
+        error: `Decal not found: ${decalId}`,
+      }
+    }
+    
+    if (!updates || typeof updates !== 'object') {
+      return {
+        success: false,
+        error: 'Decal updates must be an object',
+      }
+    }
+    
+    const { id, ...changes } = updates
+    useGameStore.getState().updateDecal(decalId, changes)
+    
+    return {
+      success: true,
+      data: getDecals().find((decal) => decal.id === decalId),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Delete a decal
+ * @param {string} decalId - ID of the decal
+ * @returns {Object} Result with success status
+ */
+export function deleteDecal(decalId) {
+  try {
+    if (!getDecals().some((decal) => decal.id === decalId)) {
+      return {
+        success: false,
+        error: `Decal not found: ${decalId}`,
+      }
+    }
+    
+    useGameStore.getState().deleteDecal(decalId)
+    
+    return {
+      success: true,
+      data: { deleted: decalId },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Remove all decals
+ * @returns {Object} Result with success status
+ */
+export function clearDecals() {
+  try {
+    const count = getDecals().length
+    
+    useGameStore.getState().clearDecals()
+    
+    return {
+      success: true,
+      data: { cleared: count },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// SAVED VEHICLES HANDLERS
+// ============================================================================
+
+/**
+ * Save current vehicle with a name
+ * @param {string} name - Name for the saved vehicle
+ * @returns {Object} Result with success status and vehicle ID
+ */
+export function saveVehicle(name) {
+  try {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return {
+        success: false,
+        error: 'Vehicle name is required',
+      }
+    }
+    
+    const currentVehicle = getCurrentVehicle()
+    const { decals: currentDecals, savedVehicles } = useGameStore.getState()
+    const decals = packDecals(currentDecals)
+    // Saves within the same millisecond still get their own ID
+    const vehicleId = `vehicle_${Date.now()}_${Object.keys(savedVehicles).length}`
+    
+    useGameStore.getState().setSavedVehicles((vehicles) => ({
+      ...vehicles,
+      [vehicleId]: {
+        name: name.trim(),
+        config: currentVehicle,
+        decals,
+        timestamp: Date.now(),
+      },
+      current: vehicleId,
+    }))
+    
+    return {
+      success: true,
+      data: {
+        id: vehicleId,
+        name: name.trim(),
+        config: currentVehicle,
+        decals: decals.length,
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Load a saved vehicle
+ * @param {string} vehicleId - ID of the saved vehicle
+ * @returns {Object} Result with success status
+ */
+export function loadSavedVehicle(vehicleId) {
+  try {
+    const savedVehicles = useGameStore.getState().savedVehicles
+    
+    if (!savedVehicles[vehicleId]) {
+      return {
+        success: false,
+        error: `Saved vehicle not found: ${vehicleId}`,
+        availableVehicles: Object.keys(savedVehicles).filter(k => k !== 'current'),
+      }
+    }
+    
+    useGameStore.getState().setSavedVehicles((vehicles) => ({
+      ...vehicles,
+      current: vehicleId,
+    }))
+    
+    return {
+      success: true,
+      data: savedVehicles[vehicleId],
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Delete a saved vehicle
+ * @param {string} vehicleId - ID of the vehicle to delete
+ * @returns {Object} Result with success status
+ */
+export function deleteSavedVehicle(vehicleId) {
+  try {
+    const savedVehicles = useGameStore.getState().savedVehicles
+    
+    if (!savedVehicles[vehicleId]) {
+      return {
+        success: false,
+        error: `Saved vehicle not found: ${vehicleId}`,
+      }
+    }
+    
+    useGameStore.getState().deleteSavedVehicle(vehicleId)
+    
+    return {
+      success: true,
+      data: { deleted: vehicleId },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Update saved vehicle name
+ * @param {string} vehicleId - ID of the vehicle
+ * @param {string} newName - New name for the vehicle
+ * @returns {Object} Result with success status
+ */
+export function updateSavedVehicleName(vehicleId, newName) {
+  try {
+    const savedVehicles = useGameStore.getState().savedVehicles
+    
+    if (!savedVehicles[vehicleId]) {
+      return {
+        success: false,
+        error: `Saved vehicle not found: ${vehicleId}`,
+      }
+    }
+    
+    if (!newName || typeof newName !== 'string' || newName.trim().length === 0) {
+      return {
+        success: false,
+        error: 'Vehicle name is required',
+      }
+    }
+    
+    useGameStore.getState().setSavedVehicles((vehicles) => ({
+      ...vehicles,
+      [vehicleId]: {
+        ...vehicles[vehicleId],
+        name: newName.trim(),
+      },
+    }))
+    
+    return {
+      success: true,
+      data: {
+        id: vehicleId,
+        name: newName.trim(),
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// SAVED SCENES HANDLERS
+// ============================================================================
+
+/**
+ * Save the vehicle, decals, objects, environment and camera as a named scene
+ * @param {string} name - Scene name, saving under an existing name overwrites it
+ * @returns {Object} Result with success status and scene summary
+ */
+export function saveScene(name) {
+  try {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return {
+        success: false,
+        error: 'Scene name is required',
+      }
+    }
+    
+    const state = useGameStore.getState()
+    const existing = Object.entries(state.savedScenes).find(([, scene]) => scene.name === name.trim())
+    const sceneId = existing ? existing[0] : `scene_${Date.now()}_${Object.keys(state.savedScenes).length}`
+    const scene = serializeScene(state, {
+      name: name.trim(),
+      camera: state.cameraControlsRef?.current?.object.position,
+      course: useCourseStore.getState().course,
+    })
+    
+    state.setSavedScenes((scenes) => ({ ...scenes, [sceneId]: scene }))
+    
+    return {
+      success: true,
+      data: summarizeScene(sceneId, scene),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to save scene: ${error.message}`,
+    }
+  }
+}
+
+/**
+ * Load a saved scene, replacing the vehicle, decals, objects, environment and camera
+ * @param {string} sceneId - ID of the saved scene
+ * @returns {Object} Result with success status and scene summary
+ */
+export function loadScene(sceneId) {
+  try {
+    const savedScenes = useGameStore.getState().savedScenes
+    
+    if (!savedScenes[sceneId]) {
+      return {
+        success: false,
+        error: `Saved scene not found: ${sceneId}`,
+        availableScenes: Object.keys(savedScenes),
+      }
+    }
+    
+    const scene = parseScene(savedScenes[sceneId])
+    
+    // Register the scene's props before its objects reference them
+    Object.entries(scene.props).forEach(([type, definition]) => registerObjectType(type, definition))
+    useGameStore.getState().loadScene(scene)
+    useCourseStore.getState().stopRun()
+    if (scene.environment.course) useCourseStore.getState().setCourse(scene.environment.course)
+    
+    return {
+      success: true,
+      data: summarizeScene(sceneId, scene),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to load scene: ${error.message}`,
+    }
+  }
+}
+
+/**
+ * List saved scenes
+ * @returns {Array} Scene summaries, newest first
+ */
+export function listScenes() {
+  return Object.entries(useGameStore.getState().savedScenes)
+    .map(([id, scene]) => summarizeScene(id, scene))
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))
+}
+
+/**
+ * Delete a saved scene
+ * @param {string} sceneId - ID of the scene to delete
+ * @returns {Object} Result with success status
+ */
+export function deleteScene(sceneId) {
+  try {
+    if (!useGameStore.getState().savedScenes[sceneId]) {
+      return {
+        success: false,
+        error: `Saved scene not found: ${sceneId}`,
+      }
+    }
+    
+    useGameStore.getState().setSavedScenes((scenes) => {
+      const { [sceneId]: deleted, ...rest } = scenes
+      return rest
+    })
+    
+    return {
+      success: true,
+      data: { deleted: sceneId },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// HISTORY HANDLERS
+// ============================================================================
+
+/**
+ * Get undo/redo history state
+ * @returns {Object} History availability and stack sizes
+ */
+export function getHistoryState() {
+  const state = useGameStore.getState()
+  
+  return {
+    canUndo: state.canUndo,
+    canRedo: state.canRedo,
+    undoSteps: state.history.past.length,
+    redoSteps: state.history.future.length,
+  }
+}
+
+/**
+ * Undo the last vehicle, decal or object change
+ * @returns {Object} Result with success status
+ */
+export function undo() {
+  try {
+    if (!useGameStore.getState().undo()) {
+      return {
+        success: false,
+        error: 'Nothing to undo',
+      }
+    }
+    
+    return {
+      success: true,
+      data: {
+        vehicle: getCurrentVehicle(),
+        history: getHistoryState(),
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Redo the last undone change
+ * @returns {Object} Result with success status
+ */
+export function redo() {
+  try {
+    if (!useGameStore.getState().redo()) {
+      return {
+        success: false,
+        error: 'Nothing to redo',
+      }
+    }
+    
+    return {
+      success: true,
+      data: {
+        vehicle: getCurrentVehicle(),
+        history: getHistoryState(),
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// CAMERA HANDLERS
+// ============================================================================
+
+/**
+ * Set camera target position
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @returns {Object} Result with success status
+ */
+export function setCameraTarget(x, y, z) {
+  try {
+    const xVal = parseFloat(x)
+    const yVal = parseFloat(y)
+    const zVal = parseFloat(z)
+    
+    if (isNaN(xVal) || isNaN(yVal) || isNaN(zVal)) {
+      return {
+        success: false,
+        error: 'Invalid coordinates',
+      }
+    }
+    
+    useGameStore.getState().setCameraTarget(xVal, yVal, zVal)
+    
+    return {
+      success: true,
+      data: { x: xVal, y: yVal, z: zVal },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Toggle camera auto-rotate
+ * @param {boolean} enabled - Whether auto-rotate should be enabled
+ * @returns {Object} Result with success status
+ */
+export function setCameraAutoRotate(enabled) {
+  try {
+    const value = Boolean(enabled)
+    
+    useGameStore.getState().setCameraAutoRotate(value)
+    
+    return {
+      success: true,
+      data: { enabled: value },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// PHYSICS & SCENE HANDLERS
+// ============================================================================
+
+/**
+ * Enable/disable physics simulation
+ * @param {boolean} enabled - Whether physics should be enabled
+ * @returns {Object} Result with success status
+ */
+export function setPhysicsEnabled(enabled) {
+  try {
+    const value = Boolean(enabled)
+    
+    useGameStore.getState().setPhysicsEnabled(value)
+    
+    return {
+      success: true,
+      data: { enabled: value },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Get scene loading status
+ * @returns {Object} Scene loading state
+ */
+export function getSceneLoadingStatus() {
+  const state = useGameStore.getState()
+  
+  return {
+    loaded: state.sceneLoaded,
+    degraded: state.performanceDegraded,
+  }
+}
+
+// ============================================================================
+// TERRAIN HANDLERS
+// ============================================================================
+
+/**
+ * Get terrain preset and seed
+ * @returns {Object} Terrain state with available presets
+ */
+export function getTerrainState() {
+  const state = useGameStore.getState()
+  
+  const heightmap = state.heightmap
+  
+  return {
+    preset: state.terrainPreset,
+    seed: state.terrainSeed,
+    heightmap: heightmap && {
+      name: heightmap.name,
+      width: heightmap.width,
+      height: heightmap.height,
+      metersPerPixel: heightmap.metersPerPixel,
+      verticalScale: heightmap.verticalScale,
+    },
+    presets: Object.entries(PRESETS).map(([id, preset]) => ({
+      id,
+      name: preset.name,
+      surfaces: preset.surfaces,
+    })),
+  }
+}
+
+/**
+ * Set terrain preset
+ * @param {string} presetId - Terrain preset ID
+ * @returns {Object} Result with success status
+ */
+export function setTerrainPreset(presetId) {
+  try {
+    if (!PRESETS[presetId]) {
+      return {
+        success: false,
+        error: `Invalid terrain preset: ${presetId}. Must be one of: ${TERRAIN_PRESETS.join(', ')}`,
+      }
+    }
+    
+    useGameStore.getState().setTerrainPreset(presetId)
+    
+    return {
+      success: true,
+      data: { preset: presetId, name: PRESETS[presetId].name },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Set terrain seed
+ * @param {number} [seed] - Integer seed, random when omitted
+ * @returns {Object} Result with success status
+ */
+export function setTerrainSeed(seed) {
+  try {
+    const value = seed === undefined ? SEED_RANGE.MIN + Math.floor(Math.random() * SEED_RANGE.MAX) : Number(seed)
+    
+    if (!Number.isInteger(value) || value < SEED_RANGE.MIN || value > SEED_RANGE.MAX) {
+      return {
+        success: false,
+        error: `Invalid terrain seed: ${seed}. Must be an integer between ${SEED_RANGE.MIN} and ${SEED_RANGE.MAX}`,
+      }
+    }
+    
+    useGameStore.getState().setTerrainSeed(value)
+    
+    return {
+      success: true,
+      data: { seed: value },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Import a heightmap to replace the noise terrain
+ * Images are decoded by the browser and passed as RGBA pixel data
+ * @param {string|Array|Object} source - ASCII grid or JSON text, rows of elevations, or { width, height, data }
+ * @param {Object} [options] - { name, metersPerPixel, verticalScale, pixels }, set `pixels` when data is RGBA image data
+ * @returns {Object} Result with success status
+ */
+export function importHeightmap(source, { pixels = false, ...options } = {}) {
+  try {
+    const errors = validateHeightmapScale(options)
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: errors.join('; '),
+      }
+    }
+    
+    const grid = pixels ? imageDataToGrid(source) : parseElevationGrid(source)
+    const heightmap = createHeightmap(grid, options)
+    
+    useGameStore.getState().setHeightmap(heightmap)
+    
+    return {
+      success: true,
+      data: {
+        name: heightmap.name,
+        width: heightmap.width,
+        height: heightmap.height,
+        metersPerPixel: heightmap.metersPerPixel,
+        verticalScale: heightmap.verticalScale,
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to import heightmap: ${error.message}`,
+    }
+  }
+}
+
+/**
+ * Remove the imported heightmap, returning to the preset's noise terrain
+ * @returns {Object} Result with success status
+ */
+export function clearHeightmap() {
+  try {
+    const { heightmap, setHeightmap } = useGameStore.getState()
+    if (!heightmap) {
+      return {
+        success: false,
+        error: 'No heightmap imported',
+      }
+    }
+    
+    setHeightmap(null)
+    
+    return {
+      success: true,
+      data: { name: heightmap.name },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// OBJECT HANDLERS
+// ============================================================================
+
+/**
+ * Unique ID for a new scene object, counting up past IDs still in use since
+ * removing an object lowers the object count
+ * @param {string} prefix - ID prefix (object, fluid, course)
+ * @param {Array} objects - Objects already in the scene
+ * @returns {string} Object ID
+ */
+function createObjectId(prefix, objects) {
+  const time = Date.now()
+  let index = objects.length
+  while (objects.some((object) => object.id === `${prefix}_${time}_${index}`)) index++
+  return `${prefix}_${time}_${index}`
+}
+
+/**
+ * Get placeable object types
+ * @returns {Object} Type definitions keyed by type ID
+ */
+export function getObjectTypes() {
+  return Object.fromEntries(getObjectTypeIds().map((type) => [type, getObjectType(type)]))
+}
+
+/**
+ * Get placed objects, leaving out fluid volumes and course elements
+ * @returns {Array} Placed objects
+ */
+export function getObjects() {
+  return useGameStore.getState().objects.filter((object) => !FLUID_TYPES.includes(object.type) && !COURSE_TYPES.includes(object.type))
+}
+
+/**
+ * Place an object
+ * @param {string} type - Object type ID (cube, ramp, wedge, log, post, sphere, stairs, barrel or a registered prop)
+ * @param {Object} [options] - Object placement
+ * @param {Object} [options.position] - Center {x, y, z}, defaults to sitting at ground level ahead of the origin
+ * @param {number} [options.yaw] - Rotation around the vertical axis in radians
+ * @param {Object} [options.scale] - Scale of the type's size {x, y, z}
+ * @returns {Object} Result with success status
+ */
+export function addObject(type, { position, yaw = 0, scale = { x: 1, y: 1, z: 1 } } = {}) {
+  try {
+    if (!getObjectType(type)) {
+      return {
+        success: false,
+        error: `Invalid object type: ${type}. Must be one of: ${getObjectTypeIds().join(', ')}`,
+      }
+    }
+    
+    if (!['x', 'y', 'z'].every((axis) => scale?.[axis] > 0)) {
+      return {
+        success: false,
+        error: 'Object scale must be positive',
+      }
+    }
+    
+    const { objects, addObject: addSceneObject } = useGameStore.getState()
+    const id = createObjectId('object', objects)
+    
+    addSceneObject({
+      id,
+      type,
+      position: position ? { ...position } : { x: 0, y: getObjectSize(type, scale).y / 2, z: 6 },
+      rotation: { x: 0, y: yaw, z: 0 },
+      scale: { ...scale },
+    })
+    
+    return {
+      success: true,
+      data: getObjects().find((object) => object.id === id),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Remove a placed object
+ * @param {string} objectId - ID of the object
+ * @returns {Object} Result with success status
+ */
+export function deleteObject(objectId) {
+  try {
+    if (!getObjects().some((object) => object.id === objectId)) {
+      return {
+        success: false,
+        error: `Object not found: ${objectId}`,
+      }
+    }
+    
+    useGameStore.getState().deleteObject(objectId)
+    
+    return {
+      success: true,
+      data: { id: objectId },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Move, rotate or resize a placed object
+ * @param {string} objectId - ID of the object
+ * @param {Object} updates - Any of { position, rotation, scale }, rotation in radians
+ * @param {Object} [options] - Update options
+ * @param {boolean} [options.snap] - Snap to the transform gizmo's grid and angle steps
+ * @returns {Object} Result with success status
+ */
+export function updateObject(objectId, updates, { snap = false } = {}) {
+  try {
+    const object = useGameStore.getState().objects.find((item) => item.id === objectId)
+    
+    if (!object) {
+      return {
+        success: false,
+        error: `Object not found: ${objectId}`,
+      }
+    }
+    
+    const invalid = ['position', 'rotation', 'scale'].find((field) => updates?.[field] && !['x', 'y', 'z'].every((axis) => Number.isFinite(updates[field][axis] ?? object[field][axis])))
+    if (invalid) {
+      return {
+        success: false,
+        error: `Invalid ${invalid}: x, y and z must be numbers`,
+      }
+    }
+    
+    const merged = Object.fromEntries(['position', 'rotation', 'scale'].filter((field) => updates?.[field]).map((field) => [field, { ...object[field], ...updates[field] }]))
+    const { transformSnap } = useGameStore.getState()
+    
+    useGameStore.getState().updateObject(objectId, snapTransform(merged, { ...transformSnap, enabled: snap }))
+    
+    return {
+      success: true,
+      data: useGameStore.getState().objects.find((item) => item.id === objectId),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Set transform gizmo snapping
+ * @param {Object} snap - Any of { enabled, grid, angle, scale }, grid in meters and angle in degrees
+ * @returns {Object} Result with the snap settings
+ */
+export function setTransformSnap(snap) {
+  try {
+    const errors = validateTransformSnap(snap || {})
+    
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: `Invalid snap settings: ${errors.join('; ')}`,
+      }
+    }
+    
+    useGameStore.getState().setTransformSnap(snap)
+    
+    return {
+      success: true,
+      data: useGameStore.getState().transformSnap,
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+// ============================================================================
+// FLUID HANDLERS
+// ============================================================================
+
+/**
+ * Get hand-placed water and mud volumes
+ * @returns {Array} Placed fluid volumes
+ */
+export function getFluidVolumes() {
+  return useGameStore.getState().objects.filter((object) => FLUID_TYPES.includes(object.type))
+}
+
+/**
+ * Place a water crossing or mud pit
+ * @param {string} type - Fluid type (water, mud)
+ * @param {Object} [options] - Volume placement
+ * @param {Object} [options.position] - Surface center {x, y, z}
+ * @param {Object} [options.size] - Footprint in meters {x, z}
+ * @param {number} [options.depth] - Depth below the surface in meters
+ * @param {number} [options.yaw] - Rotation around the vertical axis in radians
+ * @returns {Object} Result with success status
+ */
+export function addFluidVolume(type, { position = { x: 0, y: 0.3, z: 8 }, size = { x: 6, z: 10 }, depth = 0.8, yaw = 0 } = {}) {
+  try {
+    if (!FLUID_TYPES.includes(type)) {
+      return {
+        success: false,
+        error: `Invalid fluid type: ${type}. Must be one of: ${FLUID_TYPES.join(', ')}`,
+      }
+    }
+    
+    if (!(size?.x > 0) || !(size?.z > 0) || !(depth > 0)) {
+      return {
+        success: false,
+        error: 'Fluid volume size and depth must be positive',
+      }
+    }
+    
+    const { objects, addObject } = useGameStore.getState()
+    const id = createObjectId('fluid', objects)
+    
+    addObject({
+      id,
+      type,
+      position: { ...position },
+      rotation: { x: 0, y: yaw, z: 0 },
+      scale: { x: size.x, y: depth, z: size.z },
+    })
+    
+    return {
+      success: true,
+      data: getFluidVolumes().find((volume) => volume.id === id),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Remove a placed fluid volume
+ * @param {string} volumeId - ID of the volume
+ * @returns {Object} Result with success status
+ */
+export function removeFluidVolume(volumeId) {
+  try {
+    if (!getFluidVolumes().some((volume) => volume.id === volumeId)) {
+      return {
+        success: false,
+        error: `Fluid volume not found: ${volumeId}`,
+      }
+    }
+    
+    useGameStore.getState().deleteObject(volumeId)
+    
+    return {
+      success: true,
+      data: { id: volumeId },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Get current fording depth against the vehicle's air intake
+ * @returns {Object} { fluid, depth, limit, snorkel, exceeded } with depths in meters
+ */
+export function getFordingState() {
+  const { fording } = useEngineStore.getState()
+  const { fordingDepth } = computeVehicleMetrics(getCurrentVehicle())
+  
+  return {
+    fluid: fording?.type || null,
+    depth: fording?.depth || 0,
+    limit: fordingDepth?.meters ?? null,
+    snorkel: fordingDepth?.snorkel || false,
+    exceeded: Boolean(fording && fordingDepth && fording.depth > fordingDepth.meters),
+  }
+}
+
+// ============================================================================
+// COURSE HANDLERS
+// ============================================================================
+
+/**
+ * Get the obstacle course, its elements and the active run
+ * @returns {Object} { id, name, elements, run } with run times in seconds
+ */
+export function getCourse() {
+  const { course, run } = useCourseStore.getState()
+  
+  return {
+    ...course,
+    elements: getCourseElements(useGameStore.getState().objects),
+    run: run && {
+      status: run.status,
+      checkpoint: run.next,
+      checkpoints: run.checkpoints,
+      conesHit: run.conesHit.length,
+      rollovers: run.rollovers,
+      ...getRunTime(run, Date.now()),
+    },
+  }
+}
+
+/**
+ * Place a course element
+ * @param {string} type - Element type (start_gate, checkpoint, finish_gate, cone, ramp, rock_step)
+ * @param {Object} [options] - Element placement
+ * @param {Object} [options.position] - Base center {x, y, z}
+ * @param {number} [options.yaw] - Rotation around the vertical axis in radians
+ * @param {number} [options.order] - Checkpoint order, defaults to after the last checkpoint
+ * @returns {Object} Result with success status
+ */
+export function addCourseElement(type, { position = { x: 0, y: 0, z: 10 }, yaw = 0, order } = {}) {
+  try {
+    if (!COURSE_TYPES.includes(type)) {
+      return {
+        success: false,
+        error: `Invalid course element type: ${type}. Must be one of: ${COURSE_TYPES.join(', ')}`,
+      }
+    }
+    
+    const { objects, addObject } = useGameStore.getState()
+    const id = createObjectId('course', objects)
+    
+    addObject({
+      id,
+      type,
+      position: { ...position },
+      rotation: { x: 0, y: yaw, z: 0 },
+      ...(type === 'checkpoint' && { order: Number.isInteger(order) ? order : getNextCheckpointOrder(objects) }),
+    })
+    
+    return {
+      success: true,
+      data: getCourseElements(useGameStore.getState().objects).find((element) => element.id === id),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Remove a course element, renumbering the checkpoints after a removed one
+ * @param {string} elementId - ID of the element
+ * @returns {Object} Result with success status
+ */
+export function removeCourseElement(elementId) {
+  try {
+    if (!getCourseElements(useGameStore.getState().objects).some((element) => element.id === elementId)) {
+      return {
+        success: false,
+        error: `Course element not found: ${elementId}`,
+      }
+    }
+    
+    useGameStore.getState().deleteObject(elementId)
+    
+    return {
+      success: true,
+      data: { id: elementId },
     }
   } catch (error) {
     return {
@@ -1214,24 +2718,77 @@ export function setCameraAutoRotate(enabled) {
   }
 }
 
-// ============================================================================
-// PHYSICS & SCENE HANDLERS
-// ============================================================================
+/**
+ * Export the course as JSON
+ * @returns {Object} Result with course JSON string
+ */
+export function exportCourse() {
+  try {
+    const { course } = useCourseStore.getState()
+    
+    return {
+      success: true,
+      data: JSON.stringify(serializeCourse(course, getCourseElements(useGameStore.getState().objects)), null, 2),
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
 
 /**
- * Enable/disable physics simulation
- * @param {boolean} enabled - Whether physics should be enabled
+ * Import a course from JSON, replacing the current course elements
+ * @param {string|Object} json - Course JSON
  * @returns {Object} Result with success status
  */
-export function setPhysicsEnabled(enabled) {
+export function importCourse(json) {
   try {
-    const value = Boolean(enabled)
+    const { id, name, elements } = parseCourse(json)
+    const { transaction, deleteObject, addObject } = useGameStore.getState()
     
-    useGameStore.getState().setPhysicsEnabled(value)
+    transaction(() => {
+      getCourseElements(useGameStore.getState().objects).forEach((element) => deleteObject(element.id))
+      const { length } = useGameStore.getState().objects
+      elements.forEach((element, index) => addObject({ ...element, id: `course_${Date.now()}_${length + index}` }))
+    })
+    useCourseStore.getState().stopRun()
+    useCourseStore.getState().setCourse({ id, name })
     
     return {
       success: true,
-      data: { enabled: value },
+      data: { id, name, elements: elements.length },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to import course: ${error.message}`,
+    }
+  }
+}
+
+/**
+ * Arm a timed run, which starts when the vehicle crosses the start gate
+ * @returns {Object} Result with success status
+ */
+export function startCourseRun() {
+  try {
+    const elements = getCourseElements(useGameStore.getState().objects)
+    const errors = validateCourse(elements)
+    
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: errors.join('; '),
+      }
+    }
+    
+    useCourseStore.getState().startRun(elements)
+    
+    return {
+      success: true,
+      data: getCourse().run,
     }
   } catch (error) {
     return {
@@ -1242,18 +2799,43 @@ export function setPhysicsEnabled(enabled) {
 }
 
 /**
- * Get scene loading status
- * @returns {Object} Scene loading state
+ * Stop the current run
+ * @returns {Object} Result with the run as it stood when stopped
  */
-export function getSceneLoadingStatus() {
-  const state = useGameStore.getState()
-  
-  return {
-    loaded: state.sceneLoaded,
-    degraded: state.performanceDegraded,
+export function stopCourseRun() {
+  try {
+    const { run } = getCourse()
+    
+    if (!run) {
+      return {
+        success: false,
+        error: 'No course run in progress',
+      }
+    }
+    
+    useCourseStore.getState().stopRun()
+    
+    return {
+      success: true,
+      data: run,
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
   }
 }
 
+/**
+ * Get best times for the current build
+ * @param {string} [courseId] - Course ID, defaults to the current course
+ * @returns {Array} Leaderboard entries, fastest first
+ */
+export function getCourseLeaderboard(courseId) {
+  return useCourseStore.getState().getLeaderboard(courseId)
+}
+
 // ============================================================================
 // NOTIFICATION HANDLERS
 // ============================================================================
@@ -1317,22 +2899,28 @@ export function hideNotification() {
 // ============================================================================
 
 /**
- * Generate shareable URL for current vehicle
- * @returns {Object} Result with URL
+ * Generate a compact, versioned shareable URL for current vehicle and its decals
+ * @param {Object} [options] - Share options
+ * @param {Array} [options.decals] - Decals to share, such as the scene's decals after shrinkSharedDecals; defaults to the scene's decals as they are
+ * @returns {Object} Result with URL, and a warning when it is too long for some servers and apps
  */
-export function generateShareableUrl() {
+export function generateShareableUrl({ decals = useGameStore.getState().decals } = {}) {
   try {
     const currentVehicle = getCurrentVehicle()
-    const jsonString = JSON.stringify(currentVehicle)
-    const encodedConfig = encodeURIComponent(jsonString)
+    
     const baseUrl = window.location.origin + window.location.pathname
-    const shareUrl = `${baseUrl}?config=${encodedConfig}`
+    const shareUrl = `${baseUrl}?${SHARE_PARAM}=${encodeShareLink({ config: currentVehicle, decals })}`
     
     return {
       success: true,
       data: {
         url: shareUrl,
         config: currentVehicle,
+        decals: decals.length,
+        version: SHARE_FORMAT_VERSION,
+        ...(shareUrl.length > MAX_SHARE_URL_LENGTH && {
+          warning: `This link is ${shareUrl.length.toLocaleString('en-US')} characters long, and some servers and chat apps cut off links over ${MAX_SHARE_URL_LENGTH.toLocaleString('en-US')}. Removing decals makes it shorter.`,
+        }),
       },
     }
   } catch (error) {
@@ -1371,23 +2959,138 @@ export function loadVehicleFromUrl() {
 }
 
 /**
- * Export current vehicle configuration as JSON
+ * Export current vehicle configuration as JSON, stamped with its schema version
  * @returns {Object} Vehicle configuration object
  */
 export function exportVehicleConfiguration() {
   return {
     success: true,
-    data: getCurrentVehicle(),
+    data: stampVehicleConfig(getCurrentVehicle()),
   }
 }
 
 /**
- * Import vehicle configuration from JSON
- * @param {Object} config - Vehicle configuration object
+ * Import vehicle configuration from JSON, migrating it from the schema version it was exported in
+ * @param {Object} config - Vehicle configuration object, or a partial one to merge into the current build
+ * @param {Object} [options] - Handler options
+ * @param {boolean} [options.preview=false] - Return the resulting configuration, diff and validation without applying it
  * @returns {Object} Result with success status
  */
-export function importVehicleConfiguration(config) {
-  return setVehicleConfiguration(config)
+export function importVehicleConfiguration(config, options = {}) {
+  try {
+    // Only stored configs are migrated, marked by their schema version or the legacy v1 `id`.
+    // Filling in anything else would overwrite the current build.
+    const stored = config && typeof config === 'object' && ('schemaVersion' in config || 'id' in config)
+    return setVehicleConfiguration(stored ? migrateVehicleConfig(config) : config, options)
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Export the rendered vehicle, with addons, wheels, materials and decals, as a GLB model
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.download=true] - Save the model as a file download
+ * @returns {Promise<Object>} Result with the file name, size, contents and mesh counts
+ */
+export async function exportVehicleModel({ download = true } = {}) {
+  try {
+    const { vehicleRef, currentVehicle } = useGameStore.getState()
+    
+    if (!vehicleRef?.current) {
+      return {
+        success: false,
+        error: 'Vehicle model is not loaded',
+      }
+    }
+    
+    const summary = describeModel(vehicleRef.current)
+    const buffer = await exportModel(vehicleRef.current)
+    const fileName = getModelFileName(currentVehicle)
+    
+    if (download) {
+      downloadModel(buffer, fileName)
+    }
+    
+    return {
+      success: true,
+      data: {
+        fileName,
+        size: buffer.byteLength,
+        ...summary,
+        buffer,
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
+}
+
+/**
+ * Get a build sheet for the current vehicle: parts with their makers, addons and metrics
+ * @returns {Object} Build sheet
+ */
+export function getBuildSheet() {
+  const { savedVehicles } = useGameStore.getState()
+  const config = getCurrentVehicle()
+  
+  return createBuildSheet({
+    config,
+    wheels: getWheelConfiguration(),
+    addons: getVehicleAddons(),
+    metrics: computeVehicleMetrics(config),
+    name: savedVehicles.current ? savedVehicles[savedVehicles.current]?.name : null,
+  })
+}
+
+/**
+ * Export a build sheet for the current vehicle
+ * @param {string} [format='html'] - Export format: json, csv or html
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.download=true] - Save the sheet as a file download
+ * @param {boolean} [options.screenshot=true] - Include a rendered screenshot in HTML sheets
+ * @returns {Object} Result with the file name and contents
+ */
+export function exportBuildSheet(format = 'html', { download = true, screenshot = true } = {}) {
+  try {
+    if (!BUILD_SHEET_FORMATS[format]) {
+      return {
+        success: false,
+        error: `Invalid build sheet format: ${format}. Valid formats: ${Object.keys(BUILD_SHEET_FORMATS).join(', ')}`,
+      }
+    }
+    
+    const sheet = getBuildSheet()
+    const { captureScreenshot } = useGameStore.getState()
+    const image = format === 'html' && screenshot && captureScreenshot ? captureScreenshot() : null
+    const content = formatBuildSheet(sheet, format, { screenshot: image })
+    const fileName = getBuildSheetFileName(sheet, format)
+    
+    if (download) {
+      downloadBuildSheet(content, fileName, format)
+    }
+    
+    return {
+      success: true,
+      data: {
+        format,
+        fileName,
+        content,
+        screenshot: Boolean(image),
+      },
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    }
+  }
 }
 
 /**
@@ -1456,6 +3159,21 @@ export function validateConfiguration(config) {
     }
   }
   
+  // Validate drive mode
+  if (config.drive_mode !== undefined && !DRIVE_MODES.includes(config.drive_mode)) {
+    errors.push(`Invalid drive mode: ${config.drive_mode}`)
+  }
+  
+  // Validate transmission
+  if (config.transmission !== undefined && !TRANSMISSIONS.includes(config.transmission)) {
+    errors.push(`Invalid transmission: ${config.transmission}`)
+  }
+  
+  // Validate suspension tuning
+  if (config.suspension_tuning) {
+    errors.push(...validateSuspensionTuning(config.suspension_tuning))
+  }
+  
   // Check tire/rim compatibility
   if (config.tire_diameter !== undefined && config.rim_diameter !== undefined) {
     if (config.tire_diameter <= config.rim_diameter) {
@@ -1463,6 +3181,35 @@ export function validateConfiguration(config) {
     }
   }
   
+  // Check tire clearance for the body
+  if (vehicleConfigs.vehicles[config.body] && config.tire_diameter !== undefined) {
+    const fitment = runFitmentCheck({
+      rim_width: vehicleConfigs.defaults.rim_width,
+      ...config,
+    })
+    
+    fitment.rubbing.forEach((rub) => warnings.push(`Fitment: ${rub.message}`))
+  }
+  
+  // Check the parts stay under budget, only failing changes that add to an over-budget cost
+  const { budget, priceList } = useGameStore.getState()
+  if (budget) {
+    const cost = computeBuildCost(projectConfiguration(config), priceList)
+    const currentCost = computeBuildCost(getCurrentVehicle(), priceList)
+    
+    if (cost.total > budget) {
+      const message = `Over budget: parts cost ${formatPrice(cost.total, cost.currency)}, budget is ${formatPrice(budget, cost.currency)}`
+      if (cost.total > currentCost.total) {
+        errors.push(message)
+      } else {
+        warnings.push(message)
+      }
+    }
+    if (cost.unpriced.length > 0) {
+      warnings.push(`No price for ${cost.unpriced.join(', ')}, budget total leaves them out`)
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors,
@@ -1474,12 +3221,228 @@ export function validateConfiguration(config) {
 // BATCH OPERATIONS
 // ============================================================================
 
+// Operations whose single param maps directly onto a configuration field
+const BATCH_CONFIG_FIELDS = {
+  setVehicleBody: 'body',
+  setVehicleColor: 'color',
+  setVehicleRoughness: 'roughness',
+  setVehicleLift: 'lift',
+  setRim: 'rim',
+  setRimColor: 'rim_color',
+  setRimColorSecondary: 'rim_color_secondary',
+  setRimDiameter: 'rim_diameter',
+  setRimWidth: 'rim_width',
+  setTire: 'tire',
+  setTireDiameter: 'tire_diameter',
+  toggleSpareTire: 'spare',
+  setDriveMode: 'drive_mode',
+  setTransmission: 'transmission',
+}
+
+// Operations whose params object is a partial configuration
+const BATCH_CONFIG_OBJECTS = ['setVehicleAppearance', 'setWheelConfiguration', 'setVehicleConfiguration']
+
+// Operations outside the vehicle configuration, skipped when previewing
+const BATCH_SCENE_OPERATIONS = [
+  'setCameraTarget',
+  'setCameraAutoRotate',
+  'setPhysicsEnabled',
+  'setTerrainPreset',
+  'setTerrainSeed',
+  'addObject',
+  'updateObject',
+  'deleteObject',
+  'addFluidVolume',
+  'removeFluidVolume',
+  'addCourseElement',
+  'removeCourseElement',
+  'addDecal',
+  'updateDecal',
+  'deleteDecal',
+  'clearDecals',
+]
+
+/**
+ * Run a single batch operation
+ * @param {string} operation - Handler name
+ * @param {*} params - Handler parameters
+ * @param {Object} [options] - Options passed to vehicle configuration handlers
+ * @returns {Object} Handler result
+ */
+function runBatchOperation(operation, params, options = {}) {
+  switch (operation) {
+    case 'setVehicleBody':
+      return setVehicleBody(params, options)
+    case 'setVehicleColor':
+      return setVehicleColor(params, options)
+    case 'setVehicleRoughness':
+      return setVehicleRoughness(params, options)
+    case 'setVehicleAppearance':
+      return setVehicleAppearance(params, options)
+    case 'setVehicleLift':
+      return setVehicleLift(params, options)
+    case 'setRim':
+      return setRim(params, options)
+    case 'setRimColor':
+      return setRimColor(params, options)
+    case 'setRimColorSecondary':
+      return setRimColorSecondary(params, options)
+    case 'setRimDiameter':
+      return setRimDiameter(params, options)
+    case 'setRimWidth':
+      return setRimWidth(params, options)
+    case 'setTire':
+      return setTire(params, options)
+    case 'setTireDiameter':
+      return setTireDiameter(params, options)
+    case 'setWheelConfiguration':
+      return setWheelConfiguration(params, options)
+    case 'setVehicleAddon':
+      return setVehicleAddon(params.type, params.value, options)
+    case 'removeVehicleAddon':
+      return removeVehicleAddon(params, options)
+    case 'toggleSpareTire':
+      return toggleSpareTire(params, options)
+    case 'setDriveMode':
+      return setDriveMode(params, options)
+    case 'setDifferentialLock':
+      return setDifferentialLock(params.axle, params.locked, options)
+    case 'setTransmission':
+      return setTransmission(params, options)
+    case 'setSuspensionTuning':
+      return setSuspensionTuning(params, options)
+    case 'resetVehicle':
+      return resetVehicle(options)
+    case 'resetVehicleComplete':
+      return resetVehicleComplete(options)
+    case 'setVehicleConfiguration':
+      return setVehicleConfiguration(params, options)
+    case 'setCameraTarget':
+      return setCameraTarget(params.x, params.y, params.z)
+    case 'setCameraAutoRotate':
+      return setCameraAutoRotate(params)
+    case 'setPhysicsEnabled':
+      return setPhysicsEnabled(params)
+    case 'setTerrainPreset':
+      return setTerrainPreset(params)
+    case 'setTerrainSeed':
+      return setTerrainSeed(params)
+    case 'addObject':
+      return addObject(params?.type, params)
+    case 'updateObject':
+      return updateObject(params.id, params, { snap: params.snap })
+    case 'deleteObject':
+      return deleteObject(params)
+    case 'addFluidVolume':
+      return addFluidVolume(params?.type, params)
+    case 'removeFluidVolume':
+      return removeFluidVolume(params)
+    case 'addCourseElement':
+      return addCourseElement(params?.type, params)
+    case 'removeCourseElement':
+      return removeCourseElement(params)
+    case 'addDecal':
+      return addDecal(params)
+    case 'updateDecal':
+      return updateDecal(params.id, params)
+    case 'deleteDecal':
+      return deleteDecal(params)
+    case 'clearDecals':
+      return clearDecals()
+    default:
+      return {
+        success: false,
+        error: `Unknown operation: ${operation}`,
+      }
+  }
+}
+
+/**
+ * Configuration the vehicle would be left in after a batch
+ * @param {Array} updates - Array of update operations
+ * @returns {Object} Projected vehicle configuration
+ */
+function projectBatch(updates) {
+  let projected = getCurrentVehicle()
+  const apply = (fields) => {
+    projected = projectConfiguration(fields, projected)
+  }
+  
+  for (const { operation, params } of updates) {
+    if (BATCH_CONFIG_FIELDS[operation]) {
+      apply({ [BATCH_CONFIG_FIELDS[operation]]: params })
+    } else if (BATCH_CONFIG_OBJECTS.includes(operation) && params && typeof params === 'object') {
+      apply(params)
+    }
+    
+    switch (operation) {
+      case 'setVehicleAddon':
+        if (params?.type) apply({ addons: { ...projected.addons, [params.type]: params.value } })
+        break
+      case 'removeVehicleAddon': {
+        const { [params]: removed, ...addons } = projected.addons || {}
+        apply({ addons })
+        break
+      }
+      case 'setDifferentialLock':
+        if (DIFFERENTIAL_AXLES.includes(params?.axle)) {
+          const field = `${params.axle}_locked`
+          apply({ [field]: params.locked === undefined ? !projected[field] : Boolean(params.locked) })
+        }
+        break
+      case 'setSuspensionTuning': {
+        const tuning = { ...projected.suspension_tuning }
+        if (params === null) {
+          apply({ suspension_tuning: {} })
+        } else if (params && typeof params === 'object') {
+          Object.entries(params).forEach(([key, value]) => {
+            tuning[key] = { ...tuning[key], ...value }
+          })
+          apply({ suspension_tuning: tuning })
+        }
+        break
+      }
+      case 'resetVehicle':
+        apply({ ...vehicleConfigs.defaults, body: projected.body, addons: vehicleConfigs.vehicles[projected.body]?.default_addons || {} })
+        break
+      case 'resetVehicleComplete':
+        projected = { ...vehicleConfigs.defaults, addons: vehicleConfigs.vehicles[vehicleConfigs.defaults.body]?.default_addons || {} }
+        break
+    }
+  }
+  
+  return projected
+}
+
+/**
+ * Validate the configuration a batch would leave the vehicle in
+ * @param {Array} updates - Array of update operations
+ * @returns {Object} Validation result
+ */
+function validateBatch(updates) {
+  return validateConfiguration(projectBatch(updates))
+}
+
+/**
+ * Capture the state a batch step can change
+ * @returns {Object} Vehicle configuration plus decals
+ */
+function captureBatchState() {
+  return {
+    ...getCurrentVehicle(),
+    decals: getDecals(),
+  }
+}
+
 /**
  * Apply multiple updates in a batch
  * @param {Array} updates - Array of update operations
- * @returns {Object} Batch operation results
+ * @param {Object} [options] - Batch options
+ * @param {boolean} [options.atomic=false] - Validate first and roll back every step if any step fails
+ * @param {boolean} [options.preview=false] - Compute the resulting configuration without applying any step
+ * @returns {Object} Batch operation results with a per-step diff
  */
-export function applyBatchUpdates(updates) {
+export function applyBatchUpdates(updates, { atomic = false, preview = false } = {}) {
   if (!Array.isArray(updates)) {
     return {
       success: false,
@@ -1491,65 +3454,137 @@ export function applyBatchUpdates(updates) {
   let successCount = 0
   let failureCount = 0
   
-  for (const update of updates) {
-    try {
-      const { operation, params } = update
-      
+  // Run each step, recording what it changed
+  const runSteps = () => {
+    for (const update of updates) {
+      const before = captureBatchState()
       let result
       
-      switch (operation) {
-        case 'setVehicleBody':
-          result = setVehicleBody(params)
-          break
-        case 'setVehicleColor':
-          result = setVehicleColor(params)
-          break
-        case 'setVehicleLift':
-          result = setVehicleLift(params)
-          break
-        case 'setRim':
-          result = setRim(params)
-          break
-        case 'setTire':
-          result = setTire(params)
-          break
-        case 'setVehicleAddon':
-          result = setVehicleAddon(params.type, params.value)
-          break
-        case 'toggleSpareTire':
-          result = toggleSpareTire(params)
-          break
-        default:
+      try {
+        if (preview && BATCH_SCENE_OPERATIONS.includes(update.operation)) {
           result = {
-            success: false,
-            error: `Unknown operation: ${operation}`,
+            success: true,
+            preview: true,
+            skipped: true,
+            data: { reason: 'Only vehicle configuration changes can be previewed' },
           }
+        } else {
+          result = runBatchOperation(update.operation, update.params, { preview })
+        }
+      } catch (error) {
+        result = {
+          success: false,
+          error: error.message,
+        }
+      }
+      
+      // Chain previews so later steps see earlier results
+      if (preview && result.success && result.data?.vehicle) {
+        previewVehicle = result.data.vehicle
       }
       
-      results.push({ operation, result })
+      results.push({
+        operation: update.operation,
+        result,
+        changes: getStateChanges(before, captureBatchState()),
+      })
       
       if (result.success) {
         successCount++
       } else {
         failureCount++
+        
+        if (atomic) {
+          throw new Error(`Operation ${results.length} (${update.operation}) failed: ${result.error}`)
+        }
       }
-    } catch (error) {
-      results.push({
-        operation: update.operation,
-        result: {
-          success: false,
-          error: error.message,
-        },
-      })
-      failureCount++
+    }
+  }
+  
+  // Preview mode: run every step against a scratch configuration, never the store
+  if (preview) {
+    const current = getCurrentVehicle()
+    let vehicle = current
+    let error
+    
+    previewVehicle = current
+    try {
+      runSteps()
+    } catch (stepError) {
+      error = stepError.message
+    } finally {
+      vehicle = getCurrentVehicle()
+      previewVehicle = null
+    }
+    
+    return {
+      success: failureCount === 0,
+      preview: true,
+      atomic,
+      ...(error && { error }),
+      total: updates.length,
+      successCount,
+      failureCount,
+      results,
+      vehicle,
+      changes: getStateChanges(current, vehicle),
+      validation: validateConfiguration(vehicle),
+    }
+  }
+  
+  if (!atomic) {
+    runSteps()
+    
+    return {
+      success: failureCount === 0,
+      total: updates.length,
+      successCount,
+      failureCount,
+      results,
+    }
+  }
+  
+  // Atomic mode: reject invalid batches before touching the store
+  const validation = validateBatch(updates)
+  
+  if (!validation.valid) {
+    return {
+      success: false,
+      atomic: true,
+      error: `Batch validation failed: ${validation.errors.join(', ')}`,
+      validation,
+      total: updates.length,
+      successCount: 0,
+      failureCount: 0,
+      rolledBack: false,
+      results,
+    }
+  }
+  
+  try {
+    useGameStore.getState().transaction(runSteps)
+  } catch (error) {
+    return {
+      success: false,
+      atomic: true,
+      error: error.message,
+      validation,
+      total: updates.length,
+      successCount,
+      failureCount,
+      rolledBack: true,
+      results,
     }
   }
   
   return {
-    success: failureCount === 0,
+    success: true,
+    atomic: true,
+    validation,
     total: updates.length,
     successCount,
     failureCount,
+    rolledBack: false,
     results,
   }
 }
@@ -1568,6 +3603,9 @@ export default {
   getWheelConfiguration,
   getVehicleAddons,
   getSpareTire,
+  getDrivetrain,
+  getEngineState,
+  getSuspensionTuning,
   getAvailableVehicles,
   getAvailableRims,
   getAvailableTires,
@@ -1593,16 +3631,48 @@ export default {
   setVehicleAddon,
   removeVehicleAddon,
   toggleSpareTire,
+  setDriveMode,
+  setDifferentialLock,
+  setTransmission,
+  setSuspensionTuning,
   resetVehicle,
   resetVehicleComplete,
   setVehicleConfiguration,
   
+  // Fitment & metrics
+  checkFitment,
+  getVehicleMetrics,
+  
+  // Pricing & budget
+  getBuildCost,
+  setBudget,
+  importPriceList,
+  clearPriceList,
+  
+  // Decals
+  getDecals,
+  addDecal,
+  updateDecal,
+  deleteDecal,
+  clearDecals,
+  
   // Saved vehicles
   saveVehicle,
   loadSavedVehicle,
   deleteSavedVehicle,
   updateSavedVehicleName,
   
+  // Saved scenes
+  saveScene,
+  loadScene,
+  listScenes,
+  deleteScene,
+  
+  // History
+  getHistoryState,
+  undo,
+  redo,
+  
   // Camera
   setCameraTarget,
   setCameraAutoRotate,
@@ -1611,6 +3681,37 @@ export default {
   setPhysicsEnabled,
   getSceneLoadingStatus,
   
+  // Terrain
+  getTerrainState,
+  setTerrainPreset,
+  setTerrainSeed,
+  importHeightmap,
+  clearHeightmap,
+  
+  // Objects
+  getObjectTypes,
+  getObjects,
+  addObject,
+  updateObject,
+  deleteObject,
+  setTransformSnap,
+  
+  // Fluids
+  getFluidVolumes,
+  addFluidVolume,
+  removeFluidVolume,
+  getFordingState,
+  
+  // Course
+  getCourse,
+  addCourseElement,
+  removeCourseElement,
+  exportCourse,
+  importCourse,
+  startCourseRun,
+  stopCourseRun,
+  getCourseLeaderboard,
+  
   // Notifications
   showNotification,
   hideNotification,
@@ -1620,6 +3721,9 @@ export default {
   loadVehicleFromUrl,
   exportVehicleConfiguration,
   importVehicleConfiguration,
+  exportVehicleModel,
+  getBuildSheet,
+  exportBuildSheet,
   validateConfiguration,
   applyBatchUpdates,
   
@@ -1633,5 +3737,14 @@ export default {
   RIM_WIDTH_RANGE,
   TIRE_DIAMETER_RANGE,
   ROUGHNESS_RANGE,
+  DRIVE_MODES,
+  DIFFERENTIAL_AXLES,
+  TRANSMISSIONS,
+  TERRAIN_PRESETS,
+  TERRAIN_SEED_RANGE,
+  HEIGHTMAP_SCALE_RANGES,
+  FLUID_TYPES,
+  COURSE_ELEMENT_TYPES,
+  SUSPENSION_TUNING_RANGES,
 }
 
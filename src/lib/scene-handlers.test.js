@@ -15,8 +15,33 @@
 // IMPORTANT: Import test setup FIRST to mock browser APIs
 import './test-setup.js'
 
-import { describe, test, expect, beforeEach, beforeAll } from 'bun:test'
+import { describe, test, expect, beforeEach, beforeAll, afterEach, spyOn } from 'bun:test'
 import sceneHandlers from './scene-handlers.js'
+import catalogLoader from './catalog-loader.js'
+import { splitDriveForce, getWheelTraction, getNextDriveMode, LOW_RANGE_RATIO } from './drivetrain.js'
+import engine from './engine.js'
+import suspension from './suspension.js'
+import surfaces from './surfaces.js'
+import terrain from './terrain.js'
+import heightmap from './heightmap.js'
+import fluids from './fluids.js'
+import objects from './objects.js'
+import transform from './transform.js'
+import course from './course.js'
+import scenes from './scenes.js'
+import decals from './decals.js'
+import storage from './storage.js'
+import shareLink from './share-link.js'
+import vehicleSchema from './vehicle-schema.js'
+import modelExport from './model-export.js'
+import buildSheet from './build-sheet.js'
+import pricing from './pricing.js'
+import { Noise } from 'noisejs'
+import { Group, Mesh, BoxGeometry, MeshStandardMaterial } from 'three'
+import vehicleConfigs from '../../vehicleConfigs.js'
+import useGameStore from '../../store/gameStore.js'
+import useEngineStore from '../../store/engineStore.js'
+import useCourseStore from '../../store/courseStore.js'
 
 // ============================================================================
 // SETUP & HELPERS
@@ -151,6 +176,7 @@ describe('Query Handlers', () => {
       expect(tires.length).toBeGreaterThan(0)
       expect(tires[0]).toHaveProperty('id')
       expect(tires[0]).toHaveProperty('name')
+      expect(tires[0].traction.grip).toHaveProperty('mud')
     })
   })
 })
@@ -611,131 +637,2053 @@ describe('Saved Vehicles', () => {
   })
 })
 
+// ============================================================================
+// SAVED DECAL TESTS
+// ============================================================================
+
+describe('Saved Decals', () => {
+  const imageUrl = 'data:image/png;base64,iVBORw0KGgo='
+  
+  beforeEach(() => {
+    sceneHandlers.clearDecals()
+  })
+
+  // Leave no decals behind for later tests to undo back to
+  afterEach(() => {
+    sceneHandlers.clearDecals()
+    useGameStore.getState().clearHistory()
+  })
+
+  test('saveVehicle stores decals by image reference', () => {
+    sceneHandlers.addDecal({ imageUrl, position: { x: 0.1, y: 1, z: 2 }, opacity: 0.5 })
+    sceneHandlers.addDecal({ imageUrl })
+    
+    const result = sceneHandlers.saveVehicle('Livery')
+    expectSuccess(result)
+    expect(result.data.decals).toBe(2)
+    
+    const saved = useGameStore.getState().savedVehicles[result.data.id]
+    expect(saved.decals[0]).toMatchObject({ position: { x: 0.1, y: 1, z: 2 }, opacity: 0.5, imageId: decals.getDecalImageId(imageUrl) })
+    expect(saved.decals[0].imageUrl).toBeUndefined()
+    expect(Object.values(decals.getDecalImages())).toEqual([imageUrl])
+  })
+
+  test('loadSavedVehicle restores the saved decals', () => {
+    sceneHandlers.addDecal({ imageUrl, scale: { x: 0.2, y: 0.2, z: 0.2 } })
+    const { data } = sceneHandlers.saveVehicle('Livery')
+    
+    sceneHandlers.clearDecals()
+    sceneHandlers.setVehicleColor('#00FF00')
+    expectSuccess(sceneHandlers.loadSavedVehicle(data.id))
+    
+    const restored = sceneHandlers.getDecals()
+    expect(restored).toHaveLength(1)
+    expect(restored[0]).toMatchObject({ imageUrl, scale: { x: 0.2, y: 0.2, z: 0.2 } })
+  })
+
+  test('images no saved vehicle uses are pruned', () => {
+    useGameStore.getState().setSavedVehicles({ current: null })
+    sceneHandlers.addDecal({ imageUrl })
+    const { data } = sceneHandlers.saveVehicle('Livery')
+    
+    sceneHandlers.deleteSavedVehicle(data.id)
+    expect(decals.getDecalImages()).toEqual({})
+  })
+
+  test('share links carry decals with their images', async () => {
+    sceneHandlers.addDecal({ imageUrl, fileName: 'logo.png' })
+    const { data } = sceneHandlers.generateShareableUrl({ decals: await decals.shrinkSharedDecals(useGameStore.getState().decals) })
+    
+    expect(data.decals).toBe(1)
+    sceneHandlers.clearDecals()
+    
+    window.location.search = new URL(data.url).search
+    try {
+      expectSuccess(sceneHandlers.loadVehicleFromUrl())
+    } finally {
+      window.location.search = ''
+    }
+    expect(sceneHandlers.getDecals()[0]).toMatchObject({ imageUrl, fileName: 'logo.png' })
+  })
+
+  test('parseSharedDecals skips decals without an image', () => {
+    expect(decals.parseSharedDecals([{ imageUrl: 'javascript:alert(1)' }, { imageUrl, opacity: 1 }])).toHaveLength(1)
+    expect(() => decals.parseSharedDecals('{}')).toThrow('must be a list')
+  })
+})
+
+// ============================================================================
+// STORAGE TESTS
+// ============================================================================
+
+describe('Storage', () => {
+  const imageUrl = 'data:image/png;base64,iVBORw0KGgo='
+  const vehicle = { name: 'Old Save', config: { ...vehicleConfigs.defaults, color: '#00FF00' }, decals: [{ id: 'decal_1', imageId: 'img_legacy' }] }
+  let active
+  
+  beforeEach(() => {
+    active = storage.getStorage()
+  })
+  
+  afterEach(() => {
+    storage.setStorage(active)
+    useGameStore.getState().setSavedVehicles({ current: null })
+    sceneHandlers.clearDecals()
+    useGameStore.getState().clearHistory()
+    useGameStore.getState().hideNotification()
+  })
+
+  test('migrates localStorage saves once, then removes them', async () => {
+    localStorage.setItem('savedVehicles', JSON.stringify({ current: 'legacy', legacy: vehicle }))
+    localStorage.setItem('decalImages', JSON.stringify({ img_legacy: imageUrl }))
+    localStorage.setItem('savedScenes', JSON.stringify({ scene_1: { version: 1, name: 'Yard' } }))
+    const backend = storage.createMemoryStorage()
+    
+    expect(await storage.migrateLocalStorage(backend, decals.dataUrlToBlob)).toBe(true)
+    expect(await backend.getAll('vehicles')).toEqual({ legacy: vehicle })
+    expect(await backend.get('settings', 'currentVehicle')).toBe('legacy')
+    expect(await decals.blobToDataUrl(await backend.get('decalImages', 'img_legacy'))).toBe(imageUrl)
+    expect(Object.keys(await backend.getAll('scenes'))).toEqual(['scene_1'])
+    expect(localStorage.getItem('savedVehicles')).toBeNull()
+    
+    localStorage.setItem('savedVehicles', JSON.stringify({ current: null, other: vehicle }))
+    expect(await storage.migrateLocalStorage(backend)).toBe(false)
+    localStorage.removeItem('savedVehicles')
+  })
+
+  test('loadStorage restores the current saved vehicle with its decals', async () => {
+    storage.setStorage(storage.createMemoryStorage({
+      vehicles: { legacy: vehicle },
+      decalImages: { img_legacy: decals.dataUrlToBlob(imageUrl) },
+      settings: { currentVehicle: 'legacy', migratedFromLocalStorage: 1 },
+    }))
+    
+    await useGameStore.getState().loadStorage()
+    
+    expect(sceneHandlers.getCurrentSavedVehicleId()).toBe('legacy')
+    expect(sceneHandlers.getCurrentVehicle().color).toBe('#00FF00')
+    expect(sceneHandlers.getDecals()[0]).toMatchObject({ id: 'decal_1', imageUrl })
+  })
+
+  test('saved vehicles and images are written through to storage', async () => {
+    const backend = storage.createMemoryStorage()
+    storage.setStorage(backend)
+    
+    sceneHandlers.addDecal({ imageUrl })
+    const { data } = sceneHandlers.saveVehicle('Written')
+    await Bun.sleep(0)
+    
+    expect((await backend.get('vehicles', data.id)).name).toBe('Written')
+    expect(await backend.get('settings', 'currentVehicle')).toBe(data.id)
+    expect(await backend.get('decalImages', decals.getDecalImageId(imageUrl))).toBeInstanceOf(Blob)
+  })
+
+  test('quota errors are reported through notifications', async () => {
+    const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' })
+    storage.setStorage({ ...storage.createMemoryStorage(), replace: () => Promise.reject(quotaError) })
+    
+    sceneHandlers.saveVehicle('Too Big')
+    await Bun.sleep(0)
+    
+    expect(useGameStore.getState().notification).toMatchObject({ type: 'error', text: storage.describeStorageError(quotaError) })
+    expect(storage.describeStorageError(quotaError)).toContain('storage is full')
+  })
+
+  test('saveVehicle gives rapid saves distinct IDs', () => {
+    const first = sceneHandlers.saveVehicle('First')
+    const second = sceneHandlers.saveVehicle('Second')
+    
+    expect(first.data.id).not.toBe(second.data.id)
+  })
+})
+
+// ============================================================================
+// SHARE LINK TESTS
+// ============================================================================
+
+describe('Share Links', () => {
+  // Load a share URL as if the page had been opened with it
+  const openUrl = (url) => {
+    window.location.search = new URL(url).search
+    try {
+      return sceneHandlers.loadVehicleFromUrl()
+    } finally {
+      window.location.search = ''
+    }
+  }
+  
+  afterEach(() => {
+    sceneHandlers.clearDecals()
+    useGameStore.getState().clearHistory()
+    useGameStore.getState().hideNotification()
+  })
+
+  test('links round trip builds in a compact versioned parameter', () => {
+    sceneHandlers.setVehicleColor('#123456')
+    sceneHandlers.setVehicleLift(3)
+    const expected = sceneHandlers.getCurrentVehicle()
+    
+    const result = sceneHandlers.generateShareableUrl()
+    expect(result.success).toBe(true)
+    const { data } = result
+    expect(data.url).toMatch(/\?build=[A-Za-z0-9_-]+$/)
+    expect(data.warning).toBeUndefined()
+    expect(data.url.length).toBeLessThan(encodeURIComponent(JSON.stringify(expected)).length / 4)
+    
+    sceneHandlers.resetVehicleComplete()
+    expectSuccess(openUrl(data.url))
+    expect(sceneHandlers.getCurrentVehicle()).toEqual(expected)
+  })
+
+  test('decode rejects damaged links and unknown versions', () => {
+    const text = shareLink.encodeShareLink({ config: { ...vehicleConfigs.defaults, color: '#654321' } })
+    const bytes = shareLink.fromBase64Url(text)
+    
+    bytes[bytes.length - 1] ^= 0xff
+    expect(() => shareLink.decodeShareLink(shareLink.toBase64Url(bytes))).toThrow()
+    
+    bytes[0] = 99
+    expect(() => shareLink.decodeShareLink(shareLink.toBase64Url(bytes))).toThrow('version 99 is not supported')
+  })
+
+  test('long links come with a warning', () => {
+    // Random bytes do not compress, like real image data
+    const bytes = Uint8Array.from({ length: 9000 }, (_, i) => (i * 7919 + (i >> 3) * 104729) % 256)
+    sceneHandlers.addDecal({ imageUrl: `data:image/png;base64,${btoa(String.fromCharCode(...bytes))}` })
+    
+    const { data } = sceneHandlers.generateShareableUrl()
+    expect(data.url.length).toBeGreaterThan(shareLink.MAX_SHARE_URL_LENGTH)
+    expect(data.warning).toContain('Removing decals makes it shorter')
+    sceneHandlers.clearDecals()
+  })
+
+  test('large payloads are compressed', () => {
+    const decal = { imageUrl: `data:image/png;base64,${'QUFB'.repeat(500)}` }
+    const text = shareLink.encodeShareLink({ config: vehicleConfigs.defaults, decals: [decal, decal] })
+    
+    expect(shareLink.fromBase64Url(text)[1] & 1).toBe(1)
+    expect(shareLink.decodeShareLink(text).decals).toHaveLength(2)
+  })
+
+  test('lzw round trips repetitive and random data', () => {
+    const repetitive = new TextEncoder().encode('abcabcabcabcabcabcabc'.repeat(200))
+    const random = Uint8Array.from({ length: 5000 }, (_, i) => (i * 7919 + (i >> 3) * 104729) % 256)
+    
+    expect(shareLink.lzwCompress(repetitive).length).toBeLessThan(repetitive.length / 10)
+    expect(shareLink.lzwDecompress(shareLink.lzwCompress(repetitive))).toEqual(repetitive)
+    expect(shareLink.lzwDecompress(shareLink.lzwCompress(random))).toEqual(random)
+  })
+
+  test('renamed parts follow the catalog and missing ones are dropped', () => {
+    shareLink.CATALOG_RENAMES.rim.old_rim = vehicleConfigs.defaults.rim
+    try {
+      const { config, dropped } = shareLink.migrateSharedConfig({ body: 'jeep_jku', rim: 'old_rim', tire: 'gone_tire', addons: { snorkel: 'gone' }, turbo: true })
+      
+      expect(config).toMatchObject({ body: 'jeep_jku', rim: vehicleConfigs.defaults.rim, addons: {} })
+      expect(config.tire).toBeUndefined()
+      expect(dropped).toEqual(['tire (gone_tire)', 'addon snorkel (gone)', 'turbo'])
+    } finally {
+      delete shareLink.CATALOG_RENAMES.rim.old_rim
+    }
+  })
+
+  test('loading a link with dropped fields notifies the user', () => {
+    const text = shareLink.encodeShareLink({ config: { ...vehicleConfigs.defaults, tire: 'gone_tire' } })
+    
+    expectSuccess(openUrl(`http://localhost:3000/?build=${text}`))
+    expect(sceneHandlers.getCurrentVehicle().tire).toBe(vehicleConfigs.defaults.tire)
+    expect(useGameStore.getState().notification).toMatchObject({ type: 'warning', text: expect.stringContaining('tire (gone_tire)') })
+  })
+
+  test('legacy raw JSON links still load', () => {
+    const config = { ...vehicleConfigs.defaults, color: '#ABCDEF' }
+    
+    expectSuccess(openUrl(`http://localhost:3000/?config=${encodeURIComponent(JSON.stringify(config))}`))
+    expect(sceneHandlers.getCurrentVehicle().color).toBe('#ABCDEF')
+  })
+})
+
+// ============================================================================
+// VEHICLE SCHEMA TESTS
+// ============================================================================
+
+describe('Vehicle Schema', () => {
+  const { VEHICLE_MIGRATIONS, VEHICLE_SCHEMA_VERSION, migrateVehicleConfig, stampVehicleConfig } = vehicleSchema
+  const migration = (version) => VEHICLE_MIGRATIONS.find((step) => step.version === version)
+
+  // A config as saved before any migration existed
+  const legacyConfig = { id: 'jeep_jku', color: '#00FF00', lift: 2, rim: vehicleConfigs.defaults.rim, tire: vehicleConfigs.defaults.tire, addons: {} }
+
+  test('migrations are numbered in order from 1', () => {
+    expect(VEHICLE_MIGRATIONS.map((step) => step.version)).toEqual(VEHICLE_MIGRATIONS.map((_, index) => index + 1))
+    expect(VEHICLE_SCHEMA_VERSION).toBe(VEHICLE_MIGRATIONS.length)
+  })
+
+  test('version 1 renames id to body', () => {
+    expect(migration(1).migrate({ id: 'jeep_jku', color: '#000000' })).toEqual({ body: 'jeep_jku', color: '#000000' })
+    expect(migration(1).migrate({ id: 'jeep_jku', body: 'toyota_4runner_5g' })).toEqual({ body: 'toyota_4runner_5g' })
+  })
+
+  test('version 2 adds drivetrain fields without overwriting them', () => {
+    expect(migration(2).migrate({ body: 'jeep_jku' })).toEqual({ body: 'jeep_jku', drive_mode: 'rwd', front_locked: false, rear_locked: false, transmission: 'auto' })
+    expect(migration(2).migrate({ drive_mode: '4l', rear_locked: true })).toMatchObject({ drive_mode: '4l', rear_locked: true })
+  })
+
+  test('version 3 adds suspension tuning', () => {
+    expect(migration(3).migrate({ body: 'jeep_jku' })).toEqual({ body: 'jeep_jku', suspension_tuning: {} })
+    expect(migration(3).migrate({ suspension_tuning: { front: { preload: 1 } } }).suspension_tuning).toEqual({ front: { preload: 1 } })
+  })
+
+  test('unversioned configs run every migration', () => {
+    const config = migrateVehicleConfig(legacyConfig)
+
+    expect(config).toMatchObject({ body: 'jeep_jku', color: '#00FF00', drive_mode: 'rwd', suspension_tuning: {} })
+    expect(config).not.toHaveProperty('id')
+    expect(config).not.toHaveProperty('schemaVersion')
+  })
+
+  test('only migrations newer than the stamp run', () => {
+    // Version 2 already had drivetrain fields, so none are added
+    const config = migrateVehicleConfig({ body: 'jeep_jku', schemaVersion: 2 })
+    expect(config).toEqual({ body: 'jeep_jku', suspension_tuning: {} })
+
+    const current = stampVehicleConfig(vehicleConfigs.defaults)
+    expect(current.schemaVersion).toBe(VEHICLE_SCHEMA_VERSION)
+    expect(migrateVehicleConfig(current)).toEqual(vehicleConfigs.defaults)
+  })
+
+  test('newer and invalid versions are rejected', () => {
+    expect(() => migrateVehicleConfig({ body: 'jeep_jku', schemaVersion: VEHICLE_SCHEMA_VERSION + 1 })).toThrow('newer than supported')
+    expect(() => migrateVehicleConfig({ body: 'jeep_jku', schemaVersion: 'two' })).toThrow('Invalid vehicle schema version')
+    expect(() => migrateVehicleConfig(null)).toThrow()
+  })
+
+  test('exports are stamped and imports are migrated', () => {
+    expect(sceneHandlers.exportVehicleConfiguration().data.schemaVersion).toBe(VEHICLE_SCHEMA_VERSION)
+
+    expectSuccess(sceneHandlers.importVehicleConfiguration(legacyConfig))
+    const vehicle = sceneHandlers.getCurrentVehicle()
+    expect(vehicle).toMatchObject({ body: 'jeep_jku', color: '#00FF00' })
+    expect(vehicle).not.toHaveProperty('id')
+    expect(vehicle).not.toHaveProperty('schemaVersion')
+
+    expectFailure(sceneHandlers.importVehicleConfiguration({ ...legacyConfig, schemaVersion: 99 }), 'newer than supported')
+    sceneHandlers.resetVehicleComplete()
+  })
+
+  test('partial imports keep the drivetrain and tuning', () => {
+    sceneHandlers.setDriveMode('4h')
+    sceneHandlers.setTransmission('manual')
+    sceneHandlers.setDifferentialLock('front', true)
+    sceneHandlers.setSuspensionTuning({ front: { stiffness: 40 } })
+
+    expectSuccess(sceneHandlers.importVehicleConfiguration({ lift: 2 }))
+    const vehicle = sceneHandlers.getCurrentVehicle()
+    expect(vehicle).toMatchObject({ lift: 2, drive_mode: '4h', transmission: 'manual', front_locked: true })
+    expect(vehicle.suspension_tuning.front.stiffness).toBe(40)
+
+    expectSuccess(sceneHandlers.importVehicleConfiguration({ body: 'jeep_jku', lift: 3 }))
+    expect(sceneHandlers.getCurrentVehicle()).toMatchObject({ body: 'jeep_jku', lift: 3, drive_mode: '4h', transmission: 'manual', front_locked: true })
+    expect(sceneHandlers.getCurrentVehicle().suspension_tuning.front.stiffness).toBe(40)
+    sceneHandlers.resetVehicleComplete()
+  })
+
+  test('saved vehicles are stored stamped and migrated on load', async () => {
+    const backend = storage.createMemoryStorage({
+      vehicles: { old: { name: 'Old Save', config: legacyConfig, decals: [] } },
+      settings: { currentVehicle: 'old', migratedFromLocalStorage: 1 },
+    })
+    storage.setStorage(backend)
+
+    try {
+      await useGameStore.getState().loadStorage()
+      expect(sceneHandlers.getCurrentVehicle()).toMatchObject({ body: 'jeep_jku', transmission: 'auto' })
+      expect(sceneHandlers.getCurrentVehicle()).not.toHaveProperty('schemaVersion')
+
+      const { data } = sceneHandlers.saveVehicle('New Save')
+      await Bun.sleep(0)
+      const stored = await backend.getAll('vehicles')
+      expect(stored.old.config.schemaVersion).toBe(VEHICLE_SCHEMA_VERSION)
+      expect(stored[data.id].config.schemaVersion).toBe(VEHICLE_SCHEMA_VERSION)
+    } finally {
+      storage.setStorage(storage.createMemoryStorage())
+      useGameStore.getState().setSavedVehicles({ current: null })
+      sceneHandlers.resetVehicleComplete()
+      useGameStore.getState().clearHistory()
+    }
+  })
+
+  test('scenes and share links migrate their configs', () => {
+    const scene = scenes.parseScene({ version: 1, vehicle: legacyConfig })
+    expect(scene.vehicle).toMatchObject({ body: 'jeep_jku', drive_mode: 'rwd' })
+
+    const { config } = shareLink.decodeLegacyShareLink(JSON.stringify(legacyConfig))
+    expect(config).toMatchObject({ body: 'jeep_jku', color: '#00FF00' })
+    expect(config).not.toHaveProperty('schemaVersion')
+
+    const text = shareLink.encodeShareLink({ config: { ...vehicleConfigs.defaults, schemaVersion: VEHICLE_SCHEMA_VERSION + 1 } })
+    expect(() => shareLink.decodeShareLink(text)).toThrow('newer than supported')
+  })
+})
+
+// ============================================================================
+// MODEL EXPORT TESTS
+// ============================================================================
+
+describe('Model Export', () => {
+  // Stand-in for the rendered vehicle: body, a wheel and a decal on the body
+  const buildVehicle = () => {
+    const paint = new MeshStandardMaterial({ color: '#B91818' })
+    const vehicle = new Group()
+    vehicle.name = 'Vehicle'
+
+    const body = new Mesh(new BoxGeometry(2, 1, 4), paint)
+    body.name = 'Body'
+    const decal = new Mesh(new BoxGeometry(0.5, 0.5, 0.01), new MeshStandardMaterial({ transparent: true }))
+    decal.name = 'Decal_decal_1'
+    body.add(decal)
+
+    const tire = new Mesh(new BoxGeometry(0.3, 0.8, 0.8), new MeshStandardMaterial({ color: '#121212' }))
+    tire.name = 'Tire'
+    const hidden = new Mesh(new BoxGeometry(), paint)
+    hidden.visible = false
+
+    vehicle.add(body, tire, hidden)
+    return vehicle
+  }
+
+  // JSON chunk of a GLB file
+  const readGlbJson = (buffer) => {
+    const view = new DataView(buffer)
+    const length = view.getUint32(12, true)
+    return JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, length)))
+  }
+
+  afterEach(() => {
+    useGameStore.getState().setVehicleRef(null)
+  })
+
+  test('fails until the vehicle has rendered', async () => {
+    expectFailure(await sceneHandlers.exportVehicleModel({ download: false }), 'not loaded')
+  })
+
+  test('exports the vehicle group as a GLB file', async () => {
+    useGameStore.getState().setVehicleRef({ current: buildVehicle() })
+
+    const result = await sceneHandlers.exportVehicleModel({ download: false })
+    expectSuccess(result)
+    expect(result.data).toMatchObject({ fileName: `4x4builder-${sceneHandlers.getCurrentVehicle().body}.glb`, meshes: 3, decals: 1, materials: 3 })
+    expect(result.data.size).toBe(result.data.buffer.byteLength)
+
+    const view = new DataView(result.data.buffer)
+    expect(view.getUint32(0, true)).toBe(0x46546c67) // 'glTF'
+    expect(view.getUint32(8, true)).toBe(result.data.size)
+
+    const gltf = readGlbJson(result.data.buffer)
+    expect(gltf.nodes.map((node) => node.name)).toEqual(expect.arrayContaining(['Vehicle', 'Body', 'Decal_decal_1', 'Tire']))
+    expect(gltf.meshes).toHaveLength(3)
+  })
+
+  test('exports the vehicle in its own space', async () => {
+    // The physics chassis carries the vehicle around the world
+    const vehicle = buildVehicle()
+    const chassis = new Group()
+    chassis.position.set(20, 1, -35)
+    chassis.add(vehicle)
+
+    const gltf = readGlbJson(await modelExport.exportModel(vehicle))
+    const root = gltf.nodes[gltf.scenes[0].nodes[0]]
+
+    expect(root.name).toBe('Vehicle')
+    expect(root.matrix).toBeUndefined()
+    expect(root.translation).toBeUndefined()
+  })
+
+  test('rejects objects that are not 3D objects', async () => {
+    await expect(modelExport.exportModel(null)).rejects.toThrow('Nothing to export')
+  })
+})
+
+// ============================================================================
+// BUILD SHEET TESTS
+// ============================================================================
+
+describe('Build Sheet', () => {
+  beforeEach(() => {
+    sceneHandlers.setVehicleBody('toyota_4runner_5g_late')
+    sceneHandlers.setVehicleLift(3)
+    sceneHandlers.setVehicleAddon('snorkel', 'safari')
+    sceneHandlers.setDifferentialLock('rear', true)
+  })
+
+  afterEach(() => {
+    sceneHandlers.resetVehicleComplete()
+    useGameStore.getState().setCaptureScreenshot(null)
+    useGameStore.getState().clearHistory()
+  })
+
+  test('lists the body, wheels, addons and metrics', () => {
+    const sheet = sceneHandlers.getBuildSheet()
+    const wheels = sceneHandlers.getWheelConfiguration()
+
+    expect(sheet.body).toMatchObject({ id: 'toyota_4runner_5g_late', make: 'Toyota', name: vehicleConfigs.vehicles.toyota_4runner_5g_late.name })
+    expect(sheet.lift).toBe(3)
+    expect(sheet.rim).toEqual(wheels.rim)
+    expect(sheet.tire).toEqual(wheels.tire)
+    expect(sheet.addons).toContainEqual({ type: 'snorkel', category: 'Snorkel', id: 'safari', name: 'Safari Snorkel', manufacturer: 'Safari Snorkel' })
+    expect(sheet.drivetrain).toMatchObject({ rearLocked: true, frontLocked: false })
+    expect(sheet.metrics.fordingDepth).toBeGreaterThan(0)
+    expect(sheet.config.schemaVersion).toBe(vehicleSchema.VEHICLE_SCHEMA_VERSION)
+  })
+
+  test('CSV has one quoted row per part', () => {
+    const result = sceneHandlers.exportBuildSheet('csv', { download: false })
+    expectSuccess(result)
+    expect(result.data.fileName).toBe('4x4builder-toyota_4runner_5g_late-build-sheet.csv')
+
+    const lines = result.data.content.trim().split('\r\n')
+    expect(lines[0]).toBe('Section,Part,Manufacturer,Specification')
+    expect(lines).toContain('Suspension,Lift,,3 in')
+    expect(lines).toContain('Addons,Snorkel: Safari Snorkel,Safari Snorkel,')
+    expect(lines.find((line) => line.startsWith('Tires,'))).toContain(`${sceneHandlers.getWheelConfiguration().tire.make}`)
+    // Fields with commas are quoted
+    expect(lines.find((line) => line.startsWith('Drivetrain,'))).toMatch(/,"\w+ transmission, rear locked"$/)
+  })
+
+  test('CSV keeps spreadsheet formulas out but leaves negative numbers', () => {
+    const sheet = { ...sceneHandlers.getBuildSheet(), lift: -2 }
+    sheet.addons = [{ type: 'bumper_f', category: 'Bumper', id: 'x', name: '=HYPERLINK("x")', manufacturer: '@maker' }]
+
+    const csv = buildSheet.buildSheetToCsv(sheet)
+    expect(csv).toContain('Suspension,Lift,,-2 in')
+    expect(csv).toContain(`"Bumper: =HYPERLINK(""x"")",'@maker,`)
+  })
+
+  test('HTML is a self-contained page with the screenshot', () => {
+    const screenshot = 'data:image/png;base64,iVBORw0KGgo='
+    useGameStore.getState().setCaptureScreenshot(() => screenshot)
+
+    const result = sceneHandlers.exportBuildSheet('html', { download: false })
+    expectSuccess(result)
+    expect(result.data.screenshot).toBe(true)
+
+    const html = result.data.content
+    expect(html).toStartWith('<!DOCTYPE html>')
+    expect(html).toContain(`<img src="${screenshot}"`)
+    expect(html).toContain('<td>Safari Snorkel</td>')
+    expect(html).toContain('@media print')
+    expect(html).not.toMatch(/(src|href)="https?:/)
+  })
+
+  test('HTML escapes names and skips the screenshot when asked', () => {
+    useGameStore.getState().setCaptureScreenshot(() => 'data:image/png;base64,AAAA')
+    const sheet = { ...sceneHandlers.getBuildSheet(), name: '<script>alert(1)</script>' }
+
+    expect(buildSheet.buildSheetToHtml(sheet)).toContain('&lt;script&gt;alert(1)&lt;/script&gt;')
+    expect(sceneHandlers.exportBuildSheet('html', { download: false, screenshot: false }).data.content).not.toContain('<img')
+  })
+
+  test('JSON sheets carry an importable config', () => {
+    const { data } = sceneHandlers.exportBuildSheet('json', { download: false })
+    const sheet = JSON.parse(data.content)
+
+    sceneHandlers.resetVehicleComplete()
+    expectSuccess(sceneHandlers.importVehicleConfiguration(sheet.config))
+    expect(sceneHandlers.getCurrentVehicle()).toMatchObject({ body: 'toyota_4runner_5g_late', lift: 3, rear_locked: true })
+  })
+
+  test('rejects unknown formats', () => {
+    expectFailure(sceneHandlers.exportBuildSheet('pdf', { download: false }), 'Invalid build sheet format')
+  })
+})
+
+// ============================================================================
+// PRICING TESTS
+// ============================================================================
+
+describe('Pricing', () => {
+  beforeEach(() => {
+    sceneHandlers.resetVehicleComplete()
+  })
+
+  afterEach(() => {
+    useGameStore.getState().setBudget(null)
+    useGameStore.getState().setPriceList(null)
+    sceneHandlers.resetVehicleComplete()
+    useGameStore.getState().clearHistory()
+  })
+
+  test('totals four rims, four tires and a spare from the catalog', () => {
+    const cost = sceneHandlers.getBuildCost().data
+
+    expect(cost.currency).toBe('USD')
+    expect(cost.items).toContainEqual(expect.objectContaining({ kind: 'rim', id: 'toyota_4runner_5thgen', quantity: 4, unitPrice: 320, cost: 1280 }))
+    expect(cost.items).toContainEqual(expect.objectContaining({ kind: 'tire', id: 'bfg_at', quantity: 5, unitPrice: 265, cost: 1325 }))
+    expect(cost.total).toBe(2605)
+    expect(cost.budget).toBeNull()
+
+    sceneHandlers.toggleSpareTire(false)
+    expect(sceneHandlers.getBuildCost().data.total).toBe(2340)
+  })
+
+  test('counts selected addons and skips ones left at None', () => {
+    sceneHandlers.setVehicleAddon('snorkel', 'safari')
+    const cost = sceneHandlers.getBuildCost({ addons: { ...sceneHandlers.getCurrentVehicle().addons, rack: '' } }).data
+
+    expect(cost.items).toContainEqual(expect.objectContaining({ kind: 'addon', type: 'snorkel', id: 'safari', name: 'Snorkel: Safari Snorkel', cost: 450 }))
+    expect(cost.items.find((item) => item.type === 'rack')).toBeUndefined()
+    expect(cost.total).toBe(2605 + 450)
+  })
+
+  test('local price list overrides catalog prices', () => {
+    const result = sceneHandlers.importPriceList(JSON.stringify({ currency: 'CAD', tires: { bfg_at: 300 }, rims: { toyota_4runner_5thgen: 0 } }))
+    expectSuccess(result)
+    expect(result.data).toEqual({ currency: 'CAD', prices: 2 })
+
+    const cost = sceneHandlers.getBuildCost().data
+    expect(cost.priceList).toBe(true)
+    expect(cost.currency).toBe('CAD')
+    expect(cost.total).toBe(1500)
+
+    sceneHandlers.clearPriceList()
+    expect(sceneHandlers.getBuildCost().data.total).toBe(2605)
+  })
+
+  test('rejects bad price lists', () => {
+    expectFailure(sceneHandlers.importPriceList('{'), 'JSON')
+    expectFailure(sceneHandlers.importPriceList({ currency: 'dollars', tires: { bfg_at: -5 } }), 'currency must be a 3 letter code')
+    expect(() => pricing.parsePriceList({ tires: { bfg_at: -5 }, addons: [] })).toThrow('tires.bfg_at must be a price of 0 or more, addons must be an object of addon types')
+    expect(useGameStore.getState().priceList).toBeNull()
+  })
+
+  test('lists parts with no price instead of counting them as free', () => {
+    const cost = pricing.computeBuildCost({ ...sceneHandlers.getCurrentVehicle(), tire: 'mystery_tire' })
+
+    expect(cost.unpriced).toEqual(['mystery_tire'])
+    expect(cost.total).toBe(1280)
+  })
+
+  test('setBudget validates and clears', () => {
+    expectFailure(sceneHandlers.setBudget(-100), 'Invalid budget')
+    expectFailure(sceneHandlers.setBudget('lots'), 'Invalid budget')
+
+    const result = sceneHandlers.setBudget('3000')
+    expectSuccess(result)
+    expect(result.data).toEqual({ budget: 3000, total: 2605, remaining: 395, over: false })
+    expect(useGameStore.getState().budget).toBe(3000)
+
+    expectSuccess(sceneHandlers.setBudget(0))
+    expect(useGameStore.getState().budget).toBeNull()
+  })
+
+  test('validateConfiguration rejects builds over budget', () => {
+    sceneHandlers.setBudget(2800)
+    expect(sceneHandlers.validateConfiguration({}).valid).toBe(true)
+
+    const validation = sceneHandlers.validateConfiguration({ addons: { snorkel: 'safari' } })
+    expect(validation.valid).toBe(false)
+    expect(validation.errors).toContain('Over budget: parts cost $3,055, budget is $2,800')
+  })
+
+  test('builds already over budget only warn about changes that do not add cost', () => {
+    sceneHandlers.setBudget(100)
+
+    const validation = sceneHandlers.validateConfiguration({ color: '#00FF00' })
+    expect(validation.valid).toBe(true)
+    expect(validation.warnings).toContain('Over budget: parts cost $2,605, budget is $100')
+
+    expect(sceneHandlers.applyBatchUpdates([{ operation: 'setVehicleColor', params: '#00FF00' }], { atomic: true }).success).toBe(true)
+    expect(sceneHandlers.applyBatchUpdates([{ operation: 'toggleSpareTire', params: false }], { atomic: true }).success).toBe(true)
+  })
+
+  test('atomic batches that add parts over budget are rejected', () => {
+    sceneHandlers.setBudget(2800)
+
+    const result = sceneHandlers.applyBatchUpdates([
+      { operation: 'setVehicleColor', params: '#00FF00' },
+      { operation: 'setVehicleAddon', params: { type: 'snorkel', value: 'safari' } },
+    ], { atomic: true })
+    expectFailure(result, 'Over budget: parts cost $3,055')
+    expect(sceneHandlers.getCurrentVehicle().color).toBe('#B91818')
+  })
+
+  test('previewed batches report going over budget', () => {
+    sceneHandlers.setBudget(2800)
+
+    const result = sceneHandlers.applyBatchUpdates([{ operation: 'setVehicleAddon', params: { type: 'snorkel', value: 'safari' } }], { preview: true })
+    expect(result.validation.errors).toContain('Over budget: parts cost $3,055, budget is $2,800')
+    expect(sceneHandlers.getCurrentVehicle().addons.snorkel).toBeUndefined()
+  })
+
+  test('formats whole and fractional amounts', () => {
+    expect(pricing.formatPrice(1250)).toBe('$1,250')
+    expect(pricing.formatPrice(19.5, 'EUR')).toBe('€19.50')
+  })
+
+  test('catalog rejects negative prices', () => {
+    const errors = catalogLoader.validateCatalogEntry('addons', 'jeep_jku', {
+      addons: { snorkel: { name: 'Snorkel', options: { cheap: { name: 'Cheap', air_intake: 1.6, price: 100 }, bad: { name: 'Bad', air_intake: 1.8, price: -1 } } } },
+    })
+
+    expect(errors).toEqual(['addon "snorkel" option "bad" price must be a number of 0 or more'])
+  })
+})
+
+// ============================================================================
+// HISTORY TESTS
+// ============================================================================
+
+describe('History', () => {
+  describe('undo', () => {
+    test('reverts the last vehicle change', () => {
+      sceneHandlers.setVehicleLift(4)
+      
+      const result = sceneHandlers.undo()
+      expectSuccess(result)
+      
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(0)
+      expect(result.data.history.canRedo).toBe(true)
+    })
+
+    test('steps back through separate changes in order', () => {
+      sceneHandlers.setVehicleColor('#00FF00')
+      sceneHandlers.setVehicleLift(2)
+      
+      sceneHandlers.undo()
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(0)
+      expect(sceneHandlers.getCurrentVehicle().color).toBe('#00FF00')
+      
+      sceneHandlers.undo()
+      expect(sceneHandlers.getCurrentVehicle().color).toBe('#B91818')
+    })
+
+    test('collapses rapid edits to the same field into one step', () => {
+      sceneHandlers.setVehicleColor('#00FF00')
+      sceneHandlers.setVehicleColor('#0000FF')
+      
+      sceneHandlers.undo()
+      expect(sceneHandlers.getCurrentVehicle().color).toBe('#B91818')
+    })
+
+    test('restores addons reset by a body change', () => {
+      sceneHandlers.setVehicleBody('toyota_4runner_3g')
+      sceneHandlers.setVehicleAddon('bumper_f', 'shrockworks')
+      sceneHandlers.setVehicleBody('jeep_jku')
+      
+      sceneHandlers.undo()
+      
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.body).toBe('toyota_4runner_3g')
+      expect(vehicle.addons.bumper_f).toBe('shrockworks')
+    })
+
+    test('skips drivetrain toggles made while driving', () => {
+      sceneHandlers.setVehicleLift(2)
+      const steps = useGameStore.getState().history.past.length
+      useGameStore.getState().setDrivetrain({ front_locked: true, transmission: 'manual' })
+      expect(useGameStore.getState().history.past).toHaveLength(steps)
+      
+      sceneHandlers.undo()
+      
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.lift).toBe(0)
+      expect(vehicle).toMatchObject({ front_locked: true, transmission: 'manual' })
+    })
+
+    test('fails when history is empty', () => {
+      for (let i = 0; i < 200 && sceneHandlers.getHistoryState().canUndo; i++) {
+        sceneHandlers.undo()
+      }
+      
+      const result = sceneHandlers.undo()
+      expectFailure(result, 'nothing to undo')
+    })
+  })
+
+  describe('redo', () => {
+    test('reapplies an undone change', () => {
+      sceneHandlers.setVehicleLift(5)
+      sceneHandlers.undo()
+      
+      const result = sceneHandlers.redo()
+      expectSuccess(result)
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(5)
+    })
+
+    test('is cleared by a new change', () => {
+      sceneHandlers.setVehicleLift(5)
+      sceneHandlers.undo()
+      sceneHandlers.setVehicleColor('#00FF00')
+      
+      expect(sceneHandlers.getHistoryState().canRedo).toBe(false)
+      expectFailure(sceneHandlers.redo(), 'nothing to redo')
+    })
+  })
+})
+
 // ============================================================================
 // UTILITY TESTS
 // ============================================================================
 
-describe('Utilities', () => {
-  describe('validateConfiguration', () => {
-    test('validates correct configuration', () => {
-      const config = {
-        body: 'toyota_4runner_5g',
-        color: '#FF0000',
-        lift: 3
-      }
+describe('Utilities', () => {
+  describe('validateConfiguration', () => {
+    test('validates correct configuration', () => {
+      const config = {
+        body: 'toyota_4runner_5g',
+        color: '#FF0000',
+        lift: 3
+      }
+      
+      const validation = sceneHandlers.validateConfiguration(config)
+      expect(validation.valid).toBe(true)
+      expect(validation.errors.length).toBe(0)
+    })
+
+    test('detects invalid vehicle model', () => {
+      const config = {
+        body: 'invalid_model'
+      }
+      
+      const validation = sceneHandlers.validateConfiguration(config)
+      expect(validation.valid).toBe(false)
+      expect(validation.errors.length).toBeGreaterThan(0)
+    })
+
+    test('detects invalid color format', () => {
+      const config = {
+        color: 'not-a-color'
+      }
+      
+      const validation = sceneHandlers.validateConfiguration(config)
+      expect(validation.valid).toBe(false)
+    })
+
+    test('detects out-of-range values', () => {
+      const config = {
+        lift: 999,
+        rim_diameter: 999,
+        tire_diameter: 999
+      }
+      
+      const validation = sceneHandlers.validateConfiguration(config)
+      expect(validation.valid).toBe(false)
+      expect(validation.errors.length).toBeGreaterThan(0)
+    })
+
+    test('warns about tire/rim compatibility', () => {
+      const config = {
+        rim_diameter: 18,
+        tire_diameter: 17 // Tire smaller than rim!
+      }
+      
+      const validation = sceneHandlers.validateConfiguration(config)
+      expect(validation.warnings.length).toBeGreaterThan(0)
+    })
+  })
+
+  describe('exportVehicleConfiguration', () => {
+    test('exports current configuration', () => {
+      const result = sceneHandlers.exportVehicleConfiguration()
+      expectSuccess(result)
+      
+      expect(result.data).toHaveProperty('body')
+      expect(result.data).toHaveProperty('color')
+      expect(result.data).toHaveProperty('lift')
+    })
+  })
+
+  describe('importVehicleConfiguration', () => {
+    test('imports valid configuration', () => {
+      // Export first
+      const exportResult = sceneHandlers.exportVehicleConfiguration()
+      const config = exportResult.data
+      
+      // Modify
+      sceneHandlers.setVehicleColor('#FF0000')
+      
+      // Import original
+      const importResult = sceneHandlers.importVehicleConfiguration(config)
+      expectSuccess(importResult)
+    })
+  })
+})
+
+// ============================================================================
+// BATCH OPERATIONS TESTS
+// ============================================================================
+
+describe('Batch Operations', () => {
+  describe('applyBatchUpdates', () => {
+    test('successfully applies multiple updates', () => {
+      const updates = [
+        { operation: 'setVehicleBody', params: 'jeep_jku' },
+        { operation: 'setVehicleColor', params: '#FF0000' },
+        { operation: 'setVehicleLift', params: 3 }
+      ]
+      
+      const result = sceneHandlers.applyBatchUpdates(updates)
+      
+      expect(result.success).toBe(true)
+      expect(result.successCount).toBe(3)
+      expect(result.failureCount).toBe(0)
+    })
+
+    test('reports partial success with some failures', () => {
+      const updates = [
+        { operation: 'setVehicleBody', params: 'jeep_jku' },
+        { operation: 'setVehicleColor', params: 'invalid_color' },
+        { operation: 'setVehicleLift', params: 3 }
+      ]
+      
+      const result = sceneHandlers.applyBatchUpdates(updates)
+      
+      expect(result.success).toBe(false)
+      expect(result.successCount).toBe(2)
+      expect(result.failureCount).toBe(1)
+    })
+
+    test('fails with invalid updates array', () => {
+      const result = sceneHandlers.applyBatchUpdates('not-an-array')
+      expectFailure(result)
+    })
+
+    test('handles every setter operation', () => {
+      const updates = [
+        { operation: 'setVehicleRoughness', params: 0.4 },
+        { operation: 'setRimColor', params: '#121212' },
+        { operation: 'setRimColorSecondary', params: 'silver' },
+        { operation: 'setRimDiameter', params: 18 },
+        { operation: 'setRimWidth', params: 9 },
+        { operation: 'setTireDiameter', params: 35 },
+        { operation: 'setCameraAutoRotate', params: true },
+        { operation: 'addDecal', params: { imageUrl: 'data:image/png;base64,AAAA' } },
+      ]
+      
+      const result = sceneHandlers.applyBatchUpdates(updates)
+      expect(result.success).toBe(true)
+      
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.roughness).toBe(0.4)
+      expect(vehicle.rim_diameter).toBe(18)
+      expect(vehicle.tire_diameter).toBe(35)
+      expect(sceneHandlers.getDecals().length).toBe(1)
+    })
+
+    test('returns per-step changes', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleLift', params: 2 },
+      ])
+      
+      expect(result.results[0].changes).toEqual([
+        { field: 'lift', oldValue: 0, newValue: 2 },
+      ])
+    })
+  })
+
+  describe('applyBatchUpdates (atomic)', () => {
+    test('applies all steps as a single undo step', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleColor', params: '#00FF00' },
+        { operation: 'setVehicleLift', params: 3 },
+      ], { atomic: true })
+      
+      expect(result.success).toBe(true)
+      expect(result.rolledBack).toBe(false)
+      
+      sceneHandlers.undo()
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.color).toBe('#B91818')
+      expect(vehicle.lift).toBe(0)
+    })
+
+    test('rejects an invalid batch before applying anything', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleLift', params: 3 },
+        { operation: 'setVehicleColor', params: 'invalid_color' },
+      ], { atomic: true })
+      
+      expectFailure(result, 'validation')
+      expect(result.results.length).toBe(0)
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(0)
+    })
+    
+    test('validates the build the batch leaves, not just the fields it sets', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setTireDiameter', params: 37 },
+        { operation: 'setRimDiameter', params: 20 },
+      ], { atomic: true })
+      
+      expect(result.success).toBe(true)
+      // Fitment needs the body, which the batch never sets
+      expect(result.validation.warnings.some((warning) => warning.startsWith('Fitment:'))).toBe(true)
+    })
+
+    test('rolls back earlier steps when a step fails', () => {
+      sceneHandlers.setVehicleBody('toyota_4runner_3g')
+      
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleLift', params: 3 },
+        { operation: 'setRimDiameter', params: 18 },
+        { operation: 'setVehicleAddon', params: { type: 'bumper_f', value: 'invalid' } },
+        { operation: 'setVehicleColor', params: '#00FF00' },
+      ], { atomic: true })
+      
+      expectFailure(result, 'setVehicleAddon')
+      expect(result.rolledBack).toBe(true)
+      expect(result.results.length).toBe(3)
+      expect(result.results[0].changes[0].field).toBe('lift')
+      
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.lift).toBe(0)
+      expect(vehicle.rim_diameter).toBe(17)
+      expect(vehicle.color).toBe('#B91818')
+    })
+  })
+})
+
+// ============================================================================
+// PREVIEW TESTS
+// ============================================================================
+
+describe('Preview', () => {
+  describe('mutation handlers', () => {
+    test('returns the resulting configuration without applying it', () => {
+      const undoSteps = sceneHandlers.getHistoryState().undoSteps
+      const result = sceneHandlers.setVehicleLift(4, { preview: true })
       
-      const validation = sceneHandlers.validateConfiguration(config)
-      expect(validation.valid).toBe(true)
-      expect(validation.errors.length).toBe(0)
+      expectSuccess(result)
+      expect(result.preview).toBe(true)
+      expect(result.data.vehicle.lift).toBe(4)
+      expect(result.data.changes).toEqual([{ field: 'lift', oldValue: 0, newValue: 4 }])
+      expect(result.data.validation.valid).toBe(true)
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(0)
+      expect(sceneHandlers.getHistoryState().undoSteps).toBe(undoSteps)
     })
 
-    test('detects invalid vehicle model', () => {
-      const config = {
-        body: 'invalid_model'
-      }
+    test('includes validation warnings', () => {
+      const result = sceneHandlers.setVehicleConfiguration({ tire_diameter: 30, rim_diameter: 30 }, { preview: true })
       
-      const validation = sceneHandlers.validateConfiguration(config)
-      expect(validation.valid).toBe(false)
-      expect(validation.errors.length).toBeGreaterThan(0)
+      expect(result.data.validation.warnings).toContain('Tire diameter should be larger than rim diameter')
+      expect(sceneHandlers.getCurrentVehicle().tire_diameter).toBe(32)
     })
 
-    test('detects invalid color format', () => {
-      const config = {
-        color: 'not-a-color'
+    test('previews addon reset on body change', () => {
+      sceneHandlers.setVehicleBody('toyota_4runner_3g')
+      sceneHandlers.setVehicleAddon('bumper_f', 'shrockworks')
+      
+      const result = sceneHandlers.setVehicleBody('jeep_jku', { preview: true })
+      
+      expect(result.data.vehicle.addons).toEqual({})
+      expect(result.data.changes.map((change) => change.field)).toEqual(['body', 'addons'])
+      expect(sceneHandlers.getVehicleAddons().bumper_f).toBe('shrockworks')
+    })
+
+    test('previews addon changes', () => {
+      sceneHandlers.setVehicleBody('toyota_4runner_3g')
+      
+      const result = sceneHandlers.setVehicleAddon('rack', 'whitson', { preview: true })
+      
+      expect(result.data.vehicle.addons.rack).toBe('whitson')
+      expect(sceneHandlers.getVehicleAddons().rack).toBe('stock')
+    })
+  })
+
+  describe('applyBatchUpdates', () => {
+    test('chains steps without touching the store', () => {
+      sceneHandlers.setCameraAutoRotate(false)
+      
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleBody', params: 'toyota_4runner_3g' },
+        { operation: 'setVehicleAddon', params: { type: 'rack', value: 'whitson' } },
+        { operation: 'setVehicleColor', params: '#00FF00' },
+        { operation: 'setCameraAutoRotate', params: true },
+      ], { preview: true })
+      
+      expect(result.success).toBe(true)
+      expect(result.preview).toBe(true)
+      expect(result.vehicle.body).toBe('toyota_4runner_3g')
+      expect(result.vehicle.addons.rack).toBe('whitson')
+      expect(result.vehicle.color).toBe('#00FF00')
+      expect(result.results[2].changes).toEqual([{ field: 'color', oldValue: '#B91818', newValue: '#00FF00' }])
+      expect(result.results[3].result.skipped).toBe(true)
+      expect(result.validation.valid).toBe(true)
+      
+      const vehicle = sceneHandlers.getCurrentVehicle()
+      expect(vehicle.body).toBe('toyota_4runner_5g')
+      expect(vehicle.color).toBe('#B91818')
+      expect(sceneHandlers.getCameraState().autoRotate).toBe(false)
+    })
+
+    test('reports the failing step of an atomic batch', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setVehicleLift', params: 3 },
+        { operation: 'setRim', params: 'invalid_rim' },
+      ], { atomic: true, preview: true })
+      
+      expectFailure(result, 'setRim')
+      expect(result.results.length).toBe(2)
+      expect(result.vehicle.lift).toBe(3)
+      expect(sceneHandlers.getCurrentVehicle().lift).toBe(0)
+    })
+  })
+})
+
+// ============================================================================
+// FITMENT & METRICS TESTS
+// ============================================================================
+
+describe('Fitment & Metrics', () => {
+  describe('checkFitment', () => {
+    test('default build clears', () => {
+      const result = sceneHandlers.checkFitment()
+      
+      expectSuccess(result)
+      expect(result.data.supported).toBe(true)
+      expect(result.data.fits).toBe(true)
+      expect(result.data.trimming).toBe('none')
+    })
+
+    test('reports rubbing and required lift for oversized tires', () => {
+      sceneHandlers.setVehicleBody('jeep_jku')
+      
+      const result = sceneHandlers.checkFitment({ tire_diameter: 40 })
+      
+      expect(result.data.fits).toBe(false)
+      expect(result.data.rubbing[0].area).toBe('fender')
+      expect(result.data.rubbing[0].severity).toBe('major')
+      expect(result.data.requiredLift).toBe(6)
+      expect(result.data.requiredLiftTrimmed).toBe(5)
+      expect(result.data.recommendations).toContain('Lift to 6" to clear 40" tires without trimming')
+    })
+
+    test('recommends trimming within the trim allowance', () => {
+      sceneHandlers.setVehicleBody('jeep_jku')
+      sceneHandlers.setVehicleLift(2)
+      
+      const result = sceneHandlers.checkFitment({ tire_diameter: 35 })
+      
+      expect(result.data.fits).toBe(false)
+      expect(result.data.rubbing[0].severity).toBe('minor')
+      expect(result.data.requiredLift).toBe(2.5)
+      expect(result.data.recommendations).toContain('Trim the fenders and pinch welds to clear at the current lift')
+    })
+
+    test('flags backspacing outside the body limits', () => {
+      const inboard = sceneHandlers.checkFitment({ rim_width: 14 })
+      expect(inboard.data.rubbing.some((rub) => rub.area === 'suspension')).toBe(true)
+      
+      const spaced = sceneHandlers.checkFitment({ rim_width: 14, wheel_offset: 0.05 })
+      expect(spaced.data.rubbing.some((rub) => rub.area === 'suspension')).toBe(false)
+    })
+
+    test('fails with invalid body', () => {
+      expectFailure(sceneHandlers.checkFitment({ body: 'invalid_model' }), 'invalid')
+    })
+  })
+
+  describe('getVehicleMetrics', () => {
+    test('returns clearance and angles', () => {
+      const result = sceneHandlers.getVehicleMetrics()
+      
+      expectSuccess(result)
+      expect(result.data.groundClearance.inches).toBeGreaterThan(9)
+      expect(result.data.approachAngle).toBeGreaterThan(30)
+      expect(result.data.departureAngle).toBeGreaterThan(20)
+      expect(result.data.breakoverAngle).toBeGreaterThan(15)
+    })
+
+    test('lift raises body angles but not axle clearance', () => {
+      const stock = sceneHandlers.getVehicleMetrics().data
+      const lifted = sceneHandlers.getVehicleMetrics({ lift: 3 }).data
+      
+      expect(lifted.approachAngle).toBeGreaterThan(stock.approachAngle)
+      expect(lifted.breakoverAngle).toBeGreaterThan(stock.breakoverAngle)
+      expect(lifted.groundClearance.inches).toBe(stock.groundClearance.inches)
+    })
+
+    test('bigger tires raise ground clearance by half the diameter gain', () => {
+      const stock = sceneHandlers.getVehicleMetrics({ tire_diameter: 32 }).data
+      const big = sceneHandlers.getVehicleMetrics({ tire_diameter: 34 }).data
+      
+      expect(big.groundClearance.inches).toBeCloseTo(stock.groundClearance.inches + 1, 1)
+    })
+
+    test('uses addon bumper geometry', () => {
+      sceneHandlers.setVehicleBody('toyota_4runner_3g')
+      const stock = sceneHandlers.getVehicleMetrics().data
+      
+      sceneHandlers.setVehicleAddon('bumper_f', 'shrockworks')
+      const shrockworks = sceneHandlers.getVehicleMetrics().data
+      
+      expect(shrockworks.approachAngle).toBeGreaterThan(stock.approachAngle)
+      expect(shrockworks.departureAngle).toBe(stock.departureAngle)
+    })
+
+    test('snorkel and lift raise fording depth', () => {
+      const stock = sceneHandlers.getVehicleMetrics().data
+      const lifted = sceneHandlers.getVehicleMetrics({ lift: 3 }).data
+      
+      sceneHandlers.setVehicleAddon('snorkel', 'safari')
+      const snorkel = sceneHandlers.getVehicleMetrics().data
+      
+      expect(stock.fordingDepth.snorkel).toBe(false)
+      expect(lifted.fordingDepth.inches).toBeCloseTo(stock.fordingDepth.inches + 3, 0)
+      expect(snorkel.fordingDepth.snorkel).toBe(true)
+      expect(snorkel.fordingDepth.meters).toBeGreaterThan(stock.fordingDepth.meters)
+    })
+
+    test('fails with invalid body', () => {
+      expectFailure(sceneHandlers.getVehicleMetrics({ body: 'invalid_model' }), 'invalid')
+    })
+  })
+
+  test('validateConfiguration warns about rubbing', () => {
+    const result = sceneHandlers.validateConfiguration({ body: 'toyota_4runner_5g', lift: 0, tire_diameter: 35 })
+    
+    expect(result.valid).toBe(true)
+    expect(result.warnings.some((warning) => warning.startsWith('Fitment:'))).toBe(true)
+  })
+})
+
+// ============================================================================
+// DRIVETRAIN TESTS
+// ============================================================================
+
+describe('Drivetrain', () => {
+  describe('setDriveMode', () => {
+    test('defaults to RWD with open differentials', () => {
+      expect(sceneHandlers.getDrivetrain()).toEqual({ mode: 'rwd', label: 'RWD', frontLocked: false, rearLocked: false })
+    })
+
+    test('sets a valid drive mode', () => {
+      const result = sceneHandlers.setDriveMode('4l')
+      
+      expectSuccess(result)
+      expect(result.data.label).toBe('4WD Low')
+      expect(sceneHandlers.getCurrentVehicle().drive_mode).toBe('4l')
+    })
+
+    test('rejects an invalid drive mode', () => {
+      expectFailure(sceneHandlers.setDriveMode('fwd'))
+      expect(sceneHandlers.validateConfiguration({ drive_mode: 'fwd' }).valid).toBe(false)
+    })
+
+    test('cycles through all modes', () => {
+      expect(getNextDriveMode('rwd')).toBe('4h')
+      expect(getNextDriveMode('4l')).toBe('rwd')
+    })
+  })
+
+  describe('setDifferentialLock', () => {
+    test('locks and toggles differentials', () => {
+      expectSuccess(sceneHandlers.setDifferentialLock('rear', true))
+      expect(sceneHandlers.getDrivetrain().rearLocked).toBe(true)
+      
+      const result = sceneHandlers.setDifferentialLock('rear')
+      
+      expectSuccess(result)
+      expect(result.data.locked).toBe(false)
+    })
+
+    test('rejects an invalid axle', () => {
+      expectFailure(sceneHandlers.setDifferentialLock('center', true))
+    })
+
+    test('works in batches', () => {
+      const result = sceneHandlers.applyBatchUpdates([
+        { operation: 'setDriveMode', params: '4h' },
+        { operation: 'setDifferentialLock', params: { axle: 'front', locked: true } },
+      ], { atomic: true })
+      
+      expect(result.success).toBe(true)
+      expect(sceneHandlers.getDrivetrain()).toMatchObject({ mode: '4h', frontLocked: true })
+    })
+  })
+
+  describe('splitDriveForce', () => {
+    test('RWD drives only the rear wheels', () => {
+      expect(splitDriveForce(60, { mode: 'rwd' })).toEqual([0, 0, 30, 30])
+    })
+
+    test('AWD splits force front to rear', () => {
+      expect(splitDriveForce(100, { mode: 'awd' })).toEqual([20, 20, 30, 30])
+    })
+
+    test('4-Low multiplies force by the low range ratio', () => {
+      const forces = splitDriveForce(100, { mode: '4l' })
+      
+      expect(forces.reduce((sum, force) => sum + force, 0)).toBeCloseTo(100 * LOW_RANGE_RATIO)
+    })
+
+    test('open differential stalls with a wheel in the air', () => {
+      expect(splitDriveForce(60, { mode: 'rwd' }, [1, 1, 0, 1])).toEqual([0, 0, 0, 0])
+    })
+
+    test('locked differential drives the wheel with traction', () => {
+      expect(splitDriveForce(60, { mode: 'rwd', rearLocked: true }, [1, 1, 0, 1])).toEqual([0, 0, 0, 60])
+    })
+
+    test('4WD sends force to the axle with traction', () => {
+      const [fl, fr, rl, rr] = splitDriveForce(60, { mode: '4h' }, [1, 1, 0, 1])
+      
+      expect(fl + fr).toBe(60)
+      expect(rl + rr).toBe(0)
+    })
+
+    test('wheel traction drops without contact and with slip', () => {
+      expect(getWheelTraction({ inContact: false })).toBe(0)
+      expect(getWheelTraction({ inContact: true, suspensionForce: 10, averageForce: 10 })).toBe(1)
+      expect(getWheelTraction({ inContact: true, suspensionForce: 10, averageForce: 10, forwardImpulse: 2, maxImpulse: 2 })).toBe(0.5)
+    })
+  })
+})
+
+// ============================================================================
+// ENGINE TESTS
+// ============================================================================
+
+describe('Engine', () => {
+  const spec = engine.getEngineSpec('toyota_4runner_5g')
+
+  test('bodies carry engine data', () => {
+    expect(spec.gears.length).toBe(5)
+    expect(engine.getEngineSpec('unknown_body')).toBe(engine.DEFAULT_ENGINE)
+  })
+
+  test('interpolates the torque curve and cuts at redline', () => {
+    expect(engine.getEngineTorque(spec, 500)).toBe(280)
+    expect(engine.getEngineTorque(spec, 1500)).toBe(310)
+    expect(engine.getEngineTorque(spec, spec.redline)).toBe(0)
+  })
+
+  test('bigger tires lower RPM and wheel force', () => {
+    const rpm31 = engine.getEngineRpm(spec, 20, 3, 31)
+    const rpm37 = engine.getEngineRpm(spec, 20, 3, 37)
+    
+    expect(rpm37).toBeLessThan(rpm31)
+    expect(engine.getWheelForce(spec, 3000, 1, 37)).toBeLessThan(engine.getWheelForce(spec, 3000, 1, 31))
+  })
+
+  test('RPM never drops below idle', () => {
+    expect(engine.getEngineRpm(spec, 0, 1, 32)).toBe(spec.idle_rpm)
+  })
+
+  test('automatic shifts up near redline and down at low RPM', () => {
+    expect(engine.getAutoShiftGear(spec, 2, spec.redline * 0.95)).toBe(3)
+    expect(engine.getAutoShiftGear(spec, 5, spec.redline * 0.95)).toBe(5)
+    expect(engine.getAutoShiftGear(spec, 3, 1500)).toBe(2)
+    expect(engine.getAutoShiftGear(spec, 1, 1500)).toBe(1)
+  })
+
+  test('setTransmission validates and applies', () => {
+    expectSuccess(sceneHandlers.setTransmission('manual'))
+    expect(sceneHandlers.getEngineState().transmission).toBe('manual')
+    expectFailure(sceneHandlers.setTransmission('cvt'))
+  })
+
+  test('catalog rejects malformed engine data', () => {
+    const errors = catalogLoader.validateCatalogEntry('bodies', 'bad_engine', {
+      name: 'Bad Engine',
+      make: 'Test',
+      model: 'assets/models/test.glb',
+      wheel_offset: 0.8,
+      wheelbase: 2.5,
+      engine: { idle_rpm: 800, redline: 6000, torque_curve: { 1000: 300 }, gears: [], final_drive: 3.73 },
+    })
+    
+    expect(errors).toContain('engine "torque_curve" must map at least two RPMs to torque')
+    expect(errors).toContain('engine "gears" must be a list of positive gear ratios')
+  })
+})
+
+// ============================================================================
+// SUSPENSION TESTS
+// ============================================================================
+
+describe('Suspension', () => {
+  test('uses the body profile', () => {
+    const result = suspension.computeSuspension({ body: 'jeep_jku' })
+    
+    expect(result.rear).toEqual({ stiffness: 22, damping: 2.2, travel: 0.35 })
+    expect(result.sway_bar).toEqual({ front: 8, rear: 4 })
+  })
+
+  test('lift adds travel and stiffness', () => {
+    const stock = suspension.computeSuspension({ body: 'toyota_4runner_5g', lift: 0 })
+    const lifted = suspension.computeSuspension({ body: 'toyota_4runner_5g', lift: 3 })
+    
+    expect(lifted.front.travel).toBeGreaterThan(stock.front.travel)
+    expect(lifted.front.stiffness).toBeGreaterThan(stock.front.stiffness)
+  })
+
+  test('long travel kit extends front travel on softer springs', () => {
+    const stock = suspension.computeSuspension({ body: 'toyota_4runner_5g' })
+    const kit = suspension.computeSuspension({ body: 'toyota_4runner_5g', addons: { suspension: 'long_travel' } })
+    
+    expect(kit.front.travel).toBeCloseTo(stock.front.travel + 0.1)
+    expect(kit.front.stiffness).toBeLessThan(stock.front.stiffness)
+    expect(kit.rear).toEqual(stock.rear)
+  })
+
+  describe('setSuspensionTuning', () => {
+    test('merges tuning and overrides the profile', () => {
+      expectSuccess(sceneHandlers.setSuspensionTuning({ front: { stiffness: 40 } }))
+      
+      const result = sceneHandlers.setSuspensionTuning({ front: { travel: 0.4 }, sway_bar: { rear: 0 } })
+      
+      expectSuccess(result)
+      expect(result.data.tuning).toEqual({ front: { stiffness: 40, travel: 0.4 }, sway_bar: { rear: 0 } })
+      expect(result.data.suspension.front).toMatchObject({ stiffness: 40, travel: 0.4 })
+      expect(result.data.suspension.sway_bar.rear).toBe(0)
+    })
+
+    test('rejects out of range values', () => {
+      expectFailure(sceneHandlers.setSuspensionTuning({ rear: { stiffness: 500 } }), 'rear stiffness')
+      expectFailure(sceneHandlers.setSuspensionTuning({ middle: { stiffness: 20 } }))
+    })
+
+    test('resets with null', () => {
+      sceneHandlers.setSuspensionTuning({ rear: { damping: 4 } })
+      
+      expectSuccess(sceneHandlers.setSuspensionTuning(null))
+      expect(sceneHandlers.getSuspensionTuning().tuning).toEqual({})
+    })
+
+    test('previews without applying', () => {
+      const result = sceneHandlers.setSuspensionTuning({ rear: { damping: 4 } }, { preview: true })
+      
+      expect(result.preview).toBe(true)
+      expect(result.data.vehicle.suspension_tuning).toEqual({ rear: { damping: 4 } })
+      expect(sceneHandlers.getSuspensionTuning().tuning).toEqual({})
+    })
+  })
+})
+
+// ============================================================================
+// SURFACE TESTS
+// ============================================================================
+
+describe('Surfaces', () => {
+  const { nitto_mud_grappler, bfg_at } = vehicleConfigs.wheels.tires
+  const tires = {
+    mud: surfaces.getTireGrip(nitto_mud_grappler, 'mud'),
+    allTerrainMud: surfaces.getTireGrip(bfg_at, 'mud'),
+    allTerrainDirt: surfaces.getTireGrip(bfg_at, 'dirt'),
+  }
+
+  test('mud terrain tires outgrip all terrains in mud', () => {
+    expect(tires.mud.frictionSlip).toBeGreaterThan(tires.allTerrainMud.frictionSlip)
+    expect(tires.mud.sideFriction).toBeGreaterThan(tires.allTerrainMud.sideFriction)
+  })
+
+  test('mud is slipperier than dirt', () => {
+    expect(tires.allTerrainMud.frictionSlip).toBeLessThan(tires.allTerrainDirt.frictionSlip)
+  })
+
+  test('reads the surface tag from the collider body', () => {
+    const collider = (surface) => ({ parent: () => ({ userData: { surface } }) })
+    
+    expect(surfaces.getColliderSurface(collider('rock'))).toBe('rock')
+    expect(surfaces.getColliderSurface(collider('lava'))).toBe(surfaces.DEFAULT_SURFACE)
+    expect(surfaces.getColliderSurface(null)).toBe(surfaces.DEFAULT_SURFACE)
+  })
+
+  test('catalog rejects unknown grip surfaces', () => {
+    const errors = catalogLoader.validateCatalogEntry('tires', 'bad_tire', {
+      make: 'Test',
+      name: 'Bad Tire',
+      model: 'assets/models/test.glb',
+      width: 0.3,
+      od: 0.9,
+      id: 0.45,
+      traction: { grip: { ice: 0.2 } },
+    })
+    
+    expect(errors).toEqual(['traction "grip" has unknown surface(s): ice'])
+  })
+})
+
+// ============================================================================
+// TERRAIN TESTS
+// ============================================================================
+
+describe('Terrain', () => {
+  test('getTerrainState lists presets', () => {
+    const state = sceneHandlers.getTerrainState()
+    
+    expect(state.preset).toBe(terrain.DEFAULT_TERRAIN_PRESET)
+    expect(state.presets.map((preset) => preset.id)).toEqual(sceneHandlers.TERRAIN_PRESETS)
+  })
+
+  test('setTerrainPreset validates the preset', () => {
+    expectSuccess(sceneHandlers.setTerrainPreset('snowfield'))
+    expect(sceneHandlers.getTerrainState().preset).toBe('snowfield')
+    
+    expectFailure(sceneHandlers.setTerrainPreset('volcano'), 'Invalid terrain preset')
+    sceneHandlers.setTerrainPreset(terrain.DEFAULT_TERRAIN_PRESET)
+  })
+
+  test('setTerrainSeed requires an integer in range', () => {
+    expectSuccess(sceneHandlers.setTerrainSeed(42))
+    expect(sceneHandlers.getSceneState().terrain.seed).toBe(42)
+    
+    expectFailure(sceneHandlers.setTerrainSeed(1.5), 'Invalid terrain seed')
+    expectFailure(sceneHandlers.setTerrainSeed(0), 'Invalid terrain seed')
+    expectFailure(sceneHandlers.setTerrainSeed(100000), 'Invalid terrain seed')
+    
+    const random = sceneHandlers.setTerrainSeed()
+    expectSuccess(random)
+    expect(random.data.seed).toBeGreaterThanOrEqual(terrain.TERRAIN_SEED_RANGE.MIN)
+    expect(random.data.seed).toBeLessThanOrEqual(terrain.TERRAIN_SEED_RANGE.MAX)
+    sceneHandlers.setTerrainSeed(terrain.DEFAULT_TERRAIN_SEED)
+  })
+
+  test('heights are reproducible from the seed', () => {
+    const preset = terrain.getTerrainPreset('rocky_trail')
+    const height = (seed) => terrain.getTerrainHeight(new Noise(seed), 12.3, -4.5, preset)
+    
+    expect(height(7)).toBe(height(7))
+    expect(height(7)).not.toBe(height(8))
+    expect(height(7)).toBeGreaterThanOrEqual(0)
+    expect(height(7)).toBeLessThanOrEqual(1)
+  })
+
+  test('spawn tiles use the main surface', () => {
+    const preset = terrain.getTerrainPreset('forest_dirt')
+    const noise = new Noise(terrain.DEFAULT_TERRAIN_SEED)
+    const tiles = [-3, -2, 2, 3].flatMap((x) => [-3, 3].map((z) => terrain.getTileSurface(noise, x, z, preset)))
+    
+    expect(terrain.getTileSurface(noise, -1, 0, preset)).toBe('dirt')
+    expect(tiles.every((surface) => preset.surfaces.includes(surface))).toBe(true)
+  })
+
+  describe('importHeightmap', () => {
+    afterEach(() => {
+      sceneHandlers.clearHeightmap()
+    })
+
+    test('imports an Esri ASCII grid and persists it', async () => {
+      const grid = ['ncols 3', 'nrows 2', 'cellsize 30', 'NODATA_value -9999', '10 20 30', '40 -9999 50'].join('\n')
+      const result = sceneHandlers.importHeightmap(grid, { name: 'Trail', metersPerPixel: 2, verticalScale: 20 })
+      
+      expectSuccess(result)
+      expect(result.data).toEqual({ name: 'Trail', width: 3, height: 2, metersPerPixel: 2, verticalScale: 20 })
+      
+      await Bun.sleep(0)
+      const stored = await storage.getStorage().get('settings', 'heightmap')
+      expect(stored.data).toEqual([0, 0.25, 0.5, 0.75, 0, 1])
+      expect(sceneHandlers.getTerrainState().heightmap.name).toBe('Trail')
+    })
+
+    test('imports JSON rows and RGBA pixels', async () => {
+      expectSuccess(sceneHandlers.importHeightmap('[[0, 1], [2, 3]]'))
+      
+      const pixels = { width: 2, height: 2, data: [0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255] }
+      const result = sceneHandlers.importHeightmap(pixels, { pixels: true })
+      expectSuccess(result)
+      await Bun.sleep(0)
+      expect((await storage.getStorage().get('settings', 'heightmap')).data).toEqual([0, 1, 0, 1])
+    })
+
+    test('reports storage errors instead of throwing', async () => {
+      const backend = storage.getStorage()
+      const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' })
+      storage.setStorage({ ...backend, put: () => Promise.reject(quotaError) })
+      
+      try {
+        expectSuccess(sceneHandlers.importHeightmap('[[0, 1], [2, 3]]'))
+        await Bun.sleep(0)
+        expect(useGameStore.getState().notification).toMatchObject({ type: 'error', text: storage.describeStorageError(quotaError) })
+      } finally {
+        storage.setStorage(backend)
+        useGameStore.getState().hideNotification()
       }
+    })
+
+    test('moves a heightmap left in localStorage into storage', async () => {
+      const backend = storage.createMemoryStorage()
+      localStorage.setItem(heightmap.HEIGHTMAP_STORAGE_KEY, JSON.stringify({ name: 'Old Trail', width: 2, height: 2, data: [0, 1, 0, 1] }))
       
-      const validation = sceneHandlers.validateConfiguration(config)
-      expect(validation.valid).toBe(false)
+      expect((await heightmap.loadStoredHeightmap(backend)).name).toBe('Old Trail')
+      expect((await backend.get('settings', 'heightmap')).name).toBe('Old Trail')
+      expect(localStorage.getItem(heightmap.HEIGHTMAP_STORAGE_KEY)).toBeNull()
+      expect(await heightmap.loadStoredHeightmap(storage.createMemoryStorage())).toBeNull()
+    })
+
+    test('resamples large grids without changing their size on the ground', () => {
+      const size = heightmap.MAX_HEIGHTMAP_SIZE * 2 + 1
+      const rows = Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => row + col))
+      const result = sceneHandlers.importHeightmap(rows, { metersPerPixel: 1 })
+      
+      expectSuccess(result)
+      expect(result.data.width).toBe(heightmap.MAX_HEIGHTMAP_SIZE)
+      expect((result.data.width - 1) * result.data.metersPerPixel).toBeCloseTo(size - 1, 0)
+    })
+
+    test('rejects bad grids and scales', () => {
+      expectFailure(sceneHandlers.importHeightmap('1 2 3\n4 5'), 'same length')
+      expectFailure(sceneHandlers.importHeightmap('[[1, 2]]'), 'at least 2x2')
+      expectFailure(sceneHandlers.importHeightmap('a b\nc d'), 'non-numeric')
+      expectFailure(sceneHandlers.importHeightmap('[[1, 2], [3, 4]]', { verticalScale: 500 }), 'Invalid verticalScale')
+      expect(sceneHandlers.getTerrainState().heightmap).toBeNull()
     })
 
-    test('detects out-of-range values', () => {
-      const config = {
-        lift: 999,
-        rim_diameter: 999,
-        tire_diameter: 999
-      }
+    test('clearHeightmap removes the stored map', () => {
+      expectFailure(sceneHandlers.clearHeightmap(), 'No heightmap')
       
-      const validation = sceneHandlers.validateConfiguration(config)
-      expect(validation.valid).toBe(false)
-      expect(validation.errors.length).toBeGreaterThan(0)
+      sceneHandlers.importHeightmap('[[0, 1], [2, 3]]')
+      expectSuccess(sceneHandlers.clearHeightmap())
+      expect(localStorage.getItem(heightmap.HEIGHTMAP_STORAGE_KEY)).toBeNull()
     })
 
-    test('warns about tire/rim compatibility', () => {
-      const config = {
-        rim_diameter: 18,
-        tire_diameter: 17 // Tire smaller than rim!
-      }
+    test('samples between grid points and clamps at the edges', () => {
+      const map = heightmap.createHeightmap(heightmap.parseElevationGrid([[0, 2], [2, 4]]), { metersPerPixel: 10 })
       
-      const validation = sceneHandlers.validateConfiguration(config)
-      expect(validation.warnings.length).toBeGreaterThan(0)
+      expect(heightmap.sampleHeightmap(map, 0, 0)).toBe(0.5)
+      expect(heightmap.sampleHeightmap(map, -5, -5)).toBe(0)
+      expect(heightmap.sampleHeightmap(map, 100, 100)).toBe(1)
     })
   })
 
-  describe('exportVehicleConfiguration', () => {
-    test('exports current configuration', () => {
-      const result = sceneHandlers.exportVehicleConfiguration()
-      expectSuccess(result)
-      
-      expect(result.data).toHaveProperty('body')
-      expect(result.data).toHaveProperty('color')
-      expect(result.data).toHaveProperty('lift')
+  test('ridged noise stays in range', () => {
+    const preset = { ...terrain.getTerrainPreset('rocky_trail'), ridged: 1 }
+    const noise = new Noise(9)
+    const heights = [0, 7, 13, 29].map((x) => terrain.getTerrainHeight(noise, x, x * 0.5, preset))
+    
+    heights.forEach((height) => {
+      expect(height).toBeGreaterThanOrEqual(0)
+      expect(height).toBeLessThanOrEqual(1)
     })
   })
 
-  describe('importVehicleConfiguration', () => {
-    test('imports valid configuration', () => {
-      // Export first
-      const exportResult = sceneHandlers.exportVehicleConfiguration()
-      const config = exportResult.data
-      
-      // Modify
-      sceneHandlers.setVehicleColor('#FF0000')
-      
-      // Import original
-      const importResult = sceneHandlers.importVehicleConfiguration(config)
-      expectSuccess(importResult)
+  describe('getTileObstacles', () => {
+    const preset = terrain.getTerrainPreset('rocky_trail')
+    const obstacles = (seed, tileX, tileZ, clearRadius = 0) => terrain.getTileObstacles({ seed, tileX, tileZ, tileSize: 32, preset, clearRadius })
+
+    test('are deterministic per seed and tile', () => {
+      expect(obstacles(5, 3, -2)).toEqual(obstacles(5, 3, -2))
+      expect(obstacles(5, 3, -2)).not.toEqual(obstacles(6, 3, -2))
+      expect(obstacles(5, 3, -2)).not.toEqual(obstacles(5, 2, -2))
+    })
+
+    test('stay within their tile', () => {
+      obstacles(5, 3, -2).forEach(({ x, z, type, surface }) => {
+        expect(Math.abs(x - 96)).toBeLessThanOrEqual(16)
+        expect(Math.abs(z + 64)).toBeLessThanOrEqual(16)
+        expect(preset.obstacles.types).toContain(type)
+        expect(surfaces.SURFACE_TYPES).toContain(surface)
+      })
+    })
+
+    test('keep clear of the spawn point', () => {
+      expect(obstacles(5, 0, 0, 24).every(({ x, z }) => Math.hypot(x, z) >= 24)).toBe(true)
+      expect(terrain.getTileObstacles({ seed: 5, tileX: 3, tileZ: 3, tileSize: 32, preset: terrain.getTerrainPreset('flat_showroom') })).toEqual([])
+    })
+  })
+
+  test('terrain surfaces exist', () => {
+    Object.values(terrain.TERRAIN_PRESETS).forEach((preset) => {
+      preset.surfaces.forEach((surface) => expect(surfaces.SURFACE_TYPES).toContain(surface))
     })
   })
 })
 
 // ============================================================================
-// BATCH OPERATIONS TESTS
+// OBJECT TESTS
 // ============================================================================
 
-describe('Batch Operations', () => {
-  describe('applyBatchUpdates', () => {
-    test('successfully applies multiple updates', () => {
-      const updates = [
-        { operation: 'setVehicleBody', params: 'jeep_jku' },
-        { operation: 'setVehicleColor', params: '#FF0000' },
-        { operation: 'setVehicleLift', params: 3 }
-      ]
-      
-      const result = sceneHandlers.applyBatchUpdates(updates)
-      
-      expect(result.success).toBe(true)
-      expect(result.successCount).toBe(3)
-      expect(result.failureCount).toBe(0)
+describe('Objects', () => {
+  beforeEach(() => {
+    sceneHandlers.getObjects().forEach((object) => sceneHandlers.deleteObject(object.id))
+  })
+
+  test('built-in types are valid', () => {
+    Object.entries(sceneHandlers.getObjectTypes()).forEach(([type, definition]) => {
+      expect(objects.validateObjectType(definition)).toEqual([])
     })
+  })
 
-    test('reports partial success with some failures', () => {
-      const updates = [
-        { operation: 'setVehicleBody', params: 'jeep_jku' },
-        { operation: 'setVehicleColor', params: 'invalid_color' },
-        { operation: 'setVehicleLift', params: 3 }
-      ]
-      
-      const result = sceneHandlers.applyBatchUpdates(updates)
+  test('object IDs stay unique when objects are removed within one batch', () => {
+    const clock = spyOn(Date, 'now').mockReturnValue(1000)
+    try {
+      const ids = useGameStore.getState().transaction(() => {
+        const a = sceneHandlers.addObject('cube').data.id
+        const b = sceneHandlers.addObject('cube').data.id
+        sceneHandlers.deleteObject(a)
+        return [b, sceneHandlers.addObject('cube').data.id]
+      })
       
-      expect(result.success).toBe(false)
-      expect(result.successCount).toBe(2)
-      expect(result.failureCount).toBe(1)
-    })
+      expect(ids[1]).not.toBe(ids[0])
+      expectSuccess(sceneHandlers.deleteObject(ids[1]))
+      expect(sceneHandlers.getObjects().map((object) => object.id)).toEqual([ids[0]])
+    } finally {
+      clock.mockRestore()
+    }
+  })
 
-    test('fails with invalid updates array', () => {
-      const result = sceneHandlers.applyBatchUpdates('not-an-array')
-      expectFailure(result)
+  test('addObject places registry types with their size', () => {
+    const result = sceneHandlers.addObject('log', { position: { x: 1, y: 0.5, z: 4 }, yaw: 0.5, scale: { x: 2, y: 1, z: 1 } })
+    
+    expectSuccess(result)
+    expect(result.data).toMatchObject({ type: 'log', rotation: { x: 0, y: 0.5, z: 0 }, scale: { x: 2, y: 1, z: 1 } })
+    expect(objects.getObjectSize('log', result.data.scale).x).toBe(objects.OBJECT_TYPES.log.size.x * 2)
+    
+    const stairs = sceneHandlers.addObject('stairs')
+    expect(stairs.data.position.y).toBe(objects.OBJECT_TYPES.stairs.size.y / 2)
+    expect(sceneHandlers.getObjects()).toHaveLength(2)
+    
+    expectSuccess(sceneHandlers.deleteObject(result.data.id))
+    expect(sceneHandlers.getObjects()).toHaveLength(1)
+  })
+
+  test('addObject validates type and scale', () => {
+    expectFailure(sceneHandlers.addObject('anvil'), 'Invalid object type')
+    expectFailure(sceneHandlers.addObject('cube', { scale: { x: 1, y: 0, z: 1 } }), 'must be positive')
+    expectFailure(sceneHandlers.deleteObject('missing'), 'not found')
+  })
+
+  test('registerObjectType adds GLB props', () => {
+    const changes = []
+    const unsubscribe = objects.onObjectTypesChange((type) => changes.push(type))
+    
+    objects.registerObjectType('prop_test', { name: 'Crate', shape: 'model', model: 'blob:crate', size: { x: 1, y: 1, z: 1 }, collider: 'hull', mass: 10, body: 'dynamic' })
+    unsubscribe()
+    
+    expect(changes).toEqual(['prop_test'])
+    expectSuccess(sceneHandlers.addObject('prop_test'))
+    expect(() => objects.registerObjectType('prop_bad', { name: 'Bad', shape: 'model', size: { x: 1, y: 1, z: 1 }, collider: 'hull', body: 'dynamic' })).toThrow(
+      'dynamic objects need a positive mass; model objects need a model URL'
+    )
+  })
+
+  test('updateObject moves objects, optionally snapped to the grid', () => {
+    const { data } = sceneHandlers.addObject('barrel')
+    
+    const moved = sceneHandlers.updateObject(data.id, { position: { x: 1.23 }, rotation: { y: 0.3 } })
+    expectSuccess(moved)
+    expect(moved.data.position).toEqual({ ...data.position, x: 1.23 })
+    
+    sceneHandlers.setTransformSnap({ enabled: true, grid: 0.5, angle: 15 })
+    const snapped = sceneHandlers.updateObject(data.id, { position: { x: 1.23, y: 0.6, z: 2.1 }, rotation: { y: 0.3 }, scale: { x: 0.01 } }, { snap: true })
+    expect(snapped.data.position).toEqual({ x: 1, y: 0.5, z: 2 })
+    expect(snapped.data.rotation.y).toBeCloseTo(Math.PI / 12)
+    expect(snapped.data.scale.x).toBe(transform.MIN_TRANSFORM_SCALE)
+    
+    expectFailure(sceneHandlers.updateObject(data.id, { position: { x: 'left' } }), 'Invalid position')
+    expectFailure(sceneHandlers.updateObject('missing', { position: { x: 0 } }), 'not found')
+  })
+
+  test('transform snapping settings and targets', () => {
+    expect(transform.snapValue(0.34, 0.1)).toBe(0.3)
+    expect(transform.snapValue(0.34, 0)).toBe(0.34)
+    expect(transform.snapTransform({ scale: { x: 1.26, y: 1, z: 1 } }, { enabled: false })).toEqual({ scale: { x: 1.26, y: 1, z: 1 } })
+    
+    expectFailure(sceneHandlers.setTransformSnap({ grid: 0 }), 'grid must be a positive number')
+    expect(sceneHandlers.setTransformSnap({ angle: 45 }).data.angle).toBe(45)
+    sceneHandlers.setTransformSnap(transform.DEFAULT_TRANSFORM_SNAP)
+    
+    const state = { objects: [{ id: 'a', type: 'checkpoint' }], decals: [{ id: 'b' }], selectedObjectId: 'a', selectedDecalId: 'b' }
+    expect(transform.getTransformTarget(state)).toMatchObject({ kind: 'object', id: 'a', scalable: false })
+    expect(transform.getTransformTarget({ ...state, selectedObjectId: null })).toMatchObject({ kind: 'decal', id: 'b', scalable: true })
+    expect(transform.getTransformTarget({ ...state, selectedObjectId: null, selectedDecalId: null })).toBeNull()
+  })
+})
+
+// ============================================================================
+// FLUID TESTS
+// ============================================================================
+
+describe('Fluids', () => {
+  beforeEach(() => {
+    sceneHandlers.getFluidVolumes().forEach((volume) => sceneHandlers.removeFluidVolume(volume.id))
+  })
+
+  test('addFluidVolume places water and mud', () => {
+    const result = sceneHandlers.addFluidVolume('mud', { position: { x: 2, y: 0.4, z: 6 }, size: { x: 4, z: 8 }, depth: 0.6 })
+    
+    expectSuccess(result)
+    expect(result.data).toMatchObject({ type: 'mud', position: { x: 2, y: 0.4, z: 6 }, scale: { x: 4, y: 0.6, z: 8 } })
+    expect(sceneHandlers.getFluidVolumes()).toHaveLength(1)
+    
+    expectSuccess(sceneHandlers.removeFluidVolume(result.data.id))
+    expect(sceneHandlers.getFluidVolumes()).toHaveLength(0)
+  })
+
+  test('fluid volume IDs stay unique after a volume is removed', () => {
+    const clock = spyOn(Date, 'now').mockReturnValue(1000)
+    try {
+      const first = sceneHandlers.addFluidVolume('water').data.id
+      const second = sceneHandlers.addFluidVolume('mud').data.id
+      sceneHandlers.removeFluidVolume(first)
+      const third = sceneHandlers.addFluidVolume('water').data.id
+      
+      expect(third).not.toBe(second)
+      expectSuccess(sceneHandlers.removeFluidVolume(third))
+      expect(sceneHandlers.getFluidVolumes().map((volume) => volume.id)).toEqual([second])
+    } finally {
+      clock.mockRestore()
+    }
+  })
+
+  test('addFluidVolume validates type and size', () => {
+    expectFailure(sceneHandlers.addFluidVolume('lava'), 'Invalid fluid type')
+    expectFailure(sceneHandlers.addFluidVolume('water', { depth: 0 }), 'must be positive')
+    expectFailure(sceneHandlers.removeFluidVolume('missing'), 'not found')
+  })
+
+  test('getImmersion finds the deepest volume under a point', () => {
+    const volumes = [
+      { id: 'a', type: 'water', x: 0, z: 0, surface: 1, size: { x: 4, z: 10 }, depth: 1.5, yaw: 0 },
+      { id: 'b', type: 'mud', x: 0, z: 0, surface: 0.5, size: { x: 4, z: 4 }, depth: 1, yaw: 0 },
+    ]
+    
+    expect(fluids.getImmersion(volumes, 0, 0.2, 0)).toEqual({ type: 'water', depth: 0.8, surface: 1 })
+    expect(fluids.getImmersion(volumes, 0, 0.2, 4)).toEqual({ type: 'water', depth: 0.8, surface: 1 })
+    expect(fluids.getImmersion(volumes, 3, 0.2, 0)).toBeNull()
+    expect(fluids.getImmersion(volumes, 0, 1.2, 0)).toBeNull()
+  })
+
+  test('getImmersion follows the volume rotation', () => {
+    const volume = { id: 'c', type: 'water', x: 0, z: 0, surface: 1, size: { x: 2, z: 10 }, depth: 1, yaw: Math.PI / 2 }
+    
+    expect(fluids.getImmersion([volume], 4, 0.5, 0)).not.toBeNull()
+    expect(fluids.getImmersion([volume], 0, 0.5, 4)).toBeNull()
+  })
+
+  test('registered volumes are found until they unmount', () => {
+    const volume = { id: 'registered', type: 'mud', x: 0, z: 0, surface: 0, size: { x: 1, z: 1 }, depth: 1 }
+    
+    fluids.registerFluidVolume(volume)
+    expect(fluids.getFluidVolumes()).toContain(volume)
+    fluids.unregisterFluidVolume('registered')
+    expect(fluids.getFluidVolumes()).not.toContain(volume)
+  })
+
+  test('terrain fluids are deterministic and follow the preset', () => {
+    const preset = terrain.getTerrainPreset('forest_dirt')
+    const tiles = Array.from({ length: 20 }, (_, i) => terrain.getTileFluids({ seed: 3, tileX: i, tileZ: 5, tileSize: 32, preset })).flat()
+    
+    expect(tiles.length).toBeGreaterThan(0)
+    expect(tiles.every((fluid) => fluid.type === 'mud')).toBe(true)
+    expect(terrain.getTileFluids({ seed: 3, tileX: 4, tileZ: 5, tileSize: 32, preset })).toEqual(terrain.getTileFluids({ seed: 3, tileX: 4, tileZ: 5, tileSize: 32, preset }))
+    expect(terrain.getTileFluids({ seed: 3, tileX: 4, tileZ: 5, tileSize: 32, preset: terrain.getTerrainPreset('desert_dunes') })).toEqual([])
+  })
+
+  test('getFordingState compares depth to the air intake', () => {
+    const limit = sceneHandlers.getVehicleMetrics().data.fordingDepth.meters
+    
+    useEngineStore.getState().setFording({ type: 'water', depth: limit + 0.1 })
+    expect(sceneHandlers.getFordingState()).toMatchObject({ fluid: 'water', limit, snorkel: false, exceeded: true })
+    
+    sceneHandlers.setVehicleAddon('snorkel', 'safari')
+    expect(sceneHandlers.getFordingState().exceeded).toBe(false)
+    
+    useEngineStore.getState().setFording(null)
+    expect(sceneHandlers.getFordingState()).toMatchObject({ fluid: null, depth: 0, exceeded: false })
+  })
+
+  test('catalog accepts snorkels without a model', () => {
+    const errors = catalogLoader.validateCatalogEntry('addons', 'jeep_jku', {
+      addons: { snorkel: { name: 'Snorkel', options: { tall: { name: 'Tall', air_intake: 1.8 }, bad: { name: 'Bad', air_intake: -1 } } } },
     })
+    
+    expect(errors).toEqual(['addon "snorkel" option "bad" air_intake must be a positive number'])
+  })
+})
+
+// ============================================================================
+// COURSE TESTS
+// ============================================================================
+
+describe('Course', () => {
+  const layout = {
+    version: 1,
+    id: 'course_test',
+    name: 'Test Course',
+    elements: [
+      { type: 'start_gate', position: { x: 0, y: 0, z: 0 } },
+      { type: 'checkpoint', position: { x: 0, y: 0, z: 20 }, order: 5 },
+      { type: 'checkpoint', position: { x: 0, y: 0, z: 10 }, order: 2 },
+      { type: 'cone', position: { x: 2, y: 0, z: 15 } },
+      { type: 'finish_gate', position: { x: 0, y: 0, z: 30 } },
+    ],
+  }
+
+  beforeEach(() => {
+    sceneHandlers.getCourse().elements.forEach((element) => useGameStore.getState().deleteObject(element.id))
+    useCourseStore.setState({ run: null, leaderboards: {}, leaderboardError: null })
+  })
+
+  test('runs count checkpoints in order and add penalties', () => {
+    let run = course.createRun(layout.elements)
+    run = course.updateRun(run, { type: 'checkpoint', order: 0 }, 500)
+    expect(run.next).toBe(0)
+    
+    run = course.updateRun(run, { type: 'start' }, 1000)
+    run = course.updateRun(run, { type: 'checkpoint', order: 1 }, 2000)
+    run = course.updateRun(run, { type: 'finish' }, 3000)
+    expect(run).toMatchObject({ status: 'running', next: 0 })
+    
+    run = course.updateRun(run, { type: 'checkpoint', order: 0 }, 4000)
+    run = course.updateRun(run, { type: 'cone', id: 'a' }, 4500)
+    run = course.updateRun(run, { type: 'cone', id: 'a' }, 4600)
+    run = course.updateRun(run, { type: 'rollover' }, 5000)
+    run = course.updateRun(run, { type: 'checkpoint', order: 1 }, 6000)
+    run = course.updateRun(run, { type: 'finish' }, 11000)
+    
+    expect(run.status).toBe('finished')
+    expect(course.getRunTime(run, 99999)).toEqual({ elapsed: 10, penalty: course.COURSE_PENALTIES.cone + course.COURSE_PENALTIES.rollover, total: 22 })
+    expect(course.updateRun(run, { type: 'rollover' }, 12000)).toBe(run)
+  })
+
+  test('parseCourse validates elements and renumbers checkpoints', () => {
+    const parsed = course.parseCourse(JSON.stringify(layout))
+    
+    expect(parsed.elements.filter((element) => element.type === 'checkpoint').map((element) => element.order)).toEqual([1, 0])
+    expect(parsed.elements[0].rotation).toEqual({ x: 0, y: 0, z: 0 })
+    expect(() => course.parseCourse({ elements: [{ type: 'lava', position: { x: 0, y: 0, z: 0 } }] })).toThrow('unknown type')
+    expect(() => course.parseCourse({ elements: [{ type: 'cone' }] })).toThrow('numeric position')
+    expect(() => course.parseCourse({ version: 99, elements: [] })).toThrow('newer than supported')
+    expect(course.validateCourse(parsed.elements)).toEqual([])
+    expect(course.validateCourse([])).toHaveLength(2)
+  })
+
+  test('importCourse and exportCourse round trip', () => {
+    expectSuccess(sceneHandlers.importCourse(layout))
+    
+    const state = sceneHandlers.getCourse()
+    expect(state).toMatchObject({ id: 'course_test', name: 'Test Course', run: null })
+    expect(state.elements).toHaveLength(5)
+    
+    const exported = JSON.parse(sceneHandlers.exportCourse().data)
+    expect(exported.version).toBe(course.COURSE_VERSION)
+    expect(course.parseCourse(exported)).toEqual(course.parseCourse(layout))
+    
+    expectFailure(sceneHandlers.importCourse('{ not json'), 'Failed to import course')
+  })
+
+  test('addCourseElement numbers checkpoints after the last one', () => {
+    expectSuccess(sceneHandlers.addCourseElement('checkpoint'))
+    const second = sceneHandlers.addCourseElement('checkpoint', { position: { x: 0, y: 0, z: 20 }, yaw: 1 })
+    
+    expectSuccess(second)
+    expect(second.data).toMatchObject({ type: 'checkpoint', order: 1, rotation: { x: 0, y: 1, z: 0 } })
+    expectFailure(sceneHandlers.addCourseElement('lava'), 'Invalid course element type')
+  })
+
+  test('removing a checkpoint renumbers the rest so runs can finish', () => {
+    sceneHandlers.importCourse(layout)
+    const checkpoints = () => sceneHandlers.getCourse().elements.filter((element) => element.type === 'checkpoint')
+    const [first] = checkpoints().sort((a, b) => a.order - b.order)
+    
+    expectSuccess(sceneHandlers.removeCourseElement(first.id))
+    expect(checkpoints().map((element) => element.order)).toEqual([0])
+    
+    // New checkpoints go after the last one
+    expect(sceneHandlers.addCourseElement('checkpoint').data.order).toBe(1)
+    expect(course.validateCourse(sceneHandlers.getCourse().elements)).toEqual([])
+    expectFailure(sceneHandlers.removeCourseElement('missing'), 'Course element not found')
+  })
+
+  test('validateCourse rejects checkpoints out of sequence', () => {
+    const gates = layout.elements.filter((element) => element.type !== 'checkpoint')
+    const checkpoint = (order) => ({ type: 'checkpoint', position: { x: 0, y: 0, z: 0 }, order })
+    
+    expect(course.validateCourse([...gates, checkpoint(0), checkpoint(2), checkpoint(2)])).toEqual(['Checkpoints must be numbered 0 to 2 without gaps or repeats'])
+    expect(course.getNextCheckpointOrder([checkpoint(0), checkpoint(4)])).toBe(5)
+  })
+
+  test('startCourseRun needs start and finish gates', () => {
+    expectFailure(sceneHandlers.startCourseRun(), 'start gate')
+    expectFailure(sceneHandlers.stopCourseRun(), 'No course run')
+    
+    sceneHandlers.importCourse(layout)
+    const result = sceneHandlers.startCourseRun()
+    expectSuccess(result)
+    expect(result.data).toMatchObject({ status: 'armed', checkpoint: 0, checkpoints: 2 })
+    expectSuccess(sceneHandlers.stopCourseRun())
+  })
+
+  test('finished runs go on the leaderboard for the current build', () => {
+    sceneHandlers.importCourse({ ...layout, elements: layout.elements.filter((element) => element.type !== 'checkpoint') })
+    sceneHandlers.startCourseRun()
+    
+    const { recordEvent } = useCourseStore.getState()
+    recordEvent({ type: 'start' })
+    recordEvent({ type: 'rollover' })
+    recordEvent({ type: 'finish' })
+    
+    const [entry] = sceneHandlers.getCourseLeaderboard()
+    expect(entry.penalty).toBe(course.COURSE_PENALTIES.rollover)
+    expect(sceneHandlers.getCourseLeaderboard('other_course')).toEqual([])
+    
+    // A different build keeps its own board
+    sceneHandlers.setVehicleLift(sceneHandlers.getCurrentVehicle().lift + 1)
+    expect(sceneHandlers.getCourseLeaderboard()).toEqual([])
+  })
+
+  test('finished runs stay on the leaderboard when storage refuses them', () => {
+    sceneHandlers.importCourse({ ...layout, elements: layout.elements.filter((element) => element.type !== 'checkpoint') })
+    sceneHandlers.startCourseRun()
+    
+    const setItem = spyOn(localStorage, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' })
+    })
+    try {
+      const { recordEvent } = useCourseStore.getState()
+      recordEvent({ type: 'start' })
+      expect(() => recordEvent({ type: 'finish' })).not.toThrow()
+    } finally {
+      setItem.mockRestore()
+    }
+    
+    expect(sceneHandlers.getCourseLeaderboard()).toHaveLength(1)
+    expect(useCourseStore.getState().leaderboardError).toContain('storage is full')
+  })
+
+  test('leaderboards keep the fastest times', () => {
+    const entries = Array.from({ length: 12 }, (_, i) => ({ total: 12 - i })).reduce((board, entry) => course.addLeaderboardEntry(board, entry), [])
+    
+    expect(entries).toHaveLength(course.LEADERBOARD_SIZE)
+    expect(entries[0].total).toBe(1)
+    expect(course.getBuildKey({ body: 'a', color: 'red' })).toBe(course.getBuildKey({ body: 'a', color: 'blue' }))
+    expect(course.getBuildKey({ body: 'a', addons: { rack: 'x', bumper_f: 'y' } })).toBe(course.getBuildKey({ body: 'a', addons: { bumper_f: 'y', rack: 'x' } }))
+    expect(course.getBuildKey({ body: 'a', drive_mode: '4h' })).not.toBe(course.getBuildKey({ body: 'a', drive_mode: 'rwd' }))
+    expect(course.getBuildKey({ body: 'a', transmission: 'manual' })).not.toBe(course.getBuildKey({ body: 'a', transmission: 'auto' }))
+    expect(course.getBuildKey({ body: 'a', rear_locked: true })).not.toBe(course.getBuildKey({ body: 'a', rear_locked: false }))
+  })
+})
+
+// ============================================================================
+// DECAL TESTS
+// ============================================================================
+
+describe('Decals', () => {
+  beforeEach(() => {
+    sceneHandlers.clearDecals()
+  })
+
+  test('adds, updates and deletes a decal', () => {
+    const added = sceneHandlers.addDecal({ imageUrl: 'data:image/png;base64,AAAA', opacity: 0.5 })
+    expectSuccess(added)
+    expect(added.data.opacity).toBe(0.5)
+    
+    const updated = sceneHandlers.updateDecal(added.data.id, { opacity: 0.8 })
+    expectSuccess(updated)
+    expect(updated.data.opacity).toBe(0.8)
+    
+    const deleted = sceneHandlers.deleteDecal(added.data.id)
+    expectSuccess(deleted)
+    expect(sceneHandlers.getDecals().length).toBe(0)
+  })
+
+  test('fails without an image', () => {
+    expectFailure(sceneHandlers.addDecal({}), 'imageUrl')
+  })
+
+  test('fails for an unknown decal', () => {
+    expectFailure(sceneHandlers.updateDecal('missing', { opacity: 1 }), 'not found')
+    expectFailure(sceneHandlers.deleteDecal('missing'), 'not found')
   })
 })
 
@@ -846,6 +2794,199 @@ describe('Integration Tests', () => {
   })
 })
 
+// ============================================================================
+// CATALOG MANIFEST TESTS
+// ============================================================================
+
+describe('Catalog Manifests', () => {
+  const body = {
+    name: 'Test Rig',
+    make: 'Test',
+    model: 'assets/models/vehicles/test/rig.glb',
+    wheel_offset: 0.8,
+    wheelbase: 2.9,
+  }
+
+  test('merges valid entries and updates model lists', () => {
+    const { added, errors } = catalogLoader.mergeCatalogManifest({
+      version: 1,
+      type: 'bodies',
+      entries: { test_rig: body },
+    }, 'bodies.json')
+    
+    expect(errors).toEqual([])
+    expect(added).toEqual(['test_rig'])
+    expect(sceneHandlers.VEHICLE_MODELS).toContain('test_rig')
+    expectSuccess(sceneHandlers.setVehicleBody('test_rig'))
+    expect(sceneHandlers.getVehicleBody().name).toBe('Test Rig')
+  })
+
+  test('reports bad entries and skips them', () => {
+    const { added, errors } = catalogLoader.mergeCatalogManifest({
+      version: 1,
+      type: 'tires',
+      entries: {
+        bad_tire: { make: 'Test', name: 'Bad Tire', model: 'tire.png', width: '0.3', od: 0.9 },
+      },
+    }, 'tires.json')
+    
+    expect(added).toEqual([])
+    expect(sceneHandlers.TIRE_MODELS).not.toContain('bad_tire')
+    
+    const messages = errors.map(catalogLoader.formatCatalogError)
+    expect(messages).toContain('tires.json > bad_tire: field "model" must be a .glb or .gltf model path')
+    expect(messages).toContain('tires.json > bad_tire: field "width" must be a finite number')
+    expect(messages).toContain('tires.json > bad_tire: missing required field "id"')
+  })
+
+  test('rejects unsupported manifest versions', () => {
+    const { errors } = catalogLoader.mergeCatalogManifest({ version: 99, type: 'rims', entries: {} }, 'rims.json')
+    
+    expect(errors[0].message).toContain('unsupported manifest version 99')
+  })
+
+  test('validates addon options against default addons', () => {
+    const errors = catalogLoader.validateCatalogEntry('addons', 'toyota_4runner_3g', {
+      default_addons: { winch: 'missing' },
+      addons: {
+        winch: { name: 'Winch', options: { warn: { name: 'Warn', model: 'assets/winch.glb' } } },
+      },
+    })
+    
+    expect(errors).toEqual(['default addon "winch" refers to unknown option "missing"'])
+  })
+
+  test('loads manifests listed in the index', async () => {
+    const files = {
+      'catalog/index.json': { version: 1, manifests: ['rims.json', 'missing.json'] },
+      'catalog/rims.json': {
+        version: 1,
+        type: 'rims',
+        entries: { test_rim: { make: 'Test', name: 'Test Rim', model: 'assets/rim.glb', width: 0.5, od: 1 } },
+      },
+    }
+    
+    const report = await catalogLoader.loadCatalog({
+      baseUrl: 'catalog/',
+      load: async (url) => {
+        if (!files[url]) throw new Error('HTTP 404')
+        return files[url]
+      },
+    })
+    
+    expect(report.added.rims).toEqual(['test_rim'])
+    expect(report.errors.map(catalogLoader.formatCatalogError)).toEqual(['missing.json: could not be loaded: HTTP 404'])
+    expect(sceneHandlers.RIM_MODELS).toContain('test_rim')
+  })
+
+  test('shipped manifests hold the whole catalog', () => {
+    const { defaults, vehicles, wheels } = vehicleConfigs
+    
+    expect(vehicles[defaults.body].addons).toBeDefined()
+    expect(wheels.rims[defaults.rim]).toBeDefined()
+    expect(wheels.tires[defaults.tire]).toBeDefined()
+    expect(vehicles.toyota_4runner_3g.addons.bumper_f.options.shrockworks.price).toBe(1250)
+    expect(sceneHandlers.VEHICLE_MODELS.length).toBeGreaterThanOrEqual(11)
+  })
+})
+
+// ============================================================================
+// SCENE TESTS
+// ============================================================================
+
+describe('Scenes', () => {
+  beforeEach(() => {
+    useGameStore.getState().setSavedScenes({})
+    useGameStore.getState().clearObjects()
+    sceneHandlers.clearDecals()
+  })
+
+  test('saveScene and loadScene restore vehicle, decals, objects, environment and camera', () => {
+    sceneHandlers.setVehicleColor('#123456')
+    sceneHandlers.addDecal({ imageUrl: 'data:image/png;base64,AAAA' })
+    sceneHandlers.addObject('barrel', { position: { x: 1, y: 0, z: 2 } })
+    sceneHandlers.setTerrainSeed(42)
+    sceneHandlers.setCameraTarget(1, 2, 3)
+    
+    const saved = sceneHandlers.saveScene('Trail Day')
+    expectSuccess(saved)
+    expect(saved.data).toMatchObject({ name: 'Trail Day', objects: 1, decals: 1 })
+    
+    sceneHandlers.resetVehicleComplete()
+    useGameStore.getState().clearObjects()
+    sceneHandlers.clearDecals()
+    sceneHandlers.setTerrainSeed(7)
+    sceneHandlers.setCameraTarget(0, 0, 0)
+    
+    expectSuccess(sceneHandlers.loadScene(saved.data.id))
+    const state = useGameStore.getState()
+    expect(state.currentVehicle.color).toBe('#123456')
+    expect(state.decals[0].imageUrl).toBe('data:image/png;base64,AAAA')
+    expect(state.objects).toHaveLength(1)
+    expect(state.terrainSeed).toBe(42)
+    expect(sceneHandlers.getCameraState().target).toEqual({ x: 1, y: 2, z: 3 })
+    expect(state.savedVehicles.current).toBeNull()
+    expect(sceneHandlers.getHistoryState().canUndo).toBe(false)
+    
+    sceneHandlers.setCameraTarget(0, 0, 0)
+  })
+
+  test('scenes bring back the GLB props their objects use', () => {
+    const definition = { name: 'Crate', shape: 'model', model: 'data:model/gltf-binary;base64,AAAA', size: { x: 1, y: 1, z: 1 }, collider: 'hull', mass: 10, body: 'dynamic' }
+    objects.registerObjectType('prop_scene', definition)
+    const placed = sceneHandlers.addObject('prop_scene')
+    
+    const saved = sceneHandlers.saveScene('Props')
+    expect(useGameStore.getState().savedScenes[saved.data.id].props.prop_scene).toMatchObject(definition)
+    
+    // A reload forgets registered props
+    delete objects.OBJECT_TYPES.prop_scene
+    expect(sceneHandlers.getObjects().map((object) => object.id)).toContain(placed.data.id)
+    expectSuccess(sceneHandlers.deleteObject(placed.data.id))
+    
+    expectSuccess(sceneHandlers.loadScene(saved.data.id))
+    expect(objects.getObjectType('prop_scene')).toMatchObject(definition)
+    expect(sceneHandlers.getObjects()[0].type).toBe('prop_scene')
+    
+    delete objects.OBJECT_TYPES.prop_scene
+  })
+
+  test('saving under an existing name overwrites it', () => {
+    const first = sceneHandlers.saveScene('Yard')
+    const second = sceneHandlers.saveScene(' Yard ')
+    sceneHandlers.saveScene('Beach')
+    
+    expect(second.data.id).toBe(first.data.id)
+    expect(sceneHandlers.listScenes().map((scene) => scene.name).sort()).toEqual(['Beach', 'Yard'])
+  })
+
+  test('scene handlers validate input', () => {
+    expectFailure(sceneHandlers.saveScene(''), 'name is required')
+    expectFailure(sceneHandlers.loadScene('missing'), 'not found')
+    expectFailure(sceneHandlers.deleteScene('missing'), 'not found')
+    
+    const { data } = sceneHandlers.saveScene('Temp')
+    expectSuccess(sceneHandlers.deleteScene(data.id))
+    expect(sceneHandlers.listScenes()).toEqual([])
+  })
+
+  test('parseScene rejects newer versions and fills defaults', () => {
+    const vehicle = useGameStore.getState().currentVehicle
+    
+    expect(() => scenes.parseScene({ version: scenes.SCENE_VERSION + 1, vehicle })).toThrow('newer than supported')
+    expect(() => scenes.parseScene({ version: 1 })).toThrow('vehicle')
+    expect(() => scenes.parseScene({ version: 1, vehicle, props: { prop_bad: { name: 'Bad', shape: 'model' } } })).toThrow('Invalid prop "prop_bad"')
+    expect(scenes.parseScene(JSON.stringify({ version: 1, vehicle }))).toMatchObject({
+      name: 'Untitled Scene',
+      decals: [],
+      objects: [],
+      props: {},
+      environment: { heightmap: null, course: null },
+      camera: { position: null, target: null },
+    })
+  })
+})
+
 // ============================================================================
 // CONSTANTS TESTS
 // ============================================================================
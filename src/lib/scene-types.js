@@ -30,6 +30,11 @@
  * @property {string} tire - Tire model ID
  * @property {number} tire_diameter - Tire diameter in inches (28-40)
  * @property {boolean} spare - Whether spare tire is enabled
+ * @property {string} drive_mode - Drive mode (rwd, 4h, awd, 4l)
+ * @property {boolean} front_locked - Whether the front differential is locked
+ * @property {boolean} rear_locked - Whether the rear differential is locked
+ * @property {string} transmission - Transmission (auto or manual)
+ * @property {SuspensionSettings} suspension_tuning - User suspension overrides (partial)
  */
 
 /**
@@ -104,6 +109,47 @@
  * @property {number} timestamp - Save timestamp
  */
 
+/**
+ * @typedef {Object} FitmentReport
+ * @property {boolean} supported - Whether the body has fitment data
+ * @property {boolean} fits - True when no rubbing is expected
+ * @property {Array<{area: string, severity: string, message: string}>} rubbing - Expected contact points
+ * @property {string} trimming - Recommended trimming (none, minor, major)
+ * @property {number|null} requiredLift - Minimum lift in inches for the tire untrimmed
+ * @property {number|null} requiredLiftTrimmed - Minimum lift in inches with trimming
+ * @property {number} maxTire - Largest untrimmed tire at the current lift
+ * @property {Object} clearance - Vertical clearance, backspacing and estimated tire width (inches)
+ * @property {Array<string>} recommendations - Suggested fixes
+ */
+
+/**
+ * @typedef {Object} VehicleMetrics
+ * @property {boolean} supported - Whether the body has geometry data
+ * @property {{inches: number, meters: number, limitedBy: string}} groundClearance - Lowest point between the wheels
+ * @property {number} approachAngle - Approach angle in degrees
+ * @property {number} departureAngle - Departure angle in degrees
+ * @property {number} breakoverAngle - Breakover angle in degrees
+ * @property {number} axleHeight - Wheel center height in meters
+ * @property {number} liftHeight - Lift height in meters
+ */
+
+/**
+ * @typedef {Object} SuspensionSettings
+ * @property {{stiffness: number, damping: number, travel: number}} front - Front axle spring rate, damping and travel (m)
+ * @property {{stiffness: number, damping: number, travel: number}} rear - Rear axle spring rate, damping and travel (m)
+ * @property {{front: number, rear: number}} sway_bar - Anti-roll stiffness per axle, 0 for none
+ */
+
+/**
+ * @typedef {Object} EngineSpec
+ * @property {string} name - Engine name
+ * @property {number} idle_rpm - Idle RPM
+ * @property {number} redline - Redline RPM, torque is cut above it
+ * @property {Object} torque_curve - Torque in Nm keyed by RPM
+ * @property {Array<number>} gears - Forward gear ratios, first gear first
+ * @property {number} final_drive - Final drive (axle) ratio
+ */
+
 /**
  * @typedef {Object} HandlerResult
  * @property {boolean} success - Operation success status
@@ -186,6 +232,28 @@ export const schemas = {
         type: 'boolean',
         description: 'Spare tire enabled',
       },
+      drive_mode: {
+        type: 'string',
+        enum: ['rwd', '4h', 'awd', '4l'],
+        description: 'Drive mode (RWD, 4WD high, AWD, 4WD low)',
+      },
+      front_locked: {
+        type: 'boolean',
+        description: 'Front differential locked',
+      },
+      rear_locked: {
+        type: 'boolean',
+        description: 'Rear differential locked',
+      },
+      transmission: {
+        type: 'string',
+        enum: ['auto', 'manual'],
+        description: 'Automatic or manual shifting',
+      },
+      suspension_tuning: {
+        type: 'object',
+        description: 'Suspension overrides: front/rear { stiffness, damping, travel } and sway_bar { front, rear }',
+      },
     },
   },
 
@@ -339,6 +407,11 @@ export function buildVehicleConfig(params = {}) {
     tire: params.tire || 'bfg_at',
     tire_diameter: params.tire_diameter || 32,
     spare: params.spare !== undefined ? params.spare : true,
+    drive_mode: params.drive_mode || 'rwd',
+    front_locked: params.front_locked || false,
+    rear_locked: params.rear_locked || false,
+    transmission: params.transmission || 'auto',
+    suspension_tuning: params.suspension_tuning || {},
   }
 }
 
@@ -455,6 +528,12 @@ export const OPERATION_TYPES = {
   REMOVE_VEHICLE_ADDON: 'removeVehicleAddon',
   TOGGLE_SPARE_TIRE: 'toggleSpareTire',
   
+  // Drivetrain operations
+  SET_DRIVE_MODE: 'setDriveMode',
+  SET_DIFFERENTIAL_LOCK: 'setDifferentialLock',
+  SET_TRANSMISSION: 'setTransmission',
+  SET_SUSPENSION_TUNING: 'setSuspensionTuning',
+  
   // Wheel operations
   SET_RIM: 'setRim',
   SET_RIM_COLOR: 'setRimColor',
@@ -470,18 +549,57 @@ export const OPERATION_TYPES = {
   RESET_VEHICLE_COMPLETE: 'resetVehicleComplete',
   SET_VEHICLE_CONFIGURATION: 'setVehicleConfiguration',
   
+  // Decal operations
+  ADD_DECAL: 'addDecal',
+  UPDATE_DECAL: 'updateDecal',
+  DELETE_DECAL: 'deleteDecal',
+  CLEAR_DECALS: 'clearDecals',
+  
   // Saved vehicles operations
   SAVE_VEHICLE: 'saveVehicle',
   LOAD_SAVED_VEHICLE: 'loadSavedVehicle',
   DELETE_SAVED_VEHICLE: 'deleteSavedVehicle',
   UPDATE_SAVED_VEHICLE_NAME: 'updateSavedVehicleName',
   
+  // Saved scenes operations
+  SAVE_SCENE: 'saveScene',
+  LOAD_SCENE: 'loadScene',
+  DELETE_SCENE: 'deleteScene',
+  
+  // Pricing operations
+  SET_BUDGET: 'setBudget',
+  IMPORT_PRICE_LIST: 'importPriceList',
+  CLEAR_PRICE_LIST: 'clearPriceList',
+  
+  // Export operations
+  EXPORT_VEHICLE_MODEL: 'exportVehicleModel',
+  EXPORT_BUILD_SHEET: 'exportBuildSheet',
+  
+  // History operations
+  UNDO: 'undo',
+  REDO: 'redo',
+  
   // Camera operations
   SET_CAMERA_TARGET: 'setCameraTarget',
   SET_CAMERA_AUTO_ROTATE: 'setCameraAutoRotate',
   
   // Scene operations
   SET_PHYSICS_ENABLED: 'setPhysicsEnabled',
+  SET_TERRAIN_PRESET: 'setTerrainPreset',
+  SET_TERRAIN_SEED: 'setTerrainSeed',
+  IMPORT_HEIGHTMAP: 'importHeightmap',
+  CLEAR_HEIGHTMAP: 'clearHeightmap',
+  ADD_OBJECT: 'addObject',
+  UPDATE_OBJECT: 'updateObject',
+  DELETE_OBJECT: 'deleteObject',
+  SET_TRANSFORM_SNAP: 'setTransformSnap',
+  ADD_FLUID_VOLUME: 'addFluidVolume',
+  REMOVE_FLUID_VOLUME: 'removeFluidVolume',
+  ADD_COURSE_ELEMENT: 'addCourseElement',
+  REMOVE_COURSE_ELEMENT: 'removeCourseElement',
+  IMPORT_COURSE: 'importCourse',
+  START_COURSE_RUN: 'startCourseRun',
+  STOP_COURSE_RUN: 'stopCourseRun',
   SHOW_NOTIFICATION: 'showNotification',
   HIDE_NOTIFICATION: 'hideNotification',
 }
@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ * SCENES - Saved Scene Layouts
+ * ============================================================================
+ *
+ * A scene bundles everything needed to restore a session:
+ *
+ *   {
+ *     version, name, savedAt,
+ *     vehicle,                       // vehicle configuration, stamped with its schema version
+ *     decals,                        // decals, images inline as data URLs
+ *     objects,                       // placed objects, fluids and course elements
+ *     props,                         // GLB prop types used by the objects, models inline as data URLs
+ *     environment: { terrainPreset, terrainSeed, heightmap, physicsEnabled, course },
+ *     camera: { position, target, autoRotate },
+ *   }
+ *
+ * Scenes are kept in the 'scenes' storage store, keyed by ID (see storage).
+ *
+ * @module scenes
+ */
+
+import { migrateVehicleConfig, stampVehicleConfig } from './vehicle-schema'
+import { getPropTypes, validateObjectType } from './objects'
+
+export const SCENE_VERSION = 1
+
+const isVector = (vector) => vector && ['x', 'y', 'z'].every((axis) => Number.isFinite(vector[axis]))
+
+const toVector = (vector) => ({ x: vector.x, y: vector.y, z: vector.z })
+
+/**
+ * Build a scene from the game state
+ * @param {Object} state - Game store state
+ * @param {Object} options - Scene details
+ * @param {string} options.name - Scene name
+ * @param {Object} [options.camera] - Camera position {x, y, z}, when the camera is available
+ * @param {Object} [options.course] - Course metadata { id, name }
+ * @returns {Object} Scene
+ */
+export function serializeScene(state, { name, camera = null, course = null }) {
+  return {
+    version: SCENE_VERSION,
+    name,
+    savedAt: Date.now(),
+    vehicle: stampVehicleConfig(state.currentVehicle),
+    decals: state.decals,
+    objects: state.objects,
+    props: getPropTypes(state.objects),
+    environment: {
+      terrainPreset: state.terrainPreset,
+      terrainSeed: state.terrainSeed,
+      heightmap: state.heightmap,
+      physicsEnabled: state.physicsEnabled,
+      course,
+    },
+    camera: {
+      position: camera && toVector(camera),
+      target: toVector(state.cameraTarget),
+      autoRotate: state.cameraAutoRotate,
+    },
+  }
+}
+
+/**
+ * Parse and validate a saved scene
+ * @param {string|Object} json - Scene JSON
+ * @returns {Object} Scene with defaults filled in
+ */
+export function parseScene(json) {
+  const scene = typeof json === 'string' ? JSON.parse(json) : json
+
+  if (!scene || typeof scene !== 'object') throw new Error('Scene must be an object')
+  if (!Number.isInteger(scene.version)) throw new Error('Scene version is missing')
+  if (scene.version > SCENE_VERSION) throw new Error(`Scene version ${scene.version} is newer than supported version ${SCENE_VERSION}`)
+  if (!scene.vehicle || typeof scene.vehicle !== 'object') throw new Error('Scene needs a vehicle configuration')
+  if (scene.decals !== undefined && !Array.isArray(scene.decals)) throw new Error('Scene decals must be a list')
+  if (scene.objects !== undefined && !Array.isArray(scene.objects)) throw new Error('Scene objects must be a list')
+  if (scene.props !== undefined && (!scene.props || typeof scene.props !== 'object' || Array.isArray(scene.props))) throw new Error('Scene props must be an object')
+
+  Object.entries(scene.props || {}).forEach(([type, definition]) => {
+    const errors = validateObjectType(definition)
+    if (errors.length > 0) throw new Error(`Invalid prop "${type}": ${errors.join('; ')}`)
+  })
+
+  const vehicle = migrateVehicleConfig(scene.vehicle)
+  if (!vehicle.body) throw new Error('Scene needs a vehicle configuration')
+
+  const environment = scene.environment || {}
+  const camera = scene.camera || {}
+
+  return {
+    version: scene.version,
+    name: typeof scene.name === 'string' && scene.name ? scene.name : 'Untitled Scene',
+    savedAt: scene.savedAt || null,
+    vehicle,
+    decals: scene.decals || [],
+    objects: scene.objects || [],
+    props: scene.props || {},
+    environment: {
+      terrainPreset: environment.terrainPreset ?? null,
+      terrainSeed: environment.terrainSeed ?? null,
+      heightmap: environment.heightmap || null,
+      physicsEnabled: Boolean(environment.physicsEnabled),
+      course: environment.course || null,
+    },
+    camera: {
+      position: isVector(camera.position) ? toVector(camera.position) : null,
+      target: isVector(camera.target) ? toVector(camera.target) : null,
+      autoRotate: Boolean(camera.autoRotate),
+    },
+  }
+}
+
+/**
+ * Summary of a saved scene for listings
+ * @param {string} id - Scene ID
+ * @param {Object} scene - Saved scene
+ * @returns {Object} { id, name, savedAt, body, objects, decals }
+ */
+export function summarizeScene(id, scene) {
+  return {
+    id,
+    name: scene.name,
+    savedAt: scene.savedAt,
+    body: scene.vehicle?.body || null,
+    objects: scene.objects?.length || 0,
+    decals: scene.decals?.length || 0,
+  }
+}
+
+export default {
+  serializeScene,
+  parseScene,
+  summarizeScene,
+  SCENE_VERSION,
+}
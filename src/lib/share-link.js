@@ -0,0 +1,340 @@
+/**
+ * ============================================================================
+ * SHARE LINK - Compact Versioned Build Links
+ * ============================================================================
+ *
+ * Share links carry a build in one base64url query parameter:
+ *
+ *   [version: 1 byte][flags: 1 byte][CRC-32 of the payload: 4 bytes][payload]
+ *
+ * The payload is UTF-8 JSON { c, d }: the vehicle config as the fields that
+ * differ from the format's baseline, and any decals with their images. It is
+ * LZW compressed when that makes it smaller (flag bit 0).
+ *
+ * Each format version pins its own baseline, so links keep their meaning when
+ * the catalog defaults change. The config carries its schema version and is
+ * migrated like any stored config (see vehicle-schema). Parts the catalog no
+ * longer has are mapped through CATALOG_RENAMES, or dropped and reported so
+ * the receiver knows.
+ *
+ * @module share-link
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+import { serializeSharedDecals, parseSharedDecals } from './decals'
+import { migrateVehicleConfig, stampVehicleConfig } from './vehicle-schema'
+
+export const SHARE_FORMAT_VERSION = 1
+
+// Links longer than this get cut off by some servers and chat apps
+export const MAX_SHARE_URL_LENGTH = 8000
+
+// Query parameter for share links, and the raw JSON one older links used
+export const SHARE_PARAM = 'build'
+export const LEGACY_SHARE_PARAM = 'config'
+
+// Config that format version 1 stores changes against
+const SHARE_BASELINES = {
+  1: {
+    body: 'toyota_4runner_5g',
+    lift: 0,
+    color: '#B91818',
+    roughness: 0,
+    addons: {},
+    wheel_offset: 0,
+    rim: 'toyota_4runner_5thgen',
+    rim_color: 'silver',
+    rim_color_secondary: 'silver',
+    rim_diameter: 17,
+    rim_width: 10,
+    tire: 'bfg_at',
+    tire_diameter: 32,
+    spare: true,
+    drive_mode: 'rwd',
+    front_locked: false,
+    rear_locked: false,
+    transmission: 'auto',
+    suspension_tuning: {},
+  },
+}
+
+// Catalog IDs that have been renamed, old ID to new ID, so older links still resolve
+export const CATALOG_RENAMES = {
+  body: {},
+  rim: {},
+  tire: {},
+}
+
+const FLAG_COMPRESSED = 1
+
+const HEADER_SIZE = 6
+
+// LZW codes grow from 9 bits up to this width, after which the dictionary is full
+const LZW_MAX_WIDTH = 16
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+/**
+ * CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Width of the i-th LZW code, both sides know the dictionary holds 256 + i entries by then
+const lzwWidth = (index) => Math.min(Math.max(9, Math.ceil(Math.log2(256 + index + 1))), LZW_MAX_WIDTH)
+
+/**
+ * LZW compress bytes with variable width codes
+ * @param {Uint8Array} bytes - Data, not empty
+ * @returns {Uint8Array} Compressed data
+ */
+export function lzwCompress(bytes) {
+  const dictionary = new Map()
+  const output = []
+  let buffer = 0
+  let bits = 0
+  let next = 256
+  let count = 0
+
+  const write = (code) => {
+    const width = lzwWidth(count++)
+    for (let bit = width - 1; bit >= 0; bit--) {
+      buffer = (buffer << 1) | ((code >>> bit) & 1)
+      if (++bits === 8) {
+        output.push(buffer)
+        buffer = 0
+        bits = 0
+      }
+    }
+  }
+
+  let phrase = bytes[0]
+  for (let i = 1; i < bytes.length; i++) {
+    const key = phrase * 256 + bytes[i]
+    if (dictionary.has(key)) {
+      phrase = dictionary.get(key)
+      continue
+    }
+
+    write(phrase)
+    if (next < 1 << LZW_MAX_WIDTH) dictionary.set(key, next++)
+    phrase = bytes[i]
+  }
+  write(phrase)
+
+  if (bits > 0) output.push(buffer << (8 - bits))
+  return Uint8Array.from(output)
+}
+
+/**
+ * Expand LZW compressed bytes
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Uint8Array} Original data
+ */
+export function lzwDecompress(bytes) {
+  const dictionary = Array.from({ length: 256 }, (_, byte) => [byte])
+  const output = []
+  let position = 0
+  let count = 0
+
+  const read = () => {
+    const width = lzwWidth(count++)
+    // Trailing padding is shorter than a code
+    if (position + width > bytes.length * 8) return null
+
+    let code = 0
+    for (let i = 0; i < width; i++, position++) code = (code << 1) | ((bytes[position >> 3] >> (7 - (position & 7))) & 1)
+    return code
+  }
+
+  let previous = dictionary[read()]
+  if (!previous) throw new Error('Compressed data is empty')
+  output.push(...previous)
+
+  for (let code = read(); code !== null; code = read()) {
+    let entry = dictionary[code]
+    if (!entry && code === dictionary.length) entry = [...previous, previous[0]]
+    if (!entry) throw new Error('Compressed data is corrupt')
+
+    output.push(...entry)
+    if (dictionary.length < 1 << LZW_MAX_WIDTH) dictionary.push([...previous, entry[0]])
+    previous = entry
+  }
+
+  return Uint8Array.from(output)
+}
+
+/**
+ * Encode bytes as base64url
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64url text without padding
+ */
+export function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text - Base64url text
+ * @returns {Uint8Array} Data
+ */
+export function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Share link contains invalid characters')
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0))
+}
+
+// ============================================================================
+// BUILDS
+// ============================================================================
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Encode a build as share link text
+ * @param {Object} build - Build to share
+ * @param {Object} build.config - Vehicle configuration
+ * @param {Array} [build.decals] - Decals with `imageUrl`
+ * @returns {string} Base64url share text
+ */
+export function encodeShareLink({ config, decals = [] }) {
+  const baseline = SHARE_BASELINES[SHARE_FORMAT_VERSION]
+  const changes = Object.fromEntries(Object.entries(stampVehicleConfig(config)).filter(([key, value]) => !isEqual(value, baseline[key])))
+  const payload = new TextEncoder().encode(JSON.stringify({ c: changes, ...(decals.length > 0 && { d: serializeSharedDecals(decals) }) }))
+
+  const compressed = lzwCompress(payload)
+  const useCompressed = compressed.length < payload.length
+  const body = useCompressed ? compressed : payload
+
+  const bytes = new Uint8Array(HEADER_SIZE + body.length)
+  const view = new DataView(bytes.buffer)
+  view.setUint8(0, SHARE_FORMAT_VERSION)
+  view.setUint8(1, useCompressed ? FLAG_COMPRESSED : 0)
+  view.setUint32(2, crc32(payload))
+  bytes.set(body, HEADER_SIZE)
+
+  return toBase64Url(bytes)
+}
+
+/**
+ * Bring a shared config up to date with the catalog
+ * @param {Object} config - Shared vehicle configuration, in the current schema
+ * @returns {Object} { config, dropped } with dropped field descriptions
+ */
+export function migrateSharedConfig(config) {
+  const migrated = { ...config }
+  const dropped = []
+
+  // Follow catalog renames
+  Object.entries(CATALOG_RENAMES).forEach(([field, renames]) => {
+    if (renames[migrated[field]]) migrated[field] = renames[migrated[field]]
+  })
+
+  // Drop parts the catalog no longer has, the receiver's defaults fill in
+  const catalogs = { body: vehicleConfigs.vehicles, rim: vehicleConfigs.wheels.rims, tire: vehicleConfigs.wheels.tires }
+  Object.entries(catalogs).forEach(([field, catalog]) => {
+    if (migrated[field] !== undefined && !catalog[migrated[field]]) {
+      dropped.push(`${field} (${migrated[field]})`)
+      delete migrated[field]
+    }
+  })
+
+  // Drop addons the body does not offer
+  const bodyAddons = vehicleConfigs.vehicles[migrated.body || vehicleConfigs.defaults.body]?.addons || {}
+  if (migrated.addons) {
+    migrated.addons = Object.fromEntries(
+      Object.entries(migrated.addons).filter(([addon, option]) => {
+        const known = Boolean(bodyAddons[addon]?.options?.[option])
+        if (!known) dropped.push(`addon ${addon} (${option})`)
+        return known
+      })
+    )
+  }
+
+  // Drop fields this version does not know
+  Object.keys(migrated)
+    .filter((key) => !(key in vehicleConfigs.defaults))
+    .forEach((key) => {
+      dropped.push(key)
+      delete migrated[key]
+    })
+
+  return { config: migrated, dropped }
+}
+
+/**
+ * Decode share link text
+ * @param {string} text - Base64url share text
+ * @returns {Object} { config, decals, dropped }
+ */
+export function decodeShareLink(text) {
+  const bytes = fromBase64Url(text)
+  if (bytes.length < HEADER_SIZE) throw new Error('Share link is incomplete')
+
+  const view = new DataView(bytes.buffer)
+  const version = view.getUint8(0)
+  if (!SHARE_BASELINES[version]) throw new Error(`Share link version ${version} is not supported by this version of the app`)
+
+  const body = bytes.subarray(HEADER_SIZE)
+  const payload = view.getUint8(1) & FLAG_COMPRESSED ? lzwDecompress(body) : body
+  if (crc32(payload) !== view.getUint32(2)) throw new Error('Share link is damaged (checksum mismatch)')
+
+  const { c: changes = {}, d: decals = [] } = JSON.parse(new TextDecoder().decode(payload))
+  return decodeBuild({ ...SHARE_BASELINES[version], ...changes }, decals)
+}
+
+/**
+ * Decode a legacy raw JSON config link
+ * @param {string} json - Config JSON
+ * @param {string} [decalsJson] - Decals JSON
+ * @returns {Object} { config, decals, dropped }
+ */
+export function decodeLegacyShareLink(json, decalsJson) {
+  return decodeBuild(JSON.parse(json), decalsJson ? JSON.parse(decalsJson) : [])
+}
+
+/**
+ * Migrate a decoded config and read its decals
+ * @param {Object} config - Shared config
+ * @param {Array} decals - Shared decals
+ * @returns {Object} { config, decals, dropped }
+ */
+function decodeBuild(config, decals) {
+  const migrated = migrateSharedConfig(migrateVehicleConfig(config))
+  const parsed = parseSharedDecals(decals)
+  const dropped = [...migrated.dropped, ...(parsed.length < decals.length ? [`${decals.length - parsed.length} decal(s)`] : [])]
+
+  // Current defaults fill in dropped parts and fields added since the link was made
+  return { config: { ...vehicleConfigs.defaults, ...migrated.config }, decals: parsed, dropped }
+}
+
+export default {
+  crc32,
+  lzwCompress,
+  lzwDecompress,
+  toBase64Url,
+  fromBase64Url,
+  encodeShareLink,
+  decodeShareLink,
+  decodeLegacyShareLink,
+  migrateSharedConfig,
+  SHARE_FORMAT_VERSION,
+  MAX_SHARE_URL_LENGTH,
+  SHARE_PARAM,
+  LEGACY_SHARE_PARAM,
+  CATALOG_RENAMES,
+}
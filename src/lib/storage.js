@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * STORAGE - Persistent Storage Backends
+ * ============================================================================
+ *
+ * Saved vehicles, decal images, scenes and settings such as the imported
+ * heightmap live in IndexedDB, which holds far more than localStorage and does
+ * not block the main thread. The store keeps
+ * everything in memory and writes through in the background.
+ *
+ * Backends share one async interface over named stores (see STORAGE_STORES):
+ *   getAll(store), get(store, key), put(store, key, value),
+ *   delete(store, key), replace(store, entries)
+ *
+ * Where IndexedDB is unavailable (tests, private modes that disable it) an
+ * in-memory backend stands in, which lasts until the page is closed.
+ *
+ * @module storage
+ */
+
+export const STORAGE_DB_NAME = 'bibev-builder'
+
+export const STORAGE_DB_VERSION = 1
+
+export const STORAGE_STORES = ['vehicles', 'decalImages', 'scenes', 'settings']
+
+// localStorage keys used before IndexedDB, migrated once then removed
+export const LEGACY_STORAGE_KEYS = {
+  vehicles: 'savedVehicles',
+  decalImages: 'decalImages',
+  scenes: 'savedScenes',
+}
+
+// Settings key marking the localStorage migration as done
+const MIGRATED_KEY = 'migratedFromLocalStorage'
+
+/**
+ * In-memory backend
+ * @param {Object} [initial] - Entries per store, { [store]: { [key]: value } }
+ * @returns {Object} Storage backend
+ */
+export function createMemoryStorage(initial = {}) {
+  const stores = Object.fromEntries(STORAGE_STORES.map((name) => [name, new Map(Object.entries(initial[name] || {}))]))
+
+  return {
+    kind: 'memory',
+    getAll: async (store) => Object.fromEntries(stores[store]),
+    get: async (store, key) => stores[store].get(key),
+    put: async (store, key, value) => {
+      stores[store].set(key, value)
+    },
+    delete: async (store, key) => {
+      stores[store].delete(key)
+    },
+    replace: async (store, entries) => {
+      stores[store] = new Map(Object.entries(entries))
+    },
+  }
+}
+
+/**
+ * Resolve an IndexedDB open request
+ * @param {IDBOpenDBRequest} request - Request
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * IndexedDB backend
+ * @param {string} [name] - Database name
+ * @returns {Object} Storage backend
+ */
+export function createIndexedDBStorage(name = STORAGE_DB_NAME) {
+  let database = null
+
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(name, STORAGE_DB_VERSION)
+      request.onupgradeneeded = () => {
+        STORAGE_STORES.filter((store) => !request.result.objectStoreNames.contains(store)).forEach((store) => request.result.createObjectStore(store))
+      }
+      database = promisifyRequest(request)
+    }
+    return database
+  }
+
+  // Run `fn` against a store, resolving with whatever its returned getter reads once the transaction commits
+  const withStore = async (store, mode, fn) => {
+    const transaction = (await open()).transaction(store, mode)
+    const read = fn(transaction.objectStore(store))
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(read?.())
+      // Quota errors abort the transaction rather than failing the request
+      transaction.onabort = transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  return {
+    kind: 'indexeddb',
+    getAll: (store) =>
+      withStore(store, 'readonly', (objects) => {
+        const keys = objects.getAllKeys()
+        const values = objects.getAll()
+        return () => Object.fromEntries(keys.result.map((key, index) => [key, values.result[index]]))
+      }),
+    get: (store, key) =>
+      withStore(store, 'readonly', (objects) => {
+        const request = objects.get(key)
+        return () => request.result
+      }),
+    put: (store, key, value) => withStore(store, 'readwrite', (objects) => void objects.put(value, key)),
+    delete: (store, key) => withStore(store, 'readwrite', (objects) => void objects.delete(key)),
+    replace: (store, entries) =>
+      withStore(store, 'readwrite', (objects) => {
+        objects.clear()
+        Object.entries(entries).forEach(([key, value]) => objects.put(value, key))
+      }),
+  }
+}
+
+// Active backend, chosen on first use
+let storage = null
+
+/**
+ * Active storage backend, IndexedDB when the browser has it
+ * @returns {Object} Storage backend
+ */
+export function getStorage() {
+  if (!storage) storage = typeof indexedDB !== 'undefined' ? createIndexedDBStorage() : createMemoryStorage()
+  return storage
+}
+
+/**
+ * Replace the active storage backend
+ * @param {Object} backend - Storage backend
+ */
+export function setStorage(backend) {
+  storage = backend
+}
+
+/**
+ * Read a legacy localStorage entry
+ * @param {string} key - localStorage key
+ * @returns {*} Parsed value, or null if missing or unreadable
+ */
+function readLegacy(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key))
+  } catch (error) {
+    console.warn(`Stored ${key} could not be read:`, error)
+    return null
+  }
+}
+
+/**
+ * Move saved vehicles, decal images and scenes out of localStorage, once
+ * @param {Object} backend - Storage backend
+ * @param {Function} [convertImage] - Maps a stored image data URL to the value to keep
+ * @returns {Promise<boolean>} Whether anything was migrated
+ */
+export async function migrateLocalStorage(backend, convertImage = (imageUrl) => imageUrl) {
+  if (await backend.get('settings', MIGRATED_KEY)) return false
+
+  const { current = null, ...vehicles } = readLegacy(LEGACY_STORAGE_KEYS.vehicles) || {}
+  const images = readLegacy(LEGACY_STORAGE_KEYS.decalImages) || {}
+  const scenes = readLegacy(LEGACY_STORAGE_KEYS.scenes) || {}
+
+  const migrated = Object.keys(vehicles).length + Object.keys(images).length + Object.keys(scenes).length > 0
+
+  if (migrated) {
+    await Promise.all([
+      ...Object.entries(vehicles).map(([id, vehicle]) => backend.put('vehicles', id, vehicle)),
+      ...Object.entries(images).map(([id, imageUrl]) => backend.put('decalImages', id, convertImage(imageUrl))),
+      ...Object.entries(scenes).map(([id, scene]) => backend.put('scenes', id, scene)),
+      backend.put('settings', 'currentVehicle', current),
+    ])
+  }
+
+  // Only drop the old copies once the new ones are written
+  await backend.put('settings', MIGRATED_KEY, Date.now())
+  Object.values(LEGACY_STORAGE_KEYS).forEach((key) => localStorage.removeItem(key))
+
+  return migrated
+}
+
+/**
+ * Whether an error means browser storage is full
+ * @param {Error} error - Storage error
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22
+}
+
+/**
+ * User facing message for a storage error
+ * @param {Error} error - Storage error
+ * @returns {string} Message
+ */
+export function describeStorageError(error) {
+  if (isQuotaError(error)) return 'Browser storage is full. Delete some saved vehicles or scenes to make room.'
+  return `Could not save to browser storage: ${error?.message || error}`
+}
+
+export default {
+  createMemoryStorage,
+  createIndexedDBStorage,
+  getStorage,
+  setStorage,
+  migrateLocalStorage,
+  isQuotaError,
+  describeStorageError,
+  STORAGE_DB_NAME,
+  STORAGE_DB_VERSION,
+  STORAGE_STORES,
+  LEGACY_STORAGE_KEYS,
+}
@@ -0,0 +1,78 @@
+/**
+ * ============================================================================
+ * SURFACES - Terrain Surfaces & Tire Grip
+ * ============================================================================
+ *
+ * Terrain colliders are tagged with a surface (sand, dirt, rock, mud, ...) through
+ * their rigid body `userData.surface`. Wheel grip on a surface combines the
+ * surface friction with the tire's traction data from the catalog:
+ *
+ *   traction: {
+ *     friction: 1.0,                                     // forward grip
+ *     side_friction: 0.95,                               // lateral grip
+ *     grip: { sand: 0.85, dirt: 1, rock: 0.9, mud: 1 }, // per surface multiplier
+ *   }
+ *
+ * @module surfaces
+ */
+
+export const SURFACES = {
+  sand: { name: 'Sand', friction: 0.7, side_friction: 0.6, texture: 'sand', color: '#ffffff' },
+  dirt: { name: 'Dirt', friction: 1, side_friction: 0.9, texture: 'dirt', color: '#ffffff' },
+  rock: { name: 'Rock', friction: 1.15, side_friction: 1.1, texture: 'dirt', color: '#8a8782' },
+  mud: { name: 'Mud', friction: 0.45, side_friction: 0.35, texture: 'dirt', color: '#5a4632' },
+  snow: { name: 'Snow', friction: 0.5, side_friction: 0.4, texture: 'sand', color: '#eef3f8' },
+  pavement: { name: 'Pavement', friction: 1.2, side_friction: 1.2, texture: 'tile', color: '#ffffff' },
+}
+
+export const SURFACE_TYPES = Object.keys(SURFACES)
+
+// Surface for colliders without a tag (placed objects, vehicles)
+export const DEFAULT_SURFACE = 'dirt'
+
+// Rapier's default wheel friction slip, scaled by tire and surface
+export const BASE_FRICTION_SLIP = 10.5
+
+// Used by tires without traction data
+export const DEFAULT_TRACTION = {
+  friction: 1,
+  side_friction: 1,
+  grip: { sand: 0.85, dirt: 1, rock: 1, mud: 0.7, snow: 0.8, pavement: 1 },
+}
+
+/**
+ * Surface tag of a collider
+ * @param {Object} collider - Rapier collider (e.g. from wheelGroundObject)
+ * @returns {string} Surface type
+ */
+export function getColliderSurface(collider) {
+  const surface = collider?.parent()?.userData?.surface
+  return SURFACES[surface] ? surface : DEFAULT_SURFACE
+}
+
+/**
+ * Wheel grip for a tire on a surface
+ * @param {Object} tire - Tire catalog entry
+ * @param {string} surface - Surface type
+ * @returns {Object} { frictionSlip, sideFriction } for the vehicle controller
+ */
+export function getTireGrip(tire, surface) {
+  const traction = { ...DEFAULT_TRACTION, ...tire?.traction }
+  const { friction, side_friction } = SURFACES[surface] || SURFACES[DEFAULT_SURFACE]
+  const grip = traction.grip?.[surface] ?? DEFAULT_TRACTION.grip[surface] ?? 1
+
+  return {
+    frictionSlip: BASE_FRICTION_SLIP * traction.friction * friction * grip,
+    sideFriction: traction.side_friction * side_friction * grip,
+  }
+}
+
+export default {
+  getTireGrip,
+  getColliderSurface,
+  SURFACES,
+  SURFACE_TYPES,
+  DEFAULT_SURFACE,
+  DEFAULT_TRACTION,
+  BASE_FRICTION_SLIP,
+}
@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * SUSPENSION - Per-vehicle Suspension Profiles
+ * ============================================================================
+ *
+ * Builds the suspension settings the physics uses from the per-body
+ * `suspension` catalog data, the lift, addon kits and user tuning:
+ *
+ *   suspension: {
+ *     front: { stiffness: 30, damping: 2.4, travel: 0.22 }, // spring rate, compression damping, travel (m)
+ *     rear: { stiffness: 26, damping: 2.3, travel: 0.25 },
+ *     sway_bar: { front: 12, rear: 6 },                     // anti-roll stiffness, 0 for none
+ *   }
+ *
+ * Addon options may carry a `suspension` kit that adds travel and scales
+ * stiffness and damping per axle, e.g. a long travel kit:
+ *
+ *   suspension: { front: { travel: 0.1, stiffness: 0.85 } }
+ *
+ * User tuning (`suspension_tuning` on the vehicle config) has the same shape
+ * as the profile and replaces the derived values.
+ *
+ * @module suspension
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+
+export const SUSPENSION_AXLES = ['front', 'rear']
+
+// Allowed ranges for user tuning
+export const SUSPENSION_TUNING_RANGES = {
+  stiffness: { MIN: 5, MAX: 80 },
+  damping: { MIN: 0.5, MAX: 10 },
+  travel: { MIN: 0.05, MAX: 0.6 },
+  sway_bar: { MIN: 0, MAX: 40 },
+}
+
+// Used by bodies without suspension data
+export const DEFAULT_SUSPENSION = {
+  front: { stiffness: 28, damping: 2.3, travel: 0.3 },
+  rear: { stiffness: 28, damping: 2.3, travel: 0.3 },
+  sway_bar: { front: 10, rear: 5 },
+}
+
+// Rebound damping relative to compression damping
+export const REBOUND_RATIO = 1.5
+
+// Suspension rest length in meters
+export const REST_LENGTH = 0.1
+
+// Per inch of lift: added travel (m) and spring rate (share)
+const LIFT_TRAVEL = 0.01
+const LIFT_STIFFNESS = 0.02
+
+const round = (value) => Math.round(value * 1000) / 1000
+
+/**
+ * Suspension catalog data for a body
+ * @param {string} body - Vehicle body ID
+ * @returns {Object} Suspension profile
+ */
+export function getSuspensionProfile(body) {
+  return vehicleConfigs.vehicles[body]?.suspension || DEFAULT_SUSPENSION
+}
+
+/**
+ * Suspension kits from the selected addons
+ * @param {string} body - Vehicle body ID
+ * @param {Object} addons - Selected addons
+ * @returns {Array} Addon suspension kits
+ */
+function getSuspensionKits(body, addons = {}) {
+  const vehicleAddons = vehicleConfigs.vehicles[body]?.addons || {}
+
+  return Object.entries(addons)
+    .map(([type, value]) => vehicleAddons[type]?.options?.[value]?.suspension)
+    .filter(Boolean)
+}
+
+/**
+ * Compute suspension settings for a configuration
+ * @param {Object} config - Vehicle configuration (body, lift, addons, suspension_tuning)
+ * @returns {Object} { front, rear, sway_bar } with stiffness, damping and travel per axle
+ */
+export function computeSuspension({ body, lift = 0, addons = {}, suspension_tuning = {} }) {
+  const profile = getSuspensionProfile(body)
+  const kits = getSuspensionKits(body, addons)
+  const liftInches = Math.max(parseFloat(lift) || 0, 0)
+  const tuning = suspension_tuning || {}
+
+  const result = { sway_bar: { ...profile.sway_bar, ...tuning.sway_bar } }
+
+  for (const axle of SUSPENSION_AXLES) {
+    let { stiffness, damping, travel } = profile[axle]
+
+    // Lift kits: longer travel on stiffer springs
+    travel += liftInches * LIFT_TRAVEL
+    stiffness *= 1 + liftInches * LIFT_STIFFNESS
+
+    kits.forEach((kit) => {
+      travel += kit[axle]?.travel || 0
+      stiffness *= kit[axle]?.stiffness || 1
+      damping *= kit[axle]?.damping || 1
+    })
+
+    result[axle] = { stiffness: round(stiffness), damping: round(damping), travel: round(travel), ...tuning[axle] }
+  }
+
+  return result
+}
+
+/**
+ * Validate user suspension tuning
+ * @param {Object} tuning - Partial tuning ({ front, rear, sway_bar })
+ * @returns {Array} Error messages, empty when valid
+ */
+export function validateSuspensionTuning(tuning) {
+  if (!tuning || typeof tuning !== 'object' || Array.isArray(tuning)) {
+    return ['Suspension tuning must be an object']
+  }
+
+  const errors = []
+  const checkRange = (label, value, { MIN, MAX }) => {
+    if (typeof value !== 'number' || isNaN(value) || value < MIN || value > MAX) {
+      errors.push(`Invalid ${label}: ${value}. Must be between ${MIN} and ${MAX}`)
+    }
+  }
+
+  for (const [key, values] of Object.entries(tuning)) {
+    if (![...SUSPENSION_AXLES, 'sway_bar'].includes(key) || !values || typeof values !== 'object') {
+      errors.push(`Invalid suspension tuning field: ${key}`)
+      continue
+    }
+
+    for (const [field, value] of Object.entries(values)) {
+      if (key === 'sway_bar') {
+        if (SUSPENSION_AXLES.includes(field)) checkRange(`${field} sway bar`, value, SUSPENSION_TUNING_RANGES.sway_bar)
+        else errors.push(`Invalid sway bar axle: ${field}`)
+      } else if (SUSPENSION_TUNING_RANGES[field] && field !== 'sway_bar') {
+        checkRange(`${key} ${field}`, value, SUSPENSION_TUNING_RANGES[field])
+      } else {
+        errors.push(`Invalid ${key} suspension field: ${field}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+export default {
+  computeSuspension,
+  getSuspensionProfile,
+  validateSuspensionTuning,
+  SUSPENSION_AXLES,
+  SUSPENSION_TUNING_RANGES,
+  DEFAULT_SUSPENSION,
+  REBOUND_RATIO,
+  REST_LENGTH,
+}
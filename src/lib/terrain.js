@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ * TERRAIN - Presets & Height Generation
+ * ============================================================================
+ *
+ * Terrain presets define how TerrainManager builds tiles:
+ * - Noise: octaves, persistence, smoothness (feature size in meters), max height and
+ *   how much ridged noise is blended into the fBm hills for sharp crests
+ * - Look: sky color and per-surface ground textures
+ * - Physics: surfaces, picked per tile from low frequency noise
+ * - Obstacles: boulders, logs and ledges scattered per tile
+ * - Fluids: chance of a water crossing or mud pit per tile, see fluids.js
+ *
+ * The seed is part of the scene state so a terrain can be reproduced. Obstacles
+ * and fluids are derived from the seed and tile coordinate, so a tile that unloads and
+ * loads again gets the same ones.
+ *
+ * @module terrain
+ */
+
+export const TERRAIN_PRESETS = {
+  desert_dunes: {
+    name: 'Desert Dunes',
+    octaves: 2,
+    persistence: 0.35,
+    smoothness: 15,
+    maxHeight: 4,
+    ridged: 0,
+    surfaces: ['sand'],
+    sky: '#b8d9f9',
+    obstacles: { density: 1, types: ['boulder'] },
+    fluids: null,
+  },
+  rocky_trail: {
+    name: 'Rocky Trail',
+    octaves: 4,
+    persistence: 0.5,
+    smoothness: 12,
+    maxHeight: 6,
+    ridged: 0.6,
+    surfaces: ['rock', 'dirt'],
+    sky: '#c4d6e4',
+    obstacles: { density: 6, types: ['boulder', 'boulder', 'ledge'] },
+    fluids: { type: 'water', chance: 0.15 },
+  },
+  forest_dirt: {
+    name: 'Forest Dirt',
+    octaves: 3,
+    persistence: 0.45,
+    smoothness: 20,
+    maxHeight: 3,
+    ridged: 0.2,
+    surfaces: ['dirt', 'mud'],
+    sky: '#a9c7b4',
+    obstacles: { density: 4, types: ['log', 'log', 'boulder'] },
+    fluids: { type: 'mud', chance: 0.3 },
+  },
+  snowfield: {
+    name: 'Snowfield',
+    octaves: 3,
+    persistence: 0.4,
+    smoothness: 25,
+    maxHeight: 3,
+    ridged: 0.3,
+    surfaces: ['snow'],
+    sky: '#dfe8ef',
+    obstacles: { density: 2, types: ['boulder', 'ledge'] },
+    fluids: { type: 'water', chance: 0.1 },
+  },
+  flat_showroom: {
+    name: 'Flat Showroom',
+    octaves: 1,
+    persistence: 0,
+    smoothness: 1,
+    maxHeight: 0,
+    ridged: 0,
+    surfaces: ['pavement'],
+    sky: '#d9d9d9',
+    obstacles: { density: 0, types: [] },
+    fluids: null,
+  },
+}
+
+export const DEFAULT_TERRAIN_PRESET = 'desert_dunes'
+export const DEFAULT_TERRAIN_SEED = 123
+
+// noisejs accepts seeds from 1 to 65536
+export const TERRAIN_SEED_RANGE = {
+  MIN: 1,
+  MAX: 65536,
+}
+
+/**
+ * Preset by ID, falling back to the default
+ * @param {string} presetId - Terrain preset ID
+ * @returns {Object} Terrain preset
+ */
+export function getTerrainPreset(presetId) {
+  return TERRAIN_PRESETS[presetId] || TERRAIN_PRESETS[DEFAULT_TERRAIN_PRESET]
+}
+
+/**
+ * Normalized terrain height from layered noise
+ * @param {Object} noise - Seeded noisejs instance
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {Object} preset - Terrain preset
+ * @returns {number} Height from 0 to 1
+ */
+export function getTerrainHeight(noise, x, z, { octaves, persistence, smoothness, ridged = 0 }) {
+  let hills = 0
+  let ridges = 0
+  let amplitude = 1
+  let total = 0
+
+  for (let octave = 0; octave < octaves; octave++) {
+    const frequency = 2 ** octave / smoothness
+    const value = noise.perlin2(x * frequency, z * frequency)
+    hills += amplitude * value
+    // Folding the noise at zero turns its midline into sharp crests
+    ridges += amplitude * (1 - Math.abs(value)) ** 2
+    total += amplitude
+    amplitude *= persistence
+  }
+
+  return ((hills / total + 1) / 2) * (1 - ridged) + (ridges / total) * ridged
+}
+
+/**
+ * Surface of a tile, keeping the spawn area on the preset's main surface
+ * @param {Object} noise - Seeded noisejs instance
+ * @param {number} tileX - Tile X index
+ * @param {number} tileZ - Tile Z index
+ * @param {Object} preset - Terrain preset
+ * @returns {string} Surface type
+ */
+export function getTileSurface(noise, tileX, tileZ, { surfaces }) {
+  if (surfaces.length === 1 || (tileX >= -1 && tileX <= 0 && tileZ >= -1 && tileZ <= 0)) return surfaces[0]
+
+  const value = (noise.simplex2(tileX * 0.35 + 100, tileZ * 0.35 + 100) + 1) / 2
+  return surfaces[Math.min(Math.floor(value * surfaces.length), surfaces.length - 1)]
+}
+
+// Obstacle sizes in meters
+export const OBSTACLE_TYPES = {
+  boulder: { surface: 'rock', radius: [0.4, 1.2] },
+  log: { surface: 'dirt', radius: [0.15, 0.3], length: [3, 6] },
+  ledge: { surface: 'rock', width: [2, 4], depth: [1, 2], height: [0.3, 0.8] },
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning numbers from 0 to 1
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Obstacles scattered on a tile, the same every time for a seed and tile
+ * @param {Object} options - Tile and terrain settings
+ * @param {number} options.seed - Terrain seed
+ * @param {number} options.tileX - Tile X index
+ * @param {number} options.tileZ - Tile Z index
+ * @param {number} options.tileSize - Tile size in meters
+ * @param {Object} options.preset - Terrain preset
+ * @param {number} [options.clearRadius] - Keep obstacles this far from the origin, where vehicles spawn
+ * @returns {Array<Object>} Obstacles with type, world position (x, z), yaw and size
+ */
+export function getTileObstacles({ seed, tileX, tileZ, tileSize, preset, clearRadius = 0 }) {
+  const { density = 0, types = [] } = preset.obstacles || {}
+  if (density === 0 || types.length === 0) return []
+
+  const random = createRandom(Math.imul(seed, 73856093) ^ Math.imul(tileX, 19349663) ^ Math.imul(tileZ, 83492791))
+  const between = ([min, max]) => min + random() * (max - min)
+  const count = Math.floor(density * (0.5 + random()))
+  const obstacles = []
+
+  for (let i = 0; i < count; i++) {
+    const type = types[Math.floor(random() * types.length)]
+    const spec = OBSTACLE_TYPES[type]
+    const x = tileX * tileSize + (random() - 0.5) * tileSize
+    const z = tileZ * tileSize + (random() - 0.5) * tileSize
+    const yaw = random() * Math.PI * 2
+    const size =
+      type === 'boulder'
+        ? { radius: between(spec.radius) }
+        : type === 'log'
+          ? { radius: between(spec.radius), length: between(spec.length) }
+          : { width: between(spec.width), depth: between(spec.depth), height: between(spec.height) }
+
+    if (x * x + z * z < clearRadius * clearRadius) continue
+
+    obstacles.push({ type, surface: spec.surface, x, z, yaw, size })
+  }
+
+  return obstacles
+}
+
+/**
+ * Water crossing or mud pit on a tile, the same every time for a seed and tile
+ * The surface height depends on the ground, so TerrainManager sets it.
+ * @param {Object} options - Tile and terrain settings, as for getTileObstacles
+ * @returns {Array<Object>} Fluid volumes with type, world position (x, z), yaw and size
+ */
+export function getTileFluids({ seed, tileX, tileZ, tileSize, preset, clearRadius = 0 }) {
+  if (!preset.fluids) return []
+
+  // Offset from the obstacle seed so pits don't line up with rocks
+  const random = createRandom(Math.imul(seed + 1, 2654435761) ^ Math.imul(tileX, 19349663) ^ Math.imul(tileZ, 83492791))
+  if (random() >= preset.fluids.chance) return []
+
+  const x = tileX * tileSize + (random() - 0.5) * tileSize * 0.5
+  const z = tileZ * tileSize + (random() - 0.5) * tileSize * 0.5
+  if (x * x + z * z < clearRadius * clearRadius) return []
+
+  return [
+    {
+      id: `fluid:${seed}:${tileX},${tileZ}`,
+      type: preset.fluids.type,
+      x,
+      z,
+      yaw: random() * Math.PI,
+      size: { x: tileSize * (0.2 + random() * 0.25), z: tileSize * (0.3 + random() * 0.3) },
+    },
+  ]
+}
+
+export default {
+  getTerrainPreset,
+  getTerrainHeight,
+  getTileSurface,
+  getTileObstacles,
+  getTileFluids,
+  OBSTACLE_TYPES,
+  TERRAIN_PRESETS,
+  DEFAULT_TERRAIN_PRESET,
+  DEFAULT_TERRAIN_SEED,
+  TERRAIN_SEED_RANGE,
+}
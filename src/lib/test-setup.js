@@ -7,6 +7,9 @@
  * Import this BEFORE importing any modules that use browser APIs.
  */
 
+import { setStorage, createMemoryStorage } from './storage.js'
+import { loadCatalog } from './catalog-loader.js'
+
 // Mock localStorage
 class LocalStorageMock {
   constructor() {
@@ -61,6 +64,24 @@ global.navigator = {
   },
 }
 
+// Keep saved vehicles, decal images and scenes in memory
+setStorage(createMemoryStorage())
+
+// Mock FileReader, used by the GLTF exporter to assemble binary files
+global.FileReader = class FileReaderMock {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = buffer
+      this.onloadend?.()
+    })
+  }
+}
+
+// Merge the shipped catalog manifests, which the app fetches before its first render
+const catalogDir = new URL('../../public/assets/catalog/', import.meta.url).pathname
+const catalog = await loadCatalog({ baseUrl: catalogDir, load: (url) => Bun.file(url).json() })
+if (catalog.errors.length > 0) throw new Error(`Catalog manifests are invalid: ${catalog.errors.map((error) => error.message).join(', ')}`)
+
 // Mock document (if needed)
 global.document = {
   getElementById: () => null,
@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * TRANSFORM - Gizmo Modes, Snapping & Numeric Entry
+ * ============================================================================
+ *
+ * Shared by the on-canvas transform gizmo and the numeric transform panel.
+ * Placed objects and decals both store { position, rotation, scale } with
+ * rotations as Euler angles in radians. Snap settings keep the angle step in
+ * degrees since that is how it is shown and entered.
+ *
+ * @module transform
+ */
+
+import { COURSE_ELEMENTS } from './course'
+
+export const TRANSFORM_MODES = ['translate', 'rotate', 'scale']
+
+export const TRANSFORM_SPACES = ['world', 'local']
+
+// Grid step in meters, angle step in degrees, scale step as a factor
+export const DEFAULT_TRANSFORM_SNAP = {
+  enabled: true,
+  grid: 0.5,
+  angle: 15,
+  scale: 0.1,
+}
+
+// Smallest scale an edit can produce, so objects never collapse
+export const MIN_TRANSFORM_SCALE = 0.05
+
+const AXES = ['x', 'y', 'z']
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+export function toRadians(degrees) {
+  return (degrees * Math.PI) / 180
+}
+
+/**
+ * Convert radians to degrees
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+export function toDegrees(radians) {
+  return (radians * 180) / Math.PI
+}
+
+/**
+ * Round a value to the nearest step
+ * @param {number} value - Value to snap
+ * @param {number} step - Step size, no snapping if not positive
+ * @returns {number} Snapped value
+ */
+export function snapValue(value, step) {
+  if (!(step > 0)) return value
+  // Trim float noise so 0.1 steps stay 0.3 and not 0.30000000000000004
+  return Number((Math.round(value / step) * step).toFixed(6))
+}
+
+/**
+ * Snap a transform to the grid, angle and scale steps
+ * @param {Object} transform - { position, rotation, scale }, any of which may be omitted
+ * @param {Object} snap - Snap settings, see DEFAULT_TRANSFORM_SNAP
+ * @returns {Object} Snapped transform with the same fields
+ */
+export function snapTransform(transform, snap = DEFAULT_TRANSFORM_SNAP) {
+  const snapVector = (vector, step, min) => Object.fromEntries(AXES.map((axis) => [axis, Math.max(snapValue(vector[axis], step), min)]))
+  const result = {}
+
+  if (transform.position) result.position = snap.enabled ? snapVector(transform.position, snap.grid, -Infinity) : { ...transform.position }
+  if (transform.rotation) result.rotation = snap.enabled ? snapVector(transform.rotation, toRadians(snap.angle), -Infinity) : { ...transform.rotation }
+  if (transform.scale) result.scale = snapVector(transform.scale, snap.enabled ? snap.scale : 0, MIN_TRANSFORM_SCALE)
+
+  return result
+}
+
+/**
+ * Validate snap settings
+ * @param {Object} snap - Partial snap settings
+ * @returns {string[]} Error messages, empty if valid
+ */
+export function validateTransformSnap(snap) {
+  const errors = []
+
+  if (snap.enabled !== undefined && typeof snap.enabled !== 'boolean') errors.push('enabled must be true or false')
+  ;['grid', 'angle', 'scale'].forEach((field) => {
+    if (snap[field] !== undefined && !(snap[field] > 0)) errors.push(`${field} must be a positive number`)
+  })
+
+  return errors
+}
+
+/**
+ * Object or decal the gizmo is attached to
+ * @param {Object} state - Game store state
+ * @returns {Object|null} { kind: 'object' | 'decal', id, item, scalable }
+ */
+export function getTransformTarget({ objects, decals, selectedObjectId, selectedDecalId }) {
+  // Course elements have fixed sizes
+  const object = selectedObjectId && objects.find((item) => item.id === selectedObjectId)
+  if (object) return { kind: 'object', id: object.id, item: object, scalable: !COURSE_ELEMENTS[object.type] }
+
+  const decal = selectedDecalId && decals.find((item) => item.id === selectedDecalId)
+  if (decal) return { kind: 'decal', id: decal.id, item: decal, scalable: true }
+
+  return null
+}
+
+export default {
+  toRadians,
+  toDegrees,
+  snapValue,
+  snapTransform,
+  validateTransformSnap,
+  getTransformTarget,
+  TRANSFORM_MODES,
+  TRANSFORM_SPACES,
+  DEFAULT_TRANSFORM_SNAP,
+  MIN_TRANSFORM_SCALE,
+}
@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * VEHICLE METRICS - Off-road Geometry
+ * ============================================================================
+ *
+ * Derives ground clearance, fording depth and approach, departure and breakover
+ * angles from a vehicle configuration and the per-body `geometry` catalog data:
+ *
+ *   geometry: {
+ *     stock_tire: 31,                          // tire diameter (in) the heights were measured on
+ *     axle_clearance: 0.244,                   // lowest axle/differential point (m)
+ *     belly_height: 0.25,                      // underbody height at mid wheelbase (m)
+ *     bumper_f: { overhang: 0.88, height: 0.5 }, // front axle to bumper edge, edge height (m)
+ *     bumper_r: { overhang: 1.02, height: 0.45 },
+ *     air_intake: 0.7,                         // engine air intake height (m), limits fording
+ *   }
+ *
+ * Addon options for bumper_f / bumper_r may carry their own `geometry`
+ * ({ overhang, height }) which replaces the body bumper. Snorkel options carry
+ * an `air_intake` height which replaces the body's.
+ *
+ * @module vehicle-metrics
+ */
+
+import vehicleConfigs from '../../vehicleConfigs'
+
+const METERS_PER_INCH = 0.0254
+
+// ============================================================================
+// HEIGHTS
+// ============================================================================
+
+/**
+ * Wheel (axle) center height for a tire
+ * @param {number} tireDiameter - Tire diameter in inches
+ * @returns {number} Height in meters
+ */
+export function getAxleHeight(tireDiameter) {
+  return (tireDiameter * 2.54) / 100 / 2
+}
+
+/**
+ * Body lift height
+ * @param {number} lift - Lift in inches
+ * @returns {number} Height in meters
+ */
+export function getLiftHeight(lift) {
+  return ((lift || 0) * 2.54) / 100
+}
+
+/**
+ * Bumper geometry for a body, honoring addon bumpers
+ * @param {string} body - Vehicle body ID
+ * @param {Object} addons - Selected addons
+ * @param {string} type - Bumper addon type (bumper_f or bumper_r)
+ * @returns {Object|null} { overhang, height } in meters at stock height
+ */
+export function getBumperGeometry(body, addons, type) {
+  const vehicle = vehicleConfigs.vehicles[body]
+  const option = vehicle?.addons?.[type]?.options?.[addons?.[type]]
+
+  return option?.geometry || vehicle?.geometry?.[type] || null
+}
+
+/**
+ * Air intake height for a body, honoring snorkel addons
+ * @param {string} body - Vehicle body ID
+ * @param {Object} addons - Selected addons
+ * @returns {Object|null} { height, snorkel } with height in meters at stock height
+ */
+export function getAirIntake(body, addons) {
+  const vehicle = vehicleConfigs.vehicles[body]
+  const snorkel = Object.entries(addons || {})
+    .map(([type, option]) => vehicle?.addons?.[type]?.options?.[option]?.air_intake)
+    .find((height) => height !== undefined)
+
+  if (snorkel !== undefined) return { height: snorkel, snorkel: true }
+  return vehicle?.geometry?.air_intake ? { height: vehicle.geometry.air_intake, snorkel: false } : null
+}
+
+// ============================================================================
+// ANGLES
+// ============================================================================
+
+/**
+ * Steepest ramp a tire can climb before an edge touches it
+ * Solves for the line tangent to the tire that passes through the edge.
+ * @param {number} radius - Tire radius in meters
+ * @param {number} distance - Horizontal distance from axle to the edge, in meters
+ * @param {number} height - Edge height above ground, in meters
+ * @returns {number} Angle in degrees
+ */
+export function getRampAngle(radius, distance, height) {
+  if (height <= 0) return 0
+
+  // (r - h) cos(a) + d sin(a) = r
+  const a = radius - height
+  const reach = Math.hypot(a, distance)
+
+  if (reach <= radius) return 90
+
+  const angle = Math.atan2(distance, a) - Math.acos(radius / reach)
+
+  return Math.min(Math.max((angle * 180) / Math.PI, 0), 90)
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places
+
+/**
+ * Compute off-road geometry metrics for a configuration
+ * @param {Object} config - Vehicle configuration (body, lift, tire_diameter, addons)
+ * @returns {Object} Metrics with clearance in inches/meters and angles in degrees
+ */
+export function computeVehicleMetrics({ body, lift = 0, tire_diameter, addons = {} }) {
+  const vehicle = vehicleConfigs.vehicles[body]
+  const geometry = vehicle?.geometry
+  const tireDiameter = parseFloat(tire_diameter)
+  const axleHeight = getAxleHeight(tireDiameter)
+  const liftHeight = getLiftHeight(parseFloat(lift))
+
+  if (!geometry) {
+    return {
+      supported: false,
+      axleHeight,
+      liftHeight,
+    }
+  }
+
+  // Bigger tires raise everything; lift only raises the body, not the axles
+  const tireGain = axleHeight - getAxleHeight(geometry.stock_tire)
+  const bodyGain = tireGain + liftHeight
+
+  const axleClearance = geometry.axle_clearance + tireGain
+  const bellyHeight = geometry.belly_height + bodyGain
+  const groundClearance = Math.min(axleClearance, bellyHeight)
+
+  const front = getBumperGeometry(body, addons, 'bumper_f')
+  const rear = getBumperGeometry(body, addons, 'bumper_r')
+  const airIntake = getAirIntake(body, addons)
+  const fordingDepth = airIntake && airIntake.height + bodyGain
+
+  return {
+    supported: true,
+    groundClearance: {
+      inches: round(groundClearance / METERS_PER_INCH),
+      meters: round(groundClearance, 3),
+      limitedBy: axleClearance <= bellyHeight ? 'axle' : 'body',
+    },
+    approachAngle: round(getRampAngle(axleHeight, front.overhang, front.height + bodyGain)),
+    departureAngle: round(getRampAngle(axleHeight, rear.overhang, rear.height + bodyGain)),
+    breakoverAngle: round(2 * getRampAngle(axleHeight, vehicle.wheelbase / 2, bellyHeight)),
+    fordingDepth: airIntake && {
+      inches: round(fordingDepth / METERS_PER_INCH),
+      meters: round(fordingDepth, 3),
+      snorkel: airIntake.snorkel,
+    },
+    axleHeight,
+    liftHeight,
+  }
+}
+
+export default {
+  computeVehicleMetrics,
+  getRampAngle,
+  getBumperGeometry,
+  getAirIntake,
+  getAxleHeight,
+  getLiftHeight,
+}
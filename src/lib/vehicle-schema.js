@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * VEHICLE SCHEMA - Versioned Vehicle Config Migrations
+ * ============================================================================
+ *
+ * Vehicle configs written anywhere outside the running app (saved vehicles,
+ * scenes, exports, share links) are stamped with `schemaVersion`. Reading one
+ * back runs every migration newer than its stamp, in order, so older configs
+ * take the current shape. Configs from before stamping count as version 0.
+ *
+ * To change the config shape, append a migration to VEHICLE_MIGRATIONS. Its
+ * version becomes the current one. Migrations must not read the live catalog
+ * or defaults, which keep changing, only the values they knew at the time.
+ *
+ * The config held in the store is never stamped; see stampVehicleConfig.
+ *
+ * @module vehicle-schema
+ */
+
+// Ordered config migrations, each bringing a config up to its version
+export const VEHICLE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rename the vehicle `id` field to `body`',
+    migrate: ({ id, ...config }) => ({ ...config, ...(id && !config.body && { body: id }) }),
+  },
+  {
+    version: 2,
+    description: 'Add drive mode, differential lockers and transmission',
+    migrate: (config) => ({
+      ...config,
+      drive_mode: config.drive_mode ?? 'rwd',
+      front_locked: config.front_locked ?? false,
+      rear_locked: config.rear_locked ?? false,
+      transmission: config.transmission ?? 'auto',
+    }),
+  },
+  {
+    version: 3,
+    description: 'Add per-corner suspension tuning',
+    migrate: (config) => ({ ...config, suspension_tuning: config.suspension_tuning ?? {} }),
+  },
+]
+
+export const VEHICLE_SCHEMA_VERSION = VEHICLE_MIGRATIONS[VEHICLE_MIGRATIONS.length - 1].version
+
+/**
+ * Schema version of a stored config
+ * @param {Object} config - Vehicle configuration
+ * @returns {number} Version, 0 for configs saved before versioning
+ */
+export function getSchemaVersion(config) {
+  const version = config?.schemaVersion ?? 0
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid vehicle schema version: ${config.schemaVersion}`)
+  return version
+}
+
+/**
+ * Bring a stored config up to the current schema
+ * @param {Object} config - Stored vehicle configuration
+ * @returns {Object} Configuration in the current shape, without `schemaVersion`
+ */
+export function migrateVehicleConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('Vehicle configuration must be an object')
+
+  const version = getSchemaVersion(config)
+  if (version > VEHICLE_SCHEMA_VERSION) {
+    throw new Error(`Vehicle schema version ${version} is newer than supported version ${VEHICLE_SCHEMA_VERSION}`)
+  }
+
+  const { schemaVersion, ...migrated } = config
+  return VEHICLE_MIGRATIONS.filter((migration) => migration.version > version).reduce((current, migration) => migration.migrate(current), migrated)
+}
+
+/**
+ * Stamp a config with the schema version it is written in
+ * @param {Object} config - Vehicle configuration
+ * @returns {Object} Configuration with `schemaVersion`
+ */
+export function stampVehicleConfig(config) {
+  // Keep the stamp of a newer config this version could not migrate
+  return { ...config, schemaVersion: config.schemaVersion ?? VEHICLE_SCHEMA_VERSION }
+}
+
+export default {
+  getSchemaVersion,
+  migrateVehicleConfig,
+  stampVehicleConfig,
+  VEHICLE_MIGRATIONS,
+  VEHICLE_SCHEMA_VERSION,
+}
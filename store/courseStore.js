@@ -0,0 +1,68 @@
+// courseStore.js
+import { create } from 'zustand'
+import useGameStore from './gameStore'
+import vehicleConfigs from '../vehicleConfigs'
+import { createRun, updateRun, getRunTime, getBuildKey, addLeaderboardEntry } from '../src/lib/course'
+import { describeStorageError } from '../src/lib/storage'
+
+const LEADERBOARDS_KEY = 'courseLeaderboards'
+
+// Saved leaderboards, { [courseId]: { [buildKey]: entries } }
+const loadLeaderboards = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LEADERBOARDS_KEY)) || {}
+    } catch {
+        return {}
+    }
+}
+
+// Current build, named after its saved vehicle when there is one
+const getCurrentBuild = () => {
+    const { currentVehicle, savedVehicles } = useGameStore.getState()
+    const saved = savedVehicles.current && savedVehicles[savedVehicles.current]
+    const name = saved?.config === currentVehicle ? saved.name : vehicleConfigs.vehicles[currentVehicle.body]?.name || currentVehicle.body
+
+    return { config: currentVehicle, name }
+}
+
+// Obstacle course metadata, the active run and per build leaderboards
+const useCourseStore = create((set, get) => ({
+    course: { id: `course_${Date.now()}`, name: 'Untitled Course' },
+    setCourse: (course) => set({ course }),
+
+    run: null,
+    startRun: (elements) => set({ run: createRun(elements) }),
+    stopRun: () => set({ run: null }),
+
+    // Apply a gate, cone or rollover event, recording finished runs for the build
+    recordEvent: (event) => {
+        const { run, course } = get()
+        const next = updateRun(run, event, Date.now())
+        if (next === run) return
+
+        set({ run: next })
+        if (next.status === 'finished') get().addTime(course.id, getCurrentBuild(), getRunTime(next))
+    },
+
+    leaderboards: loadLeaderboards(),
+    getLeaderboard: (courseId = get().course.id) => get().leaderboards[courseId]?.[getBuildKey(useGameStore.getState().currentVehicle)] || [],
+    // Why the last finished run could not be saved, null once one is
+    leaderboardError: null,
+    addTime: (courseId, vehicle, { elapsed, penalty, total }) => {
+        const buildKey = getBuildKey(vehicle.config)
+        const courseBoards = get().leaderboards[courseId] || {}
+        const entry = { total, elapsed, penalty, date: Date.now(), name: vehicle.name }
+        const leaderboards = { ...get().leaderboards, [courseId]: { ...courseBoards, [buildKey]: addLeaderboardEntry(courseBoards[buildKey], entry) } }
+
+        // Keep the time for this session even when storage refuses it, this runs from the physics frame
+        try {
+            localStorage.setItem(LEADERBOARDS_KEY, JSON.stringify(leaderboards))
+            set({ leaderboards, leaderboardError: null })
+        } catch (error) {
+            console.error('Leaderboard could not be saved:', error)
+            set({ leaderboards, leaderboardError: describeStorageError(error) })
+        }
+    },
+}))
+
+export default useCourseStore
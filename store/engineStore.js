@@ -0,0 +1,33 @@
+// engineStore.js
+import { create } from 'zustand'
+
+// Engine, fording and rollover telemetry published by the vehicle physics for the HUD
+const useEngineStore = create((set) => ({
+    rpm: 0,
+    gear: 1,
+    speed: 0, // m/s
+    setTelemetry: (rpm, gear, speed) =>
+        set((state) => {
+            // Skip updates the HUD would not show
+            const next = { rpm: Math.round(rpm / 50) * 50, gear, speed: Math.round(speed * 10) / 10 }
+            if (next.rpm === state.rpm && next.gear === state.gear && next.speed === state.speed) return state
+            return next
+        }),
+    fording: null, // { type, depth } of the deepest fluid under a wheel, depth in meters
+    setFording: (fording) =>
+        set((state) => {
+            // Track depth to the centimeter
+            const next = fording && { type: fording.type, depth: Math.round(fording.depth * 100) / 100 }
+            if (next?.type === state.fording?.type && next?.depth === state.fording?.depth) return state
+            return { fording: next }
+        }),
+    rolledOver: false,
+    setRolledOver: (rolledOver) => set((state) => (state.rolledOver === rolledOver ? state : { rolledOver })),
+    // Shown when a shift is asked for with the automatic transmission
+    shiftHint: false,
+    setShiftHint: (shiftHint) => set((state) => (state.shiftHint === shiftHint ? state : { shiftHint })),
+    // Manual shift request, clamped to the gearbox by the physics
+    shift: (delta) => set((state) => ({ gear: Math.max(1, state.gear + delta) })),
+}))
+
+export default useEngineStore
@@ -1,17 +1,88 @@
 import { create } from 'zustand'
-import { produce } from 'immer'
+import { produceWithPatches, applyPatches, enablePatches } from 'immer'
 import { Vector3 } from 'three'
 import vehicleConfigs from '../vehicleConfigs'
+import { DEFAULT_TERRAIN_PRESET, DEFAULT_TERRAIN_SEED } from '../src/lib/terrain'
+import { loadStoredHeightmap } from '../src/lib/heightmap'
+import { DEFAULT_TRANSFORM_SNAP } from '../src/lib/transform'
+import { unpackDecals, loadDecalImages, syncDecalImages, dataUrlToBlob } from '../src/lib/decals'
+import { decodeShareLink, decodeLegacyShareLink, SHARE_PARAM, LEGACY_SHARE_PARAM } from '../src/lib/share-link'
+import { getStorage, setStorage, createMemoryStorage, migrateLocalStorage, describeStorageError } from '../src/lib/storage'
+import { migrateVehicleConfig, stampVehicleConfig } from '../src/lib/vehicle-schema'
+import { renumberCheckpoints } from '../src/lib/course'
 
-// Compatibility shim for legacy localStorage data, mapping old vehicle id field to body
-const preprocessVehicleConfig = (config) => {
-    if (!config) return config
-    const { id, ...rest } = config
-    return { ...rest, ...(id && { body: id }) }
+// Record immer patches so vehicle, decal and object edits can be undone
+enablePatches()
+
+// Maximum number of undo steps kept in history
+const HISTORY_LIMIT = 100
+
+// Consecutive edits sharing a history key within this window (ms) collapse into one step
+const HISTORY_MERGE_WINDOW = 500
+
+// Apply a partial config or recipe to a (draft) vehicle config, resetting addons on body change
+export const applyVehicleChanges = (vehicle, updater) => {
+    // Get previous vehicle id
+    const prevBodyId = vehicle.body
+
+    // Update vehicle state
+    if (typeof updater === 'function') {
+        updater(vehicle)
+    } else {
+        Object.assign(vehicle, updater)
+    }
+
+    // If vehicle body changed, reset addons
+    if (vehicle.body !== prevBodyId && updater.body) {
+        vehicle.addons = vehicleConfigs.vehicles[vehicle.body]?.default_addons || {}
+    }
 }
 
+// Build history state from undo/redo stacks
+const historyState = (past, future) => ({
+    history: { past, future },
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+})
+
 // Game store
 const useGameStore = create((set, get) => {
+    // Patches collected by the active transaction, if any
+    let transaction = null
+
+    // Apply a recipe to the store and push its patches onto the undo stack
+    const setWithHistory = (key, recipe) => {
+        const [nextState, patches, inversePatches] = produceWithPatches(get(), recipe)
+        if (patches.length === 0) return
+
+        // Inside a transaction, collect patches for a single undo step
+        if (transaction) {
+            transaction.patches.push(...patches)
+            transaction.inversePatches.unshift(...inversePatches)
+            set(nextState)
+            return
+        }
+
+        const now = Date.now()
+        const { past } = get().history
+        const last = past[past.length - 1]
+
+        // Merge rapid repeats (slider drags, object drags) into the previous step
+        const nextPast =
+            key && last?.key === key && now - last.timestamp < HISTORY_MERGE_WINDOW
+                ? [...past.slice(0, -1), { key, patches: [...last.patches, ...patches], inversePatches: [...inversePatches, ...last.inversePatches], timestamp: now }]
+                : [...past, { key, patches, inversePatches, timestamp: now }].slice(-HISTORY_LIMIT)
+
+        set({ ...nextState, ...historyState(nextPast, []) })
+    }
+
+    // Wait for background storage writes, reporting failures such as a full quota
+    const persist = (...writes) =>
+        Promise.all(writes).catch((error) => {
+            console.error('Storage write failed:', error)
+            get().showNotification({ title: 'Storage Error', text: describeStorageError(error), type: 'error' })
+        })
+
     return {
         // Game state
         sceneLoaded: false,
@@ -37,31 +108,51 @@ const useGameStore = create((set, get) => {
         setCameraControlsRef: (ref) => set({ cameraControlsRef: ref }),
         setCameraAutoRotate: (autoRotate) => set({ cameraAutoRotate: autoRotate }),
 
-        // Saved vehicles
-        savedVehicles: (() => {
-            // Get from local storage or null.
-            const localStorageVehicles = localStorage.getItem('savedVehicles')
-            const vehicles = localStorageVehicles ? JSON.parse(localStorageVehicles) : { current: null }
+        // Rendered vehicle group, for model export
+        vehicleRef: null,
+        setVehicleRef: (ref) => set({ vehicleRef: ref }),
 
-            // Normalize all saved configs
-            for (const key in vehicles) {
-                if (key !== 'current' && vehicles[key]?.config) {
-                    vehicles[key].config = preprocessVehicleConfig(vehicles[key].config)
-                }
-            }
+        // Renders the scene to a PNG data URL once the canvas is up, for exports
+        captureScreenshot: null,
+        setCaptureScreenshot: (capture) => set({ captureScreenshot: capture }),
+
+        // Terrain state
+        terrainPreset: DEFAULT_TERRAIN_PRESET,
+        terrainSeed: DEFAULT_TERRAIN_SEED,
+        setTerrainPreset: (preset) => set({ terrainPreset: preset }),
+        setTerrainSeed: (seed) => set({ terrainSeed: seed }),
 
-            return vehicles
-        })(),
+        // Imported heightmap, replaces the preset's noise while set, filled in by `loadStorage`
+        heightmap: null,
+        setHeightmap: (heightmap) => {
+            persist(getStorage().put('settings', 'heightmap', heightmap))
+            set({ heightmap })
+        },
+
+        // Saved vehicles, filled in by `loadStorage`
+        savedVehicles: { current: null },
         setSavedVehicles: (updater) =>
             set((state) => {
                 const newSavedVehicles = typeof updater === 'function' ? updater(state.savedVehicles) : updater
-                localStorage.setItem('savedVehicles', JSON.stringify(newSavedVehicles))
+                const { current = null, ...vehicles } = newSavedVehicles
+                const storage = getStorage()
+                const stored = Object.fromEntries(Object.entries(vehicles).map(([id, vehicle]) => [id, vehicle?.config ? { ...vehicle, config: stampVehicleConfig(vehicle.config) } : vehicle]))
+                persist(storage.replace('vehicles', stored), storage.put('settings', 'currentVehicle', current), syncDecalImages(newSavedVehicles, storage))
 
                 // Force state to reinitialize `currentVehicle`
+                const saved = newSavedVehicles.current && newSavedVehicles[newSavedVehicles.current]
+                const currentVehicle = saved ? saved.config : vehicleConfigs.defaults
+
+                // Switching vehicles brings along their decals
+                if (currentVehicle === state.currentVehicle) return { savedVehicles: newSavedVehicles }
+
                 return {
                     savedVehicles: newSavedVehicles,
-                    currentVehicle:
-                        newSavedVehicles.current && newSavedVehicles[newSavedVehicles.current] ? newSavedVehicles[newSavedVehicles.current].config : vehicleConfigs.defaults,
+                    currentVehicle,
+                    decals: unpackDecals(saved?.decals),
+                    selectedDecalId: null,
+                    // History patches only apply to the vehicle they were recorded against
+                    ...historyState([], []),
                 }
             }),
 
@@ -79,69 +170,204 @@ const useGameStore = create((set, get) => {
                 return { savedVehicles: updatedVehicles }
             })
 
-            get().setSavedVehicles((vehicles) => vehicles) // Forces resync with localStorage
+            get().setSavedVehicles((vehicles) => vehicles) // Forces resync with storage
         },
 
-        // Current vehicle config
-        currentVehicle: (() => {
-            const localStorageVehicles = localStorage.getItem('savedVehicles')
-            const savedVehicles = localStorageVehicles ? JSON.parse(localStorageVehicles) : { current: null }
-            const defaultVehicleId = savedVehicles.current
-            const config = defaultVehicleId && savedVehicles[defaultVehicleId] ? savedVehicles[defaultVehicleId].config : vehicleConfigs.defaults
+        // Saved scenes, keyed by id
+        savedScenes: {},
+        setSavedScenes: (updater) =>
+            set((state) => {
+                const savedScenes = typeof updater === 'function' ? updater(state.savedScenes) : updater
+                persist(getStorage().replace('scenes', savedScenes))
+                return { savedScenes }
+            }),
+
+        // Spending limit for the build's parts, null for none
+        budget: null,
+        setBudget: (budget) => {
+            persist(getStorage().put('settings', 'budget', budget))
+            set({ budget })
+        },
 
-            return preprocessVehicleConfig(config)
-        })(),
-        setVehicle: (updater) =>
-            set(
-                produce((state) => {
-                    // Get previous vehicle id
-                    const prevBodyId = state.currentVehicle.body
-
-                    // Update vehicle state
-                    if (typeof updater === 'function') {
-                        updater(state.currentVehicle)
-                    } else {
-                        Object.assign(state.currentVehicle, preprocessVehicleConfig(updater))
-                    }
+        // Local price list overriding catalog prices, null to use the catalog
+        priceList: null,
+        setPriceList: (priceList) => {
+            persist(getStorage().put('settings', 'priceList', priceList))
+            set({ priceList })
+        },
+
+        // Load saved vehicles, decal images, scenes and the heightmap, moving them out of localStorage the first time
+        loadStorage: async () => {
+            try {
+                const storage = getStorage()
+                await migrateLocalStorage(storage, dataUrlToBlob)
 
-                    // Get new vehicle id
-                    const newBodyId = state.currentVehicle.body
+                const [vehicles, current, savedScenes, budget = null, priceList = null, heightmap] = await Promise.all([
+                    storage.getAll('vehicles'),
+                    storage.get('settings', 'currentVehicle'),
+                    storage.getAll('scenes'),
+                    storage.get('settings', 'budget'),
+                    storage.get('settings', 'priceList'),
+                    loadStoredHeightmap(storage),
+                    loadDecalImages(storage),
+                ])
 
-                    // If vehicle body changed, reset addons
-                    if (newBodyId !== prevBodyId && updater.body) {
-                        state.currentVehicle.addons = vehicleConfigs.vehicles[newBodyId]?.default_addons || {}
+                // Bring saved configs up to the current schema
+                for (const key in vehicles) {
+                    if (!vehicles[key]?.config) continue
+                    try {
+                        vehicles[key].config = migrateVehicleConfig(vehicles[key].config)
+                    } catch (error) {
+                        // Kept as stored, so a newer version of the app can still read it
+                        console.warn(`Saved vehicle ${key} could not be migrated:`, error)
                     }
+                }
+
+                const saved = current && vehicles[current]
+                set({
+                    savedVehicles: { ...vehicles, current: saved ? current : null },
+                    savedScenes,
+                    budget,
+                    priceList,
+                    heightmap,
+                    ...(saved && { currentVehicle: saved.config, decals: unpackDecals(saved.decals), selectedDecalId: null, ...historyState([], []) }),
                 })
-            ),
+            } catch (error) {
+                // Keep working for this session, anything saved is lost on reload
+                console.error('Storage could not be loaded:', error)
+                setStorage(createMemoryStorage())
+                get().showNotification({ title: 'Storage Error', text: `Saved vehicles could not be loaded: ${error.message}`, type: 'error' })
+            }
+        },
+
+        // Replace the vehicle, decals, objects, terrain and camera with a parsed scene
+        loadScene: (scene) => {
+            const { vehicle, decals, objects, environment, camera } = scene
+
+            persist(getStorage().put('settings', 'heightmap', environment.heightmap))
+            set((state) => ({
+                currentVehicle: vehicle,
+                decals,
+                objects,
+                selectedDecalId: null,
+                selectedObjectId: null,
+                heightmap: environment.heightmap,
+                physicsEnabled: environment.physicsEnabled,
+                cameraAutoRotate: camera.autoRotate,
+                ...(environment.terrainPreset !== null && { terrainPreset: environment.terrainPreset }),
+                ...(environment.terrainSeed !== null && { terrainSeed: environment.terrainSeed }),
+                // The scene's vehicle is not one of the saved vehicles
+                savedVehicles: { ...state.savedVehicles, current: null },
+                ...historyState([], []),
+            }))
+
+            const { cameraTarget, cameraControlsRef } = get()
+            if (camera.target) {
+                cameraTarget.set(camera.target.x, camera.target.y, camera.target.z)
+                cameraControlsRef?.current?.target.copy(cameraTarget)
+            }
+            if (camera.position) cameraControlsRef?.current?.object.position.set(camera.position.x, camera.position.y, camera.position.z)
+        },
+
+        // Undo/redo history
+        ...historyState([], []),
+        undo: () => {
+            const { past, future } = get().history
+            const entry = past[past.length - 1]
+            if (!entry) return false
+
+            set({ ...applyPatches(get(), entry.inversePatches), ...historyState(past.slice(0, -1), [entry, ...future]) })
+            return true
+        },
+        redo: () => {
+            const { past, future } = get().history
+            const entry = future[0]
+            if (!entry) return false
+
+            set({ ...applyPatches(get(), entry.patches), ...historyState([...past, entry], future.slice(1)) })
+            return true
+        },
+        clearHistory: () => set(historyState([], [])),
+
+        // Run several edits as one undo step, restoring the prior state if `fn` throws
+        transaction: (fn) => {
+            // Nested transactions join the outer one
+            if (transaction) return fn()
+
+            const { currentVehicle, decals, objects, selectedDecalId, selectedObjectId, cameraAutoRotate, physicsEnabled, terrainPreset, terrainSeed, cameraTarget } = get()
+            const snapshot = { currentVehicle, decals, objects, selectedDecalId, selectedObjectId, cameraAutoRotate, physicsEnabled, terrainPreset, terrainSeed }
+            const snapshotTarget = cameraTarget.clone()
+            transaction = { patches: [], inversePatches: [] }
+
+            try {
+                const result = fn()
+                const { patches, inversePatches } = transaction
+
+                if (patches.length > 0) {
+                    const { past } = get().history
+                    set(historyState([...past, { key: null, patches, inversePatches, timestamp: Date.now() }].slice(-HISTORY_LIMIT), []))
+                }
+
+                return result
+            } catch (error) {
+                set(snapshot)
+                get().cameraTarget.copy(snapshotTarget)
+                throw error
+            } finally {
+                transaction = null
+            }
+        },
+
+        // Current vehicle config, replaced by the current saved vehicle once storage loads
+        currentVehicle: { ...vehicleConfigs.defaults },
+        setVehicle: (updater) =>
+            setWithHistory(typeof updater === 'function' ? null : `setVehicle:${Object.keys(updater || {}).sort().join(',')}`, (state) => {
+                applyVehicleChanges(state.currentVehicle, updater)
+            }),
+        // Drivetrain toggles made while driving, kept out of the undo history
+        setDrivetrain: (changes) => set((state) => ({ currentVehicle: { ...state.currentVehicle, ...changes } })),
 
-        // Load vehicle from URL parameters
+        // Load vehicle and decals from a share link, reporting parts that no longer exist
         loadVehicleFromUrl: () => {
             const urlParams = new URLSearchParams(window.location.search)
-            const encodedConfig = urlParams.get('config')
+            const encodedBuild = urlParams.get(SHARE_PARAM)
+            const encodedConfig = urlParams.get(LEGACY_SHARE_PARAM)
 
-            if (encodedConfig) {
-                console.log('Loading vehicle from shared url.')
-                const jsonString = decodeURIComponent(encodedConfig)
-                const config = preprocessVehicleConfig(JSON.parse(jsonString))
+            if (!encodedBuild && !encodedConfig) return false
 
-                // Overwrite current vehicle from URL parameter
-                set({ currentVehicle: config })
+            // Clear URL parameters, a broken link should not fail again on reload
+            window.history.replaceState({}, '', window.location.pathname)
 
-                // Clear current saved vehicle
-                set((state) => ({
-                    savedVehicles: {
-                        ...state.savedVehicles,
-                        current: null,
-                    },
-                }))
+            let build
+            try {
+                build = encodedBuild ? decodeShareLink(encodedBuild) : decodeLegacyShareLink(encodedConfig, urlParams.get('decals'))
+            } catch (error) {
+                console.error('Shared build could not be loaded:', error)
+                get().showNotification({ title: 'Invalid Share Link', text: `This shared build could not be loaded: ${error.message}`, type: 'error' })
+                return false
+            }
 
-                // Clear URL parameters
-                window.history.replaceState({}, '', window.location.pathname)
+            console.log('Loading vehicle from shared url.')
+            const { config, decals, dropped } = build
 
-                return true
+            // Overwrite current vehicle and decals, and clear the current saved vehicle
+            set((state) => ({
+                currentVehicle: config,
+                decals,
+                selectedDecalId: null,
+                savedVehicles: { ...state.savedVehicles, current: null },
+                ...historyState([], []),
+            }))
+
+            if (dropped.length > 0) {
+                get().showNotification({
+                    title: 'Shared Build Updated',
+                    text: `Some parts of this build are no longer available and were left out: ${dropped.join(', ')}`,
+                    type: 'warning',
+                })
             }
 
-            return false
+            return true
         },
 
         // Decal state management
@@ -149,68 +375,100 @@ const useGameStore = create((set, get) => {
         selectedDecalId: null,
         placementMode: false,
         
-        addDecal: (decalData) => set((state) => ({
-            decals: [...state.decals, {
-                id: `decal_${Date.now()}`,
-                imageUrl: decalData.imageUrl,
-                position: decalData.position || { x: 0, y: 0, z: 0 },
-                rotation: decalData.rotation || { x: 0, y: 0, z: 0 },
-                scale: decalData.scale || { x: 0.3, y: 0.3, z: 0.3 },
-                opacity: decalData.opacity || 1,
-                normal: decalData.normal || { x: 0, y: 1, z: 0 },
-                ...decalData,
-            }]
-        })),
-        
-        updateDecal: (id, updates) => set((state) => ({
-            decals: state.decals.map(decal => 
-                decal.id === id ? { ...decal, ...updates } : decal
-            )
-        })),
-        
-        deleteDecal: (id) => set((state) => ({
-            decals: state.decals.filter(decal => decal.id !== id),
-            selectedDecalId: state.selectedDecalId === id ? null : state.selectedDecalId,
-        })),
+        addDecal: (decalData) =>
+            setWithHistory(null, (state) => {
+                state.decals.push({
+                    id: `decal_${Date.now()}`,
+                    imageUrl: decalData.imageUrl,
+                    position: decalData.position || { x: 0, y: 0, z: 0 },
+                    rotation: decalData.rotation || { x: 0, y: 0, z: 0 },
+                    scale: decalData.scale || { x: 0.3, y: 0.3, z: 0.3 },
+                    opacity: decalData.opacity || 1,
+                    normal: decalData.normal || { x: 0, y: 1, z: 0 },
+                    ...decalData,
+                })
+            }),
+        
+        updateDecal: (id, updates) =>
+            setWithHistory(`updateDecal:${id}`, (state) => {
+                const decal = state.decals.find((decal) => decal.id === id)
+                if (decal) Object.assign(decal, updates)
+            }),
+        
+        deleteDecal: (id) =>
+            setWithHistory(null, (state) => {
+                state.decals = state.decals.filter((decal) => decal.id !== id)
+                if (state.selectedDecalId === id) state.selectedDecalId = null
+            }),
         
         setSelectedDecal: (id) => set({ selectedDecalId: id }),
         
         setPlacementMode: (mode) => set({ placementMode: mode }),
         
-        clearDecals: () => set({ decals: [], selectedDecalId: null }),
+        clearDecals: () =>
+            setWithHistory(null, (state) => {
+                state.decals = []
+                state.selectedDecalId = null
+            }),
 
         // Object state management (for 3D objects like cubes)
         objects: [],
         selectedObjectId: null,
         objectPlacementMode: false,
+        placementType: 'cube',
+        
+        addObject: (objectData) =>
+            setWithHistory(null, (state) => {
+                state.objects.push({
+                    id: `object_${Date.now()}`,
+                    type: objectData.type || 'cube',
+                    position: objectData.position || { x: 0, y: 2, z: 0 },
+                    rotation: objectData.rotation || { x: 0, y: 0, z: 0 },
+                    scale: objectData.scale || { x: 1, y: 1, z: 1 },
+                    ...objectData,
+                })
+            }),
         
-        addObject: (objectData) => set((state) => ({
-            objects: [...state.objects, {
-                id: `object_${Date.now()}`,
-                type: objectData.type || 'cube',
-                position: objectData.position || { x: 0, y: 2, z: 0 },
-                rotation: objectData.rotation || { x: 0, y: 0, z: 0 },
-                scale: objectData.scale || { x: 1, y: 1, z: 1 },
-                ...objectData,
-            }]
-        })),
-        
-        updateObject: (id, updates) => set((state) => ({
-            objects: state.objects.map(obj => 
-                obj.id === id ? { ...obj, ...updates } : obj
-            )
-        })),
-        
-        deleteObject: (id) => set((state) => ({
-            objects: state.objects.filter(obj => obj.id !== id),
-            selectedObjectId: state.selectedObjectId === id ? null : state.selectedObjectId,
-        })),
+        updateObject: (id, updates) =>
+            setWithHistory(`updateObject:${id}`, (state) => {
+                const object = state.objects.find((obj) => obj.id === id)
+                if (object) Object.assign(object, updates)
+            }),
+        
+        deleteObject: (id) =>
+            setWithHistory(null, (state) => {
+                const deleted = state.objects.find((obj) => obj.id === id)
+                state.objects = state.objects.filter((obj) => obj.id !== id)
+                // Close the gap a deleted checkpoint leaves so runs can still finish
+                if (deleted?.type === 'checkpoint') renumberCheckpoints(state.objects)
+                if (state.selectedObjectId === id) state.selectedObjectId = null
+            }),
         
         setSelectedObject: (id) => set({ selectedObjectId: id }),
         
         setObjectPlacementMode: (mode) => set({ objectPlacementMode: mode }),
         
-        clearObjects: () => set({ objects: [], selectedObjectId: null }),
+        setPlacementType: (type) => set({ placementType: type }),
+        
+        clearObjects: () =>
+            setWithHistory(null, (state) => {
+                state.objects = []
+                state.selectedObjectId = null
+            }),
+
+        // Transform gizmo for the selected object or decal
+        transformMode: 'translate',
+        transformSpace: 'world',
+        transformSnap: DEFAULT_TRANSFORM_SNAP,
+        transformDragging: false,
+        
+        setTransformMode: (mode) => set({ transformMode: mode }),
+        
+        setTransformSpace: (space) => set({ transformSpace: space }),
+        
+        setTransformSnap: (snap) => set((state) => ({ transformSnap: { ...state.transformSnap, ...snap } })),
+        
+        setTransformDragging: (dragging) => set({ transformDragging: dragging }),
     }
 })
 